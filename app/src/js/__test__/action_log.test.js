@@ -0,0 +1,130 @@
+import {makeSat} from '../states';
+import * as actions from '../functional/actions';
+import {reducer} from '../functional/reducer';
+import {createStore} from '../functional/store';
+import {stateToJson} from '../functional/json';
+import {
+  decodeActionLog, describeAction, encodeActionLog, replayActions,
+} from '../functional/action_log';
+import {Sat, SatItem, SatLabel} from '../sat';
+
+/**
+ * Record a short session in a store
+ * @return {object} the store
+ */
+function recordSession() {
+  let initial = reducer(makeSat(), actions.newItem('a.jpg'));
+  initial = reducer(initial, actions.newItem('b.jpg'));
+  let store = createStore(reducer, makeSat());
+  store.dispatch(actions.initSession(initial));
+  store.dispatch(actions.goToItem(1));
+  store.dispatch(actions.newLabel(0, 1, {categoryPath: 'car'}));
+  store.dispatch({...actions.updateLabel(0, {data: {x: 1, y: 1, w: 2, h: 2}}),
+    cause: 'edit label'});
+  store.dispatch(actions.changeCategory(0, 'person'));
+  store.dispatch(actions.deleteLabel(0));
+  return store;
+}
+
+test('Replaying a saved log reproduces every state', () => {
+  let store = recordSession();
+  let log = decodeActionLog(
+      JSON.parse(JSON.stringify(encodeActionLog(store.getActions()))));
+  expect(log.length).toBe(6);
+
+  let last = replayActions(log, log.length - 1);
+  expect(stateToJson(last.state)).toEqual(stateToJson(store.getState()));
+
+  let afterCreate = replayActions(log, 2);
+  expect(afterCreate.state.labels[0].categoryPath).toBe('car');
+  expect(afterCreate.state.current.item).toBe(1);
+  // stepping forward continues from the earlier result
+  let afterEdit = replayActions(log, 3, afterCreate);
+  expect(afterEdit.state.labels[0].data).toEqual({x: 1, y: 1, w: 2, h: 2});
+  // stepping back replays from the start
+  expect(replayActions(log, 1, afterEdit).state.labels).toEqual({});
+  expect(replayActions(log, 100).step).toBe(5);
+});
+
+test('Actions are described for review', () => {
+  let log = recordSession().getActions();
+  expect(log.map(describeAction)).toEqual([
+    'Session started',
+    'Went to item 1',
+    'Label 0 created on item 1',
+    'Shape of label 0 changed (edit label)',
+    'Category of label 0 changed to person',
+    'Label 0 deleted',
+  ]);
+});
+
+test('Sessions save their actions after the earlier ones', () => {
+  let sat = new Sat(SatItem, SatLabel, false);
+  let earlier = [{type: actions.GO_TO_ITEM, index: 0, timestamp: 1}];
+  sat.fromJson({
+    id: 'assignment',
+    task: {
+      projectOptions: {name: 'project', itemType: 'image',
+        labelType: 'tag', categories: [], attributes: []},
+      index: 0,
+      items: [{url: 'a.jpg', index: 0, labelIds: [], labelImport: null}],
+    },
+    workerId: 'worker',
+    labels: [],
+    actions: earlier,
+    startTime: 100,
+  });
+  sat.currentItem = sat.items[0];
+  sat.newLabel().categoryPath = 'car';
+  sat.syncStore(sat.labels, 'create label');
+  let saved = sat.toJson().actions;
+  expect(saved.map((action) => action.type)).toEqual([
+    actions.GO_TO_ITEM, actions.INIT_SESSION, actions.NEW_LABEL,
+    actions.CHANGE_CATEGORY, actions.UPDATE_LABEL]);
+  expect(saved[1].state.task.items[0].url).toBe('a.jpg');
+  expect(saved[3].cause).toBe('create label');
+  expect(typeof saved[2].timestamp).toBe('number');
+});
+
+test('Reopened sessions are saved by reference', () => {
+  let assignment = {
+    id: 'assignment',
+    task: {
+      projectOptions: {name: 'project', itemType: 'image',
+        labelType: 'tag', categories: [], attributes: []},
+      index: 0,
+      items: [{url: 'a.jpg', index: 0, labelIds: [], labelImport: null}],
+    },
+    workerId: 'worker',
+    labels: [],
+    startTime: 100,
+  };
+  let json = assignment;
+  for (let session = 0; session < 3; session++) {
+    let sat = new Sat(SatItem, SatLabel, false);
+    sat.fromJson(json);
+    sat.currentItem = sat.items[0];
+    sat.newLabel().categoryPath = 'car';
+    sat.syncStore(sat.labels, 'create label');
+    json = JSON.parse(JSON.stringify({...sat.toJson(),
+      submitTime: 200 + session}));
+  }
+  let starts = json.actions.filter(
+      (action) => action.type === actions.INIT_SESSION);
+  expect(starts.length).toBe(3);
+  expect(starts.filter((action) => action.state).length).toBe(1);
+  expect(starts[2]).toEqual({type: actions.INIT_SESSION,
+    submitTime: 201, timestamp: starts[2].timestamp});
+
+  let log = decodeActionLog(json.actions);
+  expect(log.map(describeAction).filter((text) => text.startsWith('Session')))
+      .toEqual(['Session started', 'Session resumed', 'Session resumed']);
+  let replayed = replayActions(log, log.length - 1).state;
+  expect(Object.keys(replayed.labels).length).toBe(3);
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.fromJson(json);
+  let loaded = sat.store.getState();
+  expect(stateToJson(replayed).task).toEqual(stateToJson(loaded).task);
+  expect(Object.keys(replayed.labels).map(
+      (id) => replayed.labels[id].categoryPath)).toEqual(['car', 'car', 'car']);
+});
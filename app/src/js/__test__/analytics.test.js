@@ -0,0 +1,72 @@
+import {computeAnalytics, formatDuration, IDLE_THRESHOLD} from '../analytics';
+
+/**
+ * Make an event
+ * @param {number} seconds: time of the event in seconds
+ * @param {string} action: the action
+ * @param {number} itemIndex: index of the item
+ * @param {number} labelId: id of the label, -1 if there is none
+ * @return {object} the event
+ */
+function event(seconds, action, itemIndex = 0, labelId = -1) {
+  return {timestamp: seconds * 1000, action: action, itemIndex: itemIndex,
+    labelId: labelId, position: null};
+}
+
+test('Active time excludes idle gaps', () => {
+  let analytics = computeAnalytics([
+    event(0, 'start labeling', 0),
+    event(10, 'create label', 0, 0),
+    event(20, 'edit label', 0, 0),
+    event(30, 'end labeling', 0),
+    event(30, 'start labeling', 1),
+    // a long break
+    event(30 + IDLE_THRESHOLD / 1000 + 1, 'create label', 1, 1),
+    event(61 + IDLE_THRESHOLD / 1000, 'undo create label', 1, 1),
+  ], {labelType: 'box2d'});
+  expect(analytics.activeTime).toBe(60 * 1000);
+  expect(analytics.idleTime).toBe(IDLE_THRESHOLD + 1000);
+  expect(analytics.itemTimes).toEqual({0: 30 * 1000, 1: 30 * 1000});
+  expect(analytics.numCreated).toBe(2);
+  expect(analytics.numEdited).toBe(1);
+  expect(analytics.numUndone).toBe(1);
+  expect(analytics.editCreateRatio).toBe(0.5);
+  expect(analytics.labelsPerMinute).toBe(2);
+  expect(analytics.labelTimes).toEqual({0: 20 * 1000, 1: 0});
+  expect(analytics.timePerLabel).toEqual({box2d: 10 * 1000});
+});
+
+test('Time per label counts the time spent on each label', () => {
+  let analytics = computeAnalytics([
+    event(0, 'start labeling', 0),
+    event(5, 'create label', 0, 0),
+    // time browsing the item is not spent on a label
+    event(40, 'start labeling', 0),
+    event(50, 'create label', 0, 1),
+    event(54, 'edit label', 0, 0),
+    event(56, 'delete label', 0, 1),
+  ], {labelType: 'polygon2d'});
+  expect(analytics.labelTimes).toEqual({0: 9 * 1000, 1: 10 * 1000});
+  expect(analytics.timePerLabel).toEqual({polygon2d: 9.5 * 1000});
+  expect(computeAnalytics([event(0, 'start labeling', 0)],
+      {labelType: 'polygon2d'}).timePerLabel).toEqual({});
+});
+
+test('Navigation patterns', () => {
+  let visits = [0, 1, 2, 1, 5, 5, 0];
+  let events = visits.map((index, i) => event(i, 'start labeling', index));
+  expect(computeAnalytics(events).navigation).toEqual({
+    itemsVisited: 4,
+    forwardSteps: 2,
+    backwardSteps: 1,
+    jumps: 2,
+    revisits: 2,
+  });
+});
+
+test('Sessions without events', () => {
+  let analytics = computeAnalytics(null);
+  expect(analytics.activeTime).toBe(0);
+  expect(analytics.editCreateRatio).toBe(null);
+  expect(formatDuration(65 * 1000)).toBe('1m 05s');
+});
@@ -0,0 +1,103 @@
+import {AutoSaver, SaveStatus} from '../autosave';
+
+/**
+ * Create an autosaver whose requests are kept for the test to answer
+ * @param {number} taskIndex: index of the task
+ * @return {AutoSaver}
+ */
+function createTestSaver(taskIndex = 0) {
+  let sat = {projectName: 'test', taskIndex: taskIndex, version: 0};
+  sat.toJson = function() {
+    return {version: sat.version};
+  };
+  let saver = new AutoSaver(sat);
+  saver.requests = [];
+  saver.post = function(json, callback) {
+    saver.requests.push({json: json, callback: callback});
+  };
+  return saver;
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.useFakeTimers();
+});
+
+test('Snapshots stay queued until saved', () => {
+  let saver = createTestSaver();
+  saver.save();
+  expect(saver.status).toBe(SaveStatus.SAVING);
+  expect(saver.getLocalSnapshot().json).toEqual({version: 0});
+
+  // a newer snapshot replaces the unsent one and is sent afterwards
+  saver.sat.version = 1;
+  saver.save();
+  expect(saver.readQueue().length).toBe(1);
+  expect(saver.requests.length).toBe(1);
+  saver.requests[0].callback(true);
+  expect(saver.requests.length).toBe(2);
+  expect(saver.requests[1].json).toEqual({version: 1});
+  saver.requests[1].callback(true);
+  expect(saver.getLocalSnapshot()).toBe(null);
+  expect(saver.status).toBe(SaveStatus.SAVED);
+  expect(saver.hasUnsavedChanges()).toBe(false);
+});
+
+test('Failed saves are retried', () => {
+  let saver = createTestSaver();
+  saver.save();
+  saver.requests[0].callback(false);
+  expect(saver.status).toBe(SaveStatus.FAILED);
+  expect(saver.hasUnsavedChanges()).toBe(true);
+
+  jest.runOnlyPendingTimers();
+  expect(saver.requests.length).toBe(2);
+  saver.requests[1].callback(true);
+  expect(saver.status).toBe(SaveStatus.SAVED);
+  expect(saver.readQueue()).toEqual([]);
+});
+
+test('Snapshots the back end failed to save stay queued', () => {
+  let sent = [];
+  let xhr = window.XMLHttpRequest;
+  // the back end answers with an error, as when storing the assignment fails
+  window.XMLHttpRequest = function() {
+    this.open = function() {};
+    this.send = function(body) {
+      sent.push(JSON.parse(body));
+      this.readyState = 4;
+      this.status = 500;
+      this.onreadystatechange();
+    };
+  };
+  try {
+    let saver = new AutoSaver(createTestSaver().sat);
+    saver.save();
+    expect(sent).toEqual([{version: 0}]);
+    expect(saver.status).toBe(SaveStatus.FAILED);
+    expect(saver.getLocalSnapshot().json).toEqual({version: 0});
+    expect(saver.hasUnsavedChanges()).toBe(true);
+  } finally {
+    window.XMLHttpRequest = xhr;
+  }
+});
+
+test('Edits are saved after a delay', () => {
+  let saver = createTestSaver();
+  saver.markDirty();
+  expect(saver.status).toBe(SaveStatus.UNSAVED);
+  expect(saver.requests.length).toBe(0);
+  jest.runOnlyPendingTimers();
+  expect(saver.requests.length).toBe(1);
+});
+
+test('Queues of different tasks are kept apart', () => {
+  let first = createTestSaver(0);
+  let second = createTestSaver(1);
+  first.save();
+  second.save();
+  expect(first.readQueue().length).toBe(2);
+  second.discardLocalSnapshot();
+  expect(second.getLocalSnapshot()).toBe(null);
+  expect(first.getLocalSnapshot()).not.toBe(null);
+});
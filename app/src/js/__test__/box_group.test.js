@@ -0,0 +1,80 @@
+import $ from 'jquery';
+import {SatImage} from '../image';
+import {
+  alignBounds, clampMove, edgeMoves, isWithin, moveEdges, unionBounds,
+} from '../box_group';
+
+window.$ = $;
+
+/**
+ * Make a mock label of a box
+ * @param {object} bounds: the box (x,y,w,h)
+ * @return {object} the label
+ */
+function createBox(bounds) {
+  return {
+    valid: true,
+    bounds: bounds,
+    getBounds: function() {
+      return {...this.bounds};
+    },
+    setBounds: function(newBounds) {
+      this.bounds = newBounds;
+    },
+  };
+}
+
+test('Boxes are found in an area', () => {
+  let boxes = [{x: 10, y: 10, w: 20, h: 20}, {x: 50, y: 0, w: 10, h: 40}];
+  expect(unionBounds(boxes)).toEqual({x: 10, y: 0, w: 50, h: 40});
+  expect(unionBounds([])).toBe(null);
+  expect(isWithin(boxes[0], {x: 0, y: 0, w: 40, h: 40})).toBe(true);
+  // areas dragged up and left have negative sizes
+  expect(isWithin(boxes[0], {x: 40, y: 40, w: -40, h: -40})).toBe(true);
+  expect(isWithin(boxes[1], {x: 0, y: 0, w: 40, h: 40})).toBe(false);
+});
+
+test('Boxes are moved, resized and aligned', () => {
+  let box = {x: 10, y: 10, w: 20, h: 20};
+  let moved = {x: 15, y: 10, w: 25, h: 10};
+  let moves = edgeMoves(box, moved);
+  expect(moves).toEqual({left: 5, right: 10, top: 0, bottom: -10});
+  expect(moveEdges(box, moves)).toEqual(moved);
+  // an edge crossing the opposite one flips the box
+  expect(moveEdges(box, {left: 30, right: 0, top: 0, bottom: 0}))
+      .toEqual({x: 30, y: 10, w: 10, h: 20});
+  expect(clampMove([box, {x: 80, y: 5, w: 10, h: 10}], 20, -20,
+      {w: 100, h: 100})).toEqual([10, -5]);
+
+  let reference = {x: 0, y: 50, w: 40, h: 30};
+  expect(alignBounds(box, reference, 'left').x).toBe(0);
+  expect(alignBounds(box, reference, 'right').x).toBe(20);
+  expect(alignBounds(box, reference, 'top').y).toBe(50);
+  expect(alignBounds(box, reference, 'bottom').y).toBe(60);
+  expect(alignBounds(box, reference, 'width')).toEqual(
+      {x: 10, y: 10, w: 40, h: 20});
+  expect(alignBounds(box, reference, 'height').h).toBe(30);
+});
+
+test('Selected boxes are dragged together', () => {
+  let item = Object.create(SatImage.prototype);
+  item.image = {width: 100, height: 100};
+  let dragged = createBox({x: 10, y: 10, w: 20, h: 20});
+  let other = createBox({x: 70, y: 40, w: 20, h: 20});
+  item.selectedLabel = dragged;
+  item.selectedGroup = [dragged, other];
+  item.groupStart = new Map(item.selectedGroup.map(
+      (label) => [label, label.getBounds()]));
+
+  // moving is limited by the box closest to the border
+  dragged.bounds = {x: 30, y: 20, w: 20, h: 20};
+  item._dragGroup();
+  expect(dragged.bounds).toEqual({x: 20, y: 20, w: 20, h: 20});
+  expect(other.bounds).toEqual({x: 80, y: 50, w: 20, h: 20});
+
+  // resizing moves the same edges of all the boxes
+  dragged.bounds = {x: 10, y: 10, w: 25, h: 20};
+  item._dragGroup();
+  expect(dragged.bounds).toEqual({x: 10, y: 10, w: 25, h: 20});
+  expect(other.bounds).toEqual({x: 70, y: 40, w: 25, h: 20});
+});
@@ -0,0 +1,138 @@
+import {Clipboard, makeEntries} from '../clipboard';
+import {Keymap} from '../keymap';
+import {Box2d} from '../box2d';
+import {Seg2d} from '../seg2d';
+import {Polygon, Vertex} from '../shape';
+
+/**
+ * Make a mock label with a box
+ * @param {string} categoryPath: category of the label
+ * @param {object} attributes: attributes of the label
+ * @param {object} box: the box of the label, null if it has none
+ * @return {object} the label
+ */
+function createLabel(categoryPath, attributes, box) {
+  return {
+    valid: true,
+    categoryPath: categoryPath,
+    attributes: attributes,
+    copyShape: () => box,
+  };
+}
+
+/**
+ * Make a session with mock items recording the pasted labels
+ * @return {object} the session
+ */
+function createPasteSession() {
+  let sat = {keymap: new Keymap(), reviewMode: false, items: []};
+  for (let i = 0; i < 3; i++) {
+    sat.items.push({
+      index: i,
+      labels: [],
+      pasted: [],
+      pasteLabels: function(entries, steps) {
+        this.pasted.push({entries: entries, steps: steps});
+        return entries;
+      },
+    });
+  }
+  sat.currentItem = sat.items[1];
+  return sat;
+}
+
+test('Entries keep the category, attributes and shape', () => {
+  let weather = [1, 'rainy'];
+  let labels = [
+    createLabel('car', {occluded: true, weather: weather},
+        {x: 1, y: 2, w: 3, h: 4}),
+    createLabel('person', {}, null),
+    {...createLabel('bus', {}, {x: 0, y: 0, w: 1, h: 1}), valid: false},
+  ];
+  let entries = makeEntries(labels);
+  expect(entries).toEqual([{
+    categoryPath: 'car',
+    attributes: {occluded: true, weather: [1, 'rainy']},
+    shape: {x: 1, y: 2, w: 3, h: 4},
+  }]);
+  // the attributes of the copies don't change with the label
+  expect(entries[0].attributes.weather).not.toBe(weather);
+});
+
+test('Pastes into the same item are shifted', () => {
+  let sat = createPasteSession();
+  let clipboard = new Clipboard(sat);
+  let item = sat.currentItem;
+  expect(clipboard.paste(item)).toEqual([]);
+  expect(clipboard.copy(item, [createLabel('car', {}, null)])).toBe(false);
+
+  clipboard.copy(item, [createLabel('car', {}, {x: 1, y: 2, w: 3, h: 4})]);
+  clipboard.paste(item);
+  clipboard.paste(item);
+  clipboard.paste(sat.items[2]);
+  expect(item.pasted.map((paste) => paste.steps)).toEqual([1, 2]);
+  expect(sat.items[2].pasted[0].steps).toBe(0);
+  expect(sat.items[2].pasted[0].entries[0].categoryPath).toBe('car');
+
+  sat.reviewMode = true;
+  expect(clipboard.paste(item)).toEqual([]);
+});
+
+test('Labels of the previous item are copied in place', () => {
+  let sat = createPasteSession();
+  let clipboard = new Clipboard(sat);
+  sat.items[0].labels = [createLabel('car', {}, {x: 1, y: 2, w: 3, h: 4})];
+  clipboard.copyPreviousItem();
+  expect(sat.items[1].pasted).toEqual([
+    {entries: makeEntries(sat.items[0].labels), steps: 0},
+  ]);
+  // the first item has no previous item, and videos have tracks instead
+  sat.currentItem = sat.items[0];
+  expect(clipboard.copyPreviousItem()).toEqual([]);
+  sat.currentItem = sat.items[1];
+  sat.tracks = [];
+  expect(clipboard.copyPreviousItem()).toEqual([]);
+  expect(sat.items[1].pasted.length).toBe(1);
+});
+
+test('Hotkeys copy and paste the selected labels', () => {
+  let sat = createPasteSession();
+  let clipboard = new Clipboard(sat);
+  let item = sat.currentItem;
+  item.getSelectedLabels = () => [createLabel('car', {},
+      {x: 1, y: 2, w: 3, h: 4})];
+  let press = (key, target = null) => clipboard.keydown({
+    key: key, ctrlKey: true, shiftKey: false, altKey: false, metaKey: false,
+    target: target, preventDefault: () => {},
+  });
+  press('c');
+  press('v');
+  expect(item.pasted.length).toBe(1);
+  // typing in a text field is left to the field
+  press('v', {tagName: 'INPUT'});
+  expect(item.pasted.length).toBe(1);
+});
+
+test('Shapes are pasted with an offset', () => {
+  let sat = {attributes: [], items: [{}]};
+  let box = new Box2d(sat, 1, null);
+  box.setBounds({x: 10, y: 20, w: 30, h: 40});
+  let copy = new Box2d(sat, 2, null);
+  copy.pasteShape(box.copyShape(), [5, -5]);
+  expect(copy.getBounds()).toEqual({x: 15, y: 15, w: 30, h: 40});
+
+  let polygon = new Polygon();
+  for (let [x, y] of [[0, 0], [10, 0], [0, 10]]) {
+    polygon.pushVertex(new Vertex(x, y));
+  }
+  polygon.endPath();
+  let seg = new Seg2d(sat, 3, null);
+  expect(seg.copyShape()).toBe(null);
+  seg.addPolyline(polygon);
+  let pasted = new Seg2d(sat, 4, null);
+  pasted.pasteShape(seg.copyShape(), [5, -5]);
+  expect(pasted.polys[0].vertices.map((v) => v.xy)).toEqual(
+      [[5, -5], [15, -5], [5, 5]]);
+  expect(pasted.polys[0].vertices[0]).not.toBe(polygon.vertices[0]);
+  expect(polygon.vertices[1].xy).toEqual([10, 0]);
+});
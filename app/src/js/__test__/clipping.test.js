@@ -0,0 +1,114 @@
+import {
+  difference, evenOddRegion, groupRings, intersection, isInside,
+  normalizeRegion, regionArea, union,
+} from '../clipping';
+import {signedArea} from '../raster';
+
+/**
+ * Make a square polygon
+ * @param {number} x: left of the square
+ * @param {number} y: top of the square
+ * @param {number} size: size of the square
+ * @return {[[[number]]]} the polygon, with its outer border only
+ */
+function square(x, y, size) {
+  return [[[x, y], [x + size, y], [x + size, y + size], [x, y + size]]];
+}
+
+test('Overlapping polygons are merged, cut and intersected', () => {
+  let a = [square(0, 0, 2)];
+  let b = [square(1, 1, 2)];
+  let merged = union(a, b);
+  expect(merged.length).toBe(1);
+  expect(merged[0].length).toBe(1);
+  expect(merged[0][0].length).toBe(8);
+  expect(regionArea(merged)).toBeCloseTo(7);
+  expect(signedArea(merged[0][0])).toBeGreaterThan(0);
+
+  let cut = difference(a, b);
+  expect(cut.length).toBe(1);
+  expect(regionArea(cut)).toBeCloseTo(3);
+  expect(isInside([0.5, 0.5], cut)).toBe(true);
+  expect(isInside([1.5, 1.5], cut)).toBe(false);
+
+  let common = intersection(a, b);
+  expect(common.length).toBe(1);
+  expect(regionArea(common)).toBeCloseTo(1);
+  expect(intersection(a, [square(5, 5, 1)])).toEqual([]);
+  expect(difference(a, [square(-1, -1, 4)])).toEqual([]);
+});
+
+test('Shared edges and corners are kept exact', () => {
+  // polygons drawn with shared vertices, as with quickdraw
+  let left = [square(0, 0, 1)];
+  let right = [square(1, 0, 1)];
+  let merged = union(left, right);
+  expect(merged.length).toBe(1);
+  expect(merged[0][0].length).toBe(4);
+  expect(regionArea(merged)).toBeCloseTo(2);
+  expect(regionArea(difference(left, right))).toBeCloseTo(1);
+  expect(intersection(left, right)).toEqual([]);
+  // an edge shared along part of its length
+  expect(regionArea(union(left, [[[[1, 0.5], [2, 0.5], [2, 2], [1, 2]]]])))
+      .toBeCloseTo(2.5);
+
+  // polygons touching by a corner stay separate
+  let corners = union(left, [square(1, 1, 1)]);
+  expect(corners.length).toBe(2);
+  expect(corners.map((rings) => rings[0].length)).toEqual([4, 4]);
+});
+
+test('Holes are made and grouped', () => {
+  let cut = difference([square(0, 0, 4)], [square(1, 1, 2)]);
+  expect(cut.length).toBe(1);
+  expect(cut[0].length).toBe(2);
+  expect(signedArea(cut[0][1])).toBeLessThan(0);
+  expect(regionArea(cut)).toBeCloseTo(12);
+  expect(isInside([2, 2], cut)).toBe(false);
+  // filling the hole gives the square back
+  let filled = union(cut, [square(1, 1, 2)]);
+  expect(filled.length).toBe(1);
+  expect(filled[0].length).toBe(1);
+  expect(regionArea(filled)).toBeCloseTo(16);
+
+  // holes go with the smallest border around them
+  let big = square(0, 0, 10)[0];
+  let small = square(2, 2, 4)[0];
+  let hole = square(3, 3, 1)[0].reverse();
+  expect(groupRings([hole, big, small])).toEqual([[small, hole], [big]]);
+});
+
+test('The polygons of a region are merged first', () => {
+  let region = normalizeRegion([square(0, 0, 2), square(1, 0, 2),
+    // a ring going the other way
+    [square(5, 0, 1)[0].reverse()]]);
+  expect(region.length).toBe(2);
+  expect(regionArea(region)).toBeCloseTo(7);
+  expect(region.every((rings) => signedArea(rings[0]) > 0)).toBe(true);
+  // a triangle crossing a square
+  let triangle = [[[1, -1], [3, 1], [1, 3]]];
+  expect(regionArea(union([square(0, 0, 2)], [triangle]))).toBeCloseTo(6);
+  expect(regionArea(intersection([square(0, 0, 2)], [triangle])))
+      .toBeCloseTo(2);
+});
+
+test('Crossing rings are split as they are filled', () => {
+  // a bow tie gives its two triangles
+  let bowTie = evenOddRegion([[[0, 0], [4, 4], [4, 0], [0, 4]]]);
+  expect(bowTie.length).toBe(2);
+  expect(regionArea(bowTie)).toBeCloseTo(8);
+  expect(bowTie.every((rings) => signedArea(rings[0]) > 0)).toBe(true);
+  // a ring looping inside itself leaves a hole touching its border
+  let loop = evenOddRegion([[[0, 0], [10, 0], [10, 10], [0, 10], [0, 2],
+    [5, 2], [5, 6], [2, 6], [2, -1]]]);
+  expect(loop.length).toBe(2);
+  expect(loop[1].length).toBe(2);
+  expect(regionArea(loop)).toBeCloseTo(85);
+  for (let ring of [].concat(...loop)) {
+    expect(new Set(ring.map(String)).size).toBe(ring.length);
+  }
+  // valid polygons are left as they are, flat rings disappear
+  let holed = [square(0, 0, 4)[0], square(1, 1, 2)[0].reverse()];
+  expect(evenOddRegion(holed)).toEqual([holed]);
+  expect(evenOddRegion([[[0, 0], [1, 0], [2, 0]]])).toEqual([]);
+});
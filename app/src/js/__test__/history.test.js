@@ -0,0 +1,133 @@
+import {Sat, SatItem, SatLabel} from '../sat';
+import {sameSnapshot} from '../history';
+import {SatImage} from '../image';
+
+/**
+ * Create a session with two items and no network access
+ * @return {Sat}
+ */
+function createTestSat() {
+  let sat = new Sat(SatItem, SatLabel, false);
+  for (let i = 0; i < 2; i++) {
+    sat.items.push(new SatItem(sat, i));
+  }
+  sat.currentItem = sat.items[0];
+  sat.gotoItem = function(index) {
+    sat.currentItem = sat.items[index];
+  };
+  return sat;
+}
+
+test('Snapshot comparison', () => {
+  let label = new SatLabel(null, 0);
+  expect(sameSnapshot({a: [1, 2], b: label}, {a: [1, 2], b: label}))
+      .toBe(true);
+  expect(sameSnapshot({a: [1, 2]}, {a: [1, 3]})).toBe(false);
+  expect(sameSnapshot({a: 1}, {a: 1, b: 2})).toBe(false);
+  expect(sameSnapshot({b: label}, {b: new SatLabel(null, 0)})).toBe(false);
+});
+
+test('Undo and redo label edits', () => {
+  let sat = createTestSat();
+  let history = sat.history;
+
+  history.begin(sat.currentItem);
+  let label = sat.newLabel();
+  let command = history.commit('draw label', label.id);
+  expect(command.action).toBe('create label');
+
+  history.begin(sat.currentItem);
+  label.categoryPath = 'car';
+  history.commit('change category', label.id);
+  // nothing changed
+  history.begin(sat.currentItem);
+  expect(history.commit('change category', label.id)).toBe(null);
+
+  sat.undo();
+  expect(label.categoryPath).toBe(null);
+  expect(label.valid).toBe(true);
+  sat.undo();
+  expect(label.valid).toBe(false);
+  sat.redo();
+  expect(label.valid).toBe(true);
+  sat.redo();
+  expect(label.categoryPath).toBe('car');
+  expect(sat.events.map((e) => e.action)).toEqual([
+    'create label', 'change category',
+    'undo change category', 'undo create label',
+    'redo create label', 'redo change category']);
+});
+
+test('Nested and open edits become one command', () => {
+  let sat = createTestSat();
+  let history = sat.history;
+  let label = sat.newLabel();
+
+  history.begin(sat.currentItem);
+  history.begin(sat.currentItem);
+  label.categoryPath = 'car';
+  expect(history.commit('change category', label.id)).toBe(null);
+  expect(history.commit('edit label', label.id, true)).toBe(null);
+  // undo is ignored while the edit is in progress
+  sat.undo();
+  expect(label.categoryPath).toBe('car');
+  label.attributes['occluded'] = true;
+  expect(history.commit('edit label', label.id).changes.length).toBe(1);
+
+  sat.undo();
+  expect(label.categoryPath).toBe(null);
+  expect(label.attributes).toEqual({});
+});
+
+test('Undo goes to the item of the last edit', () => {
+  let sat = createTestSat();
+  let history = sat.history;
+  let label = sat.newLabel();
+
+  history.begin(sat.currentItem);
+  label.delete();
+  history.commit('delete label', label.id);
+  sat.currentItem = sat.items[1];
+
+  sat.undo();
+  expect(sat.currentItem).toBe(sat.items[0]);
+  expect(label.valid).toBe(true);
+  expect(history.nextRedo(sat.items[1]).action).toBe('delete label');
+});
+
+test('Releasing the mouse anywhere closes the edit of a press', () => {
+  let sat = createTestSat();
+  let item = Object.create(SatImage.prototype);
+  Object.assign(item, {
+    sat: sat,
+    index: 0,
+    labels: [],
+    selectedLabel: null,
+    divCanvas: {
+      getBoundingClientRect: () => ({x: 0, y: 0, width: 100, height: 100}),
+    },
+  });
+  sat.items[0] = item;
+  item.snapshot = () => ({});
+  let press = function() {
+    sat.history.begin(item);
+    item.isMouseDown = true;
+  };
+  // released over an inline element, out of the image
+  press();
+  item._mouseup({which: 1, offsetX: 5, offsetY: 5, clientX: 500,
+    clientY: 500, target: {clientWidth: 0, clientHeight: 0}});
+  expect(sat.history.pending).toBe(null);
+  // released with another button
+  press();
+  item._mouseup({which: 3, offsetX: 0, offsetY: 0,
+    target: {clientWidth: 100, clientHeight: 100}});
+  expect(sat.history.pending).toBe(null);
+  expect(item.isMouseDown).toBe(false);
+  // review mode was turned on while the mouse was down
+  press();
+  sat.reviewMode = true;
+  item._mouseup({which: 1, offsetX: 0, offsetY: 0,
+    target: {clientWidth: 100, clientHeight: 100}});
+  expect(sat.history.pending).toBe(null);
+});
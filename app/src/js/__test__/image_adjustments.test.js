@@ -0,0 +1,73 @@
+import {
+  adjustPixels, equalizationTable, isIdentity, makeAdjustments,
+  makeLookupTable,
+} from '../image_adjustments';
+
+/**
+ * Make RGBA pixels of gray values
+ * @param {[number]} values: intensity of each pixel
+ * @return {Uint8ClampedArray} the pixels
+ */
+function grayPixels(values) {
+  let data = new Uint8ClampedArray(values.length * 4);
+  values.forEach(function(value, i) {
+    data.set([value, value, value, 255], i * 4);
+  });
+  return data;
+}
+
+test('Default adjustments leave the image unchanged', () => {
+  let adjustments = makeAdjustments();
+  expect(isIdentity(adjustments)).toBe(true);
+  expect(isIdentity(makeAdjustments({gamma: 2}))).toBe(false);
+  let table = makeLookupTable(adjustments);
+  for (let v = 0; v < 256; v++) {
+    expect(table[v]).toBe(v);
+  }
+});
+
+test('Brightness, contrast and gamma map the intensities', () => {
+  let brighter = makeLookupTable(makeAdjustments({brightness: 20}));
+  expect(brighter[0]).toBe(51);
+  expect(brighter[255]).toBe(255);
+
+  let contrast = makeLookupTable(makeAdjustments({contrast: 50}));
+  expect(contrast[64]).toBeLessThan(64);
+  expect(contrast[192]).toBeGreaterThan(192);
+  expect(contrast[128]).toBe(129);
+
+  let gamma = makeLookupTable(makeAdjustments({gamma: 2}));
+  expect(gamma[64]).toBe(128);
+  expect(gamma[0]).toBe(0);
+  expect(gamma[255]).toBe(255);
+});
+
+test('Dark images are spread over the whole range', () => {
+  let values = [];
+  for (let i = 0; i < 64; i++) {
+    values.push(i % 32);
+  }
+  let data = grayPixels(values);
+  let table = equalizationTable(data, 256);
+  expect(table[0]).toBe(0);
+  expect(table[31]).toBe(255);
+  expect(table[16]).toBe(132);
+  // the clip limit bounds how much the contrast grows
+  let limited = equalizationTable(data);
+  expect(limited[31]).toBeGreaterThan(31);
+  expect(limited[31]).toBeLessThan(table[31]);
+
+  adjustPixels(data, makeAdjustments({equalize: true}), table);
+  expect(data[31 * 4]).toBe(255);
+  expect(data[31 * 4 + 3]).toBe(255);
+  // without the table, equalizing changes nothing
+  let unchanged = grayPixels([10]);
+  adjustPixels(unchanged, makeAdjustments({equalize: true}));
+  expect(unchanged[0]).toBe(10);
+});
+
+test('Grayscale uses the luminance', () => {
+  let data = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 128]);
+  adjustPixels(data, makeAdjustments({grayscale: true}));
+  expect(Array.from(data)).toEqual([76, 76, 76, 255, 29, 29, 29, 128]);
+});
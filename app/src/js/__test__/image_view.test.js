@@ -0,0 +1,97 @@
+import $ from 'jquery';
+import {SatImage} from '../image';
+import {Minimap} from '../minimap';
+import {UP_RES_RATIO} from '../shape';
+
+window.$ = $;
+
+/**
+ * Create a mock SatImage showing a 1000x500 image on a 500x500 canvas
+ * @return {Object}
+ */
+function createTestImage() {
+  let item = Object.create(SatImage.prototype);
+  item.image = {width: 1000, height: 500};
+  item.imageCanvas = {width: 500, height: 500};
+  item.scale = 1.0;
+  item.MIN_SCALE = 1.0;
+  item.MAX_SCALE = 64.0;
+  item.viewOffset = {x: 0, y: 0};
+  item.setScale(1.0);
+  return item;
+}
+
+test('The fitted image is centered', () => {
+  let item = createTestImage();
+  expect(item.displayToImageRatio).toBe(0.5);
+  expect(item.padBox).toEqual({x: 0, y: 125, w: 500, h: 250});
+  expect(item.toImageCoords([250, 250])).toEqual([500, 250]);
+});
+
+test('Zooming keeps the point under the mouse in place', () => {
+  let item = createTestImage();
+  let anchor = {x: 100, y: 200};
+  let before = item.toImageCoords([anchor.x, anchor.y]);
+  item.setScale(4.0, anchor);
+  expect(item.toImageCoords([anchor.x, anchor.y])).toEqual(before);
+  // the label canvas has a higher resolution than the display
+  expect(item.toCanvasCoords(before)).toEqual(
+      [anchor.x * UP_RES_RATIO, anchor.y * UP_RES_RATIO]);
+
+  item.zoomToActualSize();
+  expect(item.displayToImageRatio).toBe(1);
+  item.setScale(1000);
+  expect(item.scale).toBe(64);
+  item.setScale(0.1);
+  expect(item.scale).toBe(1);
+});
+
+test('The image is not panned past its borders', () => {
+  let item = createTestImage();
+  item.setScale(2.0);
+  item.viewOffset = {x: 100, y: -1000};
+  item._clampView();
+  expect(item.padBox).toEqual({x: 0, y: 0, w: 1000, h: 500});
+  item.viewOffset = {x: -800, y: 0};
+  item._clampView();
+  expect(item.padBox.x).toBe(-500);
+});
+
+test('The minimap shows and moves the part of the image in view', () => {
+  let item = createTestImage();
+  item._viewChanged = () => {};
+  let minimap = Object.create(Minimap.prototype);
+  minimap.item = item;
+  minimap.ratio = 0.2;
+  minimap.canvas = {getBoundingClientRect: () => ({left: 0, top: 0})};
+  expect(minimap.getViewBox()).toEqual({x: 0, y: 0, w: 1000, h: 500});
+
+  item.setScale(4.0, {x: 0, y: 0});
+  expect(minimap.getViewBox()).toEqual({x: 0, y: 0, w: 250, h: 250});
+  expect(minimap.toCanvasCoords([250, 250])).toEqual(
+      [50 * UP_RES_RATIO, 50 * UP_RES_RATIO]);
+
+  // clicking outside of the view centers the view there
+  minimap.mousedown({which: 1, clientX: 100, clientY: 50});
+  expect(minimap.getViewBox()).toEqual({x: 375, y: 125, w: 250, h: 250});
+  // dragging keeps the grabbed point under the mouse
+  minimap.mousedown({which: 1, clientX: 80, clientY: 30});
+  minimap.drag({clientX: 90, clientY: 40});
+  expect(minimap.getViewBox()).toEqual({x: 425, y: 175, w: 250, h: 250});
+});
+
+test('Releasing the mouse over the minimap ends the drag', () => {
+  let canvas = document.createElement('canvas');
+  canvas.getContext = () => null;
+  let minimap = new Minimap(canvas);
+  let panned = 0;
+  minimap.drag = () => {
+    panned++;
+  };
+  minimap.grab = {x: 0, y: 0};
+  document.dispatchEvent(new MouseEvent('mousemove'));
+  canvas.dispatchEvent(new MouseEvent('mouseup', {bubbles: true}));
+  expect(minimap.grab).toBe(null);
+  document.dispatchEvent(new MouseEvent('mousemove'));
+  expect(panned).toBe(1);
+});
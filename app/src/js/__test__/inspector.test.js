@@ -0,0 +1,88 @@
+import {
+  BOX2D_FIELDS, BOX3D_FIELDS, Inspector, formatField, parseField,
+} from '../inspector';
+import {Box2d} from '../box2d';
+import {Seg2d} from '../seg2d';
+import {Polygon, Vertex} from '../shape';
+import {createSession} from './session';
+
+test('Typed values are checked', () => {
+  let [x, , w] = BOX2D_FIELDS;
+  expect(parseField(x, ' -2.5 ')).toBe(-2.5);
+  expect(parseField(x, '')).toBe(null);
+  expect(parseField(x, 'abc')).toBe(null);
+  expect(parseField(w, '0')).toBe(null);
+  expect(parseField(w, '12')).toBe(12);
+  expect(formatField(x, 10.04)).toBe('10');
+  expect(formatField(BOX3D_FIELDS[0], 1.2345)).toBe('1.23');
+});
+
+test('The inspector writes the typed value with the exact others', () => {
+  let sat = createSession();
+  let values = {x: 10.04, y: 20, w: 30, h: 40};
+  let written = [];
+  let container = document.createElement('div');
+  let inspector = new Inspector(sat, container, BOX2D_FIELDS,
+      () => values, (bounds) => written.push(bounds));
+  let inputs = container.querySelectorAll('input');
+  expect(Array.from(inputs).map((input) => input.value)).toEqual(
+      ['10', '20', '30', '40']);
+
+  inputs[2].value = '35';
+  inputs[2].onchange();
+  expect(written).toEqual([{x: 10.04, y: 20, w: 35, h: 40}]);
+  // invalid values are replaced by the current ones
+  inputs[3].value = '-1';
+  inputs[3].onchange();
+  expect(written.length).toBe(1);
+  expect(inputs[3].value).toBe('40');
+
+  values = null;
+  inspector.refresh();
+  expect(inputs[0].disabled).toBe(true);
+  expect(inputs[0].value).toBe('');
+});
+
+test('3D fields are grouped', () => {
+  let container = document.createElement('div');
+  new Inspector(createSession(), container, BOX3D_FIELDS, () => null,
+      () => {});
+  let groups = container.querySelectorAll('.inspector_group');
+  expect(Array.from(groups).map((group) => group.textContent)).toEqual(
+      ['Position', 'Rotation', 'Scale']);
+  expect(container.querySelectorAll('input').length).toBe(9);
+});
+
+test('Nudged boxes stay in the image', () => {
+  let sat = createSession();
+  let box = new Box2d(sat, 1, null);
+  box.setBounds({x: 10, y: 20, w: 30, h: 25});
+  box.nudge(-1, 10);
+  expect(box.getBounds()).toEqual({x: 9, y: 25, w: 30, h: 25});
+  box.nudge(-10, 0);
+  expect(box.getBounds().x).toBe(0);
+});
+
+test('Nudging moves the dragged vertex or the clicked polygon', () => {
+  let sat = createSession();
+  let seg = new Seg2d(sat, 2, null);
+  let polygon = new Polygon();
+  for (let [x, y] of [[10, 10], [20, 10], [10, 20]]) {
+    polygon.pushVertex(new Vertex(x, y));
+  }
+  polygon.endPath();
+  seg.addPolyline(polygon);
+  // nothing is selected
+  seg.nudge(1, 0);
+  expect(polygon.vertices[0].xy).toEqual([10, 10]);
+
+  seg.selectedShape = polygon;
+  seg.nudge(1, 0);
+  expect(polygon.vertices.map((v) => v.xy)).toEqual(
+      [[11, 10], [21, 10], [11, 20]]);
+
+  seg.lastMovedVertex = polygon.vertices[1];
+  seg.nudge(0, -100);
+  expect(polygon.vertices.map((v) => v.xy)).toEqual(
+      [[11, 10], [21, 0], [11, 20]]);
+});
@@ -0,0 +1,145 @@
+import {Keymap, eventBinding, normalizeBinding} from '../keymap';
+
+/**
+ * Make a key event
+ * @param {number} keyCode: code of the key
+ * @param {object} modifiers: modifier flags, e.g. {shiftKey: true}
+ * @return {object} the event
+ */
+function key(keyCode, modifiers = {}) {
+  return {keyCode: keyCode, ctrlKey: false, metaKey: false, altKey: false,
+    shiftKey: false, ...modifiers};
+}
+
+/**
+ * In-memory replacement of the local storage
+ * @return {object} the storage
+ */
+function makeStorage() {
+  let items = {};
+  return {
+    getItem: (name) => name in items ? items[name] : null,
+    setItem: (name, value) => {
+      items[name] = value;
+    },
+  };
+}
+
+/**
+ * Make a keymap with a few actions
+ * @param {object} storage: where the bindings are kept
+ * @return {Keymap} the keymap
+ */
+function makeKeymap(storage = makeStorage()) {
+  let keymap = new Keymap(storage);
+  keymap.register('global', [
+    {id: 'undo', keys: ['Ctrl+Z'], description: 'Undo'},
+  ]);
+  keymap.register('image', [
+    {id: 'deselect', keys: ['Escape'], description: 'Deselect label'},
+    {id: 'next_item', keys: ['ArrowRight'], description: 'Next item'},
+  ]);
+  keymap.register('segmentation', [
+    {id: 'close_path', keys: ['Enter'], description: 'Close the path'},
+    {id: 'move_label', keys: ['m'], hold: true, description: 'Move'},
+  ]);
+  return keymap;
+}
+
+test('Key events are normalized to bindings', () => {
+  expect(eventBinding(key(90, {ctrlKey: true, shiftKey: true})))
+      .toBe('Ctrl+Shift+Z');
+  expect(eventBinding(key(90, {metaKey: true}))).toBe('Ctrl+Z');
+  expect(eventBinding(key(191, {shiftKey: true}))).toBe('Shift+/');
+  expect(eventBinding(key(18, {altKey: true}))).toBe('Alt');
+  expect(eventBinding(key(27))).toBe('Escape');
+  expect(normalizeBinding('shift+ctrl+z')).toBe('Ctrl+Shift+Z');
+  expect(normalizeBinding('esc')).toBe('Escape');
+});
+
+test('Actions are looked up by scope', () => {
+  let keymap = makeKeymap();
+  keymap.register('lane', [
+    {id: 'end_path', keys: ['Enter'], description: 'Finish the lane'},
+  ]);
+  expect(keymap.actionFor(key(27), 'image')).toBe('deselect');
+  expect(keymap.actionFor(key(13), 'segmentation')).toBe('close_path');
+  expect(keymap.actionFor(key(13), 'lane')).toBe('end_path');
+  expect(keymap.actionFor(key(90), 'image')).toBe(null);
+  expect(keymap.matches(key(90, {ctrlKey: true}), 'undo')).toBe(true);
+  expect(keymap.matches(key(90, {ctrlKey: true, shiftKey: true}), 'undo'))
+      .toBe(false);
+  // different label types are never active together
+  expect(keymap.getConflicts()).toEqual([]);
+
+  expect(keymap.isHeld('move_label')).toBe(false);
+  keymap.keydown(key(77));
+  expect(keymap.isHeld('move_label')).toBe(true);
+  keymap.keyup(key(77));
+  expect(keymap.isHeld('move_label')).toBe(false);
+});
+
+test('Conflicting bindings are rejected', () => {
+  let keymap = makeKeymap();
+  expect(keymap.setBinding('next_item', ['Escape'])).toEqual(
+      [{binding: 'Escape', ids: ['deselect']}]);
+  expect(keymap.setBinding('move_label', ['ctrl+z'])).toEqual(
+      [{binding: 'Ctrl+Z', ids: ['undo']}]);
+  expect(keymap.getKeys('next_item')).toEqual(['ArrowRight']);
+  // the keys of the image and the review also run the actions of the label
+  expect(keymap.setBinding('move_label', ['Escape'])).toEqual(
+      [{binding: 'Escape', ids: ['deselect']}]);
+  keymap.register('review', [
+    {id: 'next_rejected', keys: ['n'], description: 'Next rejected label'},
+  ]);
+  expect(keymap.setBinding('close_path', ['n'])).toEqual(
+      [{binding: 'N', ids: ['next_rejected']}]);
+  expect(keymap.setBinding('next_item', ['n'])).toEqual(
+      [{binding: 'N', ids: ['next_rejected']}]);
+  expect(keymap.getKeys('move_label')).toEqual(['M']);
+
+  // conflicts can still come from the defaults of newly registered actions
+  keymap.register('image', [{id: 'hide', keys: ['ArrowRight']}]);
+  expect(keymap.getConflicts()).toEqual(
+      [{binding: 'ArrowRight', ids: ['hide', 'next_item']}]);
+});
+
+test('Bindings are saved per worker', () => {
+  let storage = makeStorage();
+  let keymap = makeKeymap(storage);
+  keymap.load('alice');
+  expect(keymap.setBinding('next_item', ['n'])).toEqual([]);
+  expect(keymap.actionFor(key(78), 'image')).toBe('next_item');
+  expect(keymap.actionFor(key(39), 'image')).toBe(null);
+
+  let restored = makeKeymap(storage);
+  restored.load('alice');
+  expect(restored.getKeys('next_item')).toEqual(['N']);
+  restored.load('bob');
+  expect(restored.getKeys('next_item')).toEqual(['ArrowRight']);
+
+  keymap.resetBinding('next_item');
+  restored.load('alice');
+  expect(restored.getKeys('next_item')).toEqual(['ArrowRight']);
+});
+
+test('The usage window lists the live bindings', () => {
+  let keymap = makeKeymap();
+  let container = document.createElement('div');
+  keymap.renderUsage(container);
+  expect(container.querySelectorAll('h6').length).toBe(3);
+  expect(container.textContent).toContain('Next item');
+
+  keymap.listen(document);
+  keymap.startCapture('next_item');
+  document.dispatchEvent(
+      new KeyboardEvent('keydown', {key: 'z', ctrlKey: true}));
+  expect(container.querySelector('.keymap_message').textContent)
+      .toContain('already used');
+  expect(keymap.getKeys('next_item')).toEqual(['ArrowRight']);
+
+  keymap.startCapture('next_item');
+  document.dispatchEvent(new KeyboardEvent('keydown', {key: 'n'}));
+  expect(keymap.getKeys('next_item')).toEqual(['N']);
+  expect(container.textContent).toContain('N');
+});
@@ -0,0 +1,137 @@
+import {Keypoints2d, Visibility, skeletonEdges} from '../keypoints2d';
+import {createKeymap, createSession} from './session';
+
+const SKELETON = {
+  joints: ['head', 'neck', 'left_hand', 'right_hand'],
+  edges: [['head', 'neck'], ['neck', 'left_hand'], ['neck', 'right_hand'],
+    ['neck', 'tail']],
+};
+
+// key codes of the keypoint actions
+const KEYS = {toggle_occluded: 79, skip_joint: 75, previous_joint: 74,
+  finish_skeleton: 13, place_missing: 80};
+
+/**
+ * Make a mock session with an image item
+ * @return {object} the session
+ */
+function createKeypointSession() {
+  return createSession(
+      {keymap: createKeymap('keypoints'), skeleton: SKELETON});
+}
+
+/**
+ * Press the key of a keypoint action
+ * @param {Keypoints2d} label: the selected label
+ * @param {string} action: the action
+ */
+function press(label, action) {
+  label.keydown({keyCode: KEYS[action], ctrlKey: false, metaKey: false,
+    altKey: false, shiftKey: false, preventDefault: () => {}});
+}
+
+test('Skeleton edges join known joints', () => {
+  expect(skeletonEdges(SKELETON)).toEqual([[0, 1], [1, 2], [1, 3]]);
+  expect(skeletonEdges({joints: ['a']})).toEqual([]);
+});
+
+test('Joints are placed one after the other', () => {
+  let sat = createKeypointSession();
+  let label = new Keypoints2d(sat, 1,
+      {categoryPath: 'pedestrian', attributes: {}, mousePos: {x: 10, y: 5}});
+  expect(label.isEditing()).toBe(true);
+  // the next joint is occluded, the one after is skipped
+  press(label, 'toggle_occluded');
+  label.mouseup({x: 10, y: 15});
+  press(label, 'skip_joint');
+  expect(label.edges.length).toBe(1);
+  // going back removes the skipped joint, then the placed one
+  press(label, 'previous_joint');
+  press(label, 'previous_joint');
+  expect(label.getJoints()[1]).toEqual(
+      {name: 'neck', visibility: Visibility.ABSENT});
+  label.mouseup({x: 11, y: 15});
+  label.mouseup({x: 5, y: 25});
+  press(label, 'finish_skeleton');
+  expect(label.isEditing()).toBe(false);
+  expect(label.getJoints()).toEqual([
+    {name: 'head', x: 10, y: 5, visibility: Visibility.VISIBLE},
+    {name: 'neck', x: 11, y: 15, visibility: Visibility.VISIBLE},
+    {name: 'left_hand', x: 5, y: 25, visibility: Visibility.VISIBLE},
+    {name: 'right_hand', visibility: Visibility.ABSENT},
+  ]);
+  expect(label.edges.map((edge) => [edge.src.xy, edge.dest.xy])).toEqual([
+    [[10, 5], [11, 15]], [[11, 15], [5, 25]]]);
+
+  // the absent joints can be placed later
+  press(label, 'place_missing');
+  label.mouseup({x: 20, y: 25});
+  expect(label.isEditing()).toBe(false);
+  expect(label.getJoints()[3].x).toBe(20);
+  expect(sat.items[0].deselected).toBe(0);
+});
+
+test('A label without joints is dropped once placed', () => {
+  let sat = createKeypointSession();
+  let label = new Keypoints2d(sat, 1, {attributes: {}, mousePos: {x: 1, y: 1}});
+  press(label, 'previous_joint');
+  expect(label.shapesValid()).toBe(true);
+  press(label, 'finish_skeleton');
+  expect(label.shapesValid()).toBe(false);
+  expect(sat.items[0].deselected).toBe(1);
+});
+
+test('The selected joint can be occluded or removed', () => {
+  let sat = createKeypointSession();
+  let label = new Keypoints2d(sat, 1, null);
+  label.setJoints([
+    {name: 'head', x: 10, y: 5, visibility: Visibility.VISIBLE},
+    {name: 'neck', x: 10, y: 15, visibility: Visibility.VISIBLE},
+  ]);
+  label.selectedJoint = 1;
+  press(label, 'toggle_occluded');
+  expect(label.getJoints()[1].visibility).toBe(Visibility.OCCLUDED);
+  expect(label.edges[0].occluded).toBe(true);
+  label.nudge(-100, 2);
+  expect(label.getJoints()[1]).toEqual(
+      {name: 'neck', x: 0, y: 17, visibility: Visibility.OCCLUDED});
+  press(label, 'skip_joint');
+  expect(label.getJoints()[1].visibility).toBe(Visibility.ABSENT);
+  expect(label.edges).toEqual([]);
+});
+
+test('Keypoints are saved, exported and interpolated', () => {
+  let sat = createKeypointSession();
+  let start = new Keypoints2d(sat, 1, null);
+  start.setJoints([
+    {name: 'head', x: 10, y: 5, visibility: Visibility.VISIBLE},
+    {name: 'neck', x: 10, y: 15, visibility: Visibility.OCCLUDED},
+    {name: 'left_hand', x: 4, y: 20, visibility: Visibility.VISIBLE},
+  ]);
+  let json = start.toJson();
+  let loaded = new Keypoints2d(sat, 2, null);
+  loaded.fromJsonVariables(json);
+  expect(loaded.getJoints()).toEqual(start.getJoints());
+
+  let end = new Keypoints2d(sat, 3, null);
+  expect(end.fromExportFormat({category: 'pedestrian', box2d: {}}))
+      .toBe(null);
+  end.fromExportFormat({
+    category: 'pedestrian',
+    attributes: {},
+    keypoints: [
+      {name: 'head', x: 20, y: 5, visibility: Visibility.VISIBLE},
+      {name: 'neck', x: 20, y: 25, visibility: Visibility.VISIBLE},
+      {name: 'left_hand', visibility: Visibility.ABSENT},
+      {name: 'right_hand', x: 30, y: 20, visibility: Visibility.VISIBLE},
+    ],
+  });
+  let middle = new Keypoints2d(sat, 4, null);
+  middle.interpolateHandler(start, end, 0.5);
+  expect(middle.getJoints()).toEqual([
+    {name: 'head', x: 15, y: 5, visibility: Visibility.VISIBLE},
+    {name: 'neck', x: 15, y: 20, visibility: Visibility.OCCLUDED},
+    {name: 'left_hand', x: 4, y: 20, visibility: Visibility.VISIBLE},
+    {name: 'right_hand', visibility: Visibility.ABSENT},
+  ]);
+});
@@ -0,0 +1,88 @@
+import {
+  attributeChoices, categoryChoices, filterEntries, formatAttributes,
+  formatSize, hasAttribute, makeEntry, sortEntries,
+} from '../label_list';
+
+/**
+ * Make the entries of a few labels
+ * @return {[object]} the entries
+ */
+function createEntries() {
+  let parent = {id: 7};
+  return [
+    makeEntry({id: 3, categoryPath: 'vehicle,car',
+      attributes: {occluded: true, weather: [1, 'rainy']}},
+    {x: 10, y: 50, w: 40, h: 20}),
+    makeEntry({id: 1, categoryPath: 'person',
+      attributes: {occluded: false}}, {x: 100, y: 10, w: 10, h: 30}),
+    makeEntry({id: 2, categoryPath: 'vehicle,truck', parent: parent,
+      attributes: {weather: [0, 'clear']}}, null),
+  ];
+}
+
+test('Leaf categories keep the path of their parents', () => {
+  let choices = categoryChoices([
+    {name: 'person'},
+    {name: 'vehicle', subcategories: [{name: 'car'}, {name: 'truck'}]},
+  ]);
+  expect(choices).toEqual([
+    {name: 'person', path: ['person']},
+    {name: 'car', path: ['vehicle', 'car']},
+    {name: 'truck', path: ['vehicle', 'truck']},
+  ]);
+  expect(categoryChoices(null)).toEqual([]);
+});
+
+test('Attribute values are listed and matched', () => {
+  let choices = attributeChoices([
+    {name: 'occluded', toolType: 'switch'},
+    {name: 'weather', toolType: 'list', values: ['clear', 'rainy']},
+  ]);
+  expect(choices).toEqual([
+    {value: 'occluded', name: 'occluded'},
+    {value: 'weather=0', name: 'weather: clear'},
+    {value: 'weather=1', name: 'weather: rainy'},
+  ]);
+  let attributes = {occluded: true, weather: [1, 'rainy']};
+  expect(hasAttribute(attributes, 'occluded')).toBe(true);
+  expect(hasAttribute(attributes, 'weather=1')).toBe(true);
+  expect(hasAttribute(attributes, 'weather=0')).toBe(false);
+  expect(hasAttribute(null, 'occluded')).toBe(false);
+});
+
+test('Entries describe the labels', () => {
+  let [car, person, truck] = createEntries();
+  expect(car.category).toBe('car');
+  expect(car.description).toBe('occluded, weather: rainy');
+  expect(car.area).toBe(800);
+  expect(formatSize(car)).toBe('40x20');
+  expect(person.description).toBe('');
+  // tracked labels are listed with the id of their track
+  expect(truck.id).toBe(7);
+  expect(formatSize(truck)).toBe('');
+  expect(formatSize({w: 2.5, h: 12, area: 30})).toBe('2.5x12');
+  expect(formatAttributes({b: true, a: [2, 'x']})).toBe('a: x, b');
+});
+
+test('Entries are filtered by text, category and attribute', () => {
+  let entries = createEntries();
+  let ids = (filter) => filterEntries(entries, filter).map((e) => e.id);
+  expect(ids({})).toEqual([3, 1, 7]);
+  expect(ids({text: ' VEHICLE '})).toEqual([3, 7]);
+  expect(ids({text: 'rainy'})).toEqual([3]);
+  expect(ids({category: 'person'})).toEqual([1]);
+  expect(ids({attribute: 'occluded'})).toEqual([3]);
+  expect(ids({attribute: 'weather=0'})).toEqual([7]);
+  expect(ids({attribute: 'weather=1', text: 'person'})).toEqual([]);
+});
+
+test('Entries are sorted', () => {
+  let entries = createEntries();
+  let ids = (order) => sortEntries(entries, order).map((e) => e.id);
+  expect(ids('id')).toEqual([1, 3, 7]);
+  expect(ids('category')).toEqual([1, 3, 7]);
+  expect(ids('area')).toEqual([3, 1, 7]);
+  expect(ids('position')).toEqual([7, 1, 3]);
+  // sorting returns a copy
+  expect(entries.map((e) => e.id)).toEqual([3, 1, 7]);
+});
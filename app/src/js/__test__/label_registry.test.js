@@ -0,0 +1,77 @@
+import {
+  describeLabelType, getLabelType, getLabelTypesForItem, registerLabelType,
+  unregisterLabelType,
+} from '../label_registry';
+import {Sat, SatItem, SatLabel} from '../sat';
+
+/**
+ * Minimal label class to register in the tests
+ * @param {Sat} sat: context
+ * @param {number} id: label id
+ */
+function TestLabel(sat, id) {
+  SatLabel.call(this, sat, id);
+}
+
+TestLabel.prototype = Object.create(SatLabel.prototype);
+
+afterEach(() => {
+  unregisterLabelType('test');
+});
+
+test('Label types are looked up by name and item type', () => {
+  registerLabelType({name: 'test', itemTypes: ['image'],
+    labelClass: TestLabel});
+  let labelType = getLabelType('test');
+  expect(labelType.title).toBe('test');
+  expect(labelType.hotkeys).toEqual([]);
+  expect(getLabelTypesForItem('image')).toContain(labelType);
+  expect(getLabelTypesForItem('video')).not.toContain(labelType);
+  expect(getLabelType('unknown')).toBe(null);
+  expect(() => registerLabelType({name: 'test', labelClass: TestLabel}))
+      .toThrow();
+  expect(() => registerLabelType({name: 'other'})).toThrow();
+});
+
+test('Label types are described without their implementation', () => {
+  // the 3D boxes are not loaded by the annotation of images
+  let box3d = getLabelType('box3d');
+  expect(box3d.title).toBe('3D Bounding Box');
+  expect(box3d.labelClass).toBe(null);
+  expect(getLabelTypesForItem('pointcloud')).toContain(box3d);
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.labelType = 'box3d';
+  expect(sat.getRegisteredLabelType()).toBe(null);
+  expect(sat.getLabelClass()).toBe(SatLabel);
+
+  describeLabelType({name: 'test', title: 'Test', templates: ['test_btns']});
+  expect(() => describeLabelType({name: 'test'})).toThrow();
+  let labelType = registerLabelType({name: 'test', labelClass: TestLabel,
+    hotkeys: [{id: 'test', keys: ['t']}]});
+  expect(getLabelType('test')).toBe(labelType);
+  expect(labelType.title).toBe('Test');
+  expect(labelType.templates).toEqual(['test_btns']);
+  expect(labelType.labelClass).toBe(TestLabel);
+  expect(() => registerLabelType({name: 'test', labelClass: TestLabel}))
+      .toThrow();
+});
+
+test('Sat creates and encodes labels of the registered type', () => {
+  registerLabelType({
+    name: 'test',
+    itemTypes: ['image'],
+    labelClass: TestLabel,
+    encode: function(label) {
+      return {id: label.id, encoded: true};
+    },
+  });
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.labelType = 'test';
+  let label = sat.newLabel();
+  expect(label).toBeInstanceOf(TestLabel);
+  expect(sat.encodeLabel(label)).toEqual({id: label.id, encoded: true});
+
+  // unknown label types fall back to the class of the session
+  sat.labelType = 'unknown';
+  expect(sat.newLabel()).not.toBeInstanceOf(TestLabel);
+});
@@ -0,0 +1,68 @@
+import $ from 'jquery';
+import {SatImage} from '../image';
+import {isLabelVisible, makeLayers, showsAll} from '../layers';
+
+window.$ = $;
+
+/**
+ * Make a mock label owning shapes
+ * @param {number} id: id of the label
+ * @param {string} categoryPath: category of the label
+ * @param {object} attributes: attributes of the label
+ * @param {[object]} shapes: shapes of the label
+ * @return {object} the label
+ */
+function createLabel(id, categoryPath, attributes = {}, shapes = []) {
+  return {
+    id: id,
+    valid: true,
+    categoryPath: categoryPath,
+    attributes: attributes,
+    selectedBy: (shape) => shapes.indexOf(shape) >= 0,
+  };
+}
+
+test('Layers hide labels by category and attribute', () => {
+  let car = createLabel(1, 'vehicle,car', {occluded: true});
+  let truck = createLabel(2, 'truck', {weather: [1, 'rainy']});
+  let person = createLabel(3, 'person');
+  let layers = makeLayers();
+  expect(showsAll(layers)).toBe(true);
+  expect(isLabelVisible(layers, car, null)).toBe(true);
+
+  layers = makeLayers({categories: ['car']});
+  expect(showsAll(layers)).toBe(false);
+  expect(isLabelVisible(layers, car, null)).toBe(false);
+  expect(isLabelVisible(layers, truck, null)).toBe(true);
+  // the selected label can still be edited
+  expect(isLabelVisible(layers, car, car)).toBe(true);
+
+  layers = makeLayers({attributes: ['occluded', 'weather=1']});
+  expect(isLabelVisible(layers, car, null)).toBe(false);
+  expect(isLabelVisible(layers, truck, null)).toBe(false);
+  expect(isLabelVisible(layers, person, null)).toBe(true);
+});
+
+test('Isolating shows only the selected label', () => {
+  let car = createLabel(1, 'car');
+  let person = createLabel(2, 'person');
+  let layers = makeLayers({isolate: true});
+  expect(isLabelVisible(layers, person, car)).toBe(false);
+  expect(isLabelVisible(layers, car, car)).toBe(true);
+  // without a selection, all the labels are shown
+  expect(isLabelVisible(layers, person, null)).toBe(true);
+});
+
+test('Hidden labels can not be picked', () => {
+  let shared = {};
+  let own = {};
+  let other = {};
+  let hidden = createLabel(1, 'car', {}, [own, shared]);
+  let shown = createLabel(2, 'person', {}, [other, shared]);
+  let item = Object.create(SatImage.prototype);
+  item.labels = [hidden, shown];
+  expect(item._isShapePickable(own, [hidden])).toBe(false);
+  expect(item._isShapePickable(other, [hidden])).toBe(true);
+  // vertices shared with a shown label can still be picked
+  expect(item._isShapePickable(shared, [hidden])).toBe(true);
+});
@@ -0,0 +1,58 @@
+import {parseAssignment, validateAssignment} from '../loader';
+import {Sat, SatItem, SatLabel} from '../sat';
+
+/**
+ * Create a valid assignment
+ * @return {object}
+ */
+function createTestAssignment() {
+  return {
+    task: {
+      projectOptions: {name: 'test'},
+      items: [{url: 'a.jpg'}, {url: 'b.jpg'}],
+    },
+    labels: [{id: 0}],
+  };
+}
+
+test('Assignment validation', () => {
+  expect(validateAssignment(createTestAssignment())).toBe(null);
+  expect(validateAssignment(null)).not.toBe(null);
+  let json = createTestAssignment();
+  json.task.items = [];
+  expect(validateAssignment(json)).not.toBe(null);
+  json = createTestAssignment();
+  json.labels = [{}];
+  expect(validateAssignment(json)).not.toBe(null);
+});
+
+test('Assignment responses', () => {
+  let response = parseAssignment({status: 200,
+    responseText: JSON.stringify(createTestAssignment())});
+  expect(response.error).toBe(null);
+  expect(response.json.task.items.length).toBe(2);
+  response = parseAssignment({status: 200, responseText: '<html>'});
+  expect(response.json).toBe(null);
+  expect(response.error).toMatch('JSON');
+  response = parseAssignment({status: 500, statusText: 'Internal Error',
+    responseText: ''});
+  expect(response.error).toMatch('500');
+  expect(parseAssignment({status: 0}).error).not.toBe(null);
+});
+
+test('Items are prefetched around the current item', () => {
+  let sat = new Sat(SatItem, SatLabel, false);
+  let order = [];
+  for (let i = 0; i < 10; i++) {
+    let item = new SatItem(sat, i);
+    item.prefetch = function() {
+      order.push(i);
+    };
+    sat.items.push(item);
+  }
+  sat.prefetchBehind = 1;
+  sat.prefetchAhead = 2;
+  sat.currentItem = sat.items[5];
+  sat.prefetchItems();
+  expect(order).toEqual([5, 6, 4, 7]);
+});
@@ -0,0 +1,149 @@
+import {Mask2d, MaskTools} from '../mask2d';
+import {Seg2d} from '../seg2d';
+import {encodeRle, polygonsToMask} from '../raster';
+import {createKeymap, createSession} from './session';
+
+// key codes of the mask actions
+const KEYS = {brush_tool: 80, eraser_tool: 69, fill_tool: 71,
+  brush_smaller: 188, brush_larger: 190};
+
+/**
+ * Make a mock session with an image item
+ * @return {object} the session
+ */
+function createMaskSession() {
+  return createSession({keymap: createKeymap('mask')}, {
+    image: {width: 10, height: 6},
+    deleteLabel: (label) => label.delete(),
+  });
+}
+
+/**
+ * Add a mask label to the item of a session
+ * @param {object} sat: the session
+ * @param {number} id: id of the label
+ * @return {Mask2d} the label
+ */
+function addMask(sat, id) {
+  let label = new Mask2d(sat, id, {categoryPath: 'vegetation', attributes: {}});
+  sat.items[0].labels.push(label);
+  return label;
+}
+
+/**
+ * Apply the tool along a stroke of the mouse
+ * @param {Mask2d} label: the selected label
+ * @param {[[number]]} points: the positions of the mouse
+ */
+function stroke(label, points) {
+  label.mousedown({x: points[0][0], y: points[0][1]});
+  for (let [x, y] of points.slice(1)) {
+    label.mousemove({x: x, y: y});
+  }
+  label.mouseup({});
+}
+
+/**
+ * Press the key of a mask action
+ * @param {Mask2d} label: the selected label
+ * @param {string} action: the action
+ */
+function press(label, action) {
+  label.keydown({keyCode: KEYS[action], ctrlKey: false, metaKey: false,
+    altKey: false, shiftKey: false, preventDefault: () => {}});
+}
+
+beforeEach(() => {
+  Mask2d.tool = MaskTools.BRUSH;
+  Mask2d.brushRadius = 1;
+});
+
+test('Painting a mask takes the pixels of the other masks', () => {
+  let sat = createMaskSession();
+  let road = addMask(sat, 1);
+  stroke(road, [[1.5, 1.5], [8.5, 1.5]]);
+  expect(road.getBounds()).toEqual({x: 0, y: 0, w: 10, h: 3});
+  expect(road.isEditing()).toBe(false);
+
+  let crack = addMask(sat, 2);
+  stroke(crack, [[4.5, 0.5], [4.5, 5.5]]);
+  expect(crack.getBounds()).toEqual({x: 3, y: 0, w: 3, h: 6});
+  expect(road.mask.data[1 * 10 + 4]).toBe(0);
+  expect(road.mask.data[1 * 10 + 2]).toBe(1);
+
+  // erasing gives no pixel back to the other masks
+  press(crack, 'eraser_tool');
+  stroke(crack, [[4.5, 1.5]]);
+  expect(crack.mask.data[1 * 10 + 4]).toBe(0);
+  expect(road.mask.data[1 * 10 + 4]).toBe(0);
+
+  // a mask emptied by another is deleted
+  press(crack, 'brush_tool');
+  press(crack, 'brush_larger');
+  expect(Mask2d.brushRadius).toBe(2);
+  Mask2d.brushRadius = 20;
+  stroke(crack, [[5, 3]]);
+  expect(road.valid).toBe(false);
+  expect(sat.items[0].deselected).toBe(0);
+});
+
+test('Fills stop at the other masks', () => {
+  let sat = createMaskSession();
+  let wall = addMask(sat, 1);
+  stroke(wall, [[5.5, 0.5], [5.5, 5.5]]);
+  let grass = addMask(sat, 2);
+  press(grass, 'fill_tool');
+  stroke(grass, [[0, 0]]);
+  expect(grass.getBounds()).toEqual({x: 0, y: 0, w: 4, h: 6});
+  // a fill on a painted pixel does nothing and the empty label is dropped
+  let empty = addMask(sat, 3);
+  stroke(empty, [[5.5, 2.5]]);
+  expect(empty.shapesValid()).toBe(false);
+  expect(sat.items[0].deselected).toBe(1);
+});
+
+test('Masks are saved, restored and moved', () => {
+  let sat = createMaskSession();
+  let label = addMask(sat, 1);
+  stroke(label, [[2.5, 2.5]]);
+  let json = label.toJson();
+  expect(json.data.rle.size).toEqual([6, 10]);
+  let loaded = new Mask2d(sat, 2, null);
+  loaded.fromJsonVariables(json);
+  expect(loaded.getRle()).toEqual(label.getRle());
+
+  let snapshot = label.snapshot();
+  expect(label.snapshot()).toEqual(snapshot);
+  label.nudge(-5, 1);
+  expect(label.getBounds()).toEqual({x: 0, y: 2, w: 3, h: 3});
+  label.restoreSnapshot(snapshot);
+  expect(label.getBounds()).toEqual({x: 1, y: 1, w: 3, h: 3});
+
+  let pasted = new Mask2d(sat, 3, null);
+  pasted.pasteShape(label.copyShape(), [5, 0]);
+  expect(pasted.getBounds()).toEqual({x: 6, y: 1, w: 3, h: 3});
+});
+
+test('Masks and segmentation polygons convert into each other', () => {
+  let sat = createMaskSession();
+  let square = [[1, 1], [4, 1], [4, 3], [1, 3]];
+  let label = new Mask2d(sat, 1, null);
+  expect(label.fromExportFormat({category: 'road', box2d: {}})).toBe(null);
+  label.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{vertices: square, types: 'LLLL', closed: true}],
+  });
+  expect(label.categoryPath).toBe('road');
+  expect(label.getBounds()).toEqual({x: 1, y: 1, w: 3, h: 2});
+
+  let seg = new Seg2d(sat, 2, null);
+  seg.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    rle: encodeRle(polygonsToMask([[square]], 10, 6)),
+  });
+  expect(seg.polys.length).toBe(1);
+  expect(seg.polys[0].vertices.map((v) => v.xy)).toEqual(
+      [[4, 1], [4, 3], [1, 3], [1, 1]]);
+});
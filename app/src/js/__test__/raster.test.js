@@ -0,0 +1,121 @@
+import {
+  createMask, decodeRle, encodeRle, floodFill, maskBounds, paintDisc,
+  paintLine, polygonsToMask, resizeMask, traceContours,
+} from '../raster';
+
+/**
+ * Make a mask from rows of characters, '#' for the painted pixels
+ * @param {[string]} rows: the rows
+ * @return {object} the mask
+ */
+function maskFromRows(rows) {
+  let mask = createMask(rows[0].length, rows.length);
+  rows.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      mask.data[y * mask.width + x] = row[x] === '#' ? 1 : 0;
+    }
+  });
+  return mask;
+}
+
+/**
+ * Show a mask as rows of characters, '#' for the painted pixels
+ * @param {object} mask: the mask
+ * @return {[string]} the rows
+ */
+function rows(mask) {
+  let result = [];
+  for (let y = 0; y < mask.height; y++) {
+    let row = '';
+    for (let x = 0; x < mask.width; x++) {
+      row += mask.data[y * mask.width + x] ? '#' : '.';
+    }
+    result.push(row);
+  }
+  return result;
+}
+
+test('Brushes paint discs and strokes', () => {
+  let mask = createMask(7, 5);
+  expect(paintDisc(mask, 3, 2, 2, 1)).toEqual({x: 1, y: 0, w: 4, h: 4});
+  expect(rows(mask)).toEqual([
+    '..##...', '.####..', '.####..', '..##...', '.......']);
+  // the pixel under a small brush is painted
+  paintDisc(mask, 6.2, 4.9, 0.1, 1);
+  expect(mask.data[4 * 7 + 6]).toBe(1);
+  expect(paintDisc(mask, -5, -5, 1, 1)).toBe(null);
+
+  mask = createMask(7, 3);
+  paintLine(mask, {x: 0.5, y: 1.5}, {x: 6.5, y: 1.5}, 0.5, 1);
+  expect(rows(mask)).toEqual(['.......', '#######', '.......']);
+  // locked pixels are left alone
+  paintLine(mask, {x: 0.5, y: 1.5}, {x: 6.5, y: 1.5}, 0.5, 0,
+      (index) => index === 10);
+  expect(rows(mask)).toEqual(['.......', '...#...', '.......']);
+});
+
+test('Fills stop at painted and locked pixels', () => {
+  let mask = maskFromRows([
+    '..#..',
+    '.#.#.',
+    '..#..',
+  ]);
+  expect(floodFill(mask, 2.5, 1.5)).toEqual({x: 2, y: 1, w: 1, h: 1});
+  expect(mask.data[7]).toBe(1);
+  expect(floodFill(mask, 2.5, 1.5)).toBe(null);
+  // regions are joined through the sides of their pixels only
+  expect(floodFill(mask, 0, 0, (index) => index === 10)).toEqual(
+      {x: 0, y: 0, w: 2, h: 2});
+  expect(rows(mask)).toEqual(['###..', '####.', '..#..']);
+});
+
+test('Masks are encoded by run lengths in column-major order', () => {
+  let mask = maskFromRows([
+    '.#.',
+    '##.',
+  ]);
+  let rle = encodeRle(mask);
+  expect(rle).toEqual({size: [2, 3], counts: [1, 3, 2]});
+  expect(rows(decodeRle(rle))).toEqual(rows(mask));
+  expect(encodeRle(createMask(2, 2)).counts).toEqual([4]);
+  expect(maskBounds(mask)).toEqual({x: 0, y: 0, w: 2, h: 2});
+  expect(maskBounds(createMask(2, 2))).toBe(null);
+  expect(rows(resizeMask(mask, 4, 2, 2, -1))).toEqual(['..##', '....']);
+});
+
+test('Borders of the regions are traced', () => {
+  let mask = maskFromRows([
+    '####.',
+    '#..#.',
+    '####.',
+    '....#',
+  ]);
+  let contours = traceContours(mask);
+  expect(contours.length).toBe(3);
+  expect(contours[0]).toEqual({
+    points: [[4, 0], [4, 3], [0, 3], [0, 0]],
+    hole: false,
+  });
+  expect(contours[1].hole).toBe(true);
+  expect(contours[1].points.length).toBe(4);
+  // pixels touching by a corner are in separate regions
+  expect(contours[2]).toEqual({
+    points: [[5, 3], [5, 4], [4, 4], [4, 3]],
+    hole: false,
+  });
+});
+
+test('Polygons are painted by their pixel centers', () => {
+  let outer = [[0, 0], [5, 0], [5, 4], [0, 4]];
+  let hole = [[1, 1], [3, 1], [3, 3], [1, 3]];
+  expect(rows(polygonsToMask([[outer, hole]], 6, 4))).toEqual([
+    '#####.', '#..##.', '#..##.', '#####.']);
+  // separate polygons add up
+  let square = [[0.4, 0.4], [2.6, 0.4], [2.6, 2.6], [0.4, 2.6]];
+  expect(rows(polygonsToMask([[square], [square]], 3, 3))).toEqual([
+    '###', '###', '###']);
+  // traced borders give the mask back
+  let mask = maskFromRows(['.##.', '####', '#..#']);
+  let rings = traceContours(mask).map((contour) => contour.points);
+  expect(rows(polygonsToMask([rings], 4, 3))).toEqual(rows(mask));
+});
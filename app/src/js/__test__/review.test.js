@@ -0,0 +1,71 @@
+import * as actions from '../functional/actions';
+import {describeAction} from '../functional/action_log';
+import {Sat, SatItem, SatLabel} from '../sat';
+
+/**
+ * Load an assignment with two items and a label on each
+ * @param {boolean} reviewMode: whether the session is a review
+ * @param {object} fields: extra fields of the labels
+ * @return {Sat} the session
+ */
+function loadSession(reviewMode, fields = {}) {
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.reviewMode = reviewMode;
+  sat.fromJson({
+    id: 'assignment',
+    task: {
+      projectOptions: {name: 'project', itemType: 'image',
+        labelType: 'tag', categories: [], attributes: []},
+      index: 0,
+      items: [
+        {url: 'a.jpg', index: 0, labelIds: [0], labelImport: null},
+        {url: 'b.jpg', index: 1, labelIds: [1], labelImport: null},
+      ],
+    },
+    workerId: 'worker',
+    labels: [
+      {id: 0, categoryPath: 'car', attributes: {}, ...fields},
+      {id: 1, categoryPath: 'car', attributes: {}, ...fields},
+    ],
+  });
+  sat.currentItem = sat.items[0];
+  return sat;
+}
+
+test('Labels without a review are pending', () => {
+  let sat = loadSession(false);
+  expect(sat.labels[0].review).toEqual({status: 'pending', comments: []});
+  expect(sat.getRejectedLabels()).toEqual([]);
+});
+
+test('Verdicts and comments are saved with the labels', () => {
+  let sat = loadSession(true);
+  let label = sat.items[1].labels[0];
+  sat.reviewLabel(label, 'rejected');
+  sat.commentOnLabel(label, 'box is too loose');
+  sat.reviewLabel(sat.items[0].labels[0], 'approved');
+
+  let json = sat.toJson();
+  expect(json.labels[0].review).toEqual({status: 'approved', comments: []});
+  expect(json.labels[1].review.status).toBe('rejected');
+  expect(json.labels[1].review.comments.map((c) => [c.author, c.text]))
+      .toEqual([['reviewer', 'box is too loose']]);
+  let saved = json.actions.slice(-3);
+  expect(saved.map(describeAction)).toEqual([
+    'Label 1 marked rejected (review label)',
+    'reviewer commented on label 1 (comment)',
+    'Label 0 marked approved (review label)',
+  ]);
+  expect(saved[0].type).toBe(actions.SET_REVIEW_STATUS);
+
+  // the annotator gets the verdicts back and answers in their own name
+  let annotator = loadSession(false, {review: json.labels[1].review});
+  let rejected = annotator.getRejectedLabels();
+  expect(rejected.length).toBe(2);
+  expect(rejected.map((entry) => entry.item.index)).toEqual([0, 1]);
+  annotator.commentOnLabel(rejected[1].label, 'fixed');
+  annotator.reviewLabel(rejected[1].label, 'pending');
+  let comments = annotator.toJson().labels[1].review.comments;
+  expect(comments.map((c) => c.author)).toEqual(['reviewer', 'worker']);
+  expect(annotator.getRejectedLabels().length).toBe(1);
+});
@@ -0,0 +1,98 @@
+import {RotatedBox2d, lerpAngle, normalizeAngle} from '../rotated_box2d';
+import {RotatedRect} from '../shape';
+import {createSession} from './session';
+
+/**
+ * Check that two lists of points are close
+ * @param {[[number]]} points: the points
+ * @param {[[number]]} expected: the expected points
+ */
+function expectPointsClose(points, expected) {
+  expect(points.length).toBe(expected.length);
+  points.forEach((point, i) => {
+    expect(point[0]).toBeCloseTo(expected[i][0]);
+    expect(point[1]).toBeCloseTo(expected[i][1]);
+  });
+}
+
+test('Angles are interpolated the short way round', () => {
+  expect(normalizeAngle(3 * Math.PI / 2)).toBeCloseTo(-Math.PI / 2);
+  expect(normalizeAngle(-Math.PI)).toBeCloseTo(Math.PI);
+  expect(lerpAngle(0.5, 1.5, 0.5)).toBeCloseTo(1);
+  let [start, end] = [Math.PI * 170 / 180, -Math.PI * 170 / 180];
+  expect(lerpAngle(start, end, 0.5)).toBeCloseTo(Math.PI);
+  expect(lerpAngle(start, end, 0.25)).toBeCloseTo(Math.PI * 175 / 180);
+  expect(lerpAngle(end, start, 0.75)).toBeCloseTo(Math.PI * 175 / 180);
+});
+
+test('Rotated rectangles place their handles', () => {
+  let rect = new RotatedRect(50, 40, 20, 10, Math.PI / 2);
+  expectPointsClose(rect.corners(), [[55, 30], [55, 50], [45, 50], [45, 30]]);
+  // the rotation handle is 20 pixels beyond the top edge
+  expectPointsClose([rect.rotationHandle.xy], [[75, 40]]);
+
+  // dragging a corner keeps the opposite one in place
+  rect = new RotatedRect(50, 40, 20, 10, Math.PI / 2);
+  rect.dragHandle(4, 40, 60);
+  expectPointsClose([rect.vertices[0].xy], [[55, 30]]);
+  expectPointsClose([[rect.w, rect.h]], [[30, 15]]);
+  // dragging a midpoint only changes one side
+  rect.dragHandle(3, 60, 35);
+  expectPointsClose([[rect.w, rect.h]], [[5, 15]]);
+  expectPointsClose([rect.vertices[0].xy], [[55, 30]]);
+  // dragging past the opposite side flips the box until it is normalized
+  rect.dragHandle(3, 60, 25);
+  expect(rect.w).toBeCloseTo(-5);
+  rect.normalize();
+  expectPointsClose([[rect.w, rect.h]], [[5, 15]]);
+  expectPointsClose([[rect.cx, rect.cy]], [[47.5, 27.5]]);
+});
+
+test('Rotated boxes are saved and exported', () => {
+  let sat = createSession();
+  let box = new RotatedBox2d(sat, 1, null);
+  box.categoryPath = 'car';
+  box.setCurrentPosition({cx: 50, cy: 40, w: 20, h: 10, theta: Math.PI / 2});
+  let bounds = box.getBounds();
+  expectPointsClose([[bounds.x, bounds.y], [bounds.w, bounds.h]],
+      [[45, 30], [10, 20]]);
+
+  let json = box.toJson();
+  expect(json.data).toEqual(
+      {cx: 50, cy: 40, w: 20, h: 10, theta: Math.PI / 2});
+  let loaded = new RotatedBox2d(sat, 2, null);
+  loaded.fromJsonVariables(json);
+  expect(loaded.getCurrentPosition()).toEqual(box.getCurrentPosition());
+
+  let imported = new RotatedBox2d(sat, 3, null);
+  expect(imported.fromExportFormat({category: 'car', box2d: {}})).toBe(null);
+  imported.fromExportFormat({
+    category: 'bus',
+    attributes: {},
+    rotated_box2d: {cx: 10, cy: 20, w: 30, h: 40, theta: -1},
+  });
+  expect(imported.categoryPath).toBe('bus');
+  expect(imported.getCurrentPosition()).toEqual(
+      {cx: 10, cy: 20, w: 30, h: 40, theta: -1});
+});
+
+test('Interpolated boxes turn the short way round', () => {
+  let sat = createSession();
+  let [start, middle, end] = [1, 2, 3].map(
+      (id) => new RotatedBox2d(sat, id, null));
+  start.setCurrentPosition({cx: 10, cy: 10, w: 20, h: 10, theta: 3});
+  end.setCurrentPosition({cx: 30, cy: 20, w: 40, h: 10, theta: -3});
+  middle.interpolateHandler(start, end, 0.5);
+  let avg = middle.getCurrentPosition();
+  expect([avg.cx, avg.cy, avg.w, avg.h]).toEqual([20, 15, 30, 10]);
+  expect(Math.abs(avg.theta)).toBeCloseTo(Math.PI);
+});
+
+test('Nudged rotated boxes stay in the image', () => {
+  let sat = createSession();
+  let box = new RotatedBox2d(sat, 1, null);
+  box.setCurrentPosition({cx: 50, cy: 40, w: 20, h: 10, theta: Math.PI / 2});
+  box.nudge(3, 100);
+  expectPointsClose([[box.cx, box.cy]], [[53, 40]]);
+  expect(box.theta).toBe(Math.PI / 2);
+});
@@ -1,10 +1,70 @@
 /* @flow */
 
-import {makeSat} from '../states';
+import {makeLabel, makeSat} from '../states';
 import * as Sat from '../functional/sat';
+import * as actions from '../functional/actions';
+import {reducer} from '../functional/reducer';
+import {createStore} from '../functional/store';
+import {stateFromJson, stateToJson} from '../functional/json';
 import {Box2dF} from '../functional/box2d';
 import _ from 'lodash/fp';
 
+/**
+ * Assignment in the JSON format of the back end with two items, a track
+ * over both items and a deleted label
+ * @param {Object} options: project options replacing the default ones
+ * @return {Object}
+ */
+function makeAssignment(options: Object = {}) {
+  return {
+    id: 'assignment',
+    task: {
+      projectOptions: {
+        name: 'project',
+        itemType: 'video',
+        labelType: 'box2d',
+        taskSize: 2,
+        handlerUrl: 'label2d',
+        pageTitle: 'title',
+        categories: [{name: 'car'}],
+        attributes: [],
+        instructions: '',
+        demoMode: false,
+        telemetry: 'none',
+        telemetryUrl: '',
+        ...options,
+      },
+      index: 3,
+      items: [
+        {url: 'a.jpg', index: 0, labelIds: [1], labelImport: null},
+        {url: 'b.jpg', index: 1, labelIds: [2], labelImport: null},
+      ],
+    },
+    workerId: 'worker',
+    labels: [
+      {id: 0, categoryPath: 'car', attributes: {}, parentId: -1,
+        childrenIds: [1, 2], keyframe: false, attributeframe: false,
+        review: {status: 'pending', comments: []}},
+      {id: 1, categoryPath: 'car', attributes: {}, parentId: 0,
+        keyframe: true, attributeframe: false,
+        data: {x: 1, y: 2, w: 3, h: 4},
+        review: {status: 'rejected', comments: [
+          {author: 'reviewer', text: 'too loose', timestamp: 5}]}},
+      {id: 2, categoryPath: 'car', attributes: {}, parentId: 0,
+        keyframe: false, attributeframe: false,
+        data: {x: 2, y: 2, w: 3, h: 4},
+        review: {status: 'pending', comments: []}},
+    ],
+    tracks: [
+      {id: 0, categoryPath: 'car', attributes: {}, parentId: -1,
+        childrenIds: [1, 2], keyframe: false, attributeframe: false,
+        review: {status: 'pending', comments: []}},
+    ],
+    startTime: 100,
+    numLabeledItems: 2,
+  };
+}
+
 describe('Sat Functional Tests', function() {
   it('Sat', function() {
     let sat = makeSat();
@@ -12,4 +72,130 @@ describe('Sat Functional Tests', function() {
     expect(sat.current.maxObjectId).toBe(0);
     expect(_.size(sat.labels)).toBe(1);
   });
+
+  it('New labels are added to the current item', function() {
+    let sat = makeSat();
+    sat = Sat.newItem(sat, 'a.jpg');
+    sat = Sat.newItem(sat, 'b.jpg');
+    sat = Sat.goToItem(sat, 1);
+    expect(sat.items[1].active).toBe(true);
+    sat = Sat.newLabel(sat, Box2dF.createLabel);
+    sat = Sat.newLabel(sat, Box2dF.createLabel, 5, 0);
+    expect(sat.items[1].labels).toEqual([0]);
+    expect(sat.items[0].labels).toEqual([5]);
+    expect(sat.labels[5].item).toBe(0);
+    expect(sat.current.maxObjectId).toBe(5);
+    expect(Sat.countLabels(sat, 1)).toBe(1);
+  });
+
+  it('Deleting a label deletes its children', function() {
+    let sat = makeSat();
+    sat = Sat.newItem(sat, 'a.jpg');
+    sat = Sat.goToItem(sat, 0);
+    sat = Sat.newTrack(sat, 0);
+    sat = Sat.newLabel(sat, Box2dF.createLabel);
+    sat = Sat.addTrackChild(sat, 0, 1);
+    expect(sat.tracks[0].children).toEqual([1]);
+    expect(sat.labels[1].parent).toBe(0);
+    sat = Sat.selectLabel(sat, 0);
+    sat = Sat.deleteLabel(sat, 0);
+    expect(sat.tracks[0].valid).toBe(false);
+    expect(sat.labels[1].valid).toBe(false);
+    expect(sat.current.label).toBe(-1);
+    expect(Sat.countLabels(sat, 0)).toBe(0);
+  });
+
+  it('Store logs the actions and keeps old states', function() {
+    let store = createStore(reducer, makeSat());
+    let states = [store.getState()];
+    let notified = 0;
+    let unsubscribe = store.subscribe(function() {
+      notified++;
+    });
+    store.dispatch(actions.newItem('a.jpg'));
+    store.dispatch(actions.goToItem(0));
+    store.dispatch(actions.newLabel(0, 0, {categoryPath: 'car'}));
+    states.push(store.getState());
+    store.dispatch(actions.changeCategory(0, 'person'));
+    store.dispatch(actions.changeAttributes(0, {occluded: true}));
+    unsubscribe();
+    store.dispatch({type: 'UNKNOWN'});
+    let state = store.getState();
+    expect(notified).toBe(5);
+    expect(store.getActions().map((action) => action.type)).toEqual([
+      actions.NEW_ITEM, actions.GO_TO_ITEM, actions.NEW_LABEL,
+      actions.CHANGE_CATEGORY, actions.CHANGE_ATTRIBUTES]);
+    expect(state.labels[0].categoryPath).toBe('person');
+    expect(state.labels[0].attributes).toEqual({occluded: true});
+    expect(states[0].items).toEqual([]);
+    expect(states[1].labels[0].categoryPath).toBe('car');
+    // the logged actions are the dispatched ones, unchanged
+    expect(store.getActions()[0]).toEqual(actions.newItem('a.jpg'));
+  });
+
+  it('Reducers may not dispatch', function() {
+    let store;
+    store = createStore(function(state, action) {
+      if (action.type === 'NESTED') {
+        store.dispatch({type: 'OTHER'});
+      }
+      return state;
+    }, makeSat());
+    expect(() => store.dispatch({type: 'NESTED'})).toThrow();
+    // the store still works after the error
+    expect(store.dispatch({type: 'OTHER'})).toEqual({type: 'OTHER'});
+  });
+
+  it('Shapes', function() {
+    let sat = Sat.newLabel(makeSat(), (id) => makeLabel({id: id}));
+    sat = Sat.newShape(sat, 0, {id: 3, x1: 0, y1: 0, x2: 1, y2: 1});
+    sat = Sat.updateShape(sat, 3, {x2: 2});
+    expect(sat.labels[0].shapes).toEqual([3]);
+    expect(sat.shapes[3]).toEqual({id: 3, x1: 0, y1: 0, x2: 2, y2: 1});
+    sat = Sat.deleteShape(sat, 3);
+    expect(sat.labels[0].shapes).toEqual([]);
+    expect(3 in sat.shapes).toBe(false);
+  });
+
+  it('JSON round trip', function() {
+    let json = makeAssignment();
+    let state = stateFromJson(json);
+    expect(Object.keys(state.tracks)).toEqual(['0']);
+    expect(state.labels[1].item).toBe(0);
+    expect(state.labels[2].parent).toBe(0);
+    expect(state.current.maxObjectId).toBe(2);
+    expect(state.config.taskIndex).toBe(3);
+
+    let result = stateToJson(state);
+    delete json.tracks;
+    expect(result).toEqual(json);
+
+    state = reducer(state, actions.setReviewStatus(1, 'approved'));
+    state = reducer(state, actions.addReviewComment(1,
+        {author: 'worker', text: 'fixed', timestamp: 6}));
+    result = stateToJson(state);
+    expect(result.labels[1].review.status).toBe('approved');
+    expect(result.labels[1].review.comments.map((c) => c.text))
+        .toEqual(['too loose', 'fixed']);
+    expect(json.labels[1].review.comments.length).toBe(1);
+
+    state = reducer(state, actions.deleteLabel(2));
+    result = stateToJson(state);
+    expect(result.task.items[1].labelIds).toEqual([]);
+    expect(result.labels[0].childrenIds).toEqual([1]);
+    expect(result.numLabeledItems).toBe(1);
+  });
+
+  it('JSON round trip of the options of a label type', function() {
+    let skeleton = {
+      joints: ['head', 'neck'],
+      edges: [['head', 'neck']],
+    };
+    let json = makeAssignment({labelType: 'keypoints', skeleton: skeleton});
+    let result = stateToJson(stateFromJson(json));
+    expect(result.task.projectOptions.skeleton).toEqual(skeleton);
+    // saved submissions load the same way
+    result = stateToJson(stateFromJson(result));
+    expect(result.task.projectOptions).toEqual(json.task.projectOptions);
+  });
 });
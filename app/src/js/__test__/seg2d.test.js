@@ -0,0 +1,275 @@
+import {SatImage} from '../image';
+import {Seg2d} from '../seg2d';
+import {EdgeTypes, Polygon, ShapeProblems, Vertex} from '../shape';
+import {regionArea} from '../clipping';
+import {createSession} from './session';
+
+/**
+ * Make a mock session with an image item holding the labels
+ * @return {object} the session
+ */
+function createSegSession() {
+  return createSession({
+    history: {begin: () => {}, commit: () => {}},
+    labelList: {refresh: () => {}},
+    reviewPanel: {refresh: () => {}},
+  }, Object.assign(Object.create(SatImage.prototype), {
+    image: {width: 100, height: 100},
+    selectedLabel: null,
+    selectedGroup: [],
+    redrawLabelCanvas: () => {},
+    redrawHiddenCanvas: () => {},
+    updateLabelCount: () => {},
+  }));
+}
+
+/**
+ * Add a segmentation label with a rectangle to the item of a session
+ * @param {object} sat: the session
+ * @param {number} x: left of the rectangle
+ * @param {number} y: top of the rectangle
+ * @param {number} w: width of the rectangle
+ * @param {number} h: height of the rectangle
+ * @return {Seg2d} the label
+ */
+function addRect(sat, x, y, w, h) {
+  let label = new Seg2d(sat, sat.items[0].labels.length, null);
+  label.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{
+      vertices: [[x, y], [x + w, y], [x + w, y + h], [x, y + h]],
+      types: 'LLLL',
+      closed: true,
+    }],
+  });
+  sat.items[0].labels.push(label);
+  return label;
+}
+
+beforeEach(() => {
+  Seg2d.closed = true;
+  Seg2d.noOverlap = false;
+  Seg2d.simplifyTolerance = 2;
+});
+
+test('Selected labels are merged and intersected', () => {
+  let sat = createSegSession();
+  let item = sat.items[0];
+  let a = addRect(sat, 0, 0, 20, 20);
+  let b = addRect(sat, 10, 10, 20, 20);
+  let c = addRect(sat, 50, 50, 10, 10);
+  // a single label is not combined
+  item.selectedLabel = a;
+  expect(item.combineGroup('union_labels')).toBe(false);
+
+  item.selectedLabel = b;
+  item.selectedGroup = [a, b];
+  expect(item.combineGroup('union_labels')).toBe(true);
+  expect(a.valid).toBe(false);
+  expect(item.selectedLabel).toBe(b);
+  expect(item.selectedGroup).toEqual([]);
+  expect(b.polys.length).toBe(1);
+  expect(b.polys[0].vertices.length).toBe(8);
+  expect(regionArea(b.getRegion())).toBeCloseTo(700);
+
+  // labels without common area are left as they are
+  item.selectedGroup = [c, b];
+  expect(item.combineGroup('intersect_labels')).toBe(false);
+  expect(c.valid).toBe(true);
+  let d = addRect(sat, 15, -5, 10, 40);
+  item.selectedLabel = d;
+  item.selectedGroup = [b, d];
+  expect(item.combineGroup('intersect_labels')).toBe(true);
+  expect(b.valid).toBe(false);
+  expect(regionArea(d.getRegion())).toBeCloseTo(250);
+});
+
+test('The selected label is cut out of the others', () => {
+  let sat = createSegSession();
+  let item = sat.items[0];
+  let road = addRect(sat, 0, 0, 40, 40);
+  let island = addRect(sat, 10, 10, 10, 10);
+  let car = addRect(sat, 30, 30, 20, 20);
+  let far = addRect(sat, 80, 80, 10, 10);
+  item.selectedLabel = island;
+  item.selectedGroup = [road, car, far, island];
+  expect(item.combineGroup('subtract_labels')).toBe(true);
+  // the island leaves a hole in the road
+  expect(road.polys.length).toBe(1);
+  expect(road.polys[0].holes.length).toBe(1);
+  expect(regionArea(road.getRegion())).toBeCloseTo(1500);
+  expect(road.shapesValid()).toBe(true);
+  expect(road.toJson().data.polys[0].holes.length).toBe(1);
+  expect(island.valid).toBe(true);
+  expect(regionArea(island.getRegion())).toBeCloseTo(100);
+  expect(regionArea(car.getRegion())).toBeCloseTo(400);
+
+  // a label covered by the cut is deleted
+  let small = addRect(sat, 12, 12, 2, 2);
+  item.selectedGroup = [small, island];
+  item.selectedLabel = island;
+  item.combineGroup('subtract_labels');
+  expect(small.valid).toBe(false);
+});
+
+test('New polygons are cut out of the other labels without overlap', () => {
+  let sat = createSegSession();
+  let road = addRect(sat, 0, 0, 40, 20);
+  let lane = addRect(sat, 30, 0, 20, 20);
+  lane.removeOverlaps();
+  expect(regionArea(road.getRegion())).toBeCloseTo(800);
+
+  Seg2d.noOverlap = true;
+  let polys = [road.polys, lane.polys];
+  let curb = addRect(sat, 40, 20, 10, 5);
+  curb.removeOverlaps();
+  // labels only sharing an edge or a corner are left as they are
+  expect([road.polys, lane.polys]).toEqual(polys);
+  expect(road.polys).toBe(polys[0]);
+  let sign = addRect(sat, 35, 5, 5, 5);
+  lane.removeOverlaps();
+  expect(regionArea(road.getRegion())).toBeCloseTo(600);
+  expect(road.getBounds()).toEqual({x: 0, y: 0, w: 30, h: 20});
+  expect(regionArea(curb.getRegion())).toBeCloseTo(50);
+  expect(sign.valid).toBe(false);
+});
+
+test('Outlines are simplified and smoothed after a preview', () => {
+  let sat = createSegSession();
+  let item = sat.items[0];
+  // a rectangle with a vertex at every pixel of its top edge
+  let vertices = [];
+  for (let x = 0; x <= 20; x++) {
+    vertices.push([x, x % 2 ? 0.5 : 0]);
+  }
+  let label = new Seg2d(sat, 0, null);
+  label.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{
+      vertices: vertices.concat([[20, 10], [0, 10]]),
+      types: 'L'.repeat(23),
+      closed: true,
+    }],
+  });
+  item.labels.push(label);
+  // a label sharing a vertex of the top edge
+  let poly = label.polys[0];
+  let neighbor = new Seg2d(sat, 1, null);
+  neighbor.addPolyline(Polygon.fromExportFormat(
+      {vertices: [[10, -5], [15, -5]], types: 'LL', closed: true}));
+  neighbor.polys[0].insertVertex(1, poly.vertices[10]);
+  item.labels.push(neighbor);
+
+  expect(label.outlineAction('simplify_polygons')).toBe(false);
+  expect(poly.vertices.length).toBe(23);
+  expect(label.outlinePreview.before).toBe(23);
+  expect(label.outlinePreview.after).toBe(5);
+  expect(label.outlineAction('simplify_polygons')).toBe(true);
+  expect(label.outlinePreview).toBe(null);
+  expect(poly.vertices.map((v) => v.xy)).toEqual(
+      [[0, 0], [10, 0], [20, 0], [20, 10], [0, 10]]);
+  expect(poly.vertices[1]).toBe(neighbor.polys[0].vertices[1]);
+  expect(label.shapesValid()).toBe(true);
+
+  // another action drops the preview
+  Seg2d.simplifyTolerance = 0.1;
+  let circle = [];
+  for (let i = 0; i < 32; i++) {
+    let angle = 2 * Math.PI * i / 32;
+    circle.push([50 + 10 * Math.cos(angle), 50 + 10 * Math.sin(angle)]);
+  }
+  let round = new Seg2d(sat, 2, null);
+  round.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{vertices: circle, types: 'L'.repeat(32), closed: true}],
+  });
+  item.labels.push(round);
+  round.outlineAction('simplify_polygons');
+  expect(round.outlineAction('smooth_polygons')).toBe(false);
+  expect(round.outlinePreview.action).toBe('smooth_polygons');
+  expect(round.outlineAction('smooth_polygons')).toBe(true);
+  let edges = round.polys[0].edges;
+  expect(edges.length).toBeLessThan(10);
+  expect(edges.every((edge) => edge.type === EdgeTypes.BEZIER)).toBe(true);
+  for (let [x, y] of round.polys[0].flatten()) {
+    expect(Math.abs(Math.hypot(x - 50, y - 50) - 10)).toBeLessThan(0.2);
+  }
+});
+
+test('New polygons are simplified only if they stay valid', () => {
+  let sat = createSegSession();
+  let vertices = [[9, 3], [10, 2], [8, 7], [5, 8], [0, 2], [7, 7]];
+  let label = new Seg2d(sat, 0, null);
+  label.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{vertices: vertices, types: 'LLLLLL', closed: true}],
+  });
+  sat.items[0].labels.push(label);
+  let poly = label.polys[0];
+  expect(poly.isValidShape()).toBe(true);
+  // removing the vertices closer than the tolerance makes the edges cross
+  expect(label.simplifyNewPolygon(poly)).toBe(false);
+  expect(poly.vertices.map((v) => v.xy)).toEqual(vertices);
+
+  let square = addRect(sat, 20, 20, 10, 10);
+  square.polys[0].insertVertex(1, new Vertex(25, 20.5));
+  expect(square.simplifyNewPolygon(square.polys[0])).toBe(true);
+  expect(square.polys[0].vertices.length).toBe(4);
+});
+
+test('Crossing polygons are split and repeated vertices removed', () => {
+  let sat = createSegSession();
+  let item = sat.items[0];
+  let label = new Seg2d(sat, 0, null);
+  label.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{
+      vertices: [[0, 0], [10, 10], [10, 0], [0, 10]],
+      types: 'LLLL',
+      closed: true,
+    }],
+  });
+  item.labels.push(label);
+  expect(label.getShapeProblems()).toEqual([ShapeProblems.CROSSING]);
+  expect(label.repairShapes()).toBe(true);
+  expect(label.polys.length).toBe(2);
+  expect(regionArea(label.getRegion())).toBeCloseTo(50);
+  expect(label.getShapeProblems()).toEqual([]);
+  expect(label.repairShapes()).toBe(false);
+
+  // a repeated vertex is removed, keeping the curve after it
+  let curved = new Seg2d(sat, 1, null);
+  curved.fromExportFormat({
+    category: 'road',
+    attributes: {},
+    poly2d: [{
+      vertices: [[20, 0], [30, 0], [30, 0], [30, 10], [20, 10]],
+      types: 'LLLLL',
+      closed: true,
+    }],
+  });
+  item.labels.push(curved);
+  let poly = curved.polys[0];
+  poly.edges[2].type = EdgeTypes.BEZIER;
+  poly.edges[2].control_points[0].xy = [32, 3];
+  poly.edges[2].control_points[1].xy = [34, 7];
+  expect(curved.getShapeProblems())
+      .toEqual([ShapeProblems.DUPLICATE_VERTICES]);
+  expect(curved.repairShapes()).toBe(true);
+  expect(curved.polys[0]).toBe(poly);
+  expect(poly.vertices.map((v) => v.xy))
+      .toEqual([[20, 0], [30, 0], [30, 10], [20, 10]]);
+  expect(poly.edges[1].type).toBe(EdgeTypes.BEZIER);
+  expect(poly.edges[1].control_points[1].xy).toEqual([34, 7]);
+
+  // a label left without area is deleted
+  let flat = addRect(sat, 50, 50, 10, 0);
+  expect(flat.getShapeProblems()).toContain(ShapeProblems.DUPLICATE_VERTICES);
+  expect(flat.repairShapes()).toBe(true);
+  expect(flat.valid).toBe(false);
+});
@@ -0,0 +1,43 @@
+import {Keymap} from '../keymap';
+import {getLabelType} from '../label_registry';
+
+/**
+ * Make a mock session with an image item, with the fields the labels read
+ * from them. The item counts its deselections and takes the mouse position
+ * from the x and y of the mouse events.
+ * @param {object} fields: fields of the session, replacing the defaults
+ * @param {object} item: the item, its fields replace the defaults
+ * @return {object} the session
+ */
+export function createSession(fields = {}, item = {}) {
+  let sat = {attributes: [], items: [item], reviewMode: false, ...fields};
+  let defaults = {
+    sat: sat,
+    image: {width: 100, height: 50},
+    labels: [],
+    active: false,
+    deselected: 0,
+    deselectAll: function() {
+      this.deselected++;
+    },
+    getMousePos: (e) => ({x: e.x, y: e.y}),
+  };
+  for (let key of Object.keys(defaults)) {
+    if (!(key in item)) {
+      item[key] = defaults[key];
+    }
+  }
+  return sat;
+}
+
+/**
+ * Make a keymap with the actions of a label type, keeping the bindings in
+ * memory
+ * @param {string} labelType: name of the label type
+ * @return {Keymap} the keymap
+ */
+export function createKeymap(labelType) {
+  let keymap = new Keymap({getItem: () => null, setItem: () => {}});
+  keymap.register(labelType, getLabelType(labelType).hotkeys);
+  return keymap;
+}
@@ -1,5 +1,5 @@
 import {Shape, Vertex, Edge, Path, Polygon,
-  VertexTypes, EdgeTypes} from '../shape';
+  VertexTypes, EdgeTypes, ShapeProblems} from '../shape';
 import {idx} from '../utils';
 
 /**
@@ -627,4 +627,64 @@ describe('Shared Reference Behavior Tests', function() {
     expect(p1.equals(p3)).toBe(true);
     expect(p2.equals(p4)).toBe(true);
   });
+  it('Polygon flattening', function() {
+    let [v1, v2, v3] = list2Vertices([[0, 0], [4, 0], [4, 4]]);
+    let p = vertices2Polygon([v1, v2, v3]);
+    expect(p.flatten()).toEqual([[0, 0], [4, 0], [4, 4]]);
+    // bezier edges are sampled
+    p.edges[0].type = EdgeTypes.BEZIER;
+    p.edges[0].control_points[0].xy = [1, 2];
+    p.edges[0].control_points[1].xy = [3, 2];
+    let points = p.flatten(2);
+    expect(points.length).toBe(4);
+    expect(points[1]).toEqual([2, 1.5]);
+    let path = new Path();
+    for (let v of list2Vertices([[0, 0], [1, 1]])) {
+      path.pushVertex(v);
+    }
+    expect(path.flatten()).toEqual([[0, 0], [1, 1]]);
+  });
+
+  it('Polygon holes', function() {
+    let square = (x, y, size) => ({
+      vertices: [[x, y], [x + size, y], [x + size, y + size], [x, y + size]],
+      types: 'LLLL',
+      closed: true,
+    });
+    let p = Polygon.fromExportFormat(
+        Object.assign(square(0, 0, 10), {holes: [square(2, 2, 4)]}));
+    expect(p.holes.length).toBe(1);
+    expect(p.getRings().map((ring) => ring.flatten()[0]))
+        .toEqual([[0, 0], [2, 2]]);
+    expect(p.isValidShape()).toBe(true);
+
+    let json = p.toJson();
+    expect(json.holes.length).toBe(1);
+    Shape.allShapes = {};
+    let loaded = Polygon.fromJson(json);
+    expect(loaded.holes[0].flatten()).toEqual(p.holes[0].flatten());
+    let copy = p.copy();
+    expect(copy.holes[0]).not.toBe(p.holes[0]);
+    expect(copy.holes[0].vertices[0].xy).toEqual([2, 2]);
+    expect(new Polygon().toJson().holes).toBeUndefined();
+
+    // a hole crossing the outer border makes the polygon invalid
+    p.holes[0].vertices[1].xy = [12, 2];
+    expect(p.isValidShape()).toBe(false);
+  });
+
+  it('Polygon problems', function() {
+    let p = list2Polygon([[0, 0], [8, 0], [8, 8], [0, 8]]);
+    expect(p.getProblems()).toEqual([]);
+    let bowTie = list2Polygon([[0, 0], [8, 8], [8, 0], [0, 8]]);
+    let pairs = bowTie.intersectingEdges();
+    expect(pairs.length).toBe(1);
+    expect(pairs[0]).toEqual([bowTie.edges[0], bowTie.edges[2]]);
+    expect(bowTie.getProblems()).toEqual([ShapeProblems.CROSSING]);
+    let flat = list2Polygon([[0, 0], [4, 0], [8, 0]]);
+    expect(flat.getProblems()).toEqual([ShapeProblems.DEGENERATE]);
+    let repeated = list2Polygon([[0, 0], [8, 0], [8, 0], [8, 8]]);
+    expect(repeated.getProblems())
+        .toContain(ShapeProblems.DUPLICATE_VERTICES);
+  });
 });
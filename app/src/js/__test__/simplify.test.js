@@ -0,0 +1,52 @@
+import {fitBezier, simplifyPoints, smoothPoints} from '../simplify';
+
+/**
+ * Make the points of a circle
+ * @param {number} radius: radius of the circle, around the origin
+ * @param {number} count: number of points
+ * @return {[[number]]} the points
+ */
+function circle(radius, count) {
+  let points = [];
+  for (let i = 0; i < count; i++) {
+    let angle = 2 * Math.PI * i / count;
+    points.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+  }
+  return points;
+}
+
+test('Points close to the outline are removed', () => {
+  // a rectangle with a point at every pixel of its border
+  let points = [];
+  for (let x = 0; x < 10; x++) points.push([x, 0]);
+  for (let y = 0; y < 5; y++) points.push([10, y]);
+  for (let x = 10; x > 0; x--) points.push([x, 5]);
+  for (let y = 5; y > 0; y--) points.push([0, y]);
+  expect(simplifyPoints(points, 0.5, true)).toEqual([0, 10, 15, 25]);
+  // fixed points are kept
+  expect(simplifyPoints(points, 0.5, true, [3])).toEqual([0, 3, 10, 15, 25]);
+  // a path keeps its ends
+  let path = [[0, 0], [1, 0.1], [2, 0], [3, 2], [4, 2]];
+  expect(simplifyPoints(path, 0.5, false)).toEqual([0, 2, 3, 4]);
+  expect(simplifyPoints(path, 5, false)).toEqual([0, 4]);
+  // a ring is not reduced below a triangle
+  expect(simplifyPoints(circle(1, 8), 10, true).length).toBe(3);
+});
+
+test('Dense points are fitted by curves', () => {
+  let controlPoints = fitBezier([[0, 0], [1, 1.5], [2, 2], [3, 1.5], [4, 0]]);
+  // the curve is as symmetric as the points
+  expect(controlPoints[0][0] + controlPoints[1][0]).toBeCloseTo(4);
+  expect(controlPoints[0][1]).toBeCloseTo(controlPoints[1][1]);
+  expect(controlPoints[0][1]).toBeGreaterThan(2);
+
+  let points = circle(20, 64);
+  let smoothed = smoothPoints(points, 0.2, true);
+  expect(smoothed.indices.length).toBeLessThan(12);
+  expect(smoothed.indices.length).toBe(smoothed.controlPoints.length);
+  expect(smoothed.controlPoints.every((curve) => curve !== null)).toBe(true);
+  // straight runs stay straight
+  let line = [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0], [5, 0], [5, 5]];
+  expect(smoothPoints(line, 0.5, false)).toEqual(
+      {indices: [0, 5, 6], controlPoints: [null, null]});
+});
@@ -1,5 +1,9 @@
 /* @flow */
 import {makeLabel} from '../states';
+import {Sat, SatItem, SatLabel} from '../sat';
+import {
+  CHANGE_CATEGORY, DELETE_LABEL, INIT_SESSION, NEW_LABEL, UPDATE_LABEL,
+} from '../functional/actions';
 import _ from 'lodash/fp';
 
 describe('Label Tests', function() {
@@ -14,3 +18,54 @@ describe('Label Tests', function() {
     expect(label.id === oldId).toBe(false);
   });
 });
+
+describe('Session Tests', function() {
+  /**
+   * Create a session with one item and one label loaded from JSON
+   * @return {Sat}
+   */
+  function loadSession() {
+    let sat = new Sat(SatItem, SatLabel, false);
+    sat.fromJson({
+      id: 'assignment',
+      task: {
+        projectOptions: {name: 'project', itemType: 'image',
+          labelType: 'tag', categories: [], attributes: []},
+        index: 0,
+        items: [{url: 'a.jpg', index: 0, labelIds: [0], labelImport: null}],
+      },
+      workerId: 'worker',
+      labels: [{id: 0, categoryPath: 'car', attributes: {},
+        parentId: -1, keyframe: false, attributeframe: false}],
+      startTime: 100,
+    });
+    return sat;
+  }
+
+  it('Loading a session initializes the store', function() {
+    let sat = loadSession();
+    let state = sat.store.getState();
+    expect(state.items[0].labels).toEqual([0]);
+    expect(state.labels[0].categoryPath).toBe('car');
+    expect(state.config.projectName).toBe('project');
+  });
+
+  it('Label edits are dispatched as actions', function() {
+    let sat = loadSession();
+    sat.currentItem = sat.items[0];
+    let label = sat.newLabel();
+    label.categoryPath = 'person';
+    sat.labelIdMap[0].valid = false;
+    sat.syncStore();
+    let state = sat.store.getState();
+    expect(state.items[0].labels).toEqual([0, label.id]);
+    expect(state.labels[label.id].categoryPath).toBe('person');
+    expect(state.labels[0].valid).toBe(false);
+    expect(sat.store.getActions().map((action) => action.type)).toEqual([
+      INIT_SESSION, NEW_LABEL, DELETE_LABEL, CHANGE_CATEGORY, UPDATE_LABEL]);
+
+    let json = sat.toJson();
+    expect(json.labels.map((label) => label.id)).toEqual([label.id]);
+    expect(json.task.items[0].labelIds).toEqual([label.id]);
+  });
+});
@@ -0,0 +1,37 @@
+import {
+  CLIENT_VERSION, collectTelemetry, getSessionMetadata,
+  registerTelemetryProvider,
+} from '../telemetry';
+import {Sat, SatItem, SatLabel} from '../sat';
+
+test('Telemetry uses the provider of the project options', () => {
+  let collected = [];
+  let callback = (info) => collected.push(info);
+  registerTelemetryProvider('test', function(options, callback) {
+    callback({from: options.telemetryUrl});
+  });
+  collectTelemetry({telemetry: 'test', telemetryUrl: 'here'}, callback);
+  // no provider and unknown providers collect nothing
+  collectTelemetry({}, callback);
+  collectTelemetry({telemetry: 'unknown'}, callback);
+  collectTelemetry({telemetry: 'custom'}, callback);
+  expect(collected).toEqual([{from: 'here'}, null, null, null]);
+});
+
+test('Saves and submissions carry the same client information', () => {
+  let metadata = getSessionMetadata();
+  expect(metadata.userAgent).toBe(navigator.userAgent);
+  expect(metadata.clientVersion).toBe(CLIENT_VERSION);
+  expect(typeof metadata.timezoneOffset).toBe('number');
+
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.collectTelemetry({telemetry: 'none'});
+  let info = sat.getInfo();
+  expect(info.userAgent).toBe(navigator.userAgent);
+  expect(info.clientInfo).toEqual(metadata);
+  expect(info.ipInfo).toBe(null);
+  expect('ipAddress' in info).toBe(false);
+  let json = sat.addClientInfo({});
+  expect(json).toEqual({userAgent: info.userAgent,
+    clientInfo: info.clientInfo, ipInfo: null});
+});
@@ -0,0 +1,61 @@
+import {Sat, SatItem, SatLabel} from '../sat';
+import {ShapeProblems} from '../shape';
+
+/**
+ * Load an assignment with two items and a label on each, on a page with the
+ * validation panel
+ * @return {Sat} the session
+ */
+function loadSession() {
+  document.body.innerHTML = '<div id="validation_window">' +
+      '<span id="validation_summary"></span>' +
+      '<ul id="validation_list"></ul>' +
+      '<button id="validation_repair_btn"></button>' +
+      '<button id="validation_save_btn"></button>' +
+      '<button id="validation_close_btn"></button></div>';
+  let sat = new Sat(SatItem, SatLabel, false);
+  sat.fromJson({
+    id: 'assignment',
+    task: {
+      projectOptions: {name: 'project', itemType: 'image',
+        labelType: 'tag', categories: [], attributes: []},
+      index: 0,
+      items: [
+        {url: 'a.jpg', index: 0, labelIds: [0], labelImport: null},
+        {url: 'b.jpg', index: 1, labelIds: [1], labelImport: null},
+      ],
+    },
+    workerId: 'worker',
+    labels: [
+      {id: 0, categoryPath: 'car', attributes: {}},
+      {id: 1, categoryPath: 'car', attributes: {}},
+    ],
+  });
+  sat.currentItem = sat.items[0];
+  return sat;
+}
+
+test('Labels with invalid shapes are listed before saving', () => {
+  let sat = loadSession();
+  let panel = sat.validationPanel;
+  expect(panel.check()).toBe(true);
+  expect(panel.panel.style.display).toBe('none');
+
+  // a label whose edges cross, fixed by repairing it
+  let label = sat.items[1].labels[0];
+  let problems = [ShapeProblems.CROSSING];
+  label.getShapeProblems = () => problems;
+  label.repairShapes = () => {
+    problems = [];
+    return true;
+  };
+  expect(sat.getShapeProblems()).toEqual(
+      [{item: sat.items[1], label: label, problems: problems}]);
+  expect(panel.check()).toBe(false);
+  expect(panel.panel.style.display).toBe('block');
+  expect(panel.list.textContent).toBe('Item 2, label 1: crossing edges');
+  panel.repairAll();
+  expect(sat.getShapeProblems()).toEqual([]);
+  expect(panel.panel.style.display).toBe('none');
+  expect(panel.check()).toBe(true);
+});
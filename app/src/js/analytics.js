@@ -0,0 +1,240 @@
+/**
+ * Productivity analytics of a labeling session, derived from the events the
+ * session records with Sat.addEvent.
+ */
+
+// gaps between events longer than this are idle time, in milliseconds
+export const IDLE_THRESHOLD = 60 * 1000;
+
+// events that only record where the annotator is
+const NAVIGATION_EVENTS = ['start labeling', 'end labeling', 'loaded'];
+
+/**
+ * Compute the analytics of a list of events.
+ * @param {[object]} events: the events, with timestamp, action and itemIndex
+ * @param {object} options: optional settings
+ *   - labelType {string}: label type of the session, e.g. 'box2d'
+ *   - idleThreshold {number}: longest gap that counts as active time
+ *   - now {number}: end of the session, the time of the last event by
+ *     default
+ * @return {object} the analytics, times are in milliseconds. The time spent
+ *   on a label is the active time before each event creating or editing it.
+ */
+export function computeAnalytics(events, options = {}) {
+  let idleThreshold = options.idleThreshold || IDLE_THRESHOLD;
+  events = (events || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+  let result = {
+    activeTime: 0,
+    idleTime: 0,
+    itemTimes: {},
+    numCreated: 0,
+    numEdited: 0,
+    numDeleted: 0,
+    numUndone: 0,
+    numRedone: 0,
+    labelsPerMinute: 0,
+    editCreateRatio: null,
+    labelTimes: {},
+    timePerLabel: {},
+    navigation: {
+      itemsVisited: 0,
+      forwardSteps: 0,
+      backwardSteps: 0,
+      jumps: 0,
+      revisits: 0,
+    },
+  };
+  if (events.length === 0) {
+    return result;
+  }
+
+  let currentItem = -1;
+  let visits = [];
+  let addTime = function(gap) {
+    if (gap > idleThreshold) {
+      result.idleTime += gap;
+      return 0;
+    }
+    result.activeTime += gap;
+    if (currentItem >= 0) {
+      result.itemTimes[currentItem] =
+          (result.itemTimes[currentItem] || 0) + gap;
+    }
+    return gap;
+  };
+  for (let i = 0; i < events.length; i++) {
+    let event = events[i];
+    let gap = 0;
+    if (i > 0) {
+      gap = addTime(event.timestamp - events[i - 1].timestamp);
+    }
+    let action = event.action;
+    if (event.labelId >= 0 && NAVIGATION_EVENTS.indexOf(action) < 0 &&
+        action !== 'delete label' && !action.startsWith('undo ') &&
+        !action.startsWith('redo ')) {
+      result.labelTimes[event.labelId] =
+          (result.labelTimes[event.labelId] || 0) + gap;
+    }
+    if (action === 'start labeling') {
+      currentItem = event.itemIndex;
+      if (visits[visits.length - 1] !== currentItem) {
+        visits.push(currentItem);
+      }
+    } else if (action === 'create label') {
+      result.numCreated++;
+    } else if (action === 'delete label') {
+      result.numDeleted++;
+    } else if (action.startsWith('undo ')) {
+      result.numUndone++;
+    } else if (action.startsWith('redo ')) {
+      result.numRedone++;
+    } else if (NAVIGATION_EVENTS.indexOf(action) < 0) {
+      result.numEdited++;
+    }
+  }
+  let end = options.now || events[events.length - 1].timestamp;
+  addTime(Math.max(0, end - events[events.length - 1].timestamp));
+
+  let minutes = result.activeTime / 60000;
+  if (minutes > 0) {
+    result.labelsPerMinute = result.numCreated / minutes;
+  }
+  if (result.numCreated > 0) {
+    result.editCreateRatio = result.numEdited / result.numCreated;
+  }
+  let labelIds = Object.keys(result.labelTimes);
+  if (options.labelType && labelIds.length > 0) {
+    let total = 0;
+    for (let id of labelIds) {
+      total += result.labelTimes[id];
+    }
+    result.timePerLabel[options.labelType] = total / labelIds.length;
+  }
+  result.navigation = analyzeNavigation(visits);
+  return result;
+}
+
+/**
+ * Summarize the order in which items were visited.
+ * @param {[number]} visits: indices of the visited items, in order
+ * @return {object} the navigation pattern
+ */
+function analyzeNavigation(visits) {
+  let navigation = {
+    itemsVisited: 0,
+    forwardSteps: 0,
+    backwardSteps: 0,
+    jumps: 0,
+    revisits: 0,
+  };
+  let seen = {};
+  for (let i = 0; i < visits.length; i++) {
+    if (visits[i] in seen) {
+      navigation.revisits++;
+    } else {
+      seen[visits[i]] = true;
+      navigation.itemsVisited++;
+    }
+    if (i === 0) {
+      continue;
+    }
+    let step = visits[i] - visits[i - 1];
+    if (step === 1) {
+      navigation.forwardSteps++;
+    } else if (step === -1) {
+      navigation.backwardSteps++;
+    } else {
+      navigation.jumps++;
+    }
+  }
+  return navigation;
+}
+
+/**
+ * Format a duration for display.
+ * @param {number} time: the duration in milliseconds
+ * @return {string} the duration, e.g. '3m 05s'
+ */
+export function formatDuration(time) {
+  let seconds = Math.round(time / 1000);
+  let minutes = Math.floor(seconds / 60);
+  seconds = seconds % 60;
+  return minutes + 'm ' + (seconds < 10 ? '0' : '') + seconds + 's';
+}
+
+/**
+ * Optional panel of the annotation page showing the analytics of the
+ * session. It is toggled by the stats button and refreshed while it is
+ * shown.
+ * @param {Sat} sat: the labeling session
+ */
+export function AnalyticsPanel(sat) {
+  let self = this;
+  self.sat = sat;
+  self.panel = document.getElementById('analytics_window');
+  self.content = document.getElementById('analytics_content');
+  self.timer = null;
+  let button = document.getElementById('analytics_btn');
+  if (!self.panel || !button) {
+    return;
+  }
+  button.onclick = function(e) {
+    e.preventDefault();
+    self.toggle();
+  };
+}
+
+/**
+ * Show the panel if it is hidden and hide it otherwise.
+ */
+AnalyticsPanel.prototype.toggle = function() {
+  let self = this;
+  if (self.timer) {
+    clearInterval(self.timer);
+    self.timer = null;
+    self.panel.style.display = 'none';
+    return;
+  }
+  self.panel.style.display = 'block';
+  self.render();
+  self.timer = setInterval(function() {
+    self.render();
+  }, 5000);
+};
+
+/**
+ * Fill the panel with the current analytics.
+ */
+AnalyticsPanel.prototype.render = function() {
+  let analytics = computeAnalytics(this.sat.events,
+      {labelType: this.sat.labelType, now: Date.now()});
+  let rows = [
+    ['Active time', formatDuration(analytics.activeTime)],
+    ['Idle time', formatDuration(analytics.idleTime)],
+    ['Labels created', analytics.numCreated],
+    ['Labels per minute', analytics.labelsPerMinute.toFixed(2)],
+    ['Edits per label', analytics.editCreateRatio === null ? '-' :
+        analytics.editCreateRatio.toFixed(2)],
+    ['Undo / redo', analytics.numUndone + ' / ' + analytics.numRedone],
+    ['Items visited', analytics.navigation.itemsVisited],
+  ];
+  for (let labelType of Object.keys(analytics.timePerLabel)) {
+    rows.push(['Time per ' + labelType,
+      formatDuration(analytics.timePerLabel[labelType])]);
+  }
+  let item = this.sat.currentItem;
+  if (item && item.index in analytics.itemTimes) {
+    rows.push(['Time on this item',
+      formatDuration(analytics.itemTimes[item.index])]);
+  }
+  this.content.innerHTML = '';
+  for (let row of rows) {
+    let tr = document.createElement('tr');
+    for (let text of row) {
+      let td = document.createElement('td');
+      td.textContent = '' + text;
+      tr.appendChild(td);
+    }
+    this.content.appendChild(tr);
+  }
+};
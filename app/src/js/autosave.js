@@ -0,0 +1,267 @@
+// constants
+const STORAGE_KEY = 'scalabel_autosave';
+const SAVE_DELAY = 5000; // ms after the last edit
+const SAVE_INTERVAL = 60000; // ms between periodic saves
+const MIN_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+
+export const SaveStatus = {
+  SAVED: 'saved', UNSAVED: 'unsaved', SAVING: 'saving', FAILED: 'failed',
+};
+
+const STATUS_TEXT = {
+  saved: 'All changes saved',
+  unsaved: 'Unsaved changes',
+  saving: 'Saving...',
+  failed: 'Save failed, retrying',
+};
+
+/**
+ * Saves a labeling session in the background. Every snapshot is first put in
+ * a queue persisted in localStorage and removed only once the back end
+ * accepted it, so that edits survive network failures and closed tabs.
+ * Unsent snapshots are sent again with a growing delay and whenever the
+ * browser comes back online.
+ * @param {Sat} sat: the labeling session
+ */
+export function AutoSaver(sat) {
+  this.sat = sat;
+  this.status = SaveStatus.SAVED;
+  this.dirty = false;
+  this.sending = false;
+  this.retryDelay = MIN_RETRY_DELAY;
+  this.saveTimer = null;
+  this.retryTimer = null;
+  this.intervalTimer = null;
+  this.lastTimestamp = 0;
+  // the latest snapshot if it did not fit in localStorage
+  this.unstoredEntry = null;
+}
+
+/**
+ * Key of the session in the queue, unique for each task of a project.
+ * @return {string}
+ */
+AutoSaver.prototype.getKey = function() {
+  return this.sat.projectName + '/' + this.sat.taskIndex;
+};
+
+/**
+ * Read the queue of unsent snapshots from localStorage.
+ * @return {[object]} the queued snapshots, oldest first
+ */
+AutoSaver.prototype.readQueue = function() {
+  try {
+    let queue = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Write the queue of unsent snapshots to localStorage.
+ * @param {[object]} queue: the queued snapshots
+ * @return {boolean} whether the queue was written
+ */
+AutoSaver.prototype.writeQueue = function(queue) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    return true;
+  } catch (e) {
+    // storage is full or disabled, the snapshot can only be sent directly
+    return false;
+  }
+};
+
+/**
+ * Put a snapshot of the session in the queue. A snapshot contains the whole
+ * session, so it replaces the unsent snapshots of the same task.
+ * @param {object} json: the snapshot
+ * @return {object} the queue entry
+ */
+AutoSaver.prototype.enqueue = function(json) {
+  let key = this.getKey();
+  // timestamps identify the entries, so keep them unique
+  this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+  let entry = {key: key, timestamp: this.lastTimestamp, json: json};
+  let queue = this.readQueue().filter((e) => e.key !== key);
+  queue.push(entry);
+  this.unstoredEntry = this.writeQueue(queue) ? null : entry;
+  return entry;
+};
+
+/**
+ * Remove a snapshot from the queue once it is saved. Newer snapshots of the
+ * task stay in the queue.
+ * @param {object} entry: the queue entry
+ */
+AutoSaver.prototype.dequeue = function(entry) {
+  let queue = this.readQueue().filter((e) =>
+      e.key !== entry.key || e.timestamp !== entry.timestamp);
+  this.writeQueue(queue);
+  if (this.unstoredEntry === entry) {
+    this.unstoredEntry = null;
+  }
+};
+
+/**
+ * Get the unsent snapshot of this task, if any.
+ * @return {object} the queue entry, null if there is none
+ */
+AutoSaver.prototype.getLocalSnapshot = function() {
+  let key = this.getKey();
+  for (let entry of this.readQueue()) {
+    if (entry.key === key) {
+      return entry;
+    }
+  }
+  return null;
+};
+
+/**
+ * Drop the unsent snapshot of this task.
+ */
+AutoSaver.prototype.discardLocalSnapshot = function() {
+  let key = this.getKey();
+  this.writeQueue(this.readQueue().filter((e) => e.key !== key));
+};
+
+/**
+ * Start the periodic saves and the listeners of the page.
+ */
+AutoSaver.prototype.start = function() {
+  let self = this;
+  self.intervalTimer = setInterval(function() {
+    if (self.dirty) {
+      self.save();
+    }
+  }, SAVE_INTERVAL);
+  window.addEventListener('online', function() {
+    self.flush();
+  });
+  window.addEventListener('beforeunload', function(e) {
+    if (self.hasUnsavedChanges()) {
+      e.preventDefault();
+      // the message is ignored by most browsers but has to be set
+      e.returnValue = '';
+      return '';
+    }
+  });
+  // send what was left from a previous visit
+  self.flush();
+};
+
+/**
+ * Record that the session changed and save it shortly after.
+ */
+AutoSaver.prototype.markDirty = function() {
+  let self = this;
+  self.dirty = true;
+  if (!self.sending && self.status !== SaveStatus.FAILED) {
+    self.setStatus(SaveStatus.UNSAVED);
+  }
+  clearTimeout(self.saveTimer);
+  self.saveTimer = setTimeout(function() {
+    self.save();
+  }, SAVE_DELAY);
+};
+
+/**
+ * Whether some edits have not reached the back end yet.
+ * @return {boolean}
+ */
+AutoSaver.prototype.hasUnsavedChanges = function() {
+  return this.dirty || this.sending || this.unstoredEntry !== null ||
+      this.getLocalSnapshot() !== null;
+};
+
+/**
+ * Queue a snapshot of the session and send it.
+ */
+AutoSaver.prototype.save = function() {
+  clearTimeout(this.saveTimer);
+  this.saveTimer = null;
+  this.dirty = false;
+  let entry = this.enqueue(this.sat.toJson());
+  if (this.sending) {
+    // sent after the current request returns
+    return;
+  }
+  this.send(entry);
+};
+
+/**
+ * Send the queued snapshots, oldest first.
+ */
+AutoSaver.prototype.flush = function() {
+  if (this.sending) {
+    return;
+  }
+  let queue = this.readQueue();
+  if (queue.length > 0) {
+    this.send(queue[0]);
+  } else if (this.unstoredEntry) {
+    this.send(this.unstoredEntry);
+  }
+};
+
+/**
+ * Send a queued snapshot to the back end and continue with the rest of the
+ * queue, or retry later if it failed.
+ * @param {object} entry: the queue entry
+ */
+AutoSaver.prototype.send = function(entry) {
+  let self = this;
+  clearTimeout(self.retryTimer);
+  self.retryTimer = null;
+  self.sending = true;
+  self.setStatus(SaveStatus.SAVING);
+  self.post(entry.json, function(success) {
+    self.sending = false;
+    if (!success) {
+      self.setStatus(SaveStatus.FAILED);
+      self.retryTimer = setTimeout(function() {
+        self.flush();
+      }, self.retryDelay);
+      self.retryDelay = Math.min(self.retryDelay * 2, MAX_RETRY_DELAY);
+      return;
+    }
+    self.retryDelay = MIN_RETRY_DELAY;
+    self.dequeue(entry);
+    if (self.readQueue().length > 0 || self.unstoredEntry) {
+      self.flush();
+    } else {
+      self.setStatus(self.dirty ? SaveStatus.UNSAVED : SaveStatus.SAVED);
+    }
+  });
+};
+
+/**
+ * Post a snapshot to the back end.
+ * @param {object} json: the snapshot
+ * @param {function} callback: called with whether the snapshot was saved
+ */
+AutoSaver.prototype.post = function(json, callback) {
+  let xhr = new XMLHttpRequest();
+  xhr.onreadystatechange = function() {
+    if (xhr.readyState === 4) {
+      callback(xhr.status >= 200 && xhr.status < 300);
+    }
+  };
+  xhr.open('POST', './postSave');
+  xhr.send(JSON.stringify(json));
+};
+
+/**
+ * Update the status and its indicator on the page.
+ * @param {string} status: one of SaveStatus
+ */
+AutoSaver.prototype.setStatus = function(status) {
+  this.status = status;
+  let indicator = document.getElementById('save_status');
+  if (indicator) {
+    indicator.textContent = STATUS_TEXT[status];
+    indicator.className = 'save_status save_status_' + status;
+  }
+};
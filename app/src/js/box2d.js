@@ -3,6 +3,9 @@
 import {ImageLabel} from './image';
 import {Rect, Vertex, UP_RES_RATIO} from './shape';
 import {FONT_SIZE} from './utils';
+import {registerLabelType} from './label_registry';
+import {clampMove} from './box_group';
+import {BOX2D_FIELDS, Inspector} from './inspector';
 
 // Constants
 const BoxStates = Object.freeze({
@@ -12,6 +15,16 @@ const MIN_BOX_SIZE = 5;
 
 const INITIAL_HANDLE_NO = 4;
 
+// alignments of the selected boxes, by keyboard action
+const ALIGN_ACTIONS = {
+  align_left: 'left',
+  align_right: 'right',
+  align_top: 'top',
+  align_bottom: 'bottom',
+  match_width: 'width',
+  match_height: 'height',
+};
+
 /**
  * 2D box label
  * @param {Sat} sat: context
@@ -81,9 +94,25 @@ Object.defineProperty(Box2d.prototype, 'h', {
 Box2d.useCrossHair = true;
 Box2d.defaultCursorStyle = 'crosshair';
 Box2d.useDoubleClick = false;
-
-Box2d.setToolBox = function(satItem) { // eslint-disable-line
-
+Box2d.useGroupSelection = true;
+
+Box2d.setToolBox = function(satItem) {
+  for (let action of Object.keys(ALIGN_ACTIONS)) {
+    let button = document.getElementById(action + '_btn');
+    if (button) {
+      button.onclick = function(e) {
+        e.preventDefault();
+        satItem.alignGroup(ALIGN_ACTIONS[action]);
+      };
+    }
+  }
+  let sat = satItem.sat;
+  let container = document.getElementById('box_inspector');
+  if (container && !sat.inspector) {
+    sat.inspector = new Inspector(sat, container, BOX2D_FIELDS,
+        () => sat.currentItem && sat.currentItem.getInspectedBounds(),
+        (bounds) => sat.currentItem.setInspectedBounds(bounds));
+  }
 };
 
 /**
@@ -113,6 +142,30 @@ Box2d.prototype.deactivate = function() {
   }
 };
 
+Box2d.prototype.isEditing = function() {
+  return this.state !== BoxStates.FREE;
+};
+
+/**
+ * Capture the state of this box for the undo history.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+Box2d.prototype.snapshot = function() {
+  let snapshot = ImageLabel.prototype.snapshot.call(this);
+  snapshot.rect = [this.rect.x, this.rect.y, this.rect.w, this.rect.h];
+  return snapshot;
+};
+
+/**
+ * Restore the state of this box from a snapshot.
+ * @param {object} snapshot - snapshot taken by Box2d.snapshot
+ */
+Box2d.prototype.restoreSnapshot = function(snapshot) {
+  ImageLabel.prototype.restoreSnapshot.call(this, snapshot);
+  let [x, y, w, h] = snapshot.rect;
+  this.rect.setRect(x, y, w, h);
+};
+
 /**
  * Load label data from a encoded string
  * @param {object} json: json representation of label json.
@@ -204,6 +257,69 @@ Box2d.prototype.redrawLabelCanvas = function(mainCtx) {
   }
 };
 
+/**
+ * Get the box around the label.
+ * @return {object} - The box (x, y, w, h) in image coordinates.
+ */
+Box2d.prototype.getBounds = function() {
+  return {
+    x: Math.min(this.rect.x, this.rect.x + this.rect.w),
+    y: Math.min(this.rect.y, this.rect.y + this.rect.h),
+    w: Math.abs(this.rect.w),
+    h: Math.abs(this.rect.h),
+  };
+};
+
+/**
+ * Move and resize the box.
+ * @param {object} bounds - The box (x, y, w, h) in image coordinates.
+ */
+Box2d.prototype.setBounds = function(bounds) {
+  this.rect.setRect(bounds.x, bounds.y, bounds.w, bounds.h);
+};
+
+/**
+ * Move the box by a few pixels, keeping it in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+Box2d.prototype.nudge = function(dx, dy) {
+  let bounds = this.getBounds();
+  let image = this.satItem.image;
+  [dx, dy] = clampMove([bounds], dx, dy, {w: image.width, h: image.height});
+  this.setBounds({...bounds, x: bounds.x + dx, y: bounds.y + dy});
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Copy the box for the clipboard.
+ * @return {object} - The box (x, y, w, h) in image coordinates.
+ */
+Box2d.prototype.copyShape = function() {
+  return this.getBounds();
+};
+
+/**
+ * Give this label a box copied by copyShape.
+ * @param {object} shape - The box (x, y, w, h) in image coordinates.
+ * @param {[number]} offset - How much to shift the box along x and y.
+ */
+Box2d.prototype.pasteShape = function(shape, offset) {
+  this.setBounds({...shape, x: shape.x + offset[0], y: shape.y + offset[1]});
+};
+
+/**
+ * Draw the outline of the bounding box in an overview of the image.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ */
+Box2d.prototype.drawOutline = function(ctx, view) {
+  ctx.strokeStyle = this.styleColor();
+  this.rect.draw(ctx, view, false);
+};
+
 /**
  * Get whether this bounding box is geometrically valid.
  * @return {boolean} - True if the box is geometrically valid.
@@ -476,3 +592,54 @@ Box2d.prototype.mouseleave = function(e) { // eslint-disable-line
   this.satItem.isMouseDown = false;
 };
 
+Box2d.prototype.keydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'box2d');
+  if (action in ALIGN_ACTIONS && this.satItem.hasGroup()) {
+    e.preventDefault();
+    this.satItem.alignGroup(ALIGN_ACTIONS[action]);
+  }
+};
+
+
+registerLabelType({
+  name: 'box2d',
+  labelClass: Box2d,
+  hotkeys: [
+    {
+      id: 'add_to_selection',
+      keys: ['Shift'],
+      hold: true,
+      description: 'Click or drag to select several boxes',
+    },
+    {
+      id: 'align_left',
+      keys: ['Shift+L'],
+      description: 'Align the selected boxes to the left edge',
+    },
+    {
+      id: 'align_right',
+      keys: ['Shift+R'],
+      description: 'Align the selected boxes to the right edge',
+    },
+    {
+      id: 'align_top',
+      keys: ['Shift+T'],
+      description: 'Align the selected boxes to the top edge',
+    },
+    {
+      id: 'align_bottom',
+      keys: ['Shift+B'],
+      description: 'Align the selected boxes to the bottom edge',
+    },
+    {
+      id: 'match_width',
+      keys: ['Shift+W'],
+      description: 'Give the selected boxes the same width',
+    },
+    {
+      id: 'match_height',
+      keys: ['Shift+E'],
+      description: 'Give the selected boxes the same height',
+    },
+  ],
+});
@@ -0,0 +1,116 @@
+/**
+ * Geometry of boxes selected together. The boxes are bounds (x, y, w, h)
+ * with non-negative sizes, as returned by ImageLabel.getBounds.
+ */
+
+// ways to align boxes to a reference box
+export const ALIGN_MODES = ['left', 'right', 'top', 'bottom', 'width',
+  'height'];
+
+/**
+ * Get the box around boxes.
+ * @param {[object]} boxes: the boxes
+ * @return {object} the box around them, null if there are none
+ */
+export function unionBounds(boxes) {
+  if (boxes.length === 0) {
+    return null;
+  }
+  let x1 = Math.min(...boxes.map((box) => box.x));
+  let y1 = Math.min(...boxes.map((box) => box.y));
+  let x2 = Math.max(...boxes.map((box) => box.x + box.w));
+  let y2 = Math.max(...boxes.map((box) => box.y + box.h));
+  return {x: x1, y: y1, w: x2 - x1, h: y2 - y1};
+}
+
+/**
+ * Check whether a box is inside another one.
+ * @param {object} box: the box
+ * @param {object} area: the area, which can have negative sizes, e.g.
+ *   when it is dragged from the bottom right
+ * @return {boolean} whether the box is inside the area
+ */
+export function isWithin(box, area) {
+  let x1 = Math.min(area.x, area.x + area.w);
+  let y1 = Math.min(area.y, area.y + area.h);
+  return box.x >= x1 && box.y >= y1 &&
+      box.x + box.w <= x1 + Math.abs(area.w) &&
+      box.y + box.h <= y1 + Math.abs(area.h);
+}
+
+/**
+ * Limit the move of boxes so that they stay in the image.
+ * @param {[object]} boxes: the boxes before the move
+ * @param {number} dx: the move along x
+ * @param {number} dy: the move along y
+ * @param {object} size: the size (w, h) of the image
+ * @return {[number]} the limited move [dx, dy]
+ */
+export function clampMove(boxes, dx, dy, size) {
+  let box = unionBounds(boxes);
+  if (!box) {
+    return [dx, dy];
+  }
+  dx = Math.max(Math.min(dx, size.w - box.x - box.w), -box.x);
+  dy = Math.max(Math.min(dy, size.h - box.y - box.h), -box.y);
+  return [dx, dy];
+}
+
+/**
+ * Move the edges of a box.
+ * @param {object} box: the box
+ * @param {object} edges: the moves of the left, right, top and bottom edges
+ * @return {object} the new box, flipped if an edge crossed the opposite one
+ */
+export function moveEdges(box, edges) {
+  let x1 = box.x + edges.left;
+  let x2 = box.x + box.w + edges.right;
+  let y1 = box.y + edges.top;
+  let y2 = box.y + box.h + edges.bottom;
+  return {
+    x: Math.min(x1, x2),
+    y: Math.min(y1, y2),
+    w: Math.abs(x2 - x1),
+    h: Math.abs(y2 - y1),
+  };
+}
+
+/**
+ * Get how the edges of a box moved.
+ * @param {object} before: the box before
+ * @param {object} after: the box after
+ * @return {object} the moves of the left, right, top and bottom edges
+ */
+export function edgeMoves(before, after) {
+  return {
+    left: after.x - before.x,
+    right: after.x + after.w - before.x - before.w,
+    top: after.y - before.y,
+    bottom: after.y + after.h - before.y - before.h,
+  };
+}
+
+/**
+ * Align a box to a reference box.
+ * @param {object} box: the box
+ * @param {object} reference: the reference box
+ * @param {string} mode: one of ALIGN_MODES
+ * @return {object} the aligned box
+ */
+export function alignBounds(box, reference, mode) {
+  box = {...box};
+  if (mode === 'left') {
+    box.x = reference.x;
+  } else if (mode === 'right') {
+    box.x = reference.x + reference.w - box.w;
+  } else if (mode === 'top') {
+    box.y = reference.y;
+  } else if (mode === 'bottom') {
+    box.y = reference.y + reference.h - box.h;
+  } else if (mode === 'width') {
+    box.w = reference.w;
+  } else if (mode === 'height') {
+    box.h = reference.h;
+  }
+  return box;
+}
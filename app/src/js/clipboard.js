@@ -0,0 +1,161 @@
+/**
+ * Copy and paste of labels. Copied labels keep their category, attributes
+ * and shape, and can be pasted into the same item, where each paste is
+ * shifted a bit more so that the copies don't hide the originals, or into
+ * another item at the same place. The clipboard is kept for the session.
+ */
+
+// keyboard actions of the clipboard, available on every annotation page
+const CLIPBOARD_HOTKEYS = [
+  {id: 'copy_labels', keys: ['Ctrl+C'], description: 'Copy selected labels'},
+  {id: 'paste_labels', keys: ['Ctrl+V'], description: 'Paste labels'},
+  {
+    id: 'copy_previous_item',
+    keys: ['Ctrl+Shift+V'],
+    description: 'Copy all labels from the previous item',
+  },
+];
+
+/**
+ * Make the clipboard entry of a label.
+ * @param {SatLabel} label: the label
+ * @return {object} the entry with the category path, a copy of the
+ *   attributes and the shape of the label, null if the label has no shape
+ */
+export function makeEntry(label) {
+  let shape = label.copyShape();
+  if (!shape) {
+    return null;
+  }
+  let attributes = {};
+  for (let name of Object.keys(label.attributes || {})) {
+    let value = label.attributes[name];
+    attributes[name] = Array.isArray(value) ? value.slice() : value;
+  }
+  return {
+    categoryPath: label.categoryPath,
+    attributes: attributes,
+    shape: shape,
+  };
+}
+
+/**
+ * Make the clipboard entries of labels.
+ * @param {[SatLabel]} labels: the labels
+ * @return {[object]} the entries of the valid labels that have a shape
+ */
+export function makeEntries(labels) {
+  return labels.filter((label) => label.valid).map(makeEntry).filter(
+      (entry) => entry !== null);
+}
+
+/**
+ * Clipboard of the session with its hotkeys.
+ * @param {Sat} sat: the labeling session
+ */
+export function Clipboard(sat) {
+  let self = this;
+  self.sat = sat;
+  self.entries = [];
+  // item the entries were copied from
+  self.itemIndex = -1;
+  // number of times the entries were pasted into the item they come from
+  self.numPasted = 0;
+  sat.keymap.register('global', CLIPBOARD_HOTKEYS, 'General');
+  self.button = document.getElementById('copy_previous_btn');
+  if (self.button) {
+    self.button.onclick = function(e) {
+      e.preventDefault();
+      self.copyPreviousItem();
+    };
+  }
+}
+
+/**
+ * Show the clipboard controls once the session is loaded. Labels of the
+ * previous item are only copied in image tasks; in video tasks the tracks
+ * already carry the labels to the next frames.
+ */
+Clipboard.prototype.start = function() {
+  if (this.button && this.sat.tracks) {
+    this.button.style.display = 'none';
+  }
+};
+
+/**
+ * Copy labels of an item.
+ * @param {SatItem} item: the item
+ * @param {[SatLabel]} labels: the labels
+ * @return {boolean} whether labels were copied
+ */
+Clipboard.prototype.copy = function(item, labels) {
+  let entries = makeEntries(labels);
+  if (entries.length === 0) {
+    return false;
+  }
+  this.entries = entries;
+  this.itemIndex = item.index;
+  this.numPasted = 0;
+  return true;
+};
+
+/**
+ * Paste the copied labels into an item.
+ * @param {SatItem} item: the item
+ * @return {[SatLabel]} the new labels
+ */
+Clipboard.prototype.paste = function(item) {
+  if (this.sat.reviewMode || this.entries.length === 0) {
+    return [];
+  }
+  let steps = 0;
+  if (item.index === this.itemIndex) {
+    this.numPasted += 1;
+    steps = this.numPasted;
+  }
+  return item.pasteLabels(this.entries, steps);
+};
+
+/**
+ * Copy all the labels of the item before the current one into the current
+ * one, at the same place. The clipboard is left as it is.
+ * @return {[SatLabel]} the new labels
+ */
+Clipboard.prototype.copyPreviousItem = function() {
+  let item = this.sat.currentItem;
+  if (this.sat.reviewMode || this.sat.tracks || !item || item.index < 1) {
+    return [];
+  }
+  let entries = makeEntries(this.sat.items[item.index - 1].labels);
+  if (entries.length === 0) {
+    return [];
+  }
+  return item.pasteLabels(entries, 0);
+};
+
+/**
+ * Handle the clipboard hotkeys. Keys typed in text fields are left to them.
+ * @param {KeyboardEvent} e: the event
+ */
+Clipboard.prototype.keydown = function(e) {
+  let target = e.target;
+  if (target && (target.tagName === 'INPUT' ||
+      target.tagName === 'TEXTAREA')) {
+    return;
+  }
+  let item = this.sat.currentItem;
+  let action = this.sat.keymap.actionFor(e, 'global');
+  if (!item || !action) {
+    return;
+  }
+  if (action === 'copy_labels') {
+    this.copy(item, item.getSelectedLabels());
+  } else if (action === 'paste_labels') {
+    this.paste(item);
+  } else if (action === 'copy_previous_item') {
+    this.copyPreviousItem();
+  } else {
+    return;
+  }
+  e.preventDefault();
+};
@@ -0,0 +1,424 @@
+/**
+ * Boolean operations on regions bounded by straight edges, as drawn with the
+ * segmentation labels. A region is a list of polygons and a polygon is a
+ * list of rings: its outer border then the borders of its holes, each ring
+ * being a list of points (x, y). The polygons of a region can overlap; the
+ * regions returned have polygons that do not, with outer borders of
+ * positive signedArea and holes of negative signedArea.
+ */
+import {signedArea} from './raster';
+
+// points closer than this, in pixels, are the same point
+const TOLERANCE = 1e-6;
+// distance from an edge where its sides are tested
+const SIDE_OFFSET = 1e-4;
+
+/**
+ * Get the key identifying a point, the same for points rounded together.
+ * @param {[number]} point: the point (x, y)
+ * @return {string} the key
+ */
+function pointKey(point) {
+  return Math.round(point[0] / TOLERANCE) + ',' +
+      Math.round(point[1] / TOLERANCE);
+}
+
+/**
+ * Check whether a point is inside a region, by the even-odd rule over all
+ * its rings.
+ * @param {[number]} point: the point (x, y)
+ * @param {[[[[number]]]]} region: the region, without overlapping polygons
+ * @return {boolean} whether the point is inside
+ */
+export function isInside(point, region) {
+  let [x, y] = point;
+  let inside = false;
+  for (let rings of region) {
+    for (let ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        let [x1, y1] = ring[i];
+        let [x2, y2] = ring[(i + 1) % ring.length];
+        if ((y1 <= y) !== (y2 <= y) &&
+            x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) {
+          inside = !inside;
+        }
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * Get the area of a region.
+ * @param {[[[[number]]]]} region: the region, without overlapping polygons
+ * @return {number} the area
+ */
+export function regionArea(region) {
+  let area = 0;
+  for (let rings of region) {
+    for (let ring of rings) {
+      area += signedArea(ring);
+    }
+  }
+  return Math.abs(area);
+}
+
+/**
+ * Get the edges of a region, split where they meet the edges of another
+ * region, so that two edges either are the same or only share their ends.
+ * @param {[[[[number]]]]} region: the region
+ * @param {[[[[number]]]]} other: the other region
+ * @return {[[[[number]]]]} the edges of the region, then the ones of the
+ *   other region, as pairs of points
+ */
+function splitEdges(region, other) {
+  let edges = [];
+  for (let [source, owner] of [[region, 0], [other, 1]]) {
+    for (let rings of source) {
+      for (let ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+          let [p, q] = [ring[i], ring[(i + 1) % ring.length]];
+          if (pointKey(p) !== pointKey(q)) {
+            edges.push({p: p, q: q, owner: owner, cuts: []});
+          }
+        }
+      }
+    }
+  }
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      cutEdges(edges[i], edges[j]);
+    }
+  }
+  let pieces = [[], []];
+  for (let edge of edges) {
+    let points = [edge.p].concat(edge.cuts.sort((a, b) => a.t - b.t)
+        .map((cut) => cut.point), [edge.q]);
+    for (let k = 0; k + 1 < points.length; k++) {
+      if (pointKey(points[k]) !== pointKey(points[k + 1])) {
+        pieces[edge.owner].push([points[k], points[k + 1]]);
+      }
+    }
+  }
+  return pieces;
+}
+
+/**
+ * Find where two edges meet and add the points to their cuts.
+ * @param {object} a: an edge, with its ends p and q and its cuts
+ * @param {object} b: another edge
+ */
+function cutEdges(a, b) {
+  if (Math.max(a.p[0], a.q[0]) < Math.min(b.p[0], b.q[0]) - TOLERANCE ||
+      Math.max(b.p[0], b.q[0]) < Math.min(a.p[0], a.q[0]) - TOLERANCE ||
+      Math.max(a.p[1], a.q[1]) < Math.min(b.p[1], b.q[1]) - TOLERANCE ||
+      Math.max(b.p[1], b.q[1]) < Math.min(a.p[1], a.q[1]) - TOLERANCE) {
+    return;
+  }
+  let r = [a.q[0] - a.p[0], a.q[1] - a.p[1]];
+  let s = [b.q[0] - b.p[0], b.q[1] - b.p[1]];
+  let [lengthA, lengthB] = [Math.hypot(...r), Math.hypot(...s)];
+  let pq = [b.p[0] - a.p[0], b.p[1] - a.p[1]];
+  let denominator = cross(r, s);
+  if (Math.abs(denominator) <= TOLERANCE * lengthA * lengthB) {
+    // parallel edges only meet if they are on the same line
+    if (Math.abs(cross(pq, r)) > TOLERANCE * lengthA) {
+      return;
+    }
+    addCut(a, b.p, lengthA);
+    addCut(a, b.q, lengthA);
+    addCut(b, a.p, lengthB);
+    addCut(b, a.q, lengthB);
+    return;
+  }
+  let t = cross(pq, s) / denominator;
+  let u = cross(pq, r) / denominator;
+  let [tolA, tolB] = [TOLERANCE / lengthA, TOLERANCE / lengthB];
+  if (t < -tolA || t > 1 + tolA || u < -tolB || u > 1 + tolB) {
+    return;
+  }
+  // ends are kept as they are, so that the pieces join exactly
+  let point = [a.p[0] + t * r[0], a.p[1] + t * r[1]];
+  if (t <= tolA) {
+    point = a.p;
+  } else if (t >= 1 - tolA) {
+    point = a.q;
+  } else if (u <= tolB) {
+    point = b.p;
+  } else if (u >= 1 - tolB) {
+    point = b.q;
+  }
+  addCut(a, point, lengthA);
+  addCut(b, point, lengthB);
+}
+
+/**
+ * Cut an edge at a point on its line, if the point is between its ends.
+ * @param {object} edge: the edge
+ * @param {[number]} point: the point
+ * @param {number} length: length of the edge
+ */
+function addCut(edge, point, length) {
+  let r = [edge.q[0] - edge.p[0], edge.q[1] - edge.p[1]];
+  let t = ((point[0] - edge.p[0]) * r[0] + (point[1] - edge.p[1]) * r[1]) /
+      (length * length);
+  let tol = TOLERANCE / length;
+  if (t > tol && t < 1 - tol) {
+    edge.cuts.push({t: t, point: point});
+  }
+}
+
+/**
+ * Get the cross product of two vectors.
+ * @param {[number]} u: a vector
+ * @param {[number]} v: another vector
+ * @return {number} the cross product
+ */
+function cross(u, v) {
+  return u[0] * v[1] - u[1] * v[0];
+}
+
+/**
+ * Join edges into rings. Where several edges leave a point, the ring turns
+ * the most to the left, so that polygons touching by a point stay separate.
+ * @param {[[[number]]]} edges: the edges, as pairs of points
+ * @return {[[[number]]]} the rings
+ */
+function joinEdges(edges) {
+  let leaving = new Map();
+  for (let edge of edges) {
+    let key = pointKey(edge[0]);
+    if (!leaving.has(key)) {
+      leaving.set(key, []);
+    }
+    leaving.get(key).push(edge);
+  }
+  let used = new Set();
+  let rings = [];
+  for (let first of edges) {
+    if (used.has(first)) {
+      continue;
+    }
+    let ring = [];
+    let edge = first;
+    while (edge && !used.has(edge)) {
+      used.add(edge);
+      ring.push(edge[0]);
+      let direction = [edge[1][0] - edge[0][0], edge[1][1] - edge[0][1]];
+      let next = null;
+      let bestTurn = -Infinity;
+      for (let candidate of leaving.get(pointKey(edge[1])) || []) {
+        if (used.has(candidate) && candidate !== first) {
+          continue;
+        }
+        let out = [candidate[1][0] - candidate[0][0],
+          candidate[1][1] - candidate[0][1]];
+        let turn = Math.atan2(cross(direction, out),
+            direction[0] * out[0] + direction[1] * out[1]);
+        if (turn > bestTurn) {
+          [next, bestTurn] = [candidate, turn];
+        }
+      }
+      edge = next;
+    }
+    // rings that do not close come from rounding errors and are dropped
+    if (edge === first) {
+      ring = removeStraightPoints(ring);
+      if (ring.length >= 3 && Math.abs(signedArea(ring)) > TOLERANCE) {
+        rings.push(ring);
+      }
+    }
+  }
+  return rings;
+}
+
+/**
+ * Remove the points of a ring where it goes straight on.
+ * @param {[[number]]} ring: the points
+ * @return {[[number]]} the remaining points
+ */
+function removeStraightPoints(ring) {
+  let points = [];
+  for (let i = 0; i < ring.length; i++) {
+    let previous = ring[(i + ring.length - 1) % ring.length];
+    let next = ring[(i + 1) % ring.length];
+    let u = [ring[i][0] - previous[0], ring[i][1] - previous[1]];
+    let v = [next[0] - ring[i][0], next[1] - ring[i][1]];
+    if (Math.abs(cross(u, v)) > TOLERANCE * Math.hypot(...u) *
+        Math.hypot(...v) || u[0] * v[0] + u[1] * v[1] < 0) {
+      points.push(ring[i]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Group rings into polygons, each hole going with the smallest outer border
+ * around it.
+ * @param {[[[number]]]} rings: the rings, the outer borders having a
+ *   positive signedArea and the holes a negative one
+ * @return {[[[[number]]]]} the polygons
+ */
+export function groupRings(rings) {
+  let outers = rings.filter((ring) => signedArea(ring) > 0)
+      .sort((a, b) => signedArea(a) - signedArea(b));
+  let polygons = outers.map((ring) => [ring]);
+  for (let hole of rings.filter((ring) => signedArea(ring) < 0)) {
+    let point = [(hole[0][0] + hole[1][0]) / 2, (hole[0][1] + hole[1][1]) / 2];
+    let polygon = polygons.find((rings) => isInside(point, [[rings[0]]]));
+    if (polygon) {
+      polygon.push(hole);
+    }
+  }
+  return polygons;
+}
+
+/**
+ * Combine two regions whose polygons do not overlap.
+ * @param {[[[[number]]]]} a: a region
+ * @param {[[[[number]]]]} b: another region
+ * @param {string} operation: 'union', 'difference' or 'intersection'
+ * @return {[[[[number]]]]} the combined region
+ */
+function combine(a, b, operation) {
+  let [edgesA, edgesB] = splitEdges(a, b);
+  let keysB = new Map();
+  for (let edge of edgesB) {
+    keysB.set(pointKey(edge[0]) + ' ' + pointKey(edge[1]), edge);
+  }
+  let edgesOfB = new Set(edgesB);
+  let kept = [];
+  for (let edge of edgesA) {
+    let [from, to] = [pointKey(edge[0]), pointKey(edge[1])];
+    let same = keysB.get(from + ' ' + to);
+    let opposite = keysB.get(to + ' ' + from);
+    if (same || opposite) {
+      // an edge of both regions, kept once if the regions are on the same
+      // side of it for the union and the intersection, and on opposite sides
+      // for the difference
+      edgesOfB.delete(same || opposite);
+      if (Boolean(same) === (operation !== 'difference')) {
+        kept.push(edge);
+      }
+      continue;
+    }
+    let middle = [(edge[0][0] + edge[1][0]) / 2,
+      (edge[0][1] + edge[1][1]) / 2];
+    if (isInside(middle, b) === (operation === 'intersection')) {
+      kept.push(edge);
+    }
+  }
+  for (let edge of edgesOfB) {
+    let middle = [(edge[0][0] + edge[1][0]) / 2,
+      (edge[0][1] + edge[1][1]) / 2];
+    let inside = isInside(middle, a);
+    if (operation === 'union' && !inside) {
+      kept.push(edge);
+    } else if (operation === 'intersection' && inside) {
+      kept.push(edge);
+    } else if (operation === 'difference' && inside) {
+      kept.push([edge[1], edge[0]]);
+    }
+  }
+  return groupRings([].concat(...joinEdges(kept).map(splitPinches)));
+}
+
+/**
+ * Merge the overlapping polygons of a region.
+ * @param {[[[[number]]]]} region: the region
+ * @return {[[[[number]]]]} the region, without overlapping polygons
+ */
+export function normalizeRegion(region) {
+  let result = [];
+  for (let rings of region) {
+    // outer borders turn one way and holes the other
+    let polygon = rings.map((ring, i) =>
+        (signedArea(ring) > 0) === (i === 0) ? ring : ring.slice().reverse());
+    result = combine(result, [polygon], 'union');
+  }
+  return result;
+}
+
+/**
+ * Get the points in either of two regions.
+ * @param {[[[[number]]]]} a: a region
+ * @param {[[[[number]]]]} b: another region
+ * @return {[[[[number]]]]} the union
+ */
+export function union(a, b) {
+  return combine(normalizeRegion(a), normalizeRegion(b), 'union');
+}
+
+/**
+ * Get the points in a region but not in another one.
+ * @param {[[[[number]]]]} a: the region
+ * @param {[[[[number]]]]} b: the region to cut out
+ * @return {[[[[number]]]]} the difference
+ */
+export function difference(a, b) {
+  return combine(normalizeRegion(a), normalizeRegion(b), 'difference');
+}
+
+/**
+ * Get the points in both of two regions.
+ * @param {[[[[number]]]]} a: a region
+ * @param {[[[[number]]]]} b: another region
+ * @return {[[[[number]]]]} the intersection
+ */
+export function intersection(a, b) {
+  return combine(normalizeRegion(a), normalizeRegion(b), 'intersection');
+}
+
+/**
+ * Cut a ring where it goes through a point twice, so that no ring repeats a
+ * point. The loops cut out keep their direction: a loop around a hole
+ * becomes a hole touching the rest of the ring.
+ * @param {[[number]]} ring: the points
+ * @return {[[[number]]]} the rings
+ */
+function splitPinches(ring) {
+  let rings = [];
+  let points = [];
+  let indices = new Map();
+  for (let point of ring) {
+    let key = pointKey(point);
+    if (indices.has(key)) {
+      let start = indices.get(key);
+      let loop = points.splice(start);
+      loop.forEach((p) => indices.delete(pointKey(p)));
+      rings.push(loop);
+    }
+    indices.set(key, points.length);
+    points.push(point);
+  }
+  return rings.concat([points]).filter((r) => r.length >= 3);
+}
+
+/**
+ * Get the points inside the rings of a polygon by the even-odd rule, as the
+ * polygons are filled when they are drawn, even if the rings cross each
+ * other or themselves. The rings are cut where they cross, and each piece is
+ * kept, turned to have the inside on its left, if it is inside on one side
+ * only.
+ * @param {[[[number]]]} rings: the rings of the polygon
+ * @return {[[[[number]]]]} the region, without crossing rings
+ */
+export function evenOddRegion(rings) {
+  let region = [rings];
+  let kept = [];
+  for (let [p, q] of splitEdges(region, [])[0]) {
+    let length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    let normal = [(p[1] - q[1]) / length * SIDE_OFFSET,
+      (q[0] - p[0]) / length * SIDE_OFFSET];
+    let middle = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+    let left = isInside([middle[0] + normal[0], middle[1] + normal[1]], region);
+    let right = isInside([middle[0] - normal[0], middle[1] - normal[1]],
+        region);
+    if (left && !right) {
+      kept.push([p, q]);
+    } else if (right && !left) {
+      kept.push([q, p]);
+    }
+  }
+  return groupRings([].concat(...joinEdges(kept).map(splitPinches)));
+}
@@ -1,4 +1,7 @@
 import 'bootstrap-switch';
+// the label types are only described, their implementations are not needed
+import {getLabelType, getLabelTypes, getLabelTypesForItem}
+  from './label_registry';
 
 $(document).ready(function() {
   let dashboard = $('#go_to_dashboard');
@@ -36,6 +39,13 @@ $(document).ready(function() {
   let advancedOptionsButton = document.getElementById('show_advanced_options');
   let advancedOptionsDiv = document.getElementById('advanced_options');
   let demoModeCheckbox = document.getElementById('demo_mode');
+  // list the registered label types
+  for (let labelType of getLabelTypes()) {
+    let option = document.createElement('option');
+    option.value = labelType.name;
+    option.innerHTML = labelType.title;
+    labelSelect.append(option);
+  }
   // disable all label options until item is picked
   for (let i = 1; i < labelSelect.options.length; i++) {
     labelSelect.options[i].disabled = true;
@@ -46,18 +56,10 @@ $(document).ready(function() {
       labelSelect.options[i].disabled = true;
     }
     labelSelect.selectedIndex = 0;
+    labelSelect.onchange();
     // enable just the labels that are valid
-    if (itemSelect.value === 'image') {
-      enableOption(labelSelect, 'box2d');
-      enableOption(labelSelect, 'segmentation');
-      enableOption(labelSelect, 'lane');
-    } else if (itemSelect.value === 'video') {
-      enableOption(labelSelect, 'box2d');
-      enableOption(labelSelect, 'segmentation');
-    } else if (itemSelect.value === 'pointcloud') {
-      enableOption(labelSelect, 'box3d');
-    } else if (itemSelect.value === 'pointcloudtracking') {
-        enableOption(labelSelect, 'box3d');
+    for (let labelType of getLabelTypesForItem(itemSelect.value)) {
+      enableOption(labelSelect, labelType.name);
     }
     // add or remove the frame rate box
     if (itemSelect.value === 'video') {
@@ -76,22 +78,22 @@ $(document).ready(function() {
   };
 
   labelSelect.onchange = function() {
-    let labelName;
-    let instructions;
-    if (labelSelect.value === 'box2d') {
-      labelName = '2D Bounding Box';
-      instructions = 'http://data-bdd.berkeley.edu/label/bbox/instruction.html';
-    } else if (labelSelect.value === 'segmentation') {
-      labelName = '2D Segmentation';
-      instructions = 'http://data-bdd.berkeley.edu/label/seg/readme.html';
-    } else if (labelSelect.value === 'lane') {
-      labelName = '2D Lane';
-      instructions = 'http://data-bdd.berkeley.edu/label/seg/readme.html';
-    } else if (labelSelect.value === 'box3d') {
-      labelName = '3D Bounding Box';
+    let labelType = getLabelType(labelSelect.value);
+    // show only the form elements of the chosen label type
+    for (let other of getLabelTypes()) {
+      for (let id of other.formElements) {
+        document.getElementById(id).style.display = 'none';
+      }
+    }
+    if (!labelType) {
+      return;
     }
-    document.getElementById('page_title').value = labelName + ' Labeling Tool';
-    document.getElementById('instructions').value = instructions;
+    for (let id of labelType.formElements) {
+      document.getElementById(id).style.display = '';
+    }
+    document.getElementById('page_title').value =
+      labelType.title + ' Labeling Tool';
+    document.getElementById('instructions').value = labelType.instructions;
   };
 
   let showAdvanced = false;
@@ -112,6 +114,15 @@ $(document).ready(function() {
   demoModeCheckbox.setAttribute('data-label-text', 'Demo');
   $('#demo_mode').bootstrapSwitch('state', false);
 
+  // the custom telemetry provider needs the url of its endpoint
+  let telemetrySelect = document.getElementById('telemetry');
+  let telemetryUrl = document.getElementById('telemetry_url');
+  telemetrySelect.onchange = function() {
+    let custom = telemetrySelect.value === 'custom';
+    telemetryUrl.style.display = custom ? '' : 'none';
+    telemetryUrl.required = custom;
+  };
+
   /**
    * Enable the specified option in the specified select.
    * @param {object} select - The html select.
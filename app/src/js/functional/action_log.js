@@ -0,0 +1,153 @@
+/* @flow */
+
+import * as types from './actions';
+import {reducer} from './reducer';
+import {stateFromJson, stateToJson, tracksToJson} from './json';
+import {makeSat} from '../states';
+import type {SatType} from '../types';
+
+/**
+ * Encode actions of the store for saving, after the actions saved by the
+ * earlier sessions of the assignment. Only the first session start of the
+ * log keeps its state, in the JSON format of the back end. The later ones
+ * only keep the time of the submission they were loaded from: that state is
+ * the one the earlier actions lead to, so replaying continues from it.
+ * @param {Array<Object>} actions: the actions
+ * @param {Array<Object>} earlier: the saved log of the earlier sessions
+ * @return {Array<Object>}
+ */
+export function encodeActionLog(
+    actions: Array<Object>, earlier: Array<Object> = []): Array<Object> {
+  let started = false;
+  return earlier.concat(actions).map(function(action) {
+    if (action.type !== types.INIT_SESSION) {
+      return action;
+    }
+    let {state, ...reference} = action;
+    if (started || !state) {
+      return reference;
+    }
+    started = true;
+    if (earlier.indexOf(action) >= 0) {
+      // already encoded
+      return action;
+    }
+    return {...reference, state: {...stateToJson(state),
+      tracks: tracksToJson(state)}};
+  });
+}
+
+/**
+ * Decode a saved action log
+ * @param {Array<Object>} log: the log as returned by encodeActionLog
+ * @return {Array<Object>} actions that can be passed to the reducer
+ */
+export function decodeActionLog(log: Array<Object>): Array<Object> {
+  return log.map(function(action) {
+    if (action.type !== types.INIT_SESSION) {
+      return action;
+    }
+    return {...action,
+      state: action.state ? stateFromJson(action.state) : null};
+  });
+}
+
+export type ReplayType = {
+  step: number, // index of the last applied action, -1 for none
+  state: SatType,
+};
+
+/**
+ * Compute the state after an action of a log. Replaying continues from an
+ * earlier result if there is one, so that stepping forward through a long
+ * log stays cheap.
+ * @param {Array<Object>} log: decoded actions
+ * @param {number} step: index of the last action to apply
+ * @param {ReplayType} from: an earlier result of the replay
+ * @return {ReplayType}
+ */
+export function replayActions(
+    log: Array<Object>, step: number,
+    from: ReplayType | null = null): ReplayType {
+  step = Math.min(step, log.length - 1);
+  let replay = from && from.step <= step ? from : {step: -1, state: makeSat()};
+  let state = replay.state;
+  for (let i = replay.step + 1; i <= step; i++) {
+    state = reducer(state, log[i]);
+  }
+  return {step: step, state: state};
+}
+
+/**
+ * Describe an action for people reviewing a session
+ * @param {Object} action: the action
+ * @return {string}
+ */
+export function describeAction(action: Object): string {
+  let text;
+  switch (action.type) {
+    case types.INIT_SESSION:
+      text = action.state ? 'Session started' : 'Session resumed';
+      break;
+    case types.NEW_ITEM:
+      text = 'Item added';
+      break;
+    case types.GO_TO_ITEM:
+      text = 'Went to item ' + action.index;
+      break;
+    case types.LOAD_ITEM:
+      text = 'Item ' + action.index + ' loaded';
+      break;
+    case types.NEW_LABEL:
+      text = 'Label ' + action.id + ' created';
+      if (action.item >= 0) {
+        text += ' on item ' + action.item;
+      }
+      break;
+    case types.DELETE_LABEL:
+      text = 'Label ' + action.id + ' deleted';
+      break;
+    case types.CHANGE_CATEGORY:
+      text = 'Category of label ' + action.id + ' changed to ' +
+          action.categoryPath;
+      break;
+    case types.CHANGE_ATTRIBUTES:
+      text = 'Attributes of label ' + action.id + ' changed';
+      break;
+    case types.UPDATE_LABEL:
+      text = (action.fields.data !== undefined ? 'Shape' : 'Fields') +
+          ' of label ' + action.id + ' changed';
+      break;
+    case types.SELECT_LABEL:
+      text = action.id < 0 ? 'Labels deselected' :
+          'Label ' + action.id + ' selected';
+      break;
+    case types.NEW_TRACK:
+      text = 'Track ' + action.id + ' created';
+      break;
+    case types.ADD_TRACK_CHILD:
+      text = 'Label ' + action.childId + ' added to track ' + action.trackId;
+      break;
+    case types.NEW_SHAPE:
+      text = 'Shape added to label ' + action.labelId;
+      break;
+    case types.UPDATE_SHAPE:
+      text = 'Shape ' + action.id + ' changed';
+      break;
+    case types.DELETE_SHAPE:
+      text = 'Shape ' + action.id + ' deleted';
+      break;
+    case types.SET_REVIEW_STATUS:
+      text = 'Label ' + action.id + ' marked ' + action.status;
+      break;
+    case types.ADD_REVIEW_COMMENT:
+      text = action.comment.author + ' commented on label ' + action.id;
+      break;
+    default:
+      text = action.type;
+  }
+  if (action.cause) {
+    text += ' (' + action.cause + ')';
+  }
+  return text;
+}
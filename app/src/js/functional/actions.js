@@ -0,0 +1,188 @@
+/* @flow */
+
+import type {SatType} from '../types';
+
+// action types
+export const INIT_SESSION = 'INIT_SESSION';
+export const NEW_ITEM = 'NEW_ITEM';
+export const GO_TO_ITEM = 'GO_TO_ITEM';
+export const LOAD_ITEM = 'LOAD_ITEM';
+export const NEW_LABEL = 'NEW_LABEL';
+export const DELETE_LABEL = 'DELETE_LABEL';
+export const CHANGE_CATEGORY = 'CHANGE_CATEGORY';
+export const CHANGE_ATTRIBUTES = 'CHANGE_ATTRIBUTES';
+export const UPDATE_LABEL = 'UPDATE_LABEL';
+export const SELECT_LABEL = 'SELECT_LABEL';
+export const NEW_TRACK = 'NEW_TRACK';
+export const ADD_TRACK_CHILD = 'ADD_TRACK_CHILD';
+export const NEW_SHAPE = 'NEW_SHAPE';
+export const UPDATE_SHAPE = 'UPDATE_SHAPE';
+export const DELETE_SHAPE = 'DELETE_SHAPE';
+export const SET_REVIEW_STATUS = 'SET_REVIEW_STATUS';
+export const ADD_REVIEW_COMMENT = 'ADD_REVIEW_COMMENT';
+
+/**
+ * Replace the whole state, e.g. after loading a task
+ * @param {SatType} state
+ * @param {number} submitTime: time of the submission the state was loaded
+ *   from, 0 for a new assignment
+ * @return {Object}
+ */
+export function initSession(state: SatType, submitTime: number = 0) {
+  return {type: INIT_SESSION, state: state, submitTime: submitTime};
+}
+
+/**
+ * Add an item
+ * @param {string} url: location of the item
+ * @return {Object}
+ */
+export function newItem(url: string) {
+  return {type: NEW_ITEM, url: url};
+}
+
+/**
+ * Make an item the current one
+ * @param {number} index: index of the item
+ * @return {Object}
+ */
+export function goToItem(index: number) {
+  return {type: GO_TO_ITEM, index: index};
+}
+
+/**
+ * Mark an item as loaded
+ * @param {number} index: index of the item
+ * @return {Object}
+ */
+export function loadItem(index: number) {
+  return {type: LOAD_ITEM, index: index};
+}
+
+/**
+ * Add a label
+ * @param {number} id: label id
+ * @param {number} item: index of the item of the label, -1 for none
+ * @param {Object} fields: initial fields of the label
+ * @return {Object}
+ */
+export function newLabel(id: number, item: number, fields: {} = {}) {
+  return {type: NEW_LABEL, id: id, item: item, fields: fields};
+}
+
+/**
+ * Delete a label and its children
+ * @param {number} id: label id
+ * @return {Object}
+ */
+export function deleteLabel(id: number) {
+  return {type: DELETE_LABEL, id: id};
+}
+
+/**
+ * Change the category of a label
+ * @param {number} id: label id
+ * @param {string} categoryPath: the new category
+ * @return {Object}
+ */
+export function changeCategory(id: number, categoryPath: string) {
+  return {type: CHANGE_CATEGORY, id: id, categoryPath: categoryPath};
+}
+
+/**
+ * Change the attributes of a label
+ * @param {number} id: label id
+ * @param {Object} attributes: the new attributes
+ * @return {Object}
+ */
+export function changeAttributes(id: number, attributes: {}) {
+  return {type: CHANGE_ATTRIBUTES, id: id, attributes: attributes};
+}
+
+/**
+ * Update other fields of a label, e.g. its shape data
+ * @param {number} id: label id
+ * @param {Object} fields: the updated fields
+ * @return {Object}
+ */
+export function updateLabel(id: number, fields: {}) {
+  return {type: UPDATE_LABEL, id: id, fields: fields};
+}
+
+/**
+ * Select a label
+ * @param {number} id: label id, -1 to deselect
+ * @return {Object}
+ */
+export function selectLabel(id: number) {
+  return {type: SELECT_LABEL, id: id};
+}
+
+/**
+ * Add a track
+ * @param {number} id: track id
+ * @param {Object} fields: initial fields of the track
+ * @return {Object}
+ */
+export function newTrack(id: number, fields: {} = {}) {
+  return {type: NEW_TRACK, id: id, fields: fields};
+}
+
+/**
+ * Add a label to a track
+ * @param {number} trackId: track id
+ * @param {number} childId: label id
+ * @return {Object}
+ */
+export function addTrackChild(trackId: number, childId: number) {
+  return {type: ADD_TRACK_CHILD, trackId: trackId, childId: childId};
+}
+
+/**
+ * Add a shape to a label
+ * @param {number} labelId: label id
+ * @param {Object} shape: the shape, with its id
+ * @return {Object}
+ */
+export function newShape(labelId: number, shape: {id: number}) {
+  return {type: NEW_SHAPE, labelId: labelId, shape: shape};
+}
+
+/**
+ * Update a shape
+ * @param {number} id: shape id
+ * @param {Object} fields: the updated fields
+ * @return {Object}
+ */
+export function updateShape(id: number, fields: {}) {
+  return {type: UPDATE_SHAPE, id: id, fields: fields};
+}
+
+/**
+ * Delete a shape and remove it from its labels
+ * @param {number} id: shape id
+ * @return {Object}
+ */
+export function deleteShape(id: number) {
+  return {type: DELETE_SHAPE, id: id};
+}
+
+/**
+ * Approve or reject a label
+ * @param {number} id: label id
+ * @param {string} status: 'approved', 'rejected' or 'pending'
+ * @return {Object}
+ */
+export function setReviewStatus(id: number, status: string) {
+  return {type: SET_REVIEW_STATUS, id: id, status: status};
+}
+
+/**
+ * Add a comment to the review of a label
+ * @param {number} id: label id
+ * @param {Object} comment: the comment, with author, text and timestamp
+ * @return {Object}
+ */
+export function addReviewComment(id: number, comment: {}) {
+  return {type: ADD_REVIEW_COMMENT, id: id, comment: comment};
+}
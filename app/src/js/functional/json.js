@@ -0,0 +1,225 @@
+/* @flow */
+
+import {
+  makeItem, makeLabel, makeReview, makeSat, makeSatConfig,
+} from '../states';
+import type {ItemType, LabelType, ReviewType, SatType} from '../types';
+
+/**
+ * Load a label from its JSON representation
+ * @param {Object} json: JSON representation of the label
+ * @param {number} item: index of the item of the label, -1 for none
+ * @return {LabelType}
+ */
+export function labelFromJson(json: Object, item: number = -1): LabelType {
+  let childrenIds = json.childrenIds || [];
+  // attributes that are undefined are dropped when the JSON is sent
+  let attributes = {};
+  for (let key of Object.keys(json.attributes || {})) {
+    if (json.attributes[key] !== undefined) {
+      attributes[key] = json.attributes[key];
+    }
+  }
+  return makeLabel({
+    id: json.id,
+    item: item,
+    categoryPath: json.categoryPath,
+    attributes: attributes,
+    parent: json.parentId === undefined ? -1 : json.parentId,
+    children: childrenIds.slice(),
+    numChildren: childrenIds.length,
+    keyframe: json.keyframe,
+    attributeframe: json.attributeframe,
+    data: json.data === undefined ? null : json.data,
+    review: reviewFromJson(json.review),
+  });
+}
+
+/**
+ * Load the review of a label, labels saved before reviews existed are
+ * pending
+ * @param {Object} json: JSON representation of the review
+ * @return {ReviewType}
+ */
+function reviewFromJson(json: ?Object): ReviewType {
+  if (!json) {
+    return makeReview();
+  }
+  return makeReview({
+    status: json.status || 'pending',
+    comments: (json.comments || []).map((comment) => ({...comment})),
+  });
+}
+
+/**
+ * Encode a label in the JSON format of the back end
+ * @param {SatType} state: the state the label belongs to
+ * @param {LabelType} label: the label
+ * @return {Object}
+ */
+export function labelToJson(state: SatType, label: LabelType): Object {
+  let json: Object = {
+    id: label.id,
+    categoryPath: label.categoryPath,
+    attributes: label.attributes,
+    parentId: label.parent,
+  };
+  if (label.children.length > 0) {
+    json.childrenIds = label.children.filter((id) =>
+        isValid(state, id));
+  }
+  json.keyframe = label.keyframe;
+  json.attributeframe = label.attributeframe;
+  if (label.data !== null) {
+    json.data = label.data;
+  }
+  json.review = label.review;
+  return json;
+}
+
+/**
+ * Check whether a label or a track exists and is not deleted
+ * @param {SatType} state: the state
+ * @param {number} id: label id
+ * @return {boolean}
+ */
+function isValid(state: SatType, id: number): boolean {
+  let label = id in state.labels ? state.labels[id] : state.tracks[id];
+  return Boolean(label && label.valid);
+}
+
+/**
+ * Get the valid labels of a map ordered by id
+ * @param {Object} labels: map from label id to label
+ * @return {Array<LabelType>}
+ */
+function validLabels(labels: {[number]: LabelType}): Array<LabelType> {
+  let result = [];
+  for (let key of Object.keys(labels)) {
+    let label = labels[Number(key)];
+    if (label.valid) {
+      result.push(label);
+    }
+  }
+  return result.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Load the state of a session from the JSON representation of the back end
+ * @param {Object} json: the assignment
+ * @return {SatType}
+ */
+export function stateFromJson(json: Object): SatType {
+  let options = json.task.projectOptions;
+  let state = makeSat();
+  state.config = makeSatConfig({
+    assignmentId: json.id,
+    projectName: options.name,
+    itemType: options.itemType,
+    labelType: options.labelType,
+    taskSize: options.taskSize,
+    handlerUrl: options.handlerUrl,
+    pageTitle: options.pageTitle,
+    instructionPage: options.instructions,
+    demoMode: options.demoMode,
+    categories: options.categories,
+    attributes: options.attributes,
+    telemetry: options.telemetry || 'none',
+    telemetryUrl: options.telemetryUrl || '',
+    // options of specific label types, e.g. the skeleton of the keypoints,
+    // are saved back as they were loaded
+    projectOptions: {...options},
+    taskIndex: json.task.index,
+    workerId: json.workerId,
+    startTime: json.startTime,
+  });
+  let itemOfLabel = {};
+  state.items = json.task.items.map(function(itemJson, i): ItemType {
+    let labelIds = itemJson.labelIds || [];
+    for (let id of labelIds) {
+      itemOfLabel[id] = i;
+    }
+    return makeItem({id: i, index: i, url: itemJson.url,
+      labels: labelIds.slice()});
+  });
+  let maxObjectId = -1;
+  for (let labelJson of json.labels || []) {
+    let item = labelJson.id in itemOfLabel ? itemOfLabel[labelJson.id] : -1;
+    state.labels[labelJson.id] = labelFromJson(labelJson, item);
+    maxObjectId = Math.max(maxObjectId, labelJson.id);
+  }
+  for (let trackJson of json.tracks || []) {
+    delete state.labels[trackJson.id];
+    state.tracks[trackJson.id] = labelFromJson(trackJson);
+    for (let childId of trackJson.childrenIds || []) {
+      if (childId in state.labels) {
+        state.labels[childId] = {
+          ...state.labels[childId], parent: trackJson.id,
+        };
+      }
+    }
+    maxObjectId = Math.max(maxObjectId, trackJson.id);
+  }
+  state.current = {
+    ...state.current,
+    item: state.items.length > 0 ? 0 : -1,
+    maxObjectId: maxObjectId,
+  };
+  return state;
+}
+
+/**
+ * Encode the state of a session in the JSON format of the back end. The
+ * information that is not part of the state, e.g. the events, is added by
+ * the caller.
+ * @param {SatType} state: the state
+ * @return {Object}
+ */
+export function stateToJson(state: SatType): Object {
+  let config = state.config;
+  let labeledItemsCount = 0;
+  let items = state.items.map(function(item) {
+    let labelIds = item.labels.filter((id) => isValid(state, id));
+    if (labelIds.length > 0) {
+      labeledItemsCount++;
+    }
+    return {url: item.url, index: item.index, labelIds: labelIds,
+      labelImport: null};
+  });
+  let labels = validLabels({...state.labels, ...state.tracks});
+  return {
+    id: config.assignmentId,
+    task: {
+      projectOptions: {
+        ...config.projectOptions,
+        name: config.projectName,
+        itemType: config.itemType,
+        labelType: config.labelType,
+        taskSize: config.taskSize,
+        handlerUrl: config.handlerUrl,
+        pageTitle: config.pageTitle,
+        categories: config.categories,
+        attributes: config.attributes,
+        instructions: config.instructionPage,
+        demoMode: config.demoMode,
+        telemetry: config.telemetry,
+        telemetryUrl: config.telemetryUrl,
+      },
+      index: config.taskIndex,
+      items: items,
+    },
+    workerId: config.workerId,
+    labels: labels.map((label) => labelToJson(state, label)),
+    startTime: config.startTime,
+    numLabeledItems: labeledItemsCount,
+  };
+}
+
+/**
+ * Encode the tracks of a session
+ * @param {SatType} state: the state
+ * @return {Array<Object>}
+ */
+export function tracksToJson(state: SatType): Array<Object> {
+  return validLabels(state.tracks).map((track) => labelToJson(state, track));
+}
@@ -0,0 +1,76 @@
+/* @flow */
+
+import * as types from './actions';
+import * as Sat from './sat';
+import {makeLabel} from '../states';
+import type {SatType} from '../types';
+
+/**
+ * Compute the state after an action. Unknown actions leave the state as it
+ * is.
+ * @param {SatType} state: current state
+ * @param {Object} action: the action
+ * @return {SatType}
+ */
+export function reducer(state: SatType, action: Object): SatType {
+  let newState = state;
+  switch (action.type) {
+    case types.INIT_SESSION:
+      // sessions saved without their state continue from the current one
+      newState = action.state || state;
+      break;
+    case types.NEW_ITEM:
+      newState = Sat.newItem(state, action.url);
+      break;
+    case types.GO_TO_ITEM:
+      newState = Sat.goToItem(state, action.index);
+      break;
+    case types.LOAD_ITEM:
+      newState = Sat.loadItem(state, action.index);
+      break;
+    case types.NEW_LABEL:
+      newState = Sat.newLabel(state,
+          (id) => makeLabel({...action.fields, id: id}),
+          action.id, action.item);
+      break;
+    case types.DELETE_LABEL:
+      newState = Sat.deleteLabel(state, action.id);
+      break;
+    case types.CHANGE_CATEGORY:
+      newState = Sat.changeCategory(state, action.id, action.categoryPath);
+      break;
+    case types.CHANGE_ATTRIBUTES:
+      newState = Sat.changeAttributes(state, action.id, action.attributes);
+      break;
+    case types.UPDATE_LABEL:
+      newState = Sat.updateLabel(state, action.id, action.fields);
+      break;
+    case types.SELECT_LABEL:
+      newState = Sat.selectLabel(state, action.id);
+      break;
+    case types.NEW_TRACK:
+      newState = Sat.newTrack(state, action.id, action.fields);
+      break;
+    case types.ADD_TRACK_CHILD:
+      newState = Sat.addTrackChild(state, action.trackId, action.childId);
+      break;
+    case types.NEW_SHAPE:
+      newState = Sat.newShape(state, action.labelId, action.shape);
+      break;
+    case types.UPDATE_SHAPE:
+      newState = Sat.updateShape(state, action.id, action.fields);
+      break;
+    case types.DELETE_SHAPE:
+      newState = Sat.deleteShape(state, action.id);
+      break;
+    case types.SET_REVIEW_STATUS:
+      newState = Sat.setReviewStatus(state, action.id, action.status);
+      break;
+    case types.ADD_REVIEW_COMMENT:
+      newState = Sat.addReviewComment(state, action.id, action.comment);
+      break;
+    default:
+      return state;
+  }
+  return newState;
+}
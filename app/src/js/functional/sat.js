@@ -1,29 +1,37 @@
 /* @flow */
 
-import type {LabelType, SatType} from '../types';
+import {makeItem, makeLabel} from '../states';
+import {updateListItem, updateObject} from './util';
+import type {LabelType, ReviewCommentType, SatType} from '../types';
 
 /**
  * Create new label
  * @param {SatType} state: current state
  * @param {Function} createLabel: label creation function
+ * @param {number} labelId: id of the label, the next free id by default
+ * @param {number} itemIndex: index of the item of the label, the current
+ *   item by default
  * @return {SatType}
  */
 export function newLabel(
-    state: SatType, createLabel: (number) => LabelType): SatType {
-  let labelId = state.current.maxObjectId + 1;
+    state: SatType, createLabel: (number) => LabelType,
+    labelId: number = state.current.maxObjectId + 1,
+    itemIndex: number = state.current.item): SatType {
   let items = state.items;
-  if (state.current.item > 0) {
-    items = items.slice();
-    let item = items[state.current.item];
-    items[state.current.item] = {
-      ...item, labels: item.labels.concat([labelId]),
-    };
+  if (itemIndex >= 0 && itemIndex < items.length) {
+    let item = items[itemIndex];
+    items = updateListItem(items, itemIndex,
+        updateObject(item, {labels: item.labels.concat([labelId])}));
   }
+  let label = updateObject(createLabel(labelId), {item: itemIndex});
   return {
     ...state,
     items: items,
-    labels: {...state.labels, labelId: createLabel(labelId)},
-    current: {...state.current, maxObjectId: labelId},
+    labels: {...state.labels, [labelId]: label},
+    current: {
+      ...state.current,
+      maxObjectId: Math.max(state.current.maxObjectId, labelId),
+    },
   };
 }
 
@@ -34,5 +42,315 @@ export function newLabel(
  * @return {SatType}
  */
 export function updateConfig(sat: SatType, config: {}): SatType {
-  return {...sat, config: {...sat.config, config}};
+  return {...sat, config: {...sat.config, ...config}};
+}
+
+/**
+ * Add an item
+ * @param {SatType} state: current state
+ * @param {string} url: location of the item
+ * @return {SatType}
+ */
+export function newItem(state: SatType, url: string): SatType {
+  let index = state.items.length;
+  return {
+    ...state,
+    items: state.items.concat([makeItem({id: index, index: index, url: url})]),
+  };
+}
+
+/**
+ * Make an item the current one
+ * @param {SatType} state: current state
+ * @param {number} index: index of the item
+ * @return {SatType}
+ */
+export function goToItem(state: SatType, index: number): SatType {
+  if (index < 0 || index >= state.items.length) {
+    return state;
+  }
+  let items = state.items.map((item) =>
+      item.active === (item.index === index) ?
+          item : updateObject(item, {active: item.index === index}));
+  return {
+    ...state,
+    items: items,
+    current: {...state.current, item: index, label: -1},
+  };
+}
+
+/**
+ * Mark an item as loaded
+ * @param {SatType} state: current state
+ * @param {number} index: index of the item
+ * @return {SatType}
+ */
+export function loadItem(state: SatType, index: number): SatType {
+  if (index < 0 || index >= state.items.length) {
+    return state;
+  }
+  return {
+    ...state,
+    items: updateListItem(state.items, index,
+        updateObject(state.items[index], {loaded: true})),
+  };
+}
+
+/**
+ * Find a label or a track by id
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @return {LabelType} the label, null if there is none
+ */
+export function getLabel(state: SatType, id: number): LabelType | null {
+  if (id in state.labels) {
+    return state.labels[id];
+  }
+  if (id in state.tracks) {
+    return state.tracks[id];
+  }
+  return null;
+}
+
+/**
+ * Replace a label or a track
+ * @param {SatType} state: current state
+ * @param {LabelType} label: the new label, with the id of the old one
+ * @return {SatType}
+ */
+function setLabel(state: SatType, label: LabelType): SatType {
+  if (label.id in state.tracks) {
+    return {...state, tracks: {...state.tracks, [label.id]: label}};
+  }
+  return {...state, labels: {...state.labels, [label.id]: label}};
+}
+
+/**
+ * Update fields of a label or a track
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @param {Object} fields: the updated fields
+ * @return {SatType}
+ */
+export function updateLabel(state: SatType, id: number, fields: {}): SatType {
+  let label = getLabel(state, id);
+  if (!label) {
+    return state;
+  }
+  return setLabel(state, updateObject(label, fields));
+}
+
+/**
+ * Delete a label and its children. Deleted labels are kept as invalid so
+ * that their ids are not reused.
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @return {SatType}
+ */
+export function deleteLabel(state: SatType, id: number): SatType {
+  let label = getLabel(state, id);
+  if (!label) {
+    return state;
+  }
+  for (let childId of label.children) {
+    state = deleteLabel(state, childId);
+  }
+  state = updateLabel(state, id, {valid: false});
+  if (state.current.label === id) {
+    state = {...state, current: {...state.current, label: -1}};
+  }
+  return state;
+}
+
+/**
+ * Change the category of a label
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @param {string} categoryPath: the new category
+ * @return {SatType}
+ */
+export function changeCategory(
+    state: SatType, id: number, categoryPath: string): SatType {
+  return updateLabel(state, id, {categoryPath: categoryPath});
+}
+
+/**
+ * Change the attributes of a label
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @param {Object} attributes: the new attributes
+ * @return {SatType}
+ */
+export function changeAttributes(
+    state: SatType, id: number, attributes: {}): SatType {
+  return updateLabel(state, id, {attributes: {...attributes}});
+}
+
+/**
+ * Set the review status of a label
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @param {string} status: 'approved', 'rejected' or 'pending'
+ * @return {SatType}
+ */
+export function setReviewStatus(
+    state: SatType, id: number, status: string): SatType {
+  let label = getLabel(state, id);
+  if (!label) {
+    return state;
+  }
+  return updateLabel(state, id, {review: {...label.review, status: status}});
+}
+
+/**
+ * Add a comment to the review of a label
+ * @param {SatType} state: current state
+ * @param {number} id: label id
+ * @param {ReviewCommentType} comment: the comment
+ * @return {SatType}
+ */
+export function addReviewComment(
+    state: SatType, id: number, comment: ReviewCommentType): SatType {
+  let label = getLabel(state, id);
+  if (!label) {
+    return state;
+  }
+  return updateLabel(state, id, {review: {
+    ...label.review,
+    comments: label.review.comments.concat([{...comment}]),
+  }});
+}
+
+/**
+ * Select a label
+ * @param {SatType} state: current state
+ * @param {number} id: label id, -1 to deselect
+ * @return {SatType}
+ */
+export function selectLabel(state: SatType, id: number): SatType {
+  return {...state, current: {...state.current, label: id}};
+}
+
+/**
+ * Add a track. A track groups the labels of one object over several items.
+ * @param {SatType} state: current state
+ * @param {number} id: track id
+ * @param {Object} fields: initial fields of the track
+ * @return {SatType}
+ */
+export function newTrack(state: SatType, id: number, fields: {} = {}): SatType {
+  return {
+    ...state,
+    tracks: {...state.tracks, [id]: makeLabel({...fields, id: id})},
+    current: {
+      ...state.current,
+      maxObjectId: Math.max(state.current.maxObjectId, id),
+    },
+  };
+}
+
+/**
+ * Add a label to a track
+ * @param {SatType} state: current state
+ * @param {number} trackId: track id
+ * @param {number} childId: label id
+ * @return {SatType}
+ */
+export function addTrackChild(
+    state: SatType, trackId: number, childId: number): SatType {
+  let track = getLabel(state, trackId);
+  if (!track || !getLabel(state, childId)) {
+    return state;
+  }
+  if (track.children.indexOf(childId) < 0) {
+    state = updateLabel(state, trackId, {
+      children: track.children.concat([childId]),
+      numChildren: track.numChildren + 1,
+    });
+  }
+  return updateLabel(state, childId, {parent: trackId});
+}
+
+/**
+ * Add a shape to a label
+ * @param {SatType} state: current state
+ * @param {number} labelId: label id
+ * @param {Object} shape: the shape, with its id
+ * @return {SatType}
+ */
+export function newShape(
+    state: SatType, labelId: number, shape: {id: number}): SatType {
+  let label = getLabel(state, labelId);
+  if (!label) {
+    return state;
+  }
+  state = updateLabel(state, labelId, {
+    shapes: label.shapes.concat([shape.id]),
+  });
+  return {...state, shapes: {...state.shapes, [shape.id]: shape}};
+}
+
+/**
+ * Update a shape
+ * @param {SatType} state: current state
+ * @param {number} id: shape id
+ * @param {Object} fields: the updated fields
+ * @return {SatType}
+ */
+export function updateShape(state: SatType, id: number, fields: {}): SatType {
+  if (!(id in state.shapes)) {
+    return state;
+  }
+  return {
+    ...state,
+    shapes: {...state.shapes, [id]: updateObject(state.shapes[id], fields)},
+  };
+}
+
+/**
+ * Delete a shape and remove it from its labels
+ * @param {SatType} state: current state
+ * @param {number} id: shape id
+ * @return {SatType}
+ */
+export function deleteShape(state: SatType, id: number): SatType {
+  let shapes = {...state.shapes};
+  delete shapes[id];
+  let removeShape = function(labels) {
+    let result = {};
+    for (let key of Object.keys(labels)) {
+      let label = labels[Number(key)];
+      result[key] = label.shapes.indexOf(id) < 0 ? label :
+          updateObject(label, {shapes: label.shapes.filter((s) => s !== id)});
+    }
+    return result;
+  };
+  return {
+    ...state,
+    labels: removeShape(state.labels),
+    tracks: removeShape(state.tracks),
+    shapes: shapes,
+  };
+}
+
+/**
+ * Count the labels shown for an item: the tracks of the session if there
+ * are tracks, the labels of the item otherwise
+ * @param {SatType} state: current state
+ * @param {number} itemIndex: index of the item
+ * @return {number}
+ */
+export function countLabels(state: SatType, itemIndex: number): number {
+  let count = (ids) => ids.filter((id) => {
+    let label = getLabel(state, id);
+    return Boolean(label && label.valid);
+  }).length;
+  let trackIds = Object.keys(state.tracks).map((key) => Number(key));
+  if (trackIds.length > 0) {
+    return count(trackIds);
+  }
+  if (itemIndex < 0 || itemIndex >= state.items.length) {
+    return 0;
+  }
+  return count(state.items[itemIndex].labels);
 }
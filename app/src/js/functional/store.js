@@ -0,0 +1,64 @@
+/* @flow */
+
+import type {SatType} from '../types';
+
+export type StoreType = {
+  getState: () => SatType,
+  getActions: () => Array<Object>,
+  dispatch: (Object) => Object,
+  subscribe: (() => void) => () => void,
+};
+
+/**
+ * Create a store holding the state of a session. The state is only changed
+ * by dispatching actions, which the reducer applies. The actions that change
+ * the state are logged by the store, outside of the state, so that the log
+ * grows without being copied on each action.
+ * @param {Function} reducer: computes the next state from an action
+ * @param {SatType} initialState: the first state
+ * @return {StoreType}
+ */
+export function createStore(
+    reducer: (SatType, Object) => SatType,
+    initialState: SatType): StoreType {
+  let state = initialState;
+  let log = [];
+  let listeners = [];
+  let dispatching = false;
+  return {
+    getState: function() {
+      return state;
+    },
+    getActions: function() {
+      return log;
+    },
+    dispatch: function(action) {
+      if (dispatching) {
+        throw new Error('Reducers may not dispatch actions');
+      }
+      try {
+        dispatching = true;
+        let next = reducer(state, action);
+        if (next !== state) {
+          log.push(action);
+        }
+        state = next;
+      } finally {
+        dispatching = false;
+      }
+      for (let listener of listeners.slice()) {
+        listener();
+      }
+      return action;
+    },
+    subscribe: function(listener) {
+      listeners.push(listener);
+      return function() {
+        let index = listeners.indexOf(listener);
+        if (index >= 0) {
+          listeners.splice(index, 1);
+        }
+      };
+    },
+  };
+}
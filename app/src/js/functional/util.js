@@ -6,7 +6,7 @@
  * @param {{}} newFields
  * @return {{}}
  */
-export function updateObject(object: {}, newFields: {}): {} {
+export function updateObject<T: {}>(object: T, newFields: {}): T {
   return {...object, ...newFields};
 }
 
@@ -0,0 +1,281 @@
+/**
+ * Check whether two snapshots describe the same state. Plain objects and
+ * arrays are compared by value; everything else, e.g. labels and shapes, is
+ * compared by reference.
+ * @param {*} a: the first snapshot
+ * @param {*} b: the second snapshot
+ * @return {boolean} whether the snapshots are the same
+ */
+export function sameSnapshot(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+      if (!sameSnapshot(a[i], b[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+  let isPlain = function(o) {
+    return o !== null && typeof o === 'object' &&
+        Object.getPrototypeOf(o) === Object.prototype;
+  };
+  if (isPlain(a) && isPlain(b)) {
+    let keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+    for (let key of keys) {
+      if (!(key in b) || !sameSnapshot(a[key], b[key])) {
+        return false;
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Undo/redo history of a labeling session.
+ *
+ * An edit is captured between begin() and commit(): the labels of the edited
+ * item, including the other labels of their tracks, and the label lists of
+ * all the items are snapshotted before and after the edit. A command keeps
+ * the snapshots that changed. Commands are stacked per item, but the most
+ * recent command of any item can be reached from every item.
+ * @param {Sat} sat: the labeling session
+ */
+export function History(sat) {
+  this.sat = sat;
+  this.undoStacks = {};
+  this.redoStacks = {};
+  this.pending = null;
+  this.sequence = 0;
+  // called with the command and 'commit', 'undo' or 'redo' after the
+  // command is recorded, undone or redone
+  this.onchange = null;
+}
+
+/**
+ * Get the labels an edit on an item can touch.
+ * @param {SatItem} item: the edited item
+ * @return {[SatLabel]} the labels of the item and of their tracks
+ */
+History.prototype.getScope = function(item) {
+  let scope = new Set();
+  for (let label of item.labels) {
+    let root = label.getRoot();
+    scope.add(label);
+    scope.add(root);
+    for (let child of root.children) {
+      scope.add(child);
+    }
+  }
+  return Array.from(scope);
+};
+
+/**
+ * Start capturing an edit on an item. Nested calls join the edit that is
+ * already being captured.
+ * @param {SatItem} item: the item being edited
+ */
+History.prototype.begin = function(item) {
+  if (this.pending) {
+    this.pending.depth += 1;
+    return;
+  }
+  if (!item) {
+    return;
+  }
+  let labels = this.getScope(item);
+  let labelSnapshots = [];
+  for (let label of labels) {
+    labelSnapshots.push(label.snapshot());
+  }
+  let itemSnapshots = [];
+  for (let satItem of this.sat.items) {
+    itemSnapshots.push(satItem.snapshot());
+  }
+  this.pending = {
+    item: item,
+    depth: 1,
+    numLabels: this.sat.labels.length,
+    labels: labels,
+    labelSnapshots: labelSnapshots,
+    itemSnapshots: itemSnapshots,
+  };
+};
+
+/**
+ * Finish capturing an edit and record it as a command if anything changed.
+ * @param {string} action: name of the edit
+ * @param {number} labelId: id of the label the edit was applied to
+ * @param {boolean} keepOpen: keep capturing, e.g. while a label is still
+ *   being drawn, so that the whole interaction becomes a single command
+ * @return {object} the recorded command, null if nothing was recorded
+ */
+History.prototype.commit = function(action, labelId = -1, keepOpen = false) {
+  let pending = this.pending;
+  if (!pending) {
+    return null;
+  }
+  pending.depth = Math.max(0, pending.depth - 1);
+  if (pending.depth > 0 || keepOpen) {
+    return null;
+  }
+  this.pending = null;
+
+  let changes = [];
+  let created = false;
+  let deleted = false;
+  for (let i = 0; i < pending.labels.length; i++) {
+    let before = pending.labelSnapshots[i];
+    let after = pending.labels[i].snapshot();
+    if (!sameSnapshot(before, after)) {
+      deleted = deleted || (before.valid && !after.valid);
+      changes.push({target: pending.labels[i], before: before, after: after});
+    }
+  }
+  for (let label of this.sat.labels.slice(pending.numLabels)) {
+    if (label.valid) {
+      created = true;
+      changes.push({target: label, before: null, after: label.snapshot()});
+    }
+  }
+  for (let i = 0; i < this.sat.items.length; i++) {
+    let before = pending.itemSnapshots[i];
+    let after = this.sat.items[i].snapshot();
+    if (!sameSnapshot(before, after)) {
+      changes.push({target: this.sat.items[i], before: before, after: after});
+    }
+  }
+  if (changes.length === 0) {
+    return null;
+  }
+
+  if (created) {
+    action = 'create label';
+  } else if (deleted) {
+    action = 'delete label';
+  }
+  let command = {
+    action: action,
+    itemIndex: pending.item.index,
+    labelId: labelId,
+    changes: changes,
+    sequence: ++this.sequence,
+  };
+  if (!(command.itemIndex in this.undoStacks)) {
+    this.undoStacks[command.itemIndex] = [];
+  }
+  this.undoStacks[command.itemIndex].push(command);
+  this.redoStacks[command.itemIndex] = [];
+  this.sat.addEvent(command.action, command.itemIndex, command.labelId);
+  this._changed(command, 'commit');
+  return command;
+};
+
+/**
+ * Get the command at the top of the stacks, preferring the stack of the
+ * given item and falling back to the most recent command of any item.
+ * @param {object} stacks: stacks of commands by item index
+ * @param {SatItem} item: the current item
+ * @return {object} the command, null if all stacks are empty
+ * @private
+ */
+History.prototype._top = function(stacks, item) {
+  let stack = item ? stacks[item.index] : null;
+  if (stack && stack.length > 0) {
+    return stack[stack.length - 1];
+  }
+  let top = null;
+  for (let index in stacks) {
+    if (stacks[index].length > 0) {
+      let command = stacks[index][stacks[index].length - 1];
+      if (!top || command.sequence > top.sequence) {
+        top = command;
+      }
+    }
+  }
+  return top;
+};
+
+/**
+ * Get the command the next undo would revert.
+ * @param {SatItem} item: the current item
+ * @return {object} the command, null if there is nothing to undo
+ */
+History.prototype.nextUndo = function(item) {
+  return this._top(this.undoStacks, item);
+};
+
+/**
+ * Get the command the next redo would reapply.
+ * @param {SatItem} item: the current item
+ * @return {object} the command, null if there is nothing to redo
+ */
+History.prototype.nextRedo = function(item) {
+  return this._top(this.redoStacks, item);
+};
+
+/**
+ * Restore the snapshots of a command.
+ * @param {object} command: the command
+ * @param {string} key: 'before' to revert the command, 'after' to reapply
+ * @private
+ */
+History.prototype._apply = function(command, key) {
+  for (let change of command.changes) {
+    if (change[key]) {
+      change.target.restoreSnapshot(change[key]);
+    } else {
+      // the label did not exist before the command
+      change.target.valid = false;
+    }
+  }
+};
+
+/**
+ * Notify the listener that the labels changed.
+ * @param {object} command: the recorded, undone or redone command
+ * @param {string} how: 'commit', 'undo' or 'redo'
+ * @private
+ */
+History.prototype._changed = function(command, how) {
+  if (this.onchange) {
+    this.onchange(command, how);
+  }
+};
+
+/**
+ * Revert a command returned by nextUndo().
+ * @param {object} command: the command
+ */
+History.prototype.undo = function(command) {
+  let stack = this.undoStacks[command.itemIndex];
+  stack.splice(stack.indexOf(command), 1);
+  this._apply(command, 'before');
+  this.redoStacks[command.itemIndex].push(command);
+  this.sat.addEvent('undo ' + command.action, command.itemIndex,
+      command.labelId);
+  this._changed(command, 'undo');
+};
+
+/**
+ * Reapply a command returned by nextRedo().
+ * @param {object} command: the command
+ */
+History.prototype.redo = function(command) {
+  let stack = this.redoStacks[command.itemIndex];
+  stack.splice(stack.indexOf(command), 1);
+  this._apply(command, 'after');
+  this.undoStacks[command.itemIndex].push(command);
+  this.sat.addEvent('redo ' + command.action, command.itemIndex,
+      command.labelId);
+  this._changed(command, 'redo');
+};
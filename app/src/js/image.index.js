@@ -3,8 +3,13 @@ import $ from 'jquery';
 import {Sat} from './sat';
 import {SatImage} from './image';
 import {SatVideo} from './video';
-import {Box2d} from './box2d';
-import {Seg2d} from './seg2d';
+import {getLabelType, setUpLabelTypePage} from './label_registry';
+// label types available on this page
+import './box2d';
+import './seg2d';
+import './rotated_box2d';
+import './keypoints2d';
+import './mask2d';
 import 'bootstrap-material-design';
 
 document.getElementById('frame_rate').style.display = 'none';
@@ -24,40 +29,28 @@ let showTemplateById = function(id) {
  * @param {string} itemType
  */
 export function initSatSession(labelType, itemType) {
-  let labelClass;
-  if (labelType === 'box2d') {
-    showElementById('crosshair');
-    labelClass = Box2d;
-  } else if (labelType === 'segmentation' || labelType === 'lane') {
-    labelClass = Seg2d;
-    if (labelType === 'segmentation') {
-      showTemplateById('seg_btns');
-      showTemplateById('seg_usage');
-    } else if (labelType === 'lane') {
-      showTemplateById('lane_usage');
-    }
+  let registered = getLabelType(labelType);
+  if (!registered || !registered.labelClass ||
+      registered.itemTypes.indexOf(itemType) < 0) {
+    alert('Label type "' + labelType + '" is not supported for ' +
+        itemType + ' items.');
+    return;
   }
+  setUpLabelTypePage(registered);
   if (itemType === 'image') {
-    new Sat(SatImage, labelClass);
+    new Sat(SatImage, registered.labelClass);
     $('#player_controls').remove();
   }
   if (itemType === 'video') {
     showElementById('player_controls');
     showTemplateById('video_btns');
     document.getElementById('div_canvas').style.height = 'calc(100vh - 103px)';
-    new SatVideo(labelClass);
+    new SatVideo(registered.labelClass);
   }
 }
 
 $(document).ready(function() {
   $('body').bootstrapMaterialDesign();
   initSatSession(labelType, itemType);
-  document.addEventListener('keydown', function(e) {
-    let eventObj = window.event ? event : e;
-    if (eventObj.keyCode === 191 && eventObj.shiftKey) {
-      // if the user pressed '?':
-      $('#keyboard_usage_window').toggle();
-    }
-  });
 });
 $('body').show();
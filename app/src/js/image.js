@@ -1,9 +1,113 @@
 import {SatItem, SatLabel, pickColorPalette} from './sat';
 import {hiddenStyleColor, mode, rgb} from './utils';
 import {UP_RES_RATIO} from './shape';
+import {countLabels} from './functional/sat';
+import {keyName} from './keymap';
+import {Minimap} from './minimap';
+import {ImageAdjustments} from './image_adjustments';
+import {Layers} from './layers';
+import {
+  alignBounds, clampMove, edgeMoves, isWithin, moveEdges,
+} from './box_group';
 
 // constants
 const DOUBLE_CLICK_WAIT_TIME = 300;
+// shift of each paste of labels into the image they were copied from
+const PASTE_OFFSET = 10;
+
+// keyboard actions of image items
+const IMAGE_HOTKEYS = [
+  {id: 'deselect', keys: ['Escape'],
+    description: 'Deselect label, or stop drawing it'},
+  {
+    id: 'delete_label',
+    keys: ['Backspace', 'Delete'],
+    description: 'Delete selected label',
+  },
+  {id: 'zoom_in', keys: ['=', 'Shift+='], description: 'Zoom in'},
+  {id: 'zoom_out', keys: ['-'], description: 'Zoom out'},
+  {id: 'fit_to_window', keys: ['0'], description: 'Fit image to window'},
+  {id: 'actual_size', keys: ['1'], description: 'Zoom to 1:1 pixels'},
+  {
+    id: 'pan',
+    keys: ['Space'],
+    hold: true,
+    description: 'Pan the image while dragging',
+  },
+  {id: 'previous_item', keys: ['ArrowLeft'], description: 'Previous item'},
+  {id: 'next_item', keys: ['ArrowRight'], description: 'Next item'},
+  {
+    id: 'bring_forward',
+    keys: ['ArrowUp'],
+    description: 'Bring a selected label forward',
+  },
+  {
+    id: 'bring_to_front',
+    keys: ['f'],
+    description: 'Bring a selected label to front',
+  },
+  {
+    id: 'send_backward',
+    keys: ['ArrowDown'],
+    description: 'Bring a selected label backward',
+  },
+  {
+    id: 'send_to_back',
+    keys: ['b'],
+    description: 'Bring a selected label to back',
+  },
+  {id: 'nudge_left', keys: ['Alt+ArrowLeft'], description: 'Nudge left'},
+  {id: 'nudge_right', keys: ['Alt+ArrowRight'], description: 'Nudge right'},
+  {id: 'nudge_up', keys: ['Alt+ArrowUp'], description: 'Nudge up'},
+  {id: 'nudge_down', keys: ['Alt+ArrowDown'], description: 'Nudge down'},
+  {
+    id: 'nudge_left_far',
+    keys: ['Alt+Shift+ArrowLeft'],
+    description: 'Nudge left by 10 pixels',
+  },
+  {
+    id: 'nudge_right_far',
+    keys: ['Alt+Shift+ArrowRight'],
+    description: 'Nudge right by 10 pixels',
+  },
+  {
+    id: 'nudge_up_far',
+    keys: ['Alt+Shift+ArrowUp'],
+    description: 'Nudge up by 10 pixels',
+  },
+  {
+    id: 'nudge_down_far',
+    keys: ['Alt+Shift+ArrowDown'],
+    description: 'Nudge down by 10 pixels',
+  },
+  {id: 'toggle_labels', keys: ['h'], description: 'Hiding/showing all labels'},
+  {
+    id: 'show_hidden_canvas',
+    keys: ['\\'],
+    description: 'Show the hidden canvas (for debugging)',
+  },
+];
+
+// moves in image pixels of the selected box, polygon or vertex, by
+// keyboard action
+const NUDGE_ACTIONS = {
+  nudge_left: [-1, 0],
+  nudge_right: [1, 0],
+  nudge_up: [0, -1],
+  nudge_down: [0, 1],
+  nudge_left_far: [-10, 0],
+  nudge_right_far: [10, 0],
+  nudge_up_far: [0, -10],
+  nudge_down_far: [0, 10],
+};
+
+// image actions that do not edit labels, available in review mode
+const REVIEW_ACTIONS = ['deselect', 'previous_item', 'next_item',
+  'toggle_labels'];
+
+// image actions that only change the view
+const VIEW_ACTIONS = ['zoom_in', 'zoom_out', 'fit_to_window', 'actual_size',
+  'pan'];
 
 /**
  * The data structure to aid the hidden canvas,
@@ -79,7 +183,8 @@ export function SatImage(sat, index, url) {
   self.image.onerror = function() {
     alert('Image ' + self.url + ' was not found.');
   };
-  self.image.src = self.url;
+  // the image is requested by prefetch
+  self.requested = false;
 
   self.divCanvas = document.getElementById('div_canvas');
   self.imageCanvas = document.getElementById('image_canvas');
@@ -90,15 +195,30 @@ export function SatImage(sat, index, url) {
   self.hiddenCtx = self.hiddenCanvas.getContext('2d');
 
   self.hoveredLabel = null;
-
-  self.MAX_SCALE = 3.0;
+  // labels selected together, including the selected label; empty unless
+  // several labels are selected
+  self.selectedGroup = [];
+  // bounds of the selected labels where a drag of the group started
+  self.groupStart = null;
+  // area (x,y,w,h) dragged to select labels, null if there is none
+  self.rubberBand = null;
+  // the mouse went down to add labels to the selection
+  self.groupSelecting = false;
+
+  // the scale is relative to the image fitted to the window
+  self.scale = 1.0;
+  self.MAX_SCALE = 64.0;
   self.MIN_SCALE = 1.0;
-  self.SCALE_RATIO = 1.05;
+  self.SCALE_RATIO = 1.2;
   self.scrollTimer = null;
+  // top-left corner of the image in the canvas, in display pixels
+  self.viewOffset = {x: 0, y: 0};
+  // where a pan started, null if the image is not being panned
+  self.panStart = null;
 
   self.isMouseDown = false;
   self._hiddenMap = new HiddenMap();
-  self._keyDownMap = {};
+  sat.keymap.register('image', IMAGE_HOTKEYS, 'Image');
 }
 
 SatImage.prototype = Object.create(SatItem.prototype);
@@ -114,6 +234,10 @@ SatImage.prototype.resetHiddenMapToDefault = function() {
 };
 
 SatImage.prototype._deselectAll = function() {
+  for (let label of this.selectedGroup) {
+    label.releaseAsTargeted();
+  }
+  this.selectedGroup = [];
   if (this.selectedLabel) {
     this.selectedLabel.releaseAsTargeted();
     if (!this.selectedLabel.shapesValid()) {
@@ -128,6 +252,8 @@ SatImage.prototype._deselectAll = function() {
     this.resetHiddenMapToDefault();
     this.redrawLabelCanvas();
     this.redrawHiddenCanvas();
+    this.sat.reviewPanel.refresh();
+    this.sat.labelList.refresh();
   }
 };
 
@@ -137,6 +263,46 @@ SatImage.prototype.deselectAll = function() {
   }
 };
 
+/**
+ * Close the edit captured by the session history, unless the selected label
+ * is still being edited, in which case the edit continues.
+ * @param {string} action - name of the edit
+ */
+SatImage.prototype.commitEdit = function(action = 'edit label') {
+  let label = this.selectedLabel;
+  this.sat.history.commit(action, label ? label.id : -1,
+      Boolean(label && label.valid && label.isEditing()));
+};
+
+/**
+ * Refresh the display after the labels were changed by undo or redo.
+ */
+SatImage.prototype.refreshLabels = function() {
+  for (let satImage of this.sat.items) {
+    for (let label of satImage.selectedGroup) {
+      label.releaseAsTargeted();
+    }
+    satImage.selectedGroup = [];
+    if (satImage.selectedLabel) {
+      satImage.selectedLabel.releaseAsTargeted();
+      satImage.selectedLabel = null;
+    }
+  }
+  this.resetHiddenMapToDefault();
+  this.redraw();
+  this.updateLabelCount();
+};
+
+/**
+ * Select a label of this image for review.
+ * @param {SatLabel} label - The label.
+ */
+SatImage.prototype.focusLabel = function(label) {
+  this.selectLabel(label);
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+};
+
 SatImage.prototype.deleteLabel = function(label) {
   if (label.parent) {
     label.parent.delete();
@@ -172,6 +338,8 @@ SatImage.prototype._selectLabel = function(label) {
     this._setCatSel(this.selectedLabel.categoryPath);
     this.redrawLabelCanvas();
     this.redrawHiddenCanvas();
+    this.sat.reviewPanel.refresh();
+    this.sat.labelList.refresh();
   }
 };
 
@@ -189,22 +357,332 @@ SatImage.prototype.selectLabel = function(label) {
   }
 };
 
-SatImage.prototype.updateLabelCount = function() {
-  let numLabels = 0;
-  if (this.sat.tracks) {
-    for (let track of this.sat.tracks) {
-      if (track.valid) {
-        numLabels += 1;
-      }
+/**
+ * Get the selected labels.
+ * @return {[ImageLabel]} - The labels selected together, or the selected
+ *   label.
+ */
+SatImage.prototype.getSelectedLabels = function() {
+  if (this.selectedGroup.length > 0) {
+    return this.selectedGroup.slice();
+  }
+  return this.selectedLabel ? [this.selectedLabel] : [];
+};
+
+/**
+ * Check whether several labels are selected together.
+ * @return {boolean} - Whether there is a group.
+ */
+SatImage.prototype.hasGroup = function() {
+  return this.selectedGroup.length > 1;
+};
+
+/**
+ * Select labels together. The last label becomes the selected label, whose
+ * category and attributes are shown and which the others are aligned to.
+ * @param {[ImageLabel]} labels - The labels.
+ */
+SatImage.prototype.selectGroup = function(labels) {
+  labels = labels.filter((label) => label.valid);
+  if (labels.length === 0) {
+    this.deselectAll();
+    return;
+  }
+  // selecting a label resets the group and shows the label in the toolbox
+  this.selectLabel(labels[labels.length - 1]);
+  if (labels.length > 1) {
+    this.selectedGroup = labels;
+    for (let label of labels) {
+      label.setAsTargeted();
     }
+    this.resetHiddenMapToDefault();
+  }
+  if (this.active) {
+    this.redrawLabelCanvas();
+    this.redrawHiddenCanvas();
+    this.sat.labelList.refresh();
+  }
+};
+
+/**
+ * Add a label to the selected labels, or take it out if it is selected.
+ * @param {ImageLabel} label - The label.
+ */
+SatImage.prototype.toggleGroupLabel = function(label) {
+  let labels = this.getSelectedLabels();
+  let index = labels.indexOf(label);
+  if (index >= 0) {
+    labels.splice(index, 1);
   } else {
-    for (let label of this.labels) {
-      if (label.valid) {
-        numLabels += 1;
+    labels.push(label);
+  }
+  this.selectGroup(labels);
+};
+
+/**
+ * Align the selected labels to the selected label.
+ * @param {string} mode - One of ALIGN_MODES of box_group.
+ */
+SatImage.prototype.alignGroup = function(mode) {
+  if (!this.hasGroup() || this.sat.reviewMode) {
+    return;
+  }
+  this.sat.history.begin(this);
+  let reference = this.selectedLabel.getBounds();
+  for (let label of this.selectedGroup) {
+    if (label !== this.selectedLabel) {
+      label.setBounds(alignBounds(label.getBounds(), reference, mode));
+      if (label.parent) {
+        label.parent.interpolate(label);
       }
     }
   }
+  this.commitEdit('align labels');
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+};
+
+/**
+ * Move or resize the selected labels along with the selected label, which
+ * is dragged. A move is limited to keep all the labels in the image; a
+ * resize moves the same edges of all the labels.
+ */
+SatImage.prototype._dragGroup = function() {
+  let dragged = this.selectedLabel;
+  let start = this.groupStart.get(dragged);
+  let moves = edgeMoves(start, dragged.getBounds());
+  let moved = moves.left === moves.right && moves.top === moves.bottom;
+  if (moved) {
+    let [dx, dy] = clampMove(Array.from(this.groupStart.values()),
+        moves.left, moves.top, {w: this.image.width, h: this.image.height});
+    moves = {left: dx, right: dx, top: dy, bottom: dy};
+  }
+  for (let [label, bounds] of this.groupStart) {
+    // the resized label keeps its own handles
+    if (label === dragged && !moved) {
+      continue;
+    }
+    label.setBounds(moveEdges(bounds, moves));
+    if (label.parent) {
+      label.parent.interpolate(label);
+    }
+  }
+};
+
+/**
+ * Handle a mouse down that adds labels to the selection: a click on a label
+ * adds or removes it and a drag elsewhere selects the labels in an area.
+ * @param {object} mousePos - Position of the mouse in the image.
+ */
+SatImage.prototype._groupMousedown = function(mousePos) {
+  this.groupSelecting = true;
+  // a selected label only has its own shapes on the hidden map
+  this.resetHiddenMapToDefault();
+  this.redrawHiddenCanvas();
+  let label = this.getLabelOfShape(this.getOccupiedShape(mousePos));
+  if (label) {
+    this.toggleGroupLabel(label);
+  } else {
+    this.rubberBand = {x: mousePos.x, y: mousePos.y, w: 0, h: 0};
+  }
+};
+
+/**
+ * Add the shown labels inside the rubber band to the selection.
+ */
+SatImage.prototype._selectInRubberBand = function() {
+  let band = this.rubberBand;
+  this.rubberBand = null;
+  let labels = this.getSelectedLabels();
+  for (let label of this.labels) {
+    if (!label.valid || !this.isLabelVisible(label) ||
+        labels.indexOf(label) >= 0) {
+      continue;
+    }
+    let bounds = label.getBounds();
+    if (bounds && isWithin(bounds, band)) {
+      labels.push(label);
+    }
+  }
+  this.selectGroup(labels);
+};
+
+/**
+ * Draw the rubber band on the label canvas.
+ */
+SatImage.prototype._drawRubberBand = function() {
+  let band = this.rubberBand;
+  let [x, y] = this.toCanvasCoords([band.x, band.y]);
+  let [w, h] = this.toCanvasCoords([band.w, band.h], false);
+  let ctx = this.labelCtx;
+  ctx.save();
+  ctx.setLineDash([6 * UP_RES_RATIO, 4 * UP_RES_RATIO]);
+  ctx.lineWidth = UP_RES_RATIO;
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeRect(x, y, w, h);
+  ctx.restore();
+};
+
+SatImage.prototype.updateLabelCount = function() {
+  let numLabels = countLabels(this.sat.store.getState(), this.index);
   document.getElementById('label_count').textContent = '' + numLabels;
+  this.sat.labelList.refresh();
+};
+
+/**
+ * Move the selected labels by a few pixels, keeping them in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+SatImage.prototype.nudgeSelection = function(dx, dy) {
+  if (this.hasGroup()) {
+    let boxes = this.selectedGroup.map((label) => label.getBounds());
+    [dx, dy] = clampMove(boxes, dx, dy,
+        {w: this.image.width, h: this.image.height});
+    let moves = {left: dx, right: dx, top: dy, bottom: dy};
+    this.selectedGroup.forEach((label, i) => {
+      label.setBounds(moveEdges(boxes[i], moves));
+      if (label.parent) {
+        label.parent.interpolate(label);
+      }
+    });
+  } else if (this.selectedLabel) {
+    this.selectedLabel.nudge(dx, dy);
+  }
+};
+
+/**
+ * Get the box of the selected label for the inspector.
+ * @return {object} - The box (x, y, w, h) in image coordinates, null if no
+ *   single label is selected.
+ */
+SatImage.prototype.getInspectedBounds = function() {
+  if (!this.selectedLabel || this.hasGroup()) {
+    return null;
+  }
+  return this.selectedLabel.getBounds();
+};
+
+/**
+ * Move and resize the selected label to a box typed in the inspector.
+ * @param {object} bounds - The box (x, y, w, h) in image coordinates.
+ */
+SatImage.prototype.setInspectedBounds = function(bounds) {
+  let label = this.selectedLabel;
+  if (this.sat.reviewMode || !label || this.hasGroup()) {
+    return;
+  }
+  this.sat.history.begin(this);
+  label.setBounds(bounds);
+  if (label.parent) {
+    label.parent.interpolate(label);
+  }
+  this.commitEdit();
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+  this.sat.labelList.refresh();
+};
+
+/**
+ * Get the box around a label.
+ * @param {ImageLabel} label - The label.
+ * @return {object} - The box (x, y, w, h) in image coordinates.
+ */
+SatImage.prototype.getLabelBounds = function(label) {
+  return label.getBounds();
+};
+
+/**
+ * Change the category of labels of this image.
+ * @param {[ImageLabel]} labels - The labels.
+ * @param {[string]} path - Names of the category and its parents.
+ */
+SatImage.prototype.setLabelsCategory = function(labels, path) {
+  if (this.sat.reviewMode) {
+    return;
+  }
+  this.sat.history.begin(this);
+  for (let label of labels) {
+    label.setCategoryPath(path[path.length - 1]);
+  }
+  if (this.selectedLabel) {
+    this._setCatSel(this.selectedLabel.categoryPath);
+  }
+  this.commitEdit('change category');
+  this.redrawLabelCanvas();
+  this.updateLabelCount();
+};
+
+/**
+ * Delete labels of this image.
+ * @param {[ImageLabel]} labels - The labels.
+ */
+SatImage.prototype.deleteLabels = function(labels) {
+  if (this.sat.reviewMode) {
+    return;
+  }
+  this.sat.history.begin(this);
+  if (this.selectedLabel && labels.indexOf(this.selectedLabel) >= 0) {
+    this.deselectAll();
+  }
+  for (let label of labels) {
+    this.deleteLabel(label);
+  }
+  this.resetHiddenMapToDefault();
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+  this.commitEdit('delete label');
+  this.updateLabelCount();
+};
+
+/**
+ * Add labels to this image from clipboard entries. The new labels are
+ * selected.
+ * @param {[object]} entries - Category path, attributes and shape of the
+ *   labels.
+ * @param {number} steps - How many times the shapes are shifted by
+ *   PASTE_OFFSET.
+ * @return {[ImageLabel]} - The new labels.
+ */
+SatImage.prototype.pasteLabels = function(entries, steps) {
+  if (this.sat.reviewMode || this.sat.currentItem !== this) {
+    return [];
+  }
+  this.sat.history.begin(this);
+  this.deselectAll();
+  let offset = [steps * PASTE_OFFSET, steps * PASTE_OFFSET];
+  let labels = [];
+  for (let entry of entries) {
+    let label = this.sat.newLabel({
+      categoryPath: entry.categoryPath,
+      attributes: entry.attributes,
+      shadow: true,
+    });
+    label.pasteShape(entry.shape, offset);
+    if (label.parent) {
+      label.parent.interpolate(label);
+    }
+    labels.push(label);
+  }
+  this.resetHiddenMapToDefault();
+  if (this.sat.LabelType.useGroupSelection) {
+    this.selectGroup(labels);
+  } else if (labels.length === 1) {
+    this.selectLabel(labels[0]);
+  }
+  this.commitEdit('create label');
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+  this.updateLabelCount();
+  this.sat.labelList.refresh();
+  return labels;
+};
+
+/**
+ * Update the label count, which is counted in the store.
+ */
+SatImage.prototype.render = function() {
+  this.updateLabelCount();
 };
 
 /**
@@ -256,63 +734,157 @@ SatImage.prototype.toImageCoords = function(values, affine = true) {
 };
 
 /**
- * Set the scale of the image in the display
- * @param {number} scale
+ * Set the scale of the image in the display, keeping the point of the image
+ * under the anchor in place.
+ * @param {number} scale: scale relative to the image fitted to the window
+ * @param {object} anchor: position (x, y) on the canvas in display pixels,
+ *   the center of the canvas by default
  */
-SatImage.prototype.setScale = function(scale) {
+SatImage.prototype.setScale = function(scale, anchor = null) {
   let self = this;
-  // set scale
-  if (scale >= self.MIN_SCALE && scale < self.MAX_SCALE) {
-    let ratio = scale / self.scale;
-    self.imageCtx.scale(ratio, ratio);
-    self.labelCtx.scale(ratio, ratio);
-    self.hiddenCtx.scale(ratio, ratio);
-    self.scale = scale;
-  } else {
-    return;
-  }
+  let fitRatio = self._getFitRatio();
+  // 1:1 pixels stay reachable for images smaller or larger than the window
+  let minScale = Math.min(self.MIN_SCALE, 1 / fitRatio);
+  let maxScale = Math.max(self.MAX_SCALE, 1 / fitRatio);
+  scale = Math.min(Math.max(scale, minScale), maxScale);
+  if (!anchor) {
+    anchor = {x: self.imageCanvas.width / 2, y: self.imageCanvas.height / 2};
+  }
+  let ratio = scale / self.scale;
+  self.viewOffset = {
+    x: anchor.x - (anchor.x - self.viewOffset.x) * ratio,
+    y: anchor.y - (anchor.y - self.viewOffset.y) * ratio,
+  };
+  self.scale = scale;
+  self._clampView();
   // handle buttons
-  if (self.scale >= self.MIN_SCALE * self.SCALE_RATIO) {
-    $('#decrease_btn').attr('disabled', false);
-  } else {
-    $('#decrease_btn').attr('disabled', true);
+  $('#decrease_btn').attr('disabled', self.scale <= minScale);
+  $('#increase_btn').attr('disabled', self.scale >= maxScale);
+};
+
+/**
+ * Fit the whole image to the window.
+ */
+SatImage.prototype.fitToWindow = function() {
+  this._resizeCanvases();
+  this.scale = 1.0;
+  this.setScale(1.0);
+};
+
+/**
+ * Zoom so that one pixel of the image takes one pixel of the display.
+ */
+SatImage.prototype.zoomToActualSize = function() {
+  this.setScale(1 / this._getFitRatio());
+};
+
+/**
+ * Pan the image so that a point of it is at the center of the canvas.
+ * @param {object} point: position (x, y) in image coordinates
+ */
+SatImage.prototype.centerOn = function(point) {
+  this.viewOffset = {
+    x: this.imageCanvas.width / 2 - point.x * this.displayToImageRatio,
+    y: this.imageCanvas.height / 2 - point.y * this.displayToImageRatio,
+  };
+  this._clampView();
+  this._viewChanged();
+};
+
+/**
+ * Resize the canvases to the display area. The view is zoomed and panned by
+ * the transform of the image into the canvases, not by resizing them.
+ */
+SatImage.prototype._resizeCanvases = function() {
+  let rectDiv = this.divCanvas.getBoundingClientRect();
+  for (let canvas of [this.imageCanvas, this.labelCanvas, this.hiddenCanvas]) {
+    canvas.style.width = Math.round(rectDiv.width) + 'px';
+    canvas.style.height = Math.round(rectDiv.height) + 'px';
   }
-  if (self.scale <= self.MAX_SCALE / self.SCALE_RATIO) {
-    $('#increase_btn').attr('disabled', false);
-  } else {
-    $('#increase_btn').attr('disabled', true);
+  this.imageCanvas.width = Math.round(rectDiv.width);
+  this.imageCanvas.height = Math.round(rectDiv.height);
+  this.labelCanvas.width = Math.round(rectDiv.width * UP_RES_RATIO);
+  this.labelCanvas.height = Math.round(rectDiv.height * UP_RES_RATIO);
+  this.hiddenCanvas.width = Math.round(rectDiv.width * UP_RES_RATIO);
+  this.hiddenCanvas.height = Math.round(rectDiv.height * UP_RES_RATIO);
+};
+
+/**
+ * Get the ratio of the display to the image when the image fits the window.
+ * @return {number} display pixels per image pixel
+ */
+SatImage.prototype._getFitRatio = function() {
+  if (!this.image.width || !this.image.height) {
+    return 1.0;
+  }
+  return Math.min(this.imageCanvas.width / this.image.width,
+      this.imageCanvas.height / this.image.height);
+};
+
+/**
+ * Keep the image in view: an image smaller than the canvas along an axis is
+ * centered, a larger one can't be panned past its borders.
+ */
+SatImage.prototype._clampView = function() {
+  let ratio = this._getFitRatio() * this.scale;
+  let size = {x: this.image.width * ratio, y: this.image.height * ratio};
+  let canvasSize = {x: this.imageCanvas.width, y: this.imageCanvas.height};
+  for (let axis of ['x', 'y']) {
+    if (size[axis] <= canvasSize[axis]) {
+      this.viewOffset[axis] = (canvasSize[axis] - size[axis]) / 2;
+    } else {
+      this.viewOffset[axis] = Math.min(0,
+          Math.max(this.viewOffset[axis], canvasSize[axis] - size[axis]));
+    }
+  }
+  this.padBox = this._getPadding();
+};
+
+/**
+ * Redraw after the view was zoomed or panned. The hidden canvas is redrawn
+ * once the view stops changing.
+ */
+SatImage.prototype._viewChanged = function() {
+  let self = this;
+  self.redrawImageCanvas();
+  self.redrawLabelCanvas();
+  if (self.scrollTimer !== null) {
+    clearTimeout(self.scrollTimer);
+  }
+  self.scrollTimer = setTimeout(function() {
+    self.scrollTimer = null;
+    self.redrawHiddenCanvas();
+  }, 150);
+};
+
+/**
+ * Redraw the hidden canvas now if it is behind the view, so that the labels
+ * are picked where they are shown.
+ */
+SatImage.prototype._flushHiddenCanvas = function() {
+  if (this.scrollTimer !== null) {
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = null;
+    this.redrawHiddenCanvas();
+  }
+};
+
+/**
+ * Start loading the image if it was not requested yet.
+ */
+SatImage.prototype.prefetch = function() {
+  if (!this.requested) {
+    this.requested = true;
+    this.image.src = this.url;
   }
-  // resize canvas
-  let rectDiv = this.divCanvas.getBoundingClientRect();
-  self.imageCanvas.style.height =
-      Math.round(rectDiv.height * self.scale) + 'px';
-  self.imageCanvas.style.width =
-      Math.round(rectDiv.width * self.scale) + 'px';
-  self.labelCanvas.style.height =
-      Math.round(rectDiv.height * self.scale) + 'px';
-  self.labelCanvas.style.width =
-      Math.round(rectDiv.width * self.scale) + 'px';
-  self.hiddenCanvas.style.height =
-      Math.round(rectDiv.height * self.scale) + 'px';
-  self.hiddenCanvas.style.width =
-      Math.round(rectDiv.width * self.scale) + 'px';
-
-  self.imageCanvas.width = rectDiv.width * self.scale;
-  self.imageCanvas.height = rectDiv.height * self.scale;
-  self.hiddenCanvas.height =
-      Math.round(rectDiv.height * UP_RES_RATIO * self.scale);
-  self.hiddenCanvas.width =
-      Math.round(rectDiv.width * UP_RES_RATIO * self.scale);
-  self.labelCanvas.height =
-      Math.round(rectDiv.height * UP_RES_RATIO * self.scale);
-  self.labelCanvas.width =
-      Math.round(rectDiv.width * UP_RES_RATIO * self.scale);
 };
 
 SatImage.prototype.loaded = function() {
   // Call SatItem loaded
   SatItem.prototype.loaded.call(this);
   if (this.active) {
+    // the view depends on the size of the image
+    this.fitToWindow();
     this.redraw();
   }
 };
@@ -329,15 +901,25 @@ SatImage.prototype.setActive = function(active) {
   let endBtn = $('#end_btn');
   if (active) {
     self.lastLabelID = -1;
-    self.padBox = self._getPadding();
+    self.fitToWindow();
+    let minimapCanvas = document.getElementById('minimap_canvas');
+    if (minimapCanvas && !self.sat.minimap) {
+      self.sat.minimap = new Minimap(minimapCanvas);
+    }
+    if (self.sat.minimap) {
+      self.sat.minimap.setItem(self);
+    }
+    if (!self.sat.imageAdjustments) {
+      self.sat.imageAdjustments = new ImageAdjustments(self.sat);
+    }
+    if (!self.sat.layers) {
+      self.sat.layers = new Layers(self.sat);
+    }
+    self.sat.labelList.setItem(self);
     for (let i = 0; i < self.sat.items.length; i++) {
       self.sat.items[i].padBox = self.padBox;
     }
 
-    self.hiddenCtx.scale(UP_RES_RATIO, UP_RES_RATIO);
-    self.labelCtx.scale(UP_RES_RATIO, UP_RES_RATIO);
-    self.setScale(1.0);
-
     // global listeners
     document.onkeydown = function(e) {
       self._keydown(e);
@@ -358,6 +940,7 @@ SatImage.prototype.setActive = function(active) {
       self._scroll(e);
     };
     document.getElementsByTagName('BODY')[0].onresize = function() {
+      self._resizeCanvases();
       self.setScale(self.scale);
       self.redraw();
     };
@@ -387,11 +970,27 @@ SatImage.prototype.setActive = function(active) {
       };
     }
 
+    if (document.getElementById('fit_btn')) {
+      document.getElementById('fit_btn').onclick = function() {
+        self.setScale(1.0);
+        self._viewChanged();
+      };
+    }
+
+    if (document.getElementById('actual_size_btn')) {
+      document.getElementById('actual_size_btn').onclick = function() {
+        self.zoomToActualSize();
+        self._viewChanged();
+      };
+    }
+
     if (endBtn.length) {
       // if the end button exists (we have a sequence) then hook it up
       endBtn.click(function() {
         if (self.selectedLabel) {
+          self.sat.history.begin(self);
           self.selectedLabel.parent.endTrack(self.selectedLabel);
+          self.commitEdit('end track');
           self.redrawLabelCanvas();
           self.redrawHiddenCanvas();
         }
@@ -399,11 +998,15 @@ SatImage.prototype.setActive = function(active) {
     }
     if (deleteBtn.length) {
       deleteBtn.click(function() {
-        if (self.selectedLabel) {
+        if (self.hasGroup() && !self.sat.reviewMode) {
+          self.deleteLabels(self.selectedGroup.slice());
+        } else if (self.selectedLabel && !self.sat.reviewMode) {
+          self.sat.history.begin(self);
           self.deleteLabel(self.selectedLabel);
           self.deselectAll();
           self.redrawLabelCanvas();
           self.redrawHiddenCanvas();
+          self.commitEdit();
         }
       });
     }
@@ -417,7 +1020,9 @@ SatImage.prototype.setActive = function(active) {
         $('#custom_attribute_' + attributeName).on(
             'switchChange.bootstrapSwitch', function(e) {
               e.preventDefault();
+              self.sat.history.begin(self);
               self._attributeSwitch(i);
+              self.commitEdit('change attribute');
               self.redrawLabelCanvas();
               self.redrawHiddenCanvas();
             });
@@ -426,7 +1031,9 @@ SatImage.prototype.setActive = function(active) {
           $('#custom_attributeselector_' + i + '-' + j).on('click',
               function(e) {
                 e.preventDefault();
+                self.sat.history.begin(self);
                 self._attributeListSelect(i, j);
+                self.commitEdit('change attribute');
                 self.redrawLabelCanvas();
                 self.redrawHiddenCanvas();
               });
@@ -529,7 +1136,7 @@ SatImage.prototype._nextHandler = function() {
 SatImage.prototype._incHandler = function() {
   let self = this;
   self.setScale(self.scale * self.SCALE_RATIO);
-  self.redraw();
+  self._viewChanged();
 };
 
 /**
@@ -538,7 +1145,7 @@ SatImage.prototype._incHandler = function() {
 SatImage.prototype._decHandler = function() {
   let self = this;
   self.setScale(self.scale / self.SCALE_RATIO);
-  self.redraw();
+  self._viewChanged();
 };
 
 /**
@@ -559,12 +1166,26 @@ SatImage.prototype.redrawImageCanvas = function() {
   // update the padding box
   self.padBox = self._getPadding();
   // draw stuff
-  self.imageCtx.clearRect(0, 0, self.padBox.w,
-      self.padBox.h);
-  self.imageCtx.drawImage(self.image, 0, 0, self.image.width, self.image.height,
+  self.imageCtx.clearRect(0, 0, self.imageCanvas.width,
+      self.imageCanvas.height);
+  // show the pixels of the image when it is zoomed in past 1:1
+  self.imageCtx.imageSmoothingEnabled = self.displayToImageRatio < 1;
+  self.imageCtx.drawImage(self.getDisplayImage(), 0, 0, self.image.width,
+      self.image.height,
       self.padBox.x, self.padBox.y, self.padBox.w, self.padBox.h);
 };
 
+/**
+ * Get the image as it is shown, with the display adjustments of the session.
+ * @return {CanvasImageSource} the image to draw
+ */
+SatImage.prototype.getDisplayImage = function() {
+  if (this.sat.imageAdjustments) {
+    return this.sat.imageAdjustments.render(this);
+  }
+  return this.image;
+};
+
 /**
  * Redraw the label canvas.
  */
@@ -575,14 +1196,60 @@ SatImage.prototype.redrawLabelCanvas = function() {
   if (self.selectedLabel && !self.selectedLabel.valid) {
     self.selectedLabel = null;
   }
-  self.labelCtx.clearRect(0, 0,
-      (2 * self.padBox.x + self.imageCanvas.width) * UP_RES_RATIO,
-      (2 * self.padBox.y + self.imageCanvas.height) * UP_RES_RATIO);
+  self.labelCtx.clearRect(0, 0, self.labelCanvas.width,
+      self.labelCanvas.height);
   for (let label of self.labels) {
-    if (label.valid) {
+    if (label.valid && self.isLabelVisible(label)) {
       label.redrawLabelCanvas(self.labelCtx, self.hoveredLabel);
     }
   }
+  if (self.rubberBand) {
+    self._drawRubberBand();
+  }
+  if (self.active && self.sat.minimap) {
+    self.sat.minimap.redraw();
+  }
+  if (self.active && self.sat.inspector) {
+    self.sat.inspector.refresh();
+  }
+};
+
+/**
+ * Check whether a label is shown by the visibility layers.
+ * @param {ImageLabel} label: the label
+ * @return {boolean} whether the label is drawn and can be picked
+ */
+SatImage.prototype.isLabelVisible = function(label) {
+  if (!this.sat.layers) {
+    return true;
+  }
+  return this.sat.layers.isVisible(label, this.selectedLabel);
+};
+
+/**
+ * Check whether a shape of the hidden map can be picked. Shapes of hidden
+ * labels can't, unless a shown label shares them.
+ * @param {Shape} shape: the shape
+ * @param {[ImageLabel]} hiddenLabels: the labels hidden by the layers
+ * @return {boolean} whether the shape is drawn on the hidden canvas
+ */
+SatImage.prototype._isShapePickable = function(shape, hiddenLabels) {
+  if (!hiddenLabels.some((label) => label.selectedBy(shape))) {
+    return true;
+  }
+  return this.labels.some((label) => label.valid &&
+      hiddenLabels.indexOf(label) < 0 && label.selectedBy(shape));
+};
+
+/**
+ * Redraw after the visibility layers changed.
+ */
+SatImage.prototype.layersChanged = function() {
+  if (this.hoveredLabel && !this.isLabelVisible(this.hoveredLabel)) {
+    this.hoveredLabel = null;
+  }
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
 };
 
 /**
@@ -592,10 +1259,16 @@ SatImage.prototype.redrawHiddenCanvas = function() {
   let self = this;
 
   self.padBox = self._getPadding();
-  self.hiddenCtx.clearRect(0, 0, (self.padBox.x + self.padBox.w) * UP_RES_RATIO,
-      (self.padBox.y + self.padBox.h) * UP_RES_RATIO);
+  self.hiddenCtx.clearRect(0, 0, self.hiddenCanvas.width,
+      self.hiddenCanvas.height);
+  let hiddenLabels = self.labels.filter(
+      (label) => label.valid && !self.isLabelVisible(label));
   for (let i = 0; i < self._hiddenMap.list.length; i++) {
     let shape = self._hiddenMap.get(i);
+    if (hiddenLabels.length > 0 &&
+        !self._isShapePickable(shape, hiddenLabels)) {
+      continue;
+    }
     shape.drawHidden(self.hiddenCtx, self, hiddenStyleColor(i));
   }
 };
@@ -606,7 +1279,8 @@ SatImage.prototype.redrawHiddenCanvas = function() {
 SatImage.prototype.showHiddenCanvas = function() {
   let self = this;
   self.padBox = self._getPadding();
-  self.labelCtx.clearRect(0, 0, self.padBox.w, self.padBox.h);
+  self.labelCtx.clearRect(0, 0, self.labelCanvas.width,
+      self.labelCanvas.height);
   for (let i = 0; i < self._hiddenMap.list.length; i++) {
     let shape = self._hiddenMap.get(i);
     shape.drawHidden(self.labelCtx, self, rgb(pickColorPalette(i)));
@@ -633,32 +1307,54 @@ SatImage.prototype.shapesValid = function() {
  */
 SatImage.prototype._keydown = function(e) {
   let self = this;
+  let keymap = self.sat.keymap;
+  if (self._viewKeydown(e)) {
+    return;
+  }
+  if (self.sat.reviewMode) {
+    self._reviewKeydown(e);
+    return;
+  }
+  if (keymap.matches(e, 'undo') || keymap.matches(e, 'redo')) {
+    e.preventDefault();
+    if (keymap.matches(e, 'redo')) {
+      self.sat.redo();
+    } else {
+      self.sat.undo();
+    }
+    return;
+  }
+
+  self.sat.history.begin(self);
   // class-specific handling of keydown event
   if (self.selectedLabel) {
     self.selectedLabel.keydown(e);
   }
 
-  let keyID = e.KeyCode ? e.KeyCode : e.which;
-  self._keyDownMap[keyID] = true;
-  if (keyID === 27) { // Esc
-    // deselect
+  if (keyName(e) === 'Ctrl') {
+    self.ctrlDown = true;
+  }
+  let action = keymap.actionFor(e, 'image');
+  if (action === 'deselect') {
     self.deselectAll();
-  } else if (keyID === 46 || keyID === 8) { // Delete or Backspace
-    if (self.selectedLabel) {
+  } else if (action === 'delete_label') {
+    if (self.hasGroup()) {
+      self.deleteLabels(self.selectedGroup.slice());
+    } else if (self.selectedLabel) {
       self.deleteLabel(self.selectedLabel);
       self.deselectAll();
     }
-  } else if (keyID === 37) { // Left/Right Arrow
+  } else if (action === 'previous_item') {
     e.preventDefault();
+    self.commitEdit();
     self._prevHandler();
     return;
-  } else if (keyID === 39) { // Left/Right Arrow
+  } else if (action === 'next_item') {
     e.preventDefault();
+    self.commitEdit();
     self._nextHandler();
     return;
-  } else if (keyID === 17) { // Ctrl
-    self.ctrlDown = true;
-  } else if (keyID === 38) { // up key
+  } else if (action === 'bring_forward') {
     if (this.selectedLabel) {
       e.preventDefault();
       let index = this.labels.indexOf(this.selectedLabel);
@@ -667,7 +1363,7 @@ SatImage.prototype._keydown = function(e) {
         this.labels[index + 1] = this.selectedLabel;
       }
     }
-  } else if (keyID === 40) { // down key
+  } else if (action === 'send_backward') {
     if (this.selectedLabel) {
       e.preventDefault();
       let index = this.labels.indexOf(this.selectedLabel);
@@ -676,7 +1372,7 @@ SatImage.prototype._keydown = function(e) {
         this.labels[index - 1] = this.selectedLabel;
       }
     }
-  } else if (keyID === 70) { // f for front
+  } else if (action === 'bring_to_front') {
     if (this.selectedLabel) {
       let index = this.labels.indexOf(this.selectedLabel);
       if (index < this.labels.length - 1) {
@@ -684,7 +1380,7 @@ SatImage.prototype._keydown = function(e) {
         this.labels.push(this.selectedLabel);
       }
     }
-  } else if (keyID === 66) { // b for back
+  } else if (action === 'send_to_back') {
     if (this.selectedLabel) {
       let index = this.labels.indexOf(this.selectedLabel);
       if (index > 0) {
@@ -692,53 +1388,118 @@ SatImage.prototype._keydown = function(e) {
         this.labels.unshift(this.selectedLabel);
       }
     }
-  } else if (keyID === 72) { // h for hiding all labels
+  } else if (action in NUDGE_ACTIONS) {
+    e.preventDefault();
+    self.nudgeSelection(...NUDGE_ACTIONS[action]);
+  } else if (action === 'toggle_labels') {
     if (this.labelCanvas.style.visibility === 'visible') {
       this.labelCanvas.style.visibility = 'hidden';
     } else {
       this.labelCanvas.style.visibility = 'visible';
     }
-  } else if (keyID === 187) {
-    this._incHandler();
-    return;
-  } else if (keyID === 189) {
-    this._decHandler();
-    return;
   }
   this.redrawLabelCanvas();
   this.redrawHiddenCanvas();
   self.updateLabelCount();
-  if (keyID === 220) { // backslash for showing hidden canvas (debug)
+  self.commitEdit();
+  if (action === 'show_hidden_canvas') {
     self.showHiddenCanvas();
   }
 };
 
+/**
+ * Key down handler of the actions that change the view, which are available
+ * while drawing and in review mode.
+ * @param {KeyboardEvent} e: the event
+ * @return {boolean} whether the key was a view action
+ */
+SatImage.prototype._viewKeydown = function(e) {
+  if (this.sat.imageAdjustments && this.sat.imageAdjustments.keydown(e)) {
+    return true;
+  }
+  if (this.sat.layers && this.sat.layers.keydown(e)) {
+    return true;
+  }
+  let action = this.sat.keymap.actionFor(e, 'image');
+  if (VIEW_ACTIONS.indexOf(action) < 0) {
+    return false;
+  }
+  e.preventDefault();
+  if (action === 'zoom_in') {
+    this._incHandler();
+  } else if (action === 'zoom_out') {
+    this._decHandler();
+  } else if (action === 'fit_to_window') {
+    this.setScale(1.0);
+    this._viewChanged();
+  } else if (action === 'actual_size') {
+    this.zoomToActualSize();
+    this._viewChanged();
+  } else if (action === 'pan' && !this.panStart) {
+    this.labelCanvas.style.cursor = 'grab';
+  }
+  return true;
+};
+
+/**
+ * Key down handler of review mode, where labels can't be edited.
+ * @param {KeyboardEvent} e: the event
+ */
+SatImage.prototype._reviewKeydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'image');
+  if (REVIEW_ACTIONS.indexOf(action) < 0) {
+    return;
+  }
+  if (action === 'deselect') {
+    this.deselectAll();
+  } else if (action === 'previous_item') {
+    e.preventDefault();
+    this._prevHandler();
+  } else if (action === 'next_item') {
+    e.preventDefault();
+    this._nextHandler();
+  } else if (action === 'toggle_labels') {
+    this.labelCanvas.style.visibility =
+        this.labelCanvas.style.visibility === 'visible' ? 'hidden' : 'visible';
+  }
+};
+
 SatImage.prototype._keyup = function(e) {
   let self = this;
-  let keyID = e.KeyCode ? e.KeyCode : e.which;
-  delete self._keyDownMap[keyID];
   if (self.selectedLabel) {
     self.selectedLabel.keyup(e);
   }
-  if (keyID === 17) { // Ctrl
+  if (keyName(e) === 'Ctrl') {
     self.ctrlDown = false;
   }
+  if (self.sat.keymap.actionFor(e, 'image') === 'pan' && !self.panStart) {
+    self.labelCanvas.style.cursor = self.sat.LabelType.defaultCursorStyle;
+  }
 };
 
-SatImage.prototype.isDown = function(c) {
-  return this._keyDownMap[c.charCodeAt()];
+/**
+ * Check whether the key of a keyboard action is held down.
+ * @param {string} action: id of the action
+ * @return {boolean} whether the key is down
+ */
+SatImage.prototype.isDown = function(action) {
+  return this.sat.keymap.isHeld(action);
 };
 
-SatImage.prototype.anyKeyDown = function(keys) {
-  for (let key of keys) {
-    if (this.isDown(key)) {
+/**
+ * Check whether the key of any of the keyboard actions is held down.
+ * @param {[string]} actions: ids of the actions
+ * @return {boolean} whether one of the keys is down
+ */
+SatImage.prototype.anyKeyDown = function(actions) {
+  for (let action of actions) {
+    if (this.isDown(action)) {
       return true;
     }
   }
   return false;
 };
 
-
 /**
  * Called when this SatImage is active and the mouse is clicked.
  * @param {object} e: mouse event
@@ -748,17 +1509,44 @@ SatImage.prototype._mousedown = function(e) {
   if (e.offsetX > e.target.clientWidth || e.offsetY > e.target.clientHeight) {
     return;
   }
+  let self = this;
+  // middle drag, or left drag with the pan key held, pans the image
+  if ((e.which === 2 || (e.which === 1 && self.isDown('pan')))
+      && self._isWithinFrame(e)) {
+    e.preventDefault();
+    self._startPan(e);
+    return;
+  }
   // only applies to left click
   if (e.which !== 1) {
     return;
   }
 
-  let self = this;
   if (!self._isWithinFrame(e)) {
     return;
   }
-  self.isMouseDown = true;
+  self._flushHiddenCanvas();
   let mousePos = self.getMousePos(e);
+  if (self.sat.reviewMode) {
+    // labels are only selected for review
+    let occupiedLabel = self.getLabelOfShape(self.getOccupiedShape(mousePos));
+    if (occupiedLabel) {
+      self.selectLabel(occupiedLabel);
+    } else {
+      self.deselectAll();
+    }
+    self.redrawLabelCanvas();
+    return;
+  }
+  // a label being drawn keeps the mouse
+  if (self.sat.LabelType.useGroupSelection &&
+      self.isDown('add_to_selection') &&
+      !(self.selectedLabel && self.selectedLabel.isEditing())) {
+    self._groupMousedown(mousePos);
+    return;
+  }
+  self.isMouseDown = true;
+  self.sat.history.begin(self);
   if (this.sat.LabelType.useDoubleClick) {
     // if using double click, label created at mouseup
     if (self.selectedLabel) {
@@ -769,7 +1557,14 @@ SatImage.prototype._mousedown = function(e) {
     // else, label created at mousedown
     let occupiedShape = self.getOccupiedShape(mousePos);
     let occupiedLabel = self.getLabelOfShape(occupiedShape);
-    if (occupiedLabel) {
+    if (occupiedLabel && self.selectedGroup.indexOf(occupiedLabel) >= 0) {
+      // drag the selected labels together
+      self.selectedLabel = occupiedLabel;
+      self.groupStart = new Map(self.selectedGroup.map(
+          (label) => [label, label.getBounds()]));
+      self.selectedLabel.setSelectedShape(occupiedShape);
+      self.selectedLabel.mousedown(e);
+    } else if (occupiedLabel) {
       self.selectLabel(occupiedLabel);
       self.selectedLabel.setSelectedShape(occupiedShape);
       self.selectedLabel.mousedown(e);
@@ -793,9 +1588,10 @@ SatImage.prototype._mousedown = function(e) {
  */
 SatImage.prototype._doubleclick = function(e) {
   let self = this;
-  if (!self._isWithinFrame(e)) {
+  if (self.sat.reviewMode || !self._isWithinFrame(e)) {
     return;
   }
+  self._flushHiddenCanvas();
   if (self.selectedLabel) {
     self.selectedLabel.doubleclick(e);
   } else {
@@ -841,11 +1637,25 @@ SatImage.prototype._mousemove = function(e) {
   if (this.sat.LabelType.useCrossHair) {
     this.drawCrossHair(e);
   }
+  if (this.panStart) {
+    this._pan(e);
+    return;
+  }
+  if (this.rubberBand) {
+    let mousePos = this.getMousePos(e);
+    this.rubberBand.w = mousePos.x - this.rubberBand.x;
+    this.rubberBand.h = mousePos.y - this.rubberBand.y;
+    this.redrawLabelCanvas();
+    return;
+  }
   if (this._isWithinFrame(e)) {
     let mousePos = this.getMousePos(e);
     // label specific handling of mousemove
-    if (this.selectedLabel) {
+    if (this.selectedLabel && !this.sat.reviewMode) {
       this.selectedLabel.mousemove(e);
+      if (this.groupStart && this.isMouseDown) {
+        this._dragGroup();
+      }
     }
 
     // hover effect
@@ -878,48 +1688,93 @@ SatImage.prototype._mousemove = function(e) {
 };
 
 /**
- * Called when this SatImage is active and the mouse is moved.
- * @param {object} e: mouse event
+ * Called when this SatImage is active and the mouse wheel is turned. The
+ * wheel pans the image; with Ctrl held, or on a pinch of the touchpad, it
+ * zooms around the mouse.
+ * @param {object} e: wheel event
  */
 SatImage.prototype._scroll = function(e) {
   let self = this;
-  if (self.ctrlDown) { // control for zoom
-    e.preventDefault();
-    if (self.scrollTimer !== null) {
-      clearTimeout(self.scrollTimer);
-    }
+  e.preventDefault();
+  // wheels scrolling by lines report the number of lines
+  let step = e.deltaMode === 1 ? 16 : 1;
+  if (self.ctrlDown || e.ctrlKey) {
+    let rect = self.imageCanvas.getBoundingClientRect();
+    let anchor = {x: e.clientX - rect.x, y: e.clientY - rect.y};
     if (e.deltaY < 0) {
-      self.setScale(self.scale * self.SCALE_RATIO);
+      self.setScale(self.scale * self.SCALE_RATIO, anchor);
     } else if (e.deltaY > 0) {
-      self.setScale(self.scale / self.SCALE_RATIO);
+      self.setScale(self.scale / self.SCALE_RATIO, anchor);
     }
-    self.redrawImageCanvas();
-    self.redrawLabelCanvas();
-    self.scrollTimer = setTimeout(function() {
-      self.redrawHiddenCanvas();
-    }, 150);
-    return;
+  } else {
+    self.viewOffset.x -= e.deltaX * step;
+    self.viewOffset.y -= e.deltaY * step;
+    self._clampView();
   }
+  self._viewChanged();
   if (self.sat.LabelType.useCrossHair) {
     self.drawCrossHair(e);
   }
 };
 
+/**
+ * Start panning the image with the mouse.
+ * @param {object} e: mouse event
+ */
+SatImage.prototype._startPan = function(e) {
+  this.panStart = {
+    clientX: e.clientX,
+    clientY: e.clientY,
+    x: this.viewOffset.x,
+    y: this.viewOffset.y,
+  };
+  this.labelCanvas.style.cursor = 'grabbing';
+};
+
+/**
+ * Move the image with the mouse while panning.
+ * @param {object} e: mouse event
+ */
+SatImage.prototype._pan = function(e) {
+  this.viewOffset.x = this.panStart.x + e.clientX - this.panStart.clientX;
+  this.viewOffset.y = this.panStart.y + e.clientY - this.panStart.clientY;
+  this._clampView();
+  this._viewChanged();
+};
+
 /**
  * Called when this SatImage is active and the mouse is released.
  * @param {object} e: mouse event (unused)
  */
 SatImage.prototype._mouseup = function(e) {
-  if (e.offsetX > e.target.clientWidth || e.offsetY > e.target.clientHeight) {
+  if (this.panStart) {
+    this.panStart = null;
+    this.labelCanvas.style.cursor = this.isDown('pan') ?
+        'grab' : this.sat.LabelType.defaultCursorStyle;
+    return;
+  }
+  if (this.groupSelecting) {
+    this.groupSelecting = false;
+    if (this.rubberBand) {
+      this._selectInRubberBand();
+    }
+    return;
+  }
+  // the release of a press on the image is handled wherever it happens,
+  // since the listener is on the document
+  if (!this.isMouseDown && (e.offsetX > e.target.clientWidth ||
+      e.offsetY > e.target.clientHeight)) {
     return;
   }
   // only applies to left click
-  if (e.which !== 1) {
+  if (e.which !== 1 || this.sat.reviewMode) {
+    this._endMouseEdit();
     return;
   }
 
   let self = this;
   if (!self._isWithinFrame(e)) {
+    self._endMouseEdit();
     return;
   }
 
@@ -927,6 +1782,8 @@ SatImage.prototype._mouseup = function(e) {
     if (!self.selectedLabel && self.isMouseDown) {
       setTimeout(function() {
         if (!self.selectedLabel) {
+          // the new label is committed to the history once it is drawn
+          self.sat.history.begin(self);
           self.catSel = document.getElementById('category_select');
           let cat = self.catSel.options[self.catSel.selectedIndex].innerHTML;
           let mousePos = self.getMousePos(e);
@@ -936,6 +1793,7 @@ SatImage.prototype._mouseup = function(e) {
                 categoryPath: cat, attributes: attributes, mousePos: mousePos,
               }),
           );
+          self.commitEdit();
         }
       }, DOUBLE_CLICK_WAIT_TIME);
     } else if (self.selectedLabel) {
@@ -946,6 +1804,11 @@ SatImage.prototype._mouseup = function(e) {
       self.selectedLabel.mouseup(e);
     }
   }
+  self.groupStart = null;
+  if (self.hasGroup()) {
+    // the dragged label only kept its own shapes on the hidden map
+    self.resetHiddenMapToDefault();
+  }
   if (!self.selectedLabel && self.sat.tracks) {
     self.deselectAll();
   }
@@ -953,6 +1816,18 @@ SatImage.prototype._mouseup = function(e) {
   self.redrawHiddenCanvas();
   self.updateLabelCount();
   self.isMouseDown = false;
+  self.commitEdit();
+};
+
+/**
+ * Close the edit begun when the mouse was pressed on the image, if the
+ * release does not go on to edit the labels.
+ */
+SatImage.prototype._endMouseEdit = function() {
+  if (this.isMouseDown) {
+    this.isMouseDown = false;
+    this.commitEdit();
+  }
 };
 
 /**
@@ -1001,31 +1876,17 @@ SatImage.prototype.getMousePos = function(e) {
 };
 
 /**
- * Get the padding for the image given its size and canvas size.
- * @return {object}: padding box (x,y,w,h)
+ * Get the box of the image in the canvas under the current view.
+ * @return {object}: image box (x,y,w,h) in display pixels
  */
 SatImage.prototype._getPadding = function() {
-  // which dim is bigger compared to canvas
-  let xRatio = this.image.width / this.imageCanvas.width;
-  let yRatio = this.image.height / this.imageCanvas.height;
-  // use ratios to determine how to pad
-  let box = {x: 0, y: 0, w: 0, h: 0};
-  if (xRatio >= yRatio) {
-    this.displayToImageRatio = this.imageCanvas.width / this.image.width;
-    box.x = 0;
-    box.y = 0.5 * (this.imageCanvas.height -
-        this.image.height * this.displayToImageRatio);
-    box.w = this.imageCanvas.width;
-    box.h = this.imageCanvas.height - 2 * box.y;
-  } else {
-    this.displayToImageRatio = this.imageCanvas.height / this.image.height;
-    box.x = 0.5 * (this.imageCanvas.width -
-        this.image.width * this.displayToImageRatio);
-    box.y = 0;
-    box.w = this.imageCanvas.width - 2 * box.x;
-    box.h = this.imageCanvas.height;
-  }
-  return box;
+  this.displayToImageRatio = this._getFitRatio() * this.scale;
+  return {
+    x: this.viewOffset.x,
+    y: this.viewOffset.y,
+    w: this.image.width * this.displayToImageRatio,
+    h: this.image.height * this.displayToImageRatio,
+  };
 };
 
 /**
@@ -1107,9 +1968,13 @@ SatImage.prototype.pushToHiddenMap = function(shapes) {
 SatImage.prototype._changeSelectedLabelCategory = function() {
   let self = this;
   if (self.selectedLabel) {
+    self.sat.history.begin(self);
     self.catSel = document.getElementById('category_select');
     let option = self.catSel.options[self.catSel.selectedIndex].innerHTML;
-    self.selectedLabel.setCategoryPath(option);
+    for (let label of self.getSelectedLabels()) {
+      label.setCategoryPath(option);
+    }
+    self.commitEdit('change category');
     self.redrawLabelCanvas();
   }
 };
@@ -1120,15 +1985,14 @@ SatImage.prototype._changeSelectedLabelCategory = function() {
  */
 SatImage.prototype._attributeSwitch = function(attributeIndex) {
   let attributeName = this.sat.attributes[attributeIndex].name;
-  if (this.selectedLabel) {
-    let checked = $('#custom_attribute_' + attributeName).prop('checked');
-    if (this.selectedLabel.parent) {
-      this.selectedLabel.parent.childAttributeChanged(
-          attributeName, checked, this.selectedLabel.id);
+  let checked = $('#custom_attribute_' + attributeName).prop('checked');
+  for (let label of this.getSelectedLabels()) {
+    if (label.parent) {
+      label.parent.childAttributeChanged(attributeName, checked, label.id);
     }
-    this.selectedLabel.attributes = {...this.selectedLabel.attributes};
-    this.selectedLabel.attributeframe = true;
-    this.selectedLabel.attributes[attributeName] = checked;
+    label.attributes = {...label.attributes};
+    label.attributeframe = true;
+    label.attributes[attributeName] = checked;
   }
 };
 
@@ -1142,18 +2006,17 @@ SatImage.prototype._attributeListSelect = function(
     attributeIndex,
     selectedIndex) {
   let attributeName = this.sat.attributes[attributeIndex].name;
-  if (this.selectedLabel) {
-    // store both the index and the value in order to prevent another loop
-    //   during tag drawing
-    let value = this.sat.attributes[attributeIndex].values[selectedIndex];
-    if (this.selectedLabel.parent) {
-      this.selectedLabel.parent.childAttributeChanged(attributeName,
-        [selectedIndex, value], this.selectedLabel.id);
+  // store both the index and the value in order to prevent another loop
+  //   during tag drawing
+  let value = this.sat.attributes[attributeIndex].values[selectedIndex];
+  for (let label of this.getSelectedLabels()) {
+    if (label.parent) {
+      label.parent.childAttributeChanged(attributeName,
+        [selectedIndex, value], label.id);
     }
-    this.selectedLabel.attributes = {...this.selectedLabel.attributes};
-    this.selectedLabel.attributeframe = true;
-    this.selectedLabel.attributes[attributeName] =
-        [selectedIndex, value];
+    label.attributes = {...label.attributes};
+    label.attributeframe = true;
+    label.attributes[attributeName] = [selectedIndex, value];
   }
 };
 
@@ -1249,6 +2112,15 @@ ImageLabel.prototype.deleteAllShapes = function() {
   // specific to each class
 };
 
+/**
+ * Whether this label is in the middle of an edit, e.g. being drawn or
+ * dragged. The undo history waits for the edit to finish.
+ * @return {boolean}
+ */
+ImageLabel.prototype.isEditing = function() {
+  return false;
+};
+
 ImageLabel.prototype.fromJsonPointers = function(json) {
   let self = this;
   self.decodeBaseJsonPointers(json);
@@ -1437,3 +2309,39 @@ ImageLabel.prototype.keydown = function(e) { // eslint-disable-line
 ImageLabel.prototype.keyup = function(e) { // eslint-disable-line
 
 };
+
+/**
+ * Get the box around the label.
+ * @return {object} - The box (x, y, w, h) in image coordinates, null if the
+ *   label has no shape.
+ */
+ImageLabel.prototype.getBounds = function() {
+  return null;
+};
+
+/**
+ * Move and resize the label to fit a box, for the labels that support
+ * selecting several labels together.
+ * @param {object} ignoredBounds - The box (x, y, w, h) in image coordinates.
+ */
+ImageLabel.prototype.setBounds = function(ignoredBounds) {
+};
+
+/**
+ * Move the selected shape of the label by a few pixels from the keyboard.
+ * @param {number} ignoredDx - The move along x.
+ * @param {number} ignoredDy - The move along y.
+ */
+ImageLabel.prototype.nudge = function(ignoredDx, ignoredDy) {
+};
+
+/**
+ * Draw the outline of the label in an overview of the image, such as the
+ * minimap.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones,
+ *   like a SatImage.
+ */
+ImageLabel.prototype.drawOutline = function(ctx, view) { // eslint-disable-line
+
+};
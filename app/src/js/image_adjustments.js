@@ -0,0 +1,301 @@
+/**
+ * Display adjustments of the images, for frames too dark or too flat to
+ * label. The adjustments only change how an image is drawn on the image
+ * canvas; the image itself is never changed. They are kept for the whole
+ * session, so every item of the task is shown the same way.
+ */
+
+// keyboard actions of the adjustments, in the scope of the image items
+const ADJUSTMENT_HOTKEYS = [
+  {id: 'brightness_up', keys: [']'], description: 'Increase brightness'},
+  {id: 'brightness_down', keys: ['['], description: 'Decrease brightness'},
+  {id: 'contrast_up', keys: ['Shift+]'], description: 'Increase contrast'},
+  {id: 'contrast_down', keys: ['Shift+['], description: 'Decrease contrast'},
+  {id: 'gamma_up', keys: ['\''], description: 'Increase gamma'},
+  {id: 'gamma_down', keys: [';'], description: 'Decrease gamma'},
+  {id: 'toggle_equalize', keys: ['q'], description: 'Toggle equalization'},
+  {id: 'toggle_grayscale', keys: ['y'], description: 'Toggle grayscale'},
+  {id: 'reset_adjustments', keys: ['`'], description: 'Reset adjustments'},
+];
+
+const BRIGHTNESS_STEP = 10;
+const CONTRAST_STEP = 10;
+const GAMMA_RATIO = 1.1;
+const MIN_GAMMA = 0.2;
+const MAX_GAMMA = 5.0;
+// bins of the histogram are clipped at this multiple of the mean bin, which
+// keeps the equalization from amplifying the noise of dark frames
+const EQUALIZATION_CLIP_LIMIT = 4.0;
+
+/**
+ * Make the adjustments that leave an image unchanged.
+ * @param {object} params: adjustments to change
+ * @return {object} the adjustments, with brightness and contrast in
+ *   [-100, 100], the gamma and whether to equalize the histogram and to
+ *   show the image in grayscale
+ */
+export function makeAdjustments(params = {}) {
+  return {
+    brightness: 0,
+    contrast: 0,
+    gamma: 1.0,
+    equalize: false,
+    grayscale: false,
+    ...params,
+  };
+}
+
+/**
+ * Check whether adjustments leave an image unchanged.
+ * @param {object} adjustments: the adjustments
+ * @return {boolean} whether the image can be drawn as it is
+ */
+export function isIdentity(adjustments) {
+  return adjustments.brightness === 0 && adjustments.contrast === 0 &&
+      adjustments.gamma === 1.0 && !adjustments.equalize &&
+      !adjustments.grayscale;
+}
+
+/**
+ * Get the luminance of a pixel.
+ * @param {Uint8ClampedArray} data: RGBA pixels
+ * @param {number} i: index of the red channel of the pixel
+ * @return {number} the luminance in [0, 255]
+ */
+function luminance(data, i) {
+  return Math.round(
+      0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+}
+
+/**
+ * Compute the contrast limited equalization of the luminance histogram.
+ * @param {Uint8ClampedArray} data: RGBA pixels of the image
+ * @param {number} clipLimit: highest count of a bin, relative to the mean
+ * @return {Uint8ClampedArray} the intensity of each input intensity
+ */
+export function equalizationTable(data,
+                                  clipLimit = EQUALIZATION_CLIP_LIMIT) {
+  let histogram = new Array(256).fill(0);
+  let total = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[luminance(data, i)]++;
+  }
+  // spread the counts above the limit over all the bins
+  let limit = clipLimit * total / 256;
+  let excess = 0;
+  for (let v = 0; v < 256; v++) {
+    if (histogram[v] > limit) {
+      excess += histogram[v] - limit;
+      histogram[v] = limit;
+    }
+  }
+  let table = new Uint8ClampedArray(256);
+  let cdf = 0;
+  let first = -1;
+  for (let v = 0; v < 256; v++) {
+    cdf += histogram[v] + excess / 256;
+    if (first < 0 && histogram[v] > 0) {
+      first = cdf;
+    }
+    table[v] = first < 0 || total === first ? v :
+        Math.round((cdf - first) / (total - first) * 255);
+  }
+  return table;
+}
+
+/**
+ * Compute the intensity of each input intensity under the adjustments.
+ * @param {object} adjustments: the adjustments
+ * @param {Uint8ClampedArray} equalization: equalization of the image,
+ *   applied before the other adjustments if they equalize
+ * @return {Uint8ClampedArray} the lookup table
+ */
+export function makeLookupTable(adjustments, equalization = null) {
+  // contrast of 100 would make a step function
+  let contrast = Math.min(adjustments.contrast, 99);
+  let factor = (100 + contrast) / (100 - contrast);
+  let table = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    let x = adjustments.equalize && equalization ? equalization[v] : v;
+    x = (x / 255 - 0.5) * factor + 0.5 + adjustments.brightness / 100;
+    x = Math.pow(Math.min(Math.max(x, 0), 1), 1 / adjustments.gamma);
+    table[v] = Math.round(x * 255);
+  }
+  return table;
+}
+
+/**
+ * Adjust RGBA pixels in place.
+ * @param {Uint8ClampedArray} data: the pixels
+ * @param {object} adjustments: the adjustments
+ * @param {Uint8ClampedArray} equalization: equalization of the image
+ */
+export function adjustPixels(data, adjustments, equalization = null) {
+  let table = makeLookupTable(adjustments, equalization);
+  for (let i = 0; i < data.length; i += 4) {
+    if (adjustments.grayscale) {
+      let value = table[luminance(data, i)];
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+    } else {
+      data[i] = table[data[i]];
+      data[i + 1] = table[data[i + 1]];
+      data[i + 2] = table[data[i + 2]];
+    }
+  }
+}
+
+/**
+ * Adjustments of the session with their toolbar and hotkeys. The adjusted
+ * copy of the image in view is kept until the image or the adjustments
+ * change.
+ * @param {Sat} sat: the labeling session
+ */
+export function ImageAdjustments(sat) {
+  let self = this;
+  self.sat = sat;
+  self.adjustments = makeAdjustments();
+  // adjusted copy of an image: {item, key, canvas, equalization}
+  self.cache = null;
+  sat.keymap.register('image', ADJUSTMENT_HOTKEYS, 'Image');
+
+  self.panel = document.getElementById('adjust_window');
+  if (!self.panel) {
+    return;
+  }
+  document.getElementById('adjust_btn').onclick = function(e) {
+    e.preventDefault();
+    self.panel.style.display =
+        self.panel.style.display === 'block' ? 'none' : 'block';
+  };
+  for (let field of ['brightness', 'contrast', 'gamma']) {
+    document.getElementById('adjust_' + field).oninput = function() {
+      self.set({[field]: parseFloat(this.value)});
+    };
+  }
+  for (let field of ['equalize', 'grayscale']) {
+    document.getElementById('adjust_' + field).onchange = function() {
+      self.set({[field]: this.checked});
+    };
+  }
+  document.getElementById('adjust_reset_btn').onclick = function(e) {
+    e.preventDefault();
+    self.set(makeAdjustments());
+  };
+  self.refresh();
+}
+
+/**
+ * Change the adjustments and redraw the image in view.
+ * @param {object} params: the adjustments to change
+ */
+ImageAdjustments.prototype.set = function(params) {
+  let adjustments = makeAdjustments({...this.adjustments, ...params});
+  adjustments.brightness = Math.min(Math.max(adjustments.brightness, -100),
+      100);
+  adjustments.contrast = Math.min(Math.max(adjustments.contrast, -100), 100);
+  // rounded so that stepping up and down gets back to 1
+  adjustments.gamma = Math.round(100 *
+      Math.min(Math.max(adjustments.gamma, MIN_GAMMA), MAX_GAMMA)) / 100;
+  this.adjustments = adjustments;
+  this.refresh();
+  let item = this.sat.currentItem;
+  if (item && item.active) {
+    item.redrawImageCanvas();
+    item.redrawLabelCanvas();
+  }
+};
+
+/**
+ * Handle the hotkeys of the adjustments.
+ * @param {KeyboardEvent} e: the event
+ * @return {boolean} whether the key changed the adjustments
+ */
+ImageAdjustments.prototype.keydown = function(e) {
+  let adjustments = this.adjustments;
+  let action = this.sat.keymap.actionFor(e, 'image');
+  if (action === 'brightness_up') {
+    this.set({brightness: adjustments.brightness + BRIGHTNESS_STEP});
+  } else if (action === 'brightness_down') {
+    this.set({brightness: adjustments.brightness - BRIGHTNESS_STEP});
+  } else if (action === 'contrast_up') {
+    this.set({contrast: adjustments.contrast + CONTRAST_STEP});
+  } else if (action === 'contrast_down') {
+    this.set({contrast: adjustments.contrast - CONTRAST_STEP});
+  } else if (action === 'gamma_up') {
+    this.set({gamma: adjustments.gamma * GAMMA_RATIO});
+  } else if (action === 'gamma_down') {
+    this.set({gamma: adjustments.gamma / GAMMA_RATIO});
+  } else if (action === 'toggle_equalize') {
+    this.set({equalize: !adjustments.equalize});
+  } else if (action === 'toggle_grayscale') {
+    this.set({grayscale: !adjustments.grayscale});
+  } else if (action === 'reset_adjustments') {
+    this.set(makeAdjustments());
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+};
+
+/**
+ * Show the adjustments in the toolbar.
+ */
+ImageAdjustments.prototype.refresh = function() {
+  if (!this.panel) {
+    return;
+  }
+  for (let field of ['brightness', 'contrast', 'gamma']) {
+    document.getElementById('adjust_' + field).value =
+        this.adjustments[field];
+  }
+  document.getElementById('adjust_gamma_value').textContent =
+      this.adjustments.gamma.toFixed(2);
+  for (let field of ['equalize', 'grayscale']) {
+    document.getElementById('adjust_' + field).checked =
+        this.adjustments[field];
+  }
+  document.getElementById('adjust_btn').classList.toggle('btn-info',
+      !isIdentity(this.adjustments));
+};
+
+/**
+ * Get the image of an item as it should be drawn.
+ * @param {SatImage} item: the item
+ * @return {CanvasImageSource} the adjusted copy of the image, or the image
+ *   itself if it is not adjusted
+ */
+ImageAdjustments.prototype.render = function(item) {
+  let image = item.image;
+  if (isIdentity(this.adjustments) || !image.width) {
+    return image;
+  }
+  let key = JSON.stringify(this.adjustments);
+  if (this.cache && this.cache.item === item && this.cache.key === key) {
+    return this.cache.canvas;
+  }
+  let canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  let ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  let imageData;
+  try {
+    imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  } catch (error) {
+    // images of other origins can't be read back
+    return image;
+  }
+  let equalization = this.cache && this.cache.item === item ?
+      this.cache.equalization : null;
+  if (this.adjustments.equalize && !equalization) {
+    equalization = equalizationTable(imageData.data);
+  }
+  adjustPixels(imageData.data, this.adjustments, equalization);
+  ctx.putImageData(imageData, 0, 0);
+  this.cache = {item: item, key: key, canvas: canvas,
+    equalization: equalization};
+  return canvas;
+};
@@ -0,0 +1,136 @@
+/**
+ * Inspector of the selected label: numeric fields showing its geometry,
+ * which can be typed in to place the label exactly. The item reads and
+ * writes the geometry through two callbacks, so that the same panel serves
+ * 2D boxes and 3D boxes.
+ */
+
+// geometry of 2D boxes, in image pixels
+export const BOX2D_FIELDS = [
+  {key: 'x', label: 'x', digits: 1},
+  {key: 'y', label: 'y', digits: 1},
+  {key: 'w', label: 'w', digits: 1, min: 1},
+  {key: 'h', label: 'h', digits: 1, min: 1},
+];
+
+// geometry of 3D boxes, in meters and radians
+export const BOX3D_FIELDS = [
+  {key: 'positionX', label: 'x', group: 'Position', digits: 2},
+  {key: 'positionY', label: 'y', group: 'Position', digits: 2},
+  {key: 'positionZ', label: 'z', group: 'Position', digits: 2},
+  {key: 'rotationX', label: 'x', group: 'Rotation', digits: 2},
+  {key: 'rotationY', label: 'y', group: 'Rotation', digits: 2},
+  {key: 'rotationZ', label: 'z', group: 'Rotation', digits: 2},
+  {key: 'scaleX', label: 'x', group: 'Scale', digits: 2, min: 0.01},
+  {key: 'scaleY', label: 'y', group: 'Scale', digits: 2, min: 0.01},
+  {key: 'scaleZ', label: 'z', group: 'Scale', digits: 2, min: 0.01},
+];
+
+/**
+ * Read the value typed in a field.
+ * @param {object} field: the field, with an optional minimum
+ * @param {string} text: the typed text
+ * @return {number} the value, null if the text is not a valid value
+ */
+export function parseField(field, text) {
+  text = text.trim();
+  let value = Number(text);
+  if (text === '' || !isFinite(value)) {
+    return null;
+  }
+  if ('min' in field && value < field.min) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Format a value for its field.
+ * @param {object} field: the field, with the number of digits to show
+ * @param {number} value: the value
+ * @return {string} the value, rounded and without trailing zeros
+ */
+export function formatField(field, value) {
+  return String(Number(value.toFixed(field.digits)));
+}
+
+/**
+ * Panel of numeric fields for the geometry of the selected label.
+ * @param {Sat} sat: the labeling session
+ * @param {HTMLElement} container: where to add the fields
+ * @param {[object]} fields: the fields, see BOX2D_FIELDS
+ * @param {function(): object} read: get the values of the selected label by
+ *   field key, null if there is no label to inspect
+ * @param {function(object)} write: change the selected label to the values
+ */
+export function Inspector(sat, container, fields, read, write) {
+  let self = this;
+  self.sat = sat;
+  self.fields = fields;
+  self.read = read;
+  self.write = write;
+  self.inputs = [];
+  container.innerHTML = '';
+  let group = null;
+  for (let field of fields) {
+    if (field.group && field.group !== group) {
+      group = field.group;
+      let title = document.createElement('div');
+      title.className = 'inspector_group';
+      title.textContent = group;
+      container.appendChild(title);
+    }
+    let label = document.createElement('label');
+    label.className = 'inspector_field';
+    label.appendChild(document.createTextNode(field.label));
+    let input = document.createElement('input');
+    input.type = 'number';
+    input.step = String(Math.pow(10, -field.digits));
+    // typing a value should not trigger the hotkeys of the tools
+    for (let type of ['keydown', 'keyup']) {
+      input.addEventListener(type, function(e) {
+        e.stopPropagation();
+      });
+    }
+    input.onchange = function() {
+      self._changed(field, input);
+    };
+    label.appendChild(input);
+    container.appendChild(label);
+    self.inputs.push(input);
+  }
+  self.refresh();
+}
+
+/**
+ * Write a typed value to the selected label. Values that can't be used are
+ * replaced by the current ones.
+ * @param {object} field: the field
+ * @param {HTMLInputElement} input: the input of the field
+ */
+Inspector.prototype._changed = function(field, input) {
+  let values = this.read();
+  let value = parseField(field, input.value);
+  if (values && value !== null && !this.sat.reviewMode) {
+    // the other fields keep their exact values, not the rounded ones
+    this.write({...values, [field.key]: value});
+  }
+  input.blur();
+  this.refresh();
+};
+
+/**
+ * Show the values of the selected label. The field being typed in is left
+ * as it is.
+ */
+Inspector.prototype.refresh = function() {
+  let values = this.read();
+  this.fields.forEach((field, i) => {
+    let input = this.inputs[i];
+    input.disabled = !values || this.sat.reviewMode;
+    if (document.activeElement === input) {
+      return;
+    }
+    input.value = values ? formatField(field, values[field.key]) : '';
+  });
+};
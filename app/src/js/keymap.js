@@ -0,0 +1,508 @@
+/**
+ * Keyboard shortcuts of the annotation pages. Tools register the actions
+ * they handle under a scope and look actions up by key event instead of
+ * testing key codes. Bindings can be changed by the worker; the changes
+ * are kept in the local storage of the browser.
+ *
+ * Bindings are strings such as 'Ctrl+Shift+Z', 'Escape' or 'Alt'. Two
+ * actions conflict if they share a binding and are active together, i.e.
+ * they have the same scope, or one of them is global, or one of them is an
+ * action of the image or of the review. A key press on an item is handled
+ * by the selected label and then by the item and the review, so all of
+ * their actions would run. Only the scopes of different label types may
+ * share keys, as a page has a single label type.
+ */
+
+const KEY_NAMES = {
+  8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'Shift', 17: 'Ctrl', 18: 'Alt',
+  27: 'Escape', 32: 'Space', 37: 'ArrowLeft', 38: 'ArrowUp',
+  39: 'ArrowRight', 40: 'ArrowDown', 46: 'Delete', 61: '=', 91: 'Meta',
+  93: 'Meta', 173: '-', 186: ';', 187: '=', 188: ',', 189: '-', 190: '.',
+  191: '/', 192: '`', 219: '[', 220: '\\', 221: ']', 222: '\'',
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+
+// scopes whose actions run on the same key presses as the other scopes
+const SHARED_SCOPES = ['image', 'review'];
+
+const KEY_LABELS = {
+  Escape: 'Esc', ArrowLeft: '&larr;', ArrowUp: '&uarr;',
+  ArrowRight: '&rarr;', ArrowDown: '&darr;', Delete: 'Del',
+};
+
+/**
+ * Get the name of the key of a key event.
+ * @param {KeyboardEvent} e: the event
+ * @return {string} the key name, e.g. 'Z' or 'Escape'
+ */
+export function keyName(e) {
+  let code = e.keyCode || e.which;
+  if ((code >= 65 && code <= 90) || (code >= 48 && code <= 57)) {
+    return String.fromCharCode(code);
+  }
+  if (code in KEY_NAMES) {
+    return KEY_NAMES[code];
+  }
+  if (e.key) {
+    return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  }
+  return String(code);
+}
+
+/**
+ * Get the binding of a key event.
+ * @param {KeyboardEvent} e: the event
+ * @return {string} the binding, e.g. 'Ctrl+Shift+Z'
+ */
+export function eventBinding(e) {
+  let key = keyName(e);
+  if (key === 'Meta') {
+    key = 'Ctrl';
+  }
+  if (MODIFIERS.indexOf(key) >= 0) {
+    return key;
+  }
+  let parts = [];
+  if (e.ctrlKey || e.metaKey) {
+    parts.push('Ctrl');
+  }
+  if (e.altKey) {
+    parts.push('Alt');
+  }
+  if (e.shiftKey) {
+    parts.push('Shift');
+  }
+  parts.push(key);
+  return parts.join('+');
+}
+
+/**
+ * Bring a binding written by hand to the form produced by eventBinding,
+ * e.g. 'shift+ctrl+z' to 'Ctrl+Shift+Z'.
+ * @param {string} binding: the binding
+ * @return {string} the normalized binding
+ */
+export function normalizeBinding(binding) {
+  // '+' itself is a key
+  let parts = binding.split(/\+(?!$)/);
+  let key = parts.pop();
+  key = key.length === 1 ? key.toUpperCase() : key;
+  if (key.toLowerCase() === 'esc') {
+    key = 'Escape';
+  }
+  let modifiers = parts.map(
+      (part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase());
+  let ordered = MODIFIERS.filter((modifier) =>
+      modifiers.indexOf(modifier) >= 0);
+  return ordered.concat([key]).join('+');
+}
+
+/**
+ * Format a binding for display.
+ * @param {string} binding: the binding
+ * @return {string} HTML of the binding
+ */
+export function formatBinding(binding) {
+  let parts = binding.split(/\+(?!$)/);
+  return parts.map((part) =>
+      '<kbd>' + (KEY_LABELS[part] || part) + '</kbd>').join(' + ');
+}
+
+/**
+ * Map from key bindings to actions.
+ * @param {Storage} storage: where the bindings of the worker are kept, the
+ *   local storage by default
+ */
+export function Keymap(storage = null) {
+  if (!storage && typeof window !== 'undefined' && window.localStorage) {
+    storage = window.localStorage;
+  }
+  this.storage = storage;
+  this.storageKey = null;
+  this.actions = {};
+  this.order = [];
+  this.scopeTitles = {};
+  this.overrides = {};
+  this.pressed = {};
+  this.capturing = null;
+  this.message = '';
+  this.container = null;
+  // called after a binding changed
+  this.onchange = null;
+}
+
+/**
+ * Register actions. Registering an action again updates it.
+ * @param {string} scope: scope of the actions, e.g. 'image' or the name of
+ *   a label type
+ * @param {[object]} specs: the actions, with the fields
+ *   - id {string}: unique name of the action
+ *   - keys {[string]}: default bindings
+ *   - description {string}: shown in the keyboard usage window
+ *   - hold {boolean}: whether the key is held while using the mouse
+ * @param {string} title: name of the scope shown to the worker
+ */
+Keymap.prototype.register = function(scope, specs, title = scope) {
+  this.scopeTitles[scope] = title;
+  for (let spec of specs) {
+    if (!spec.id) {
+      throw new Error('A keyboard action needs an id');
+    }
+    if (!(spec.id in this.actions)) {
+      this.order.push(spec.id);
+    }
+    let defaultKeys = (spec.keys || []).map(normalizeBinding);
+    this.actions[spec.id] = {
+      id: spec.id,
+      scope: scope,
+      description: spec.description || spec.id,
+      hold: Boolean(spec.hold),
+      defaultKeys: defaultKeys,
+      keys: this.overrides[spec.id] || defaultKeys,
+    };
+  }
+};
+
+/**
+ * Get the bindings of an action.
+ * @param {string} id: the action
+ * @return {[string]} the bindings, empty if the action is unknown
+ */
+Keymap.prototype.getKeys = function(id) {
+  return id in this.actions ? this.actions[id].keys : [];
+};
+
+/**
+ * Find the action of a scope bound to a key event.
+ * @param {KeyboardEvent} e: the event
+ * @param {string} scope: the scope
+ * @return {string} id of the action, null if there is none
+ */
+Keymap.prototype.actionFor = function(e, scope) {
+  let binding = eventBinding(e);
+  for (let id of this.order) {
+    let action = this.actions[id];
+    if (action.scope === scope && action.keys.indexOf(binding) >= 0) {
+      return id;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check whether a key event triggers an action.
+ * @param {KeyboardEvent} e: the event
+ * @param {string} id: the action
+ * @return {boolean} whether the event is bound to the action
+ */
+Keymap.prototype.matches = function(e, id) {
+  return this.getKeys(id).indexOf(eventBinding(e)) >= 0;
+};
+
+/**
+ * Check whether the key of an action is held down.
+ * @param {string} id: the action
+ * @return {boolean} whether one of its keys is down
+ */
+Keymap.prototype.isHeld = function(id) {
+  for (let binding of this.getKeys(id)) {
+    let key = binding.split(/\+(?!$)/).pop();
+    if (this.pressed[key]) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Track the keys that are down.
+ * @param {KeyboardEvent} e: a keydown event
+ */
+Keymap.prototype.keydown = function(e) {
+  let key = keyName(e);
+  this.pressed[key === 'Meta' ? 'Ctrl' : key] = true;
+};
+
+/**
+ * Track the keys that are down.
+ * @param {KeyboardEvent} e: a keyup event
+ */
+Keymap.prototype.keyup = function(e) {
+  let key = keyName(e);
+  delete this.pressed[key === 'Meta' ? 'Ctrl' : key];
+};
+
+/**
+ * Listen to the key events of a target, e.g. the document. The keymap sees
+ * the events before the tools so that it can capture new bindings.
+ * @param {EventTarget} target: the target
+ */
+Keymap.prototype.listen = function(target) {
+  let self = this;
+  target.addEventListener('keydown', function(e) {
+    if (self.capturing) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      self.capture(e);
+      return;
+    }
+    self.keydown(e);
+  }, true);
+  target.addEventListener('keyup', function(e) {
+    self.keyup(e);
+  }, true);
+  if (typeof window !== 'undefined') {
+    window.addEventListener('blur', function() {
+      self.pressed = {};
+    });
+  }
+};
+
+/**
+ * Find the actions that would conflict with an action if it had the given
+ * bindings.
+ * @param {string} id: the action
+ * @param {[string]} keys: the bindings
+ * @return {[{binding: string, ids: [string]}]} the conflicts
+ */
+Keymap.prototype.findConflicts = function(id, keys) {
+  let action = this.actions[id];
+  let conflicts = [];
+  for (let binding of keys) {
+    let ids = [];
+    for (let otherId of this.order) {
+      let other = this.actions[otherId];
+      if (otherId === id || other.keys.indexOf(binding) < 0) {
+        continue;
+      }
+      if (other.scope === action.scope || other.scope === 'global' ||
+          action.scope === 'global' ||
+          SHARED_SCOPES.indexOf(other.scope) >= 0 ||
+          SHARED_SCOPES.indexOf(action.scope) >= 0) {
+        ids.push(otherId);
+      }
+    }
+    if (ids.length > 0) {
+      conflicts.push({binding: binding, ids: ids});
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Find all the conflicting bindings.
+ * @return {[{binding: string, ids: [string]}]} the conflicts, each listing
+ *   all the actions bound to the binding
+ */
+Keymap.prototype.getConflicts = function() {
+  let conflicts = {};
+  for (let id of this.order) {
+    for (let conflict of this.findConflicts(id, this.actions[id].keys)) {
+      let key = conflict.ids.concat([id]).sort().join(' ') + '@' +
+          conflict.binding;
+      conflicts[key] = {
+        binding: conflict.binding,
+        ids: conflict.ids.concat([id]).sort(),
+      };
+    }
+  }
+  return Object.keys(conflicts).sort().map((key) => conflicts[key]);
+};
+
+/**
+ * Change the bindings of an action, unless they conflict with other
+ * actions.
+ * @param {string} id: the action
+ * @param {[string]} keys: the new bindings
+ * @return {[{binding: string, ids: [string]}]} the conflicts, empty if the
+ *   bindings were changed
+ */
+Keymap.prototype.setBinding = function(id, keys) {
+  if (!(id in this.actions)) {
+    throw new Error('Unknown keyboard action "' + id + '"');
+  }
+  keys = keys.map(normalizeBinding);
+  let conflicts = this.findConflicts(id, keys);
+  if (conflicts.length > 0) {
+    return conflicts;
+  }
+  this.overrides[id] = keys;
+  this.actions[id].keys = keys;
+  this._changed();
+  return [];
+};
+
+/**
+ * Restore the default bindings of an action.
+ * @param {string} id: the action
+ */
+Keymap.prototype.resetBinding = function(id) {
+  delete this.overrides[id];
+  if (id in this.actions) {
+    this.actions[id].keys = this.actions[id].defaultKeys;
+  }
+  this._changed();
+};
+
+/**
+ * Restore the default bindings of all actions.
+ */
+Keymap.prototype.resetAll = function() {
+  this.overrides = {};
+  for (let id of this.order) {
+    this.actions[id].keys = this.actions[id].defaultKeys;
+  }
+  this._changed();
+};
+
+/**
+ * Load the bindings a worker chose earlier.
+ * @param {string} workerId: the worker
+ */
+Keymap.prototype.load = function(workerId) {
+  this.storageKey = 'scalabel_keymap:' + workerId;
+  this.overrides = {};
+  if (this.storage) {
+    try {
+      this.overrides = JSON.parse(
+          this.storage.getItem(this.storageKey) || '{}');
+    } catch (e) {
+      // ignore corrupted bindings
+      this.overrides = {};
+    }
+  }
+  for (let id of this.order) {
+    let action = this.actions[id];
+    action.keys = this.overrides[id] || action.defaultKeys;
+  }
+  if (this.container) {
+    this.renderUsage(this.container);
+  }
+};
+
+/**
+ * Save the bindings and notify the listener.
+ * @private
+ */
+Keymap.prototype._changed = function() {
+  if (this.storage && this.storageKey) {
+    this.storage.setItem(this.storageKey, JSON.stringify(this.overrides));
+  }
+  if (this.container) {
+    this.renderUsage(this.container);
+  }
+  if (this.onchange) {
+    this.onchange();
+  }
+};
+
+/**
+ * Use the next key event as the binding of an action.
+ * @param {string} id: the action
+ */
+Keymap.prototype.startCapture = function(id) {
+  this.capturing = id;
+  this.message = 'Press the new key for "' +
+      this.actions[id].description + '", Esc to cancel';
+  if (this.container) {
+    this.renderUsage(this.container);
+  }
+};
+
+/**
+ * Finish capturing a binding with a key event.
+ * @param {KeyboardEvent} e: the event
+ */
+Keymap.prototype.capture = function(e) {
+  let binding = eventBinding(e);
+  if (MODIFIERS.indexOf(binding) >= 0) {
+    // wait for the key pressed with the modifiers
+    return;
+  }
+  let id = this.capturing;
+  this.capturing = null;
+  this.message = '';
+  if (binding === 'Escape') {
+    if (this.container) {
+      this.renderUsage(this.container);
+    }
+    return;
+  }
+  let conflicts = this.setBinding(id, [binding]);
+  if (conflicts.length > 0) {
+    let self = this;
+    let names = conflicts[0].ids.map((other) =>
+        '"' + self.actions[other].description + '"');
+    this.message = binding + ' is already used by ' + names.join(', ');
+    if (this.container) {
+      this.renderUsage(this.container);
+    }
+  }
+};
+
+/**
+ * Fill the keyboard usage window with the actions and their bindings.
+ * Each binding can be changed from there.
+ * @param {HTMLElement} container: the element listing the actions
+ */
+Keymap.prototype.renderUsage = function(container) {
+  let self = this;
+  self.container = container;
+  container.innerHTML = '';
+  let conflicting = {};
+  for (let conflict of self.getConflicts()) {
+    for (let id of conflict.ids) {
+      conflicting[id] = true;
+    }
+  }
+  let message = document.createElement('p');
+  message.className = 'keymap_message';
+  message.textContent = self.message;
+  container.appendChild(message);
+
+  let scopes = [];
+  for (let id of self.order) {
+    let scope = self.actions[id].scope;
+    if (scopes.indexOf(scope) < 0) {
+      scopes.push(scope);
+    }
+  }
+  for (let scope of scopes) {
+    let heading = document.createElement('h6');
+    heading.textContent = self.scopeTitles[scope];
+    container.appendChild(heading);
+    for (let id of self.order) {
+      let action = self.actions[id];
+      if (action.scope !== scope) {
+        continue;
+      }
+      let row = document.createElement('div');
+      if (conflicting[id]) {
+        row.className = 'key_conflict';
+      }
+      let keys = self.capturing === id ? '...' :
+          action.keys.map(formatBinding).join(' / ');
+      row.innerHTML = '<p><span style="vertical-align: top">' + keys +
+          '</span> <span>' + action.description + '</span></p>';
+      let change = document.createElement('a');
+      change.href = '#';
+      change.textContent = 'change';
+      change.onclick = function(e) {
+        e.preventDefault();
+        self.startCapture(id);
+      };
+      row.firstChild.appendChild(change);
+      container.appendChild(row);
+    }
+  }
+  let reset = document.createElement('a');
+  reset.href = '#';
+  reset.textContent = 'Restore default keys';
+  reset.onclick = function(e) {
+    e.preventDefault();
+    self.message = '';
+    self.resetAll();
+  };
+  container.appendChild(reset);
+};
@@ -0,0 +1,656 @@
+import {ImageLabel} from './image';
+import {Edge, EdgeTypes, Vertex, UP_RES_RATIO, LINE_WIDTH,
+  SELECT_COLOR} from './shape';
+import {FONT_SIZE, rgba} from './utils';
+import {registerLabelType} from './label_registry';
+import {clampMove, unionBounds} from './box_group';
+
+// Constants
+const KeypointStates = Object.freeze({
+  FREE: 0, PLACE: 1, MOVE: 2,
+});
+
+/**
+ * Visibility of a joint. Absent joints are out of the image or can't be
+ * guessed, and have no position.
+ */
+export const Visibility = Object.freeze({
+  VISIBLE: 'visible', OCCLUDED: 'occluded', ABSENT: 'absent',
+});
+
+/**
+ * Get the edges of a skeleton as pairs of joint indices.
+ * @param {object} skeleton: the joint names and the edges joining them by
+ *   name, as defined for the project
+ * @return {[[number]]} the edges, without the ones with an unknown joint
+ */
+export function skeletonEdges(skeleton) {
+  let edges = [];
+  for (let [src, dest] of skeleton.edges || []) {
+    let i = skeleton.joints.indexOf(src);
+    let j = skeleton.joints.indexOf(dest);
+    if (i >= 0 && j >= 0) {
+      edges.push([i, j]);
+    }
+  }
+  return edges;
+}
+
+/**
+ * Keypoint label: the joints of a skeleton, such as the body pose of a
+ * pedestrian, placed one after the other in the order of the skeleton.
+ * @param {Sat} sat: context
+ * @param {int} id: label id
+ * @param {object} optionalAttributes - Optional attributes
+ */
+export function Keypoints2d(sat, id, optionalAttributes) {
+  ImageLabel.call(this, sat, id, optionalAttributes);
+  this.skeleton = sat.skeleton;
+  this.joints = this.skeleton.joints.map(
+      (name) => ({name: name, vertex: null, visibility: Visibility.ABSENT}));
+  this.edges = [];
+  this.state = KeypointStates.FREE;
+  // joint selected with the mouse, which the keys change
+  this.selectedJoint = -1;
+  // joint to place next and the joints placed or skipped before it
+  this.nextJoint = -1;
+  this.visitedJoints = [];
+  this.placeOccluded = false;
+  this.mousePos = null;
+  this.interpolateHandler = this.weightedAvg;
+
+  if (optionalAttributes) {
+    this.categoryPath = optionalAttributes.categoryPath;
+    for (let i = 0; i < this.sat.attributes.length; i++) {
+      let attributeName = this.sat.attributes[i].name;
+      if (optionalAttributes.attributes &&
+          attributeName in optionalAttributes.attributes) {
+        this.attributes[attributeName] =
+            optionalAttributes.attributes[attributeName];
+      }
+    }
+    if (optionalAttributes.mousePos) {
+      // the click that created the label places the first joint
+      this.startPlacement();
+      this.placeJoint(optionalAttributes.mousePos);
+    }
+  }
+}
+
+Keypoints2d.prototype = Object.create(ImageLabel.prototype);
+
+Keypoints2d.useCrossHair = true;
+Keypoints2d.defaultCursorStyle = 'crosshair';
+// joints are placed by successive clicks on the selected label, so new
+// labels are created at mouseup and existing ones selected by double click
+Keypoints2d.useDoubleClick = true;
+Keypoints2d.useGroupSelection = false;
+
+Keypoints2d.setToolBox = function(ignoredSatItem) {
+
+};
+
+/**
+ * Get the joints with a position.
+ * @return {[object]} the joints, with their vertex and visibility
+ */
+Keypoints2d.prototype.placedJoints = function() {
+  return this.joints.filter((joint) => joint.vertex);
+};
+
+/**
+ * Get the joints as saved or exported.
+ * @return {[object]} name, position (x, y) and visibility of each joint in
+ *   the order of the skeleton; absent joints have no position
+ */
+Keypoints2d.prototype.getJoints = function() {
+  return this.joints.map((joint) => {
+    if (!joint.vertex) {
+      return {name: joint.name, visibility: Visibility.ABSENT};
+    }
+    return {
+      name: joint.name,
+      x: joint.vertex.x,
+      y: joint.vertex.y,
+      visibility: joint.visibility,
+    };
+  });
+};
+
+/**
+ * Set the joints. Joints are matched by name; the joints that are not given
+ * become absent.
+ * @param {[object]} joints: name, position (x, y) and visibility of the
+ *   joints, see getJoints
+ * @param {[number]} offset: how much to shift the joints along x and y
+ */
+Keypoints2d.prototype.setJoints = function(joints, offset = [0, 0]) {
+  for (let joint of this.joints) {
+    let given = joints.find((other) => other.name === joint.name);
+    if (!given || given.visibility === Visibility.ABSENT) {
+      this.removeJoint(this.joints.indexOf(joint));
+      continue;
+    }
+    let xy = [given.x + offset[0], given.y + offset[1]];
+    if (joint.vertex) {
+      joint.vertex.xy = xy;
+    } else {
+      joint.vertex = new Vertex(...xy);
+    }
+    joint.visibility = given.visibility;
+  }
+  this.updateEdges();
+};
+
+/**
+ * Remove the position of a joint, making it absent.
+ * @param {number} index: index of the joint in the skeleton
+ */
+Keypoints2d.prototype.removeJoint = function(index) {
+  let joint = this.joints[index];
+  if (joint.vertex) {
+    joint.vertex.delete();
+  }
+  joint.vertex = null;
+  joint.visibility = Visibility.ABSENT;
+};
+
+/**
+ * Join the placed joints by the edges of the skeleton.
+ */
+Keypoints2d.prototype.updateEdges = function() {
+  this.edges = [];
+  for (let [i, j] of skeletonEdges(this.skeleton)) {
+    let [src, dest] = [this.joints[i], this.joints[j]];
+    if (src.vertex && dest.vertex) {
+      let edge = new Edge(src.vertex, dest.vertex, EdgeTypes.LINE, -1);
+      // edges to occluded joints are drawn dashed
+      edge.occluded = src.visibility === Visibility.OCCLUDED ||
+          dest.visibility === Visibility.OCCLUDED;
+      this.edges.push(edge);
+    }
+  }
+};
+
+/**
+ * Start placing the absent joints one after the other.
+ */
+Keypoints2d.prototype.startPlacement = function() {
+  this.visitedJoints = [];
+  this.placeOccluded = false;
+  this.nextJoint = this.findAbsentJoint(0);
+  if (this.nextJoint >= 0) {
+    this.state = KeypointStates.PLACE;
+  }
+};
+
+/**
+ * Find the first absent joint from an index of the skeleton.
+ * @param {number} start: the index to start from
+ * @return {number} the index of the joint, -1 if all the others are placed
+ */
+Keypoints2d.prototype.findAbsentJoint = function(start) {
+  for (let i = start; i < this.joints.length; i++) {
+    if (!this.joints[i].vertex) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Move on to the next joint to place, or finish if there is none.
+ */
+Keypoints2d.prototype.advance = function() {
+  this.visitedJoints.push(this.nextJoint);
+  this.placeOccluded = false;
+  this.nextJoint = this.findAbsentJoint(this.nextJoint + 1);
+  if (this.nextJoint < 0) {
+    this.finishPlacement();
+  }
+};
+
+/**
+ * Place the next joint.
+ * @param {object} mousePos: the position (x, y) in image coordinates
+ */
+Keypoints2d.prototype.placeJoint = function(mousePos) {
+  let joint = this.joints[this.nextJoint];
+  joint.vertex = new Vertex(mousePos.x, mousePos.y);
+  joint.visibility = this.placeOccluded ?
+      Visibility.OCCLUDED : Visibility.VISIBLE;
+  this.updateEdges();
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+  this.advance();
+};
+
+/**
+ * Go back to the joint placed or skipped last, removing it.
+ */
+Keypoints2d.prototype.placePreviousJoint = function() {
+  if (this.visitedJoints.length === 0) {
+    return;
+  }
+  this.nextJoint = this.visitedJoints.pop();
+  this.removeJoint(this.nextJoint);
+  this.updateEdges();
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Stop placing joints; the joints left are absent.
+ */
+Keypoints2d.prototype.finishPlacement = function() {
+  this.setState(KeypointStates.FREE);
+  if (!this.shapesValid()) {
+    this.satItem.deselectAll();
+  }
+};
+
+Keypoints2d.prototype.setState = function(state) {
+  this.state = state;
+  if (state === KeypointStates.FREE) {
+    this.nextJoint = -1;
+    this.visitedJoints = [];
+    this.mousePos = null;
+    if (this.satItem.active) {
+      // other labels stay on the hidden map to be selected by double click
+      this.satItem.resetHiddenMapToDefault();
+      this.satItem.redrawHiddenCanvas();
+    }
+  }
+};
+
+/**
+ * Check whether given shape selects this label.
+ * @param {Shape} shape: the shape under the mouse.
+ * @return {boolean} whether the shape is one of the joints.
+ */
+Keypoints2d.prototype.selectedBy = function(shape) {
+  return this.getAllHiddenShapes().includes(shape);
+};
+
+Keypoints2d.prototype.releaseAsTargeted = function() {
+  ImageLabel.prototype.releaseAsTargeted.call(this);
+  this.selectedJoint = -1;
+  if (this.state !== KeypointStates.FREE) {
+    this.setState(KeypointStates.FREE);
+  }
+};
+
+Keypoints2d.prototype.deactivate = function() {
+  if (this.state !== KeypointStates.FREE) {
+    this.setState(KeypointStates.FREE);
+  }
+};
+
+Keypoints2d.prototype.isEditing = function() {
+  return this.state !== KeypointStates.FREE;
+};
+
+/**
+ * Capture the state of this label for the undo history.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+Keypoints2d.prototype.snapshot = function() {
+  let snapshot = ImageLabel.prototype.snapshot.call(this);
+  snapshot.joints = this.getJoints();
+  return snapshot;
+};
+
+/**
+ * Restore the state of this label from a snapshot.
+ * @param {object} snapshot - snapshot taken by Keypoints2d.snapshot
+ */
+Keypoints2d.prototype.restoreSnapshot = function(snapshot) {
+  ImageLabel.prototype.restoreSnapshot.call(this, snapshot);
+  this.setJoints(snapshot.joints);
+};
+
+/**
+ * Load label data from a encoded string
+ * @param {object} json: json representation of label json.
+ */
+Keypoints2d.prototype.fromJsonVariables = function(json) {
+  this.decodeBaseJsonVariables(json);
+  if (json.data) {
+    // Data is missing if this json is actually a track, see Box2d
+    this.setJoints(json.data.joints);
+  }
+};
+
+/**
+ * Load label data from export format
+ * @param {object} exportFormat: json representation of label json.
+ * @return {Keypoints2d} the label loaded by exportFormat
+ */
+Keypoints2d.prototype.fromExportFormat = function(exportFormat) {
+  if (exportFormat.keypoints) {
+    this.setJoints(exportFormat.keypoints);
+    this.categoryPath = exportFormat.category;
+    this.attributes = exportFormat.attributes;
+    return this;
+  }
+  return null;
+};
+
+/**
+ * Encode the label data into a json object.
+ * @return {object} - the encoded json object.
+ */
+Keypoints2d.prototype.toJson = function() {
+  let json = this.encodeBaseJson();
+  json.data = {joints: this.getJoints()};
+  return json;
+};
+
+/**
+ * Returns the shapes to draw on the hidden canvas when not selected.
+ * @return {[Shape]} List of shapes to draw on the hidden canvas
+ * when not selected.
+ */
+Keypoints2d.prototype.defaultHiddenShapes = function() {
+  return this.getAllHiddenShapes();
+};
+
+/**
+ * Returns all hidden shapes.
+ * @return {[Shape]} the vertices of the placed joints
+ */
+Keypoints2d.prototype.getAllHiddenShapes = function() {
+  return this.placedJoints().map((joint) => joint.vertex);
+};
+
+Keypoints2d.prototype.deleteAllHiddenShapes = function() {
+  for (let i = 0; i < this.joints.length; i++) {
+    this.removeJoint(i);
+  }
+  this.edges = [];
+};
+
+/**
+ * Draw the name of a joint next to a position.
+ * @param {object} ctx - Canvas context.
+ * @param {string} text - The text to draw.
+ * @param {[number]} position - The position in image coordinates.
+ */
+Keypoints2d.prototype.drawJointName = function(ctx, text, position) {
+  let [x, y] = this.satItem.toCanvasCoords(position);
+  ctx.save();
+  ctx.fillStyle = this.styleColor();
+  ctx.fillText(text, x + 4 * UP_RES_RATIO, y - 4 * UP_RES_RATIO);
+  ctx.restore();
+};
+
+/**
+ * Draw the skeleton on the canvas.
+ * @param {object} mainCtx - HTML canvas context for visible objects.
+ */
+Keypoints2d.prototype.redrawLabelCanvas = function(mainCtx) {
+  mainCtx.font = FONT_SIZE * UP_RES_RATIO + 'px Verdana';
+  this.drawOutline(mainCtx, this.satItem);
+  let hovered = this.joints.find(
+      (joint) => joint.vertex && joint.vertex === this.hoveredShape);
+  let selected = this.isTargeted() ? this.joints[this.selectedJoint] : null;
+  for (let joint of [hovered, selected]) {
+    if (joint && joint.vertex) {
+      joint.vertex.draw(mainCtx, this.satItem, rgba(SELECT_COLOR, 1));
+      this.drawJointName(mainCtx, joint.name, joint.vertex.xy);
+    }
+  }
+  this.hoveredShape = null;
+  if (this.state === KeypointStates.PLACE && this.mousePos) {
+    let next = this.joints[this.nextJoint];
+    let text = next.name + (this.placeOccluded ? ' (occluded)' : '');
+    this.drawJointName(mainCtx, text, [this.mousePos.x, this.mousePos.y]);
+  } else if (this.state === KeypointStates.FREE && this.shapesValid()) {
+    let bounds = this.getBounds();
+    this.drawTag(mainCtx, [bounds.x, bounds.y]);
+  }
+};
+
+/**
+ * Draw the edges and joints, in the overview of the image too. Occluded
+ * joints are drawn faded.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ */
+Keypoints2d.prototype.drawOutline = function(ctx, view) {
+  ctx.save();
+  ctx.strokeStyle = this.styleColor();
+  ctx.lineWidth = LINE_WIDTH;
+  for (let edge of this.edges) {
+    ctx.beginPath();
+    ctx.setLineDash(edge.occluded ? [6, 2] : []);
+    ctx.moveTo(...view.toCanvasCoords(edge.src.xy));
+    edge.draw(ctx, view);
+    ctx.stroke();
+  }
+  ctx.restore();
+  for (let joint of this.placedJoints()) {
+    let alpha = joint.visibility === Visibility.OCCLUDED ? 0.4 : 1;
+    joint.vertex.draw(ctx, view, this.styleColor(alpha));
+  }
+};
+
+/**
+ * Get the box around the placed joints.
+ * @return {object} - The box (x, y, w, h) in image coordinates, null if no
+ *   joint is placed.
+ */
+Keypoints2d.prototype.getBounds = function() {
+  return unionBounds(this.placedJoints().map(
+      (joint) => ({x: joint.vertex.x, y: joint.vertex.y, w: 0, h: 0})));
+};
+
+/**
+ * Move the selected joint, or all the joints if none is selected, by a few
+ * pixels, keeping them in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+Keypoints2d.prototype.nudge = function(dx, dy) {
+  let joint = this.joints[this.selectedJoint];
+  let joints = joint && joint.vertex ? [joint] : this.placedJoints();
+  let bounds = joints.map(
+      (joint) => ({x: joint.vertex.x, y: joint.vertex.y, w: 0, h: 0}));
+  let image = this.satItem.image;
+  [dx, dy] = clampMove(bounds, dx, dy, {w: image.width, h: image.height});
+  for (let joint of joints) {
+    joint.vertex.xy = [joint.vertex.x + dx, joint.vertex.y + dy];
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Copy the joints for the clipboard.
+ * @return {[object]} - The joints, see getJoints, null if none is placed.
+ */
+Keypoints2d.prototype.copyShape = function() {
+  return this.shapesValid() ? this.getJoints() : null;
+};
+
+/**
+ * Give this label joints copied by copyShape.
+ * @param {[object]} shape - The joints.
+ * @param {[number]} offset - How much to shift the joints along x and y.
+ */
+Keypoints2d.prototype.pasteShape = function(shape, offset) {
+  this.setJoints(shape, offset);
+};
+
+/**
+ * Get whether this label has a placed joint.
+ * @return {boolean} - True if a joint is placed or being placed.
+ */
+Keypoints2d.prototype.shapesValid = function() {
+  return this.state === KeypointStates.PLACE ||
+      this.placedJoints().length > 0;
+};
+
+/**
+ * Get the cursor style for a specified shape.
+ * @param {Shape} shape - The shape that determines the cursor style.
+ * @return {string} - The cursor style string.
+ */
+Keypoints2d.prototype.getCursorStyle = function(shape) {
+  if (this.state === KeypointStates.MOVE ||
+      (this.state === KeypointStates.FREE && this.selectedBy(shape))) {
+    return 'move';
+  }
+  return Keypoints2d.defaultCursorStyle;
+};
+
+/**
+ * Set this label to be the weighted average of the two provided labels.
+ * The joints placed in both labels are interpolated; the others are taken
+ * from the first label.
+ * @param {Keypoints2d} startLabel - The first label.
+ * @param {Keypoints2d} endLabel - The second label.
+ * @param {number} weight - The weight, b/w 0 and 1, higher corresponds to
+ *   closer to endLabel.
+ */
+Keypoints2d.prototype.weightedAvg = function(startLabel, endLabel, weight) {
+  let joints = startLabel.getJoints();
+  let endJoints = endLabel.getJoints();
+  joints.forEach((joint, i) => {
+    let end = endJoints[i];
+    if (joint.visibility !== Visibility.ABSENT &&
+        end.visibility !== Visibility.ABSENT) {
+      joint.x += weight * (end.x - joint.x);
+      joint.y += weight * (end.y - joint.y);
+    }
+  });
+  this.setJoints(joints);
+};
+
+Keypoints2d.prototype.mousedown = function(e) {
+  if (this.state !== KeypointStates.FREE) {
+    return;
+  }
+  let mousePos = this.satItem.getMousePos(e);
+  let occupiedShape = this.satItem.getOccupiedShape(mousePos);
+  let index = this.joints.findIndex(
+      (joint) => joint.vertex && joint.vertex === occupiedShape);
+  if (index >= 0) {
+    this.selectedJoint = index;
+    this.setState(KeypointStates.MOVE);
+  }
+};
+
+Keypoints2d.prototype.mouseup = function(e) {
+  if (this.state === KeypointStates.PLACE) {
+    this.placeJoint(this.satItem.getMousePos(e));
+  } else if (this.state === KeypointStates.MOVE) {
+    this.setState(KeypointStates.FREE);
+  }
+};
+
+Keypoints2d.prototype.mousemove = function(e) {
+  let mousePos = this.satItem.getMousePos(e);
+  if (this.state === KeypointStates.PLACE) {
+    this.mousePos = mousePos;
+  } else if (this.state === KeypointStates.MOVE) {
+    this.joints[this.selectedJoint].vertex.xy = [mousePos.x, mousePos.y];
+    if (this.parent) {
+      this.parent.interpolate(this);
+    }
+  }
+};
+
+Keypoints2d.prototype.mouseleave = function(e) { // eslint-disable-line
+  if (this.state === KeypointStates.MOVE) {
+    this.setState(KeypointStates.FREE);
+  }
+  this.mousePos = null;
+  this.satItem.isMouseDown = false;
+};
+
+Keypoints2d.prototype.doubleclick = function(e) {
+  if (this.state !== KeypointStates.FREE) {
+    return;
+  }
+  let mousePos = this.satItem.getMousePos(e);
+  let label = this.satItem.getLabelOfShape(
+      this.satItem.getOccupiedShape(mousePos));
+  if (label) {
+    this.satItem.selectLabel(label);
+  }
+};
+
+Keypoints2d.prototype.keydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'keypoints');
+  let placing = this.state === KeypointStates.PLACE;
+  let joint = this.joints[this.selectedJoint];
+  if (action === 'toggle_occluded') {
+    if (placing) {
+      this.placeOccluded = !this.placeOccluded;
+    } else if (joint && joint.vertex) {
+      joint.visibility = joint.visibility === Visibility.OCCLUDED ?
+          Visibility.VISIBLE : Visibility.OCCLUDED;
+    }
+  } else if (action === 'skip_joint') {
+    if (placing) {
+      this.advance();
+    } else if (joint && joint.vertex) {
+      this.removeJoint(this.selectedJoint);
+      this.selectedJoint = -1;
+      if (this.satItem.active) {
+        this.satItem.resetHiddenMapToDefault();
+      }
+    }
+  } else if (action === 'previous_joint' && placing) {
+    this.placePreviousJoint();
+  } else if (action === 'finish_skeleton' && placing) {
+    e.preventDefault();
+    this.finishPlacement();
+  } else if (action === 'place_missing' && !placing) {
+    this.startPlacement();
+  } else {
+    return;
+  }
+  this.updateEdges();
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+registerLabelType({
+  name: 'keypoints',
+  labelClass: Keypoints2d,
+  hotkeys: [
+    {
+      id: 'toggle_occluded',
+      keys: ['o'],
+      description: 'Place the next joint as occluded, or toggle whether ' +
+          'the selected joint is occluded',
+    },
+    {
+      id: 'skip_joint',
+      keys: ['k'],
+      description: 'Skip the next joint, or remove the selected joint; ' +
+          'the joint is absent',
+    },
+    {
+      id: 'previous_joint',
+      keys: ['j'],
+      description: 'Go back to the joint placed or skipped last',
+    },
+    {
+      id: 'finish_skeleton',
+      keys: ['Enter'],
+      description: 'Stop placing joints, the joints left are absent',
+    },
+    {
+      id: 'place_missing',
+      keys: ['p'],
+      description: 'Place the absent joints of the selected label',
+    },
+  ],
+});
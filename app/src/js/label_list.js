@@ -0,0 +1,442 @@
+/**
+ * List of the labels of the item in view, shared by the image, video and
+ * point cloud pages. The labels can be searched, filtered by category or
+ * attribute and sorted; a click selects a label and checked labels can be
+ * changed or deleted together.
+ *
+ * The list works on the active item through the SatItem interface:
+ * focusLabel selects a label, getLabelBounds gives its position and size,
+ * setLabelsCategory and deleteLabels edit the checked labels.
+ */
+
+export const SORT_ORDERS = [
+  {value: 'id', name: 'Id'},
+  {value: 'category', name: 'Category'},
+  {value: 'area', name: 'Size'},
+  {value: 'position', name: 'Position'},
+];
+
+/**
+ * Get the leaf categories of a category tree.
+ * @param {[object]} categories: categories of the project
+ * @param {[string]} parents: names of the parent categories
+ * @return {[object]} the categories, each with its name and the path of
+ *   names from the root
+ */
+export function categoryChoices(categories, parents = []) {
+  let choices = [];
+  for (let category of categories || []) {
+    let path = parents.concat([category.name]);
+    if (category.subcategories) {
+      choices = choices.concat(categoryChoices(category.subcategories, path));
+    } else {
+      choices.push({name: category.name, path: path});
+    }
+  }
+  return choices;
+}
+
+/**
+ * Get the values of the attributes of a project a label can be filtered by.
+ * @param {[object]} attributes: attributes of the project
+ * @return {[object]} the values, 'name' for a switch and 'name=index' for a
+ *   value of a list, with their names
+ */
+export function attributeChoices(attributes) {
+  let choices = [];
+  for (let attribute of attributes || []) {
+    if (attribute.toolType === 'switch') {
+      choices.push({value: attribute.name, name: attribute.name});
+    } else if (attribute.toolType === 'list') {
+      attribute.values.forEach(function(value, i) {
+        choices.push({value: attribute.name + '=' + i,
+          name: attribute.name + ': ' + value});
+      });
+    }
+  }
+  return choices;
+}
+
+/**
+ * Check whether attributes have a value.
+ * @param {object} attributes: values of the attributes of a label
+ * @param {string} choice: value of attributeChoices
+ * @return {boolean} whether the switch is set or the list has the value
+ */
+export function hasAttribute(attributes, choice) {
+  let [name, index] = choice.split('=');
+  let value = (attributes || {})[name];
+  if (index === undefined) {
+    return value === true;
+  }
+  return Array.isArray(value) && String(value[0]) === index;
+}
+
+/**
+ * Describe the attributes of a label.
+ * @param {object} attributes: values of the attributes, true for a set
+ *   switch and [index, value] for a list
+ * @return {string} e.g. 'occluded, weather: rainy'
+ */
+export function formatAttributes(attributes) {
+  let parts = [];
+  for (let name of Object.keys(attributes || {}).sort()) {
+    let value = attributes[name];
+    if (Array.isArray(value)) {
+      parts.push(name + ': ' + value[1]);
+    } else if (value === true) {
+      parts.push(name);
+    }
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Make the row of a label in the list.
+ * @param {SatLabel} label: the label
+ * @param {object} bounds: box (x,y,w,h) around the label, null if unknown
+ * @return {object} the entry
+ */
+export function makeEntry(label, bounds) {
+  let categoryPath = label.categoryPath || '';
+  return {
+    label: label,
+    id: label.parent ? label.parent.id : label.id,
+    categoryPath: categoryPath,
+    category: categoryPath.split(',').pop(),
+    attributes: label.attributes || {},
+    description: formatAttributes(label.attributes),
+    w: bounds ? Math.abs(bounds.w) : 0,
+    h: bounds ? Math.abs(bounds.h) : 0,
+    area: bounds ? Math.abs(bounds.w * bounds.h) : 0,
+    x: bounds ? bounds.x : 0,
+    y: bounds ? bounds.y : 0,
+  };
+}
+
+/**
+ * Describe the size of an entry, in the units of the item.
+ * @param {object} entry: the entry
+ * @return {string} e.g. '120x80', empty if the size is unknown
+ */
+export function formatSize(entry) {
+  if (entry.area === 0) {
+    return '';
+  }
+  let format = (value) => value >= 10 ? String(Math.round(value)) :
+      value.toFixed(1);
+  return format(entry.w) + 'x' + format(entry.h);
+}
+
+/**
+ * Keep the entries matching a filter.
+ * @param {[object]} entries: the entries
+ * @param {object} filter: the search text, the category and the attribute,
+ *   'name' for a switch or 'name=index' for a value of a list; empty
+ *   fields match all the entries
+ * @return {[object]} the matching entries
+ */
+export function filterEntries(entries, filter) {
+  let text = (filter.text || '').trim().toLowerCase();
+  return entries.filter(function(entry) {
+    if (filter.category && entry.category !== filter.category) {
+      return false;
+    }
+    if (filter.attribute && !hasAttribute(entry.attributes,
+        filter.attribute)) {
+      return false;
+    }
+    let searched = [entry.id, entry.categoryPath, entry.description]
+        .join(' ').toLowerCase();
+    return searched.indexOf(text) >= 0;
+  });
+}
+
+/**
+ * Sort entries.
+ * @param {[object]} entries: the entries
+ * @param {string} order: one of the values of SORT_ORDERS; the largest
+ *   labels come first, positions go from the top left
+ * @return {[object]} the sorted entries
+ */
+export function sortEntries(entries, order) {
+  let compare = {
+    id: (a, b) => a.id - b.id,
+    category: (a, b) => a.categoryPath.localeCompare(b.categoryPath) ||
+        a.id - b.id,
+    area: (a, b) => b.area - a.area || a.id - b.id,
+    position: (a, b) => a.y - b.y || a.x - b.x || a.id - b.id,
+  }[order] || ((a, b) => a.id - b.id);
+  return entries.slice().sort(compare);
+}
+
+/**
+ * Create an element.
+ * @param {string} tag: tag of the element
+ * @param {string} className: class of the element
+ * @param {HTMLElement} parent: where to add the element
+ * @return {HTMLElement} the element
+ */
+function createElement(tag, className, parent) {
+  let element = document.createElement(tag);
+  element.className = className;
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * Fill a select with options.
+ * @param {HTMLSelectElement} select: the select
+ * @param {[object]} options: value and name of the options
+ */
+function setOptions(select, options) {
+  let value = select.value;
+  select.innerHTML = '';
+  for (let option of options) {
+    let element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.name;
+    select.appendChild(element);
+  }
+  select.value = value;
+  if (select.selectedIndex < 0) {
+    select.selectedIndex = 0;
+  }
+}
+
+/**
+ * Label list panel, built in the element with the id label_list. The
+ * panel is optional; without the element the list does nothing.
+ * @param {Sat} sat: the labeling session
+ */
+export function LabelList(sat) {
+  let self = this;
+  self.sat = sat;
+  self.item = null;
+  // checked labels
+  self.checked = new Set();
+  // the last label checked, where a shift click range starts
+  self.anchor = null;
+  self.entries = [];
+  // leaf categories the checked labels can be changed to
+  self.choices = [];
+  self.container = document.getElementById('label_list');
+  if (!self.container) {
+    return;
+  }
+  let container = self.container;
+  container.innerHTML = '';
+  container.classList.add('label_list');
+  self.search = createElement('input', 'form-control label_list_search',
+      container);
+  self.search.placeholder = 'Search labels';
+  self.categoryFilter = createElement('select', 'form-control', container);
+  self.attributeFilter = createElement('select', 'form-control', container);
+  self.sortOrder = createElement('select', 'form-control', container);
+  setOptions(self.sortOrder, SORT_ORDERS);
+  self.rows = createElement('div', 'list-group label_list_rows', container);
+  let bulk = createElement('div', 'label_list_bulk', container);
+  let all = createElement('label', '', bulk);
+  self.checkAll = createElement('input', '', all);
+  self.checkAll.type = 'checkbox';
+  all.appendChild(document.createTextNode(' All'));
+  self.bulkCategory = createElement('select', 'form-control', bulk);
+  self.applyButton = createElement('button', 'btn btn-secondary', bulk);
+  self.applyButton.textContent = 'Set category';
+  self.deleteButton = createElement('button', 'btn btn-danger', bulk);
+  self.deleteButton.textContent = 'Delete';
+
+  // the image page shows the list in a window toggled from the navbar
+  let panel = document.getElementById('label_list_window');
+  let button = document.getElementById('label_list_btn');
+  self.panel = null;
+  if (panel && button) {
+    self.panel = panel;
+    button.onclick = function(e) {
+      e.preventDefault();
+      panel.style.display = panel.style.display === 'block' ?
+          'none' : 'block';
+      self.refresh();
+    };
+  }
+  // typing in the search box should not trigger the hotkeys of the tools
+  for (let type of ['keydown', 'keyup']) {
+    self.search.addEventListener(type, function(e) {
+      e.stopPropagation();
+    });
+  }
+  self.search.oninput = function() {
+    self.refresh();
+  };
+  for (let select of [self.categoryFilter, self.attributeFilter,
+    self.sortOrder]) {
+    select.onchange = function() {
+      self.refresh();
+    };
+  }
+  self.checkAll.onchange = function() {
+    for (let entry of self.entries) {
+      if (self.checkAll.checked) {
+        self.checked.add(entry.label);
+      } else {
+        self.checked.delete(entry.label);
+      }
+    }
+    self.refresh();
+  };
+  self.applyButton.onclick = function(e) {
+    e.preventDefault();
+    let choice = self.choices[parseInt(self.bulkCategory.value)];
+    if (self.item && choice && self.checked.size > 0) {
+      self.item.setLabelsCategory(Array.from(self.checked), choice.path);
+      self.refresh();
+    }
+  };
+  self.deleteButton.onclick = function(e) {
+    e.preventDefault();
+    if (self.item && self.checked.size > 0) {
+      let labels = Array.from(self.checked);
+      self.checked.clear();
+      self.item.deleteLabels(labels);
+      self.refresh();
+    }
+  };
+}
+
+/**
+ * Fill the filters with the categories and the attributes of the project,
+ * once they are loaded.
+ */
+LabelList.prototype.start = function() {
+  if (!this.container) {
+    return;
+  }
+  let choices = categoryChoices(this.sat.categories);
+  this.choices = choices;
+  setOptions(this.categoryFilter, [{value: '', name: 'All categories'}]
+      .concat(choices.map((c) => ({value: c.name, name: c.name}))));
+  setOptions(this.bulkCategory, choices.map(
+      (c, i) => ({value: String(i), name: c.name})));
+  setOptions(this.attributeFilter, [{value: '', name: 'All attributes'}]
+      .concat(attributeChoices(this.sat.attributes)));
+  this.refresh();
+};
+
+/**
+ * List the labels of an item.
+ * @param {SatItem} item: the active item
+ */
+LabelList.prototype.setItem = function(item) {
+  this.item = item;
+  this.checked.clear();
+  this.anchor = null;
+  this.refresh();
+};
+
+/**
+ * Get the entries shown with the current filter and order.
+ * @return {[object]} the entries
+ */
+LabelList.prototype.getEntries = function() {
+  let item = this.item;
+  if (!item || !this.container) {
+    return [];
+  }
+  let entries = [];
+  for (let label of item.labels) {
+    if (label.valid) {
+      entries.push(makeEntry(label, item.getLabelBounds(label)));
+    }
+  }
+  entries = filterEntries(entries, {
+    text: this.search.value,
+    category: this.categoryFilter.value,
+    attribute: this.attributeFilter.value,
+  });
+  return sortEntries(entries, this.sortOrder.value);
+};
+
+/**
+ * Handle a click on a row. A click selects the label, ctrl toggles whether
+ * it is checked and shift checks the labels from the last checked one.
+ * @param {MouseEvent} e: the event
+ * @param {object} entry: the entry of the row
+ */
+LabelList.prototype.click = function(e, entry) {
+  e.preventDefault();
+  let label = entry.label;
+  if (e.shiftKey && this.anchor) {
+    let labels = this.entries.map((other) => other.label);
+    let start = labels.indexOf(this.anchor);
+    let end = labels.indexOf(label);
+    if (start >= 0) {
+      for (let i = Math.min(start, end); i <= Math.max(start, end); i++) {
+        this.checked.add(labels[i]);
+      }
+    }
+  } else if (e.ctrlKey || e.metaKey) {
+    if (this.checked.has(label)) {
+      this.checked.delete(label);
+    } else {
+      this.checked.add(label);
+    }
+    this.anchor = label;
+  } else {
+    this.anchor = label;
+    this.item.focusLabel(label);
+  }
+  this.refresh();
+};
+
+/**
+ * Rebuild the rows after the labels, the selection or the filter changed.
+ */
+LabelList.prototype.refresh = function() {
+  let self = this;
+  if (!self.container ||
+      (self.panel && self.panel.style.display !== 'block')) {
+    return;
+  }
+  for (let label of Array.from(self.checked)) {
+    if (!label.valid || !self.item || self.item.labels.indexOf(label) < 0) {
+      self.checked.delete(label);
+    }
+  }
+  self.entries = self.getEntries();
+  self.rows.innerHTML = '';
+  let selected = self.item ? self.item.getSelectedLabels() : [];
+  for (let entry of self.entries) {
+    let row = createElement('a', 'list-group-item list-group-item-action',
+        self.rows);
+    row.href = '#';
+    if (selected.indexOf(entry.label) >= 0) {
+      row.classList.add('active');
+    }
+    let checkbox = createElement('input', 'label_list_check', row);
+    checkbox.type = 'checkbox';
+    checkbox.checked = self.checked.has(entry.label);
+    checkbox.onclick = function(e) {
+      e.stopPropagation();
+      if (checkbox.checked) {
+        self.checked.add(entry.label);
+      } else {
+        self.checked.delete(entry.label);
+      }
+      self.anchor = entry.label;
+      self.refresh();
+    };
+    let title = createElement('span', 'label_list_title', row);
+    title.textContent = entry.id + ' ' + entry.categoryPath;
+    let details = createElement('small', 'label_list_details', row);
+    details.textContent = [entry.description, formatSize(entry)]
+        .filter((part) => part).join(' | ');
+    row.onclick = function(e) {
+      self.click(e, entry);
+    };
+  }
+  let count = self.checked.size;
+  self.applyButton.disabled = count === 0;
+  self.deleteButton.disabled = count === 0;
+  self.checkAll.checked = self.entries.length > 0 &&
+      self.entries.every((entry) => self.checked.has(entry.label));
+};
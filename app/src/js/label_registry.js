@@ -0,0 +1,200 @@
+/**
+ * Registry of the label types the tool supports. The label types of the tool
+ * are described here, so that the project creation form can list them
+ * without loading their implementations. The module implementing a label
+ * type registers its label class and the rest of the label type; the
+ * annotation pages look the implemented label types up here.
+ */
+const labelTypes = [];
+
+/**
+ * Describe a label type, without its implementation.
+ * @param {object} info: the description, with the fields
+ *   - name {string}: name stored in the project options, e.g. 'box2d'
+ *   - title {string}: name shown to the user
+ *   - itemTypes {[string]}: item types the label type works with
+ *   - instructions {string}: optional url of the labeling instructions
+ *   - templates {[string]}: ids of the toolbox templates to instantiate
+ *   - elements {[string]}: ids of the page elements to show
+ *   - formElements {[string]}: ids of the elements of the project creation
+ *     form to show, e.g. to upload files the label type needs
+ * @return {object} the label type, without a label class until it is
+ *   registered
+ */
+export function describeLabelType(info) {
+  if (!info.name) {
+    throw new Error('A label type needs a name');
+  }
+  if (getLabelType(info.name)) {
+    throw new Error('Label type "' + info.name + '" is already described');
+  }
+  let labelType = Object.assign({
+    title: info.name,
+    itemTypes: [],
+    labelClass: null,
+    instructions: '',
+    templates: [],
+    elements: [],
+    formElements: [],
+    hotkeys: [],
+    setup: null,
+    encode: function(label) {
+      return label.toJson();
+    },
+    decode: function(label, json) {
+      label.fromJsonVariables(json);
+    },
+    fromExport: function(label, exportFormat) {
+      if (!label.fromExportFormat) {
+        return null;
+      }
+      return label.fromExportFormat(exportFormat);
+    },
+  }, info);
+  labelTypes.push(labelType);
+  return labelType;
+}
+
+/**
+ * Register the implementation of a label type, completing its description
+ * if it has one.
+ * @param {object} spec: the label type, with the fields of the description
+ *   (see describeLabelType) and
+ *   - labelClass {SatLabel}: label instantiation type
+ *   - hotkeys {[object]}: keyboard actions of the label type, registered
+ *     in the keymap of the session under the name of the label type; see
+ *     Keymap.register
+ *   - setup {function}: optional, called before the session starts
+ *   - encode {function(SatLabel): object}: optional JSON encoder
+ *   - decode {function(SatLabel, object)}: optional JSON decoder
+ *   - fromExport {function(SatLabel, object): SatLabel}: optional converter
+ *     from the export format, returns null if the label does not apply
+ * @return {object} the registered label type
+ */
+export function registerLabelType(spec) {
+  if (!spec.name || !spec.labelClass) {
+    throw new Error('A label type needs a name and a label class');
+  }
+  let labelType = getLabelType(spec.name);
+  if (labelType && labelType.labelClass) {
+    throw new Error('Label type "' + spec.name + '" is already registered');
+  }
+  if (!labelType) {
+    labelType = describeLabelType({name: spec.name});
+  }
+  return Object.assign(labelType, spec);
+}
+
+/**
+ * Look up a label type by name.
+ * @param {string} name: name of the label type
+ * @return {object} the label type, null if it is not described; its label
+ *   class is null if it is not registered
+ */
+export function getLabelType(name) {
+  for (let labelType of labelTypes) {
+    if (labelType.name === name) {
+      return labelType;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get all the label types in registration order.
+ * @return {[object]} the label types
+ */
+export function getLabelTypes() {
+  return labelTypes.slice();
+}
+
+/**
+ * Get the label types that work with an item type.
+ * @param {string} itemType: the item type, e.g. 'image'
+ * @return {[object]} the label types
+ */
+export function getLabelTypesForItem(itemType) {
+  return labelTypes.filter((labelType) =>
+      labelType.itemTypes.indexOf(itemType) >= 0);
+}
+
+/**
+ * Remove a label type, e.g. to replace it with another implementation.
+ * @param {string} name: name of the label type
+ */
+export function unregisterLabelType(name) {
+  let labelType = getLabelType(name);
+  if (labelType) {
+    labelTypes.splice(labelTypes.indexOf(labelType), 1);
+  }
+}
+
+/**
+ * Prepare the annotation page for a label type: show its elements and
+ * toolbox templates and run its setup.
+ * @param {object} labelType: the registered label type
+ */
+export function setUpLabelTypePage(labelType) {
+  for (let id of labelType.elements) {
+    document.getElementById(id).style.visibility = 'visible';
+  }
+  for (let id of labelType.templates) {
+    let template = document.getElementById(id);
+    template.parentNode.appendChild(template.content.cloneNode(true));
+  }
+  if (labelType.setup) {
+    labelType.setup();
+  }
+}
+
+describeLabelType({
+  name: 'box2d',
+  title: '2D Bounding Box',
+  itemTypes: ['image', 'video'],
+  instructions: 'http://data-bdd.berkeley.edu/label/bbox/instruction.html',
+  templates: ['box_btns'],
+  elements: ['crosshair'],
+});
+
+describeLabelType({
+  name: 'segmentation',
+  title: '2D Segmentation',
+  itemTypes: ['image', 'video'],
+  instructions: 'http://data-bdd.berkeley.edu/label/seg/readme.html',
+  templates: ['seg_btns'],
+});
+
+describeLabelType({
+  name: 'lane',
+  title: '2D Lane',
+  itemTypes: ['image'],
+  instructions: 'http://data-bdd.berkeley.edu/label/seg/readme.html',
+});
+
+describeLabelType({
+  name: 'rotated_box2d',
+  title: '2D Rotated Bounding Box',
+  itemTypes: ['image', 'video'],
+  elements: ['crosshair'],
+});
+
+describeLabelType({
+  name: 'keypoints',
+  title: '2D Keypoints',
+  itemTypes: ['image', 'video'],
+  elements: ['crosshair'],
+  formElements: ['skeleton_div'],
+});
+
+describeLabelType({
+  name: 'mask',
+  title: '2D Mask',
+  itemTypes: ['image', 'video'],
+  templates: ['mask_btns'],
+});
+
+describeLabelType({
+  name: 'box3d',
+  title: '3D Bounding Box',
+  itemTypes: ['pointcloud', 'pointcloudtracking'],
+});
@@ -0,0 +1,199 @@
+import {attributeChoices, categoryChoices, hasAttribute} from './label_list';
+
+/**
+ * Visibility layers of the image view. Labels can be hidden by category
+ * and by attribute value, or all but the selected label can be hidden.
+ * Hidden labels are neither drawn nor picked by the mouse. Like the display
+ * adjustments, the layers are kept for the whole session.
+ */
+
+// keyboard actions of the layers, in the scope of the image items
+const LAYER_HOTKEYS = [
+  {
+    id: 'isolate_selected',
+    keys: ['i'],
+    description: 'Show only the selected label',
+  },
+  {id: 'show_all_layers', keys: ['Shift+h'], description: 'Show all layers'},
+];
+
+/**
+ * Make the layers that show all the labels.
+ * @param {object} params: layers to change
+ * @return {object} the layers, with the hidden leaf categories, the hidden
+ *   attribute values as in attributeChoices and whether only the selected
+ *   label is shown
+ */
+export function makeLayers(params = {}) {
+  return {
+    categories: [],
+    attributes: [],
+    isolate: false,
+    ...params,
+  };
+}
+
+/**
+ * Check whether layers show all the labels.
+ * @param {object} layers: the layers
+ * @return {boolean} whether no label is hidden
+ */
+export function showsAll(layers) {
+  return layers.categories.length === 0 && layers.attributes.length === 0 &&
+      !layers.isolate;
+}
+
+/**
+ * Check whether a label is shown. The selected label is always shown, so
+ * that it can still be edited.
+ * @param {object} layers: the layers
+ * @param {SatLabel} label: the label
+ * @param {SatLabel} selected: the selected label, null if there is none
+ * @return {boolean} whether the label is shown
+ */
+export function isLabelVisible(layers, label, selected) {
+  if (label === selected) {
+    return true;
+  }
+  if (layers.isolate && selected) {
+    return false;
+  }
+  let category = (label.categoryPath || '').split(',').pop();
+  if (layers.categories.indexOf(category) >= 0) {
+    return false;
+  }
+  return !layers.attributes.some(
+      (choice) => hasAttribute(label.attributes, choice));
+}
+
+/**
+ * Toggle a value in a list.
+ * @param {[string]} values: the list
+ * @param {string} value: the value
+ * @param {boolean} included: whether the value should be in the list
+ * @return {[string]} a copy of the list
+ */
+function toggleValue(values, value, included) {
+  values = values.filter((other) => other !== value);
+  if (included) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Layers of the session with their panel and hotkeys.
+ * @param {Sat} sat: the labeling session
+ */
+export function Layers(sat) {
+  let self = this;
+  self.sat = sat;
+  self.layers = makeLayers();
+  sat.keymap.register('image', LAYER_HOTKEYS, 'Image');
+
+  self.panel = document.getElementById('layers_window');
+  if (!self.panel) {
+    return;
+  }
+  document.getElementById('layers_btn').onclick = function(e) {
+    e.preventDefault();
+    self.panel.style.display =
+        self.panel.style.display === 'block' ? 'none' : 'block';
+  };
+  document.getElementById('layers_isolate').onchange = function() {
+    self.set({isolate: this.checked});
+  };
+  document.getElementById('layers_show_all_btn').onclick = function(e) {
+    e.preventDefault();
+    self.set(makeLayers());
+  };
+  self.inputs = [];
+  self._addToggles(document.getElementById('layers_categories'),
+      categoryChoices(sat.categories).map(
+          (c) => ({value: c.name, name: c.path.join(' / ')})),
+      'categories');
+  self._addToggles(document.getElementById('layers_attributes'),
+      attributeChoices(sat.attributes), 'attributes');
+  self.refresh();
+}
+
+/**
+ * Add a checkbox for each value of a layer field.
+ * @param {HTMLElement} container: where to add the checkboxes
+ * @param {[object]} choices: value and name of the checkboxes
+ * @param {string} field: 'categories' or 'attributes'
+ */
+Layers.prototype._addToggles = function(container, choices, field) {
+  let self = this;
+  container.innerHTML = '';
+  for (let choice of choices) {
+    let label = document.createElement('label');
+    let input = document.createElement('input');
+    input.type = 'checkbox';
+    input.onchange = function() {
+      self.set({[field]: toggleValue(self.layers[field], choice.value,
+          !input.checked)});
+    };
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(' ' + choice.name));
+    container.appendChild(label);
+    self.inputs.push({input: input, field: field, value: choice.value});
+  }
+};
+
+/**
+ * Change the layers and redraw the item in view.
+ * @param {object} params: the layers to change
+ */
+Layers.prototype.set = function(params) {
+  this.layers = makeLayers({...this.layers, ...params});
+  this.refresh();
+  let item = this.sat.currentItem;
+  if (item && item.active) {
+    item.layersChanged();
+  }
+};
+
+/**
+ * Check whether a label is shown.
+ * @param {SatLabel} label: the label
+ * @param {SatLabel} selected: the selected label, null if there is none
+ * @return {boolean} whether the label is shown
+ */
+Layers.prototype.isVisible = function(label, selected) {
+  return isLabelVisible(this.layers, label, selected);
+};
+
+/**
+ * Handle the hotkeys of the layers.
+ * @param {KeyboardEvent} e: the event
+ * @return {boolean} whether the key changed the layers
+ */
+Layers.prototype.keydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'image');
+  if (action === 'isolate_selected') {
+    this.set({isolate: !this.layers.isolate});
+  } else if (action === 'show_all_layers') {
+    this.set(makeLayers());
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+};
+
+/**
+ * Show the layers in the panel.
+ */
+Layers.prototype.refresh = function() {
+  if (!this.panel) {
+    return;
+  }
+  for (let toggle of this.inputs) {
+    toggle.input.checked =
+        this.layers[toggle.field].indexOf(toggle.value) < 0;
+  }
+  document.getElementById('layers_isolate').checked = this.layers.isolate;
+  document.getElementById('layers_btn').classList.toggle('btn-info',
+      !showsAll(this.layers));
+};
@@ -0,0 +1,129 @@
+/**
+ * Check that an assignment returned by the back end can be loaded.
+ * @param {object} json: the parsed assignment
+ * @return {string} a description of the problem, null if the assignment is
+ *   valid
+ */
+export function validateAssignment(json) {
+  if (!json || typeof json !== 'object') {
+    return 'The server returned no task.';
+  }
+  if (!json.task || !json.task.projectOptions) {
+    return 'The task has no project options.';
+  }
+  if (!Array.isArray(json.task.items) || json.task.items.length === 0) {
+    return 'The task has no items.';
+  }
+  for (let item of json.task.items) {
+    if (!item || typeof item.url !== 'string') {
+      return 'The task has an item without url.';
+    }
+  }
+  if (json.labels && !Array.isArray(json.labels)) {
+    return 'The labels of the task are malformed.';
+  }
+  for (let i = 0; json.labels && i < json.labels.length; i++) {
+    if (!json.labels[i] || typeof json.labels[i].id !== 'number') {
+      return 'The task has a label without id.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the response of a request for an assignment.
+ * @param {XMLHttpRequest} xhr: the finished request
+ * @return {{json: object, error: string}} the assignment, or the error to
+ *   show to the user
+ */
+export function parseAssignment(xhr) {
+  if (xhr.status === 0) {
+    return {json: null, error: 'Could not reach the server.'};
+  }
+  if (xhr.status < 200 || xhr.status >= 300) {
+    return {
+      json: null,
+      error: 'The server responded with ' + xhr.status + ' ' +
+          xhr.statusText + '.',
+    };
+  }
+  let json;
+  try {
+    json = JSON.parse(xhr.responseText);
+  } catch (e) {
+    return {json: null, error: 'The server response is not valid JSON.'};
+  }
+  let error = validateAssignment(json);
+  return {json: error ? null : json, error: error};
+}
+
+/**
+ * Overlay covering the page while the task loads. It shows the download
+ * progress and, if loading failed, the error with a retry button.
+ */
+export function LoadingOverlay() {
+  this.overlay = document.getElementById('loading_overlay');
+  this.message = document.getElementById('loading_message');
+  this.progress = document.getElementById('loading_progress');
+  this.retryButton = document.getElementById('loading_retry_btn');
+}
+
+/**
+ * Show the overlay with a message.
+ * @param {string} message: the message
+ */
+LoadingOverlay.prototype.show = function(message) {
+  if (!this.overlay) {
+    return;
+  }
+  this.overlay.style.display = 'block';
+  this.message.textContent = message;
+  this.retryButton.style.display = 'none';
+  this.setProgress(0, 0);
+};
+
+/**
+ * Show the progress of the download.
+ * @param {number} loaded: number of bytes received
+ * @param {number} total: number of bytes to receive, 0 if unknown
+ */
+LoadingOverlay.prototype.setProgress = function(loaded, total) {
+  if (!this.overlay) {
+    return;
+  }
+  if (total > 0) {
+    let percent = Math.round(100 * loaded / total);
+    this.progress.style.width = percent + '%';
+    this.progress.textContent = percent + '%';
+  } else {
+    // the size is unknown, only show what was received
+    this.progress.style.width = loaded > 0 ? '100%' : '0%';
+    this.progress.textContent = loaded > 0 ?
+        (loaded / 1024).toFixed(0) + ' KB' : '';
+  }
+};
+
+/**
+ * Show an error and offer to try again.
+ * @param {string} message: the error
+ * @param {function} retry: called when the user asks to try again
+ */
+LoadingOverlay.prototype.showError = function(message, retry) {
+  if (!this.overlay) {
+    alert(message);
+    return;
+  }
+  this.overlay.style.display = 'block';
+  this.message.textContent = 'Failed to load the task. ' + message;
+  this.retryButton.style.display = '';
+  this.retryButton.onclick = retry;
+};
+
+/**
+ * Hide the overlay.
+ */
+LoadingOverlay.prototype.hide = function() {
+  if (this.overlay) {
+    this.overlay.style.display = 'none';
+  }
+};
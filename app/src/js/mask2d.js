@@ -0,0 +1,708 @@
+import {ImageLabel} from './image';
+import {
+  Polygon, Shape, SELECT_COLOR, ALPHA_HIGH_FILL, ALPHA_LOW_FILL,
+  UP_RES_RATIO,
+} from './shape';
+import {FONT_SIZE, rgba} from './utils';
+import {registerLabelType} from './label_registry';
+import {clampMove} from './box_group';
+import {
+  createMask, decodeRle, encodeRle, floodFill, maskBounds, paintLine,
+  polygonsToMask, resizeMask, unionRects,
+} from './raster';
+
+// Constants
+const MaskStates = Object.freeze({
+  FREE: 0, PAINT: 1,
+});
+
+/**
+ * Tools the masks are painted with.
+ */
+export const MaskTools = Object.freeze({
+  BRUSH: 'brush', ERASER: 'eraser', FILL: 'fill',
+});
+
+const MIN_BRUSH_RADIUS = 1;
+const MAX_BRUSH_RADIUS = 100;
+// change of the brush radius by keyboard action
+const BRUSH_RADIUS_RATIO = 1.25;
+
+// canvas where the masks are colored before they are drawn, shared by the
+// labels
+let colorCanvas = null;
+
+/**
+ * Shape of a mask label on the hidden canvas: the painted pixels, or the
+ * whole image for the selected label, so that strokes started anywhere but
+ * on another mask go on painting the selected one.
+ * @param {Mask2d} label: the label
+ * @param {boolean} wholeImage: whether the shape covers the whole image
+ */
+function MaskShape(label, wholeImage) {
+  Shape.call(this, -1);
+  this.label = label;
+  this.wholeImage = wholeImage;
+}
+
+MaskShape.prototype = Object.create(Shape.prototype);
+MaskShape.prototype.constructor = MaskShape;
+
+/**
+ * Draw the shape on the hidden canvas.
+ * @param {object} hiddenCtx - Hidden canvas context.
+ * @param {SatImage} satImage - The SatImage object.
+ * @param {string} fillStyle - The fill style on hidden canvas.
+ */
+MaskShape.prototype.drawHidden = function(hiddenCtx, satImage, fillStyle) {
+  if (!this.wholeImage) {
+    this.label.drawMask(hiddenCtx, satImage, fillStyle);
+    return;
+  }
+  let [x, y, w, h] = satImage.toCanvasCoords(
+      [0, 0, satImage.image.width, satImage.image.height]);
+  hiddenCtx.save();
+  hiddenCtx.fillStyle = fillStyle;
+  hiddenCtx.fillRect(x, y, w, h);
+  hiddenCtx.restore();
+};
+
+/**
+ * Mask label: the pixels of a region, such as vegetation or a road crack,
+ * painted with a brush. A pixel belongs to one mask label at most, so that
+ * it has a single category: painting a mask takes the pixels from the other
+ * masks of the image.
+ * @param {Sat} sat: context
+ * @param {int} id: label id
+ * @param {object} optionalAttributes - Optional attributes
+ */
+export function Mask2d(sat, id, optionalAttributes) {
+  ImageLabel.call(this, sat, id, optionalAttributes);
+  let image = this.satItem.image;
+  this.mask = createMask(image.width, image.height);
+  this.state = MaskStates.FREE;
+  this.maskShape = new MaskShape(this, false);
+  this.imageShape = new MaskShape(this, true);
+  // position of the brush, drawn while the label is selected
+  this.mousePos = null;
+  // the other masks the stroke took pixels from
+  this.claimedLabels = new Set();
+  // cached encoding and box of the mask, undefined once the mask changes
+  this.rle = undefined;
+  this.bounds = undefined;
+  // canvas with the painted pixels, and the box of the pixels changed since
+  // it was last updated
+  this.maskCanvas = null;
+  this.changedRect = null;
+  this.interpolateHandler = this.identityInterpolation;
+
+  if (optionalAttributes) {
+    this.categoryPath = optionalAttributes.categoryPath;
+    for (let i = 0; i < this.sat.attributes.length; i++) {
+      let attributeName = this.sat.attributes[i].name;
+      if (optionalAttributes.attributes &&
+          attributeName in optionalAttributes.attributes) {
+        this.attributes[attributeName] =
+            optionalAttributes.attributes[attributeName];
+      }
+    }
+  }
+}
+
+Mask2d.prototype = Object.create(ImageLabel.prototype);
+
+Mask2d.useCrossHair = false;
+Mask2d.defaultCursorStyle = 'crosshair';
+// strokes start at mousedown, on the selected label or on a new one
+Mask2d.useDoubleClick = false;
+Mask2d.useGroupSelection = false;
+// tool and brush size of the session
+Mask2d.tool = MaskTools.BRUSH;
+Mask2d.brushRadius = 10;
+
+/**
+ * Show the tool and the brush size in the tool box.
+ */
+Mask2d.updateToolBox = function() {
+  for (let tool of Object.values(MaskTools)) {
+    let button = document.getElementById(tool + '_btn');
+    if (button) {
+      button.classList.toggle('active', tool === Mask2d.tool);
+    }
+  }
+  let brushSize = document.getElementById('brush_size');
+  if (brushSize) {
+    brushSize.value = Mask2d.brushRadius;
+  }
+};
+
+/**
+ * Function to set the tool box of Mask2d.
+ * @param {object} ignoredSatItem - the SatItem object.
+ */
+Mask2d.setToolBox = function(ignoredSatItem) {
+  for (let tool of Object.values(MaskTools)) {
+    let button = document.getElementById(tool + '_btn');
+    if (button) {
+      button.onclick = function(e) {
+        e.preventDefault();
+        Mask2d.tool = tool;
+        Mask2d.updateToolBox();
+      };
+    }
+  }
+  let brushSize = document.getElementById('brush_size');
+  if (brushSize) {
+    brushSize.min = MIN_BRUSH_RADIUS;
+    brushSize.max = MAX_BRUSH_RADIUS;
+    brushSize.oninput = function() {
+      Mask2d.brushRadius = Number(brushSize.value);
+    };
+  }
+  Mask2d.updateToolBox();
+};
+
+/**
+ * Set the brush radius of the session, within the allowed range.
+ * @param {number} radius: the radius in image pixels
+ */
+Mask2d.setBrushRadius = function(radius) {
+  Mask2d.brushRadius = Math.min(MAX_BRUSH_RADIUS,
+      Math.max(MIN_BRUSH_RADIUS, Math.round(radius)));
+  Mask2d.updateToolBox();
+};
+
+/**
+ * Record that pixels of the mask changed.
+ * @param {object} rect: the box (x, y, w, h) of the changed pixels, null if
+ *   none changed
+ */
+Mask2d.prototype.maskChanged = function(rect) {
+  if (!rect) {
+    return;
+  }
+  this.rle = undefined;
+  this.bounds = undefined;
+  this.changedRect = unionRects(this.changedRect, rect);
+};
+
+/**
+ * Replace the mask.
+ * @param {object} mask: the new mask, see raster.js
+ */
+Mask2d.prototype.setMask = function(mask) {
+  this.mask = mask;
+  this.maskChanged({x: 0, y: 0, w: mask.width, h: mask.height});
+};
+
+/**
+ * Give the mask the size of the image, once the image is loaded.
+ */
+Mask2d.prototype.fitToImage = function() {
+  let image = this.satItem.image;
+  if (image.width > 0 && (image.width !== this.mask.width ||
+      image.height !== this.mask.height)) {
+    this.setMask(resizeMask(this.mask, image.width, image.height));
+  }
+};
+
+/**
+ * Get the mask encoded by run lengths, as saved and exported.
+ * @return {object} the encoded mask, see encodeRle
+ */
+Mask2d.prototype.getRle = function() {
+  if (!this.rle) {
+    this.rle = encodeRle(this.mask);
+  }
+  return this.rle;
+};
+
+/**
+ * Get the other mask labels of the image.
+ * @return {[Mask2d]} the labels
+ */
+Mask2d.prototype.otherMasks = function() {
+  return this.satItem.labels.filter((label) => label !== this &&
+      label.valid && label instanceof Mask2d);
+};
+
+/**
+ * Take the pixels painted in this mask from the other masks.
+ * @param {object} rect: the box (x, y, w, h) of the pixels to check
+ */
+Mask2d.prototype.claimPixels = function(rect) {
+  if (!rect) {
+    return;
+  }
+  for (let other of this.otherMasks()) {
+    let changed = false;
+    let width = Math.min(rect.x + rect.w, other.mask.width);
+    let height = Math.min(rect.y + rect.h, other.mask.height);
+    for (let y = rect.y; y < height; y++) {
+      for (let x = rect.x; x < width; x++) {
+        let index = y * other.mask.width + x;
+        if (other.mask.data[index] && this.mask.data[y * this.mask.width + x]) {
+          other.mask.data[index] = 0;
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      other.maskChanged(rect);
+      this.claimedLabels.add(other);
+    }
+  }
+};
+
+/**
+ * Apply the tool along a stroke of the brush.
+ * @param {object} from: the position (x, y) the stroke comes from
+ * @param {object} to: the position (x, y) the stroke goes to
+ */
+Mask2d.prototype.paintStroke = function(from, to) {
+  let painting = Mask2d.tool === MaskTools.BRUSH;
+  let rect = paintLine(this.mask, from, to, Mask2d.brushRadius,
+      painting ? 1 : 0);
+  if (painting) {
+    this.claimPixels(rect);
+  }
+  this.maskChanged(rect);
+};
+
+/**
+ * Paint the region around a position that no mask covers.
+ * @param {object} position: the position (x, y)
+ */
+Mask2d.prototype.fill = function(position) {
+  let others = this.otherMasks().filter(
+      (other) => other.mask.width === this.mask.width);
+  this.maskChanged(floodFill(this.mask, position.x, position.y,
+      (index) => others.some((other) => other.mask.data[index] === 1)));
+};
+
+/**
+ * Finish a stroke: the masks emptied by it are deleted and the tracks are
+ * updated.
+ */
+Mask2d.prototype.finishStroke = function() {
+  this.state = MaskStates.FREE;
+  for (let other of this.claimedLabels) {
+    if (other.parent) {
+      other.parent.interpolate(other);
+    } else if (!other.shapesValid()) {
+      this.satItem.deleteLabel(other);
+    }
+  }
+  this.claimedLabels.clear();
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+  if (!this.shapesValid()) {
+    this.satItem.deselectAll();
+  } else {
+    this.updateHiddenMap();
+  }
+};
+
+/**
+ * Put the masks on the hidden map over the whole image for the selected
+ * label.
+ */
+Mask2d.prototype.updateHiddenMap = function() {
+  if (!this.satItem.active || this.sat.reviewMode) {
+    return;
+  }
+  let shapes = [this.imageShape];
+  for (let label of this.satItem.labels) {
+    if (label.valid) {
+      shapes = shapes.concat(label.defaultHiddenShapes());
+    }
+  }
+  this.satItem.resetHiddenMap(shapes);
+};
+
+Mask2d.prototype.setAsTargeted = function() {
+  ImageLabel.prototype.setAsTargeted.call(this);
+  this.updateHiddenMap();
+};
+
+Mask2d.prototype.releaseAsTargeted = function() {
+  ImageLabel.prototype.releaseAsTargeted.call(this);
+  if (this.state === MaskStates.PAINT) {
+    this.state = MaskStates.FREE;
+    this.claimedLabels.clear();
+  }
+  this.mousePos = null;
+};
+
+Mask2d.prototype.isEditing = function() {
+  return this.state !== MaskStates.FREE;
+};
+
+/**
+ * Check whether given shape selects this label.
+ * @param {Shape} shape: the shape under the mouse.
+ * @return {boolean} whether the shape is the mask or, once selected, the
+ *   image.
+ */
+Mask2d.prototype.selectedBy = function(shape) {
+  return shape === this.maskShape || shape === this.imageShape;
+};
+
+/**
+ * Returns the shapes to draw on the hidden canvas when not selected.
+ * @return {[Shape]} List of shapes to draw on the hidden canvas
+ * when not selected.
+ */
+Mask2d.prototype.defaultHiddenShapes = function() {
+  return [this.maskShape];
+};
+
+/**
+ * Returns all hidden shapes.
+ * @return {[Shape]} the shape of the image and of the mask
+ */
+Mask2d.prototype.getAllHiddenShapes = function() {
+  return [this.imageShape, this.maskShape];
+};
+
+/**
+ * Capture the state of this label for the undo history. The mask is kept
+ * encoded, so that unchanged masks compare equal.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+Mask2d.prototype.snapshot = function() {
+  let snapshot = ImageLabel.prototype.snapshot.call(this);
+  snapshot.rle = this.getRle();
+  return snapshot;
+};
+
+/**
+ * Restore the state of this label from a snapshot.
+ * @param {object} snapshot - snapshot taken by Mask2d.snapshot
+ */
+Mask2d.prototype.restoreSnapshot = function(snapshot) {
+  ImageLabel.prototype.restoreSnapshot.call(this, snapshot);
+  this.setMask(decodeRle(snapshot.rle));
+  this.rle = snapshot.rle;
+  this.state = MaskStates.FREE;
+};
+
+/**
+ * Load label data from a encoded string
+ * @param {object} json: json representation of label json.
+ */
+Mask2d.prototype.fromJsonVariables = function(json) {
+  this.decodeBaseJsonVariables(json);
+  if (json.data && json.data.rle) {
+    // Data is missing if this json is actually a track, see Box2d
+    this.setMask(decodeRle(json.data.rle));
+  }
+};
+
+/**
+ * Load label data from export format. Closed polygons, such as the ones of
+ * the segmentation labels, are painted into the mask.
+ * @param {object} exportFormat: json representation of label json.
+ * @return {Mask2d} the label loaded by exportFormat
+ */
+Mask2d.prototype.fromExportFormat = function(exportFormat) {
+  let polys = (exportFormat.poly2d || []).filter((poly) => poly.closed);
+  if (exportFormat.rle) {
+    this.setMask(decodeRle(exportFormat.rle));
+  } else if (polys.length > 0) {
+    let polygons = polys.map(
+        (poly) => Polygon.fromExportFormat(poly).getRings().map(
+            (ring) => ring.flatten()));
+    let [width, height] = [this.satItem.image.width,
+      this.satItem.image.height];
+    if (width === 0) {
+      // the image is not loaded yet, the mask is fitted to it later
+      let points = [].concat(...polygons.map((rings) => rings[0]));
+      width = Math.ceil(Math.max(...points.map((p) => p[0])));
+      height = Math.ceil(Math.max(...points.map((p) => p[1])));
+    }
+    this.setMask(polygonsToMask(polygons, width, height));
+  } else {
+    return null;
+  }
+  this.categoryPath = exportFormat.category;
+  this.attributes = exportFormat.attributes;
+  return this;
+};
+
+/**
+ * Encode the label data into a json object.
+ * @return {object} - the encoded json object.
+ */
+Mask2d.prototype.toJson = function() {
+  let json = this.encodeBaseJson();
+  json.data = {rle: this.getRle()};
+  return json;
+};
+
+/**
+ * Get the canvas with the painted pixels in white, updating the pixels that
+ * changed.
+ * @return {object} the canvas, null if the mask is empty
+ */
+Mask2d.prototype.getMaskCanvas = function() {
+  let [width, height] = [this.mask.width, this.mask.height];
+  if (width === 0 || height === 0) {
+    return null;
+  }
+  if (!this.maskCanvas || this.maskCanvas.width !== width ||
+      this.maskCanvas.height !== height) {
+    this.maskCanvas = document.createElement('canvas');
+    this.maskCanvas.width = width;
+    this.maskCanvas.height = height;
+    this.changedRect = {x: 0, y: 0, w: width, h: height};
+  }
+  let rect = this.changedRect;
+  if (rect) {
+    let x0 = Math.max(0, rect.x);
+    let y0 = Math.max(0, rect.y);
+    let w = Math.min(width, rect.x + rect.w) - x0;
+    let h = Math.min(height, rect.y + rect.h) - y0;
+    if (w > 0 && h > 0) {
+      let ctx = this.maskCanvas.getContext('2d');
+      let imageData = ctx.createImageData(w, h);
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (this.mask.data[(y0 + y) * width + x0 + x]) {
+            imageData.data.fill(255, (y * w + x) * 4, (y * w + x + 1) * 4);
+          }
+        }
+      }
+      ctx.putImageData(imageData, x0, y0);
+    }
+    this.changedRect = null;
+  }
+  return this.maskCanvas;
+};
+
+/**
+ * Draw the painted pixels in a color.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ * @param {string} fillStyle - The color.
+ */
+Mask2d.prototype.drawMask = function(ctx, view, fillStyle) {
+  let maskCanvas = this.getMaskCanvas();
+  if (!maskCanvas) {
+    return;
+  }
+  if (!colorCanvas) {
+    colorCanvas = document.createElement('canvas');
+  }
+  if (colorCanvas.width !== maskCanvas.width ||
+      colorCanvas.height !== maskCanvas.height) {
+    colorCanvas.width = maskCanvas.width;
+    colorCanvas.height = maskCanvas.height;
+  }
+  let colorCtx = colorCanvas.getContext('2d');
+  colorCtx.globalCompositeOperation = 'copy';
+  colorCtx.drawImage(maskCanvas, 0, 0);
+  colorCtx.globalCompositeOperation = 'source-in';
+  colorCtx.fillStyle = fillStyle;
+  colorCtx.fillRect(0, 0, colorCanvas.width, colorCanvas.height);
+  let [x, y, w, h] = view.toCanvasCoords(
+      [0, 0, maskCanvas.width, maskCanvas.height]);
+  ctx.save();
+  // show the pixels as they are painted
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(colorCanvas, x, y, w, h);
+  ctx.restore();
+};
+
+/**
+ * Draw the mask on the canvas, with the brush while selected.
+ * @param {object} mainCtx - HTML canvas context for visible objects.
+ */
+Mask2d.prototype.redrawLabelCanvas = function(mainCtx) {
+  mainCtx.font = FONT_SIZE * UP_RES_RATIO + 'px Verdana';
+  let hovered = this.hoveredShape === this.maskShape;
+  if (this.isTargeted()) {
+    this.drawMask(mainCtx, this.satItem, rgba(SELECT_COLOR, ALPHA_HIGH_FILL));
+  } else {
+    this.drawMask(mainCtx, this.satItem,
+        this.styleColor(hovered ? ALPHA_HIGH_FILL : ALPHA_LOW_FILL));
+  }
+  this.hoveredShape = null;
+  let bounds = this.getBounds();
+  if (bounds && this.state === MaskStates.FREE) {
+    this.drawTag(mainCtx, [bounds.x, bounds.y]);
+  }
+  if (this.isTargeted() && this.mousePos && Mask2d.tool !== MaskTools.FILL) {
+    let [x, y, radius] = this.satItem.toCanvasCoords(
+        [this.mousePos.x, this.mousePos.y, Mask2d.brushRadius]);
+    mainCtx.save();
+    mainCtx.strokeStyle = this.styleColor();
+    mainCtx.lineWidth = UP_RES_RATIO;
+    mainCtx.setLineDash(Mask2d.tool === MaskTools.ERASER ? [4, 4] : []);
+    mainCtx.beginPath();
+    mainCtx.arc(x, y, radius, 0, 2 * Math.PI);
+    mainCtx.stroke();
+    mainCtx.restore();
+  }
+};
+
+/**
+ * Draw the mask in an overview of the image.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ */
+Mask2d.prototype.drawOutline = function(ctx, view) {
+  this.drawMask(ctx, view, this.styleColor(ALPHA_LOW_FILL));
+};
+
+/**
+ * Get the box around the painted pixels.
+ * @return {object} - The box (x, y, w, h) in image coordinates, null if no
+ *   pixel is painted.
+ */
+Mask2d.prototype.getBounds = function() {
+  if (this.bounds === undefined) {
+    this.bounds = maskBounds(this.mask);
+  }
+  return this.bounds;
+};
+
+/**
+ * Move the mask by a few pixels, keeping it in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+Mask2d.prototype.nudge = function(dx, dy) {
+  let bounds = this.getBounds();
+  if (!bounds) {
+    return;
+  }
+  let [width, height] = [this.mask.width, this.mask.height];
+  [dx, dy] = clampMove([bounds], dx, dy, {w: width, h: height});
+  this.setMask(resizeMask(this.mask, width, height, dx, dy));
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Copy the mask for the clipboard.
+ * @return {object} - The encoded mask, null if no pixel is painted.
+ */
+Mask2d.prototype.copyShape = function() {
+  return this.shapesValid() ? this.getRle() : null;
+};
+
+/**
+ * Give this label a mask copied by copyShape.
+ * @param {object} shape - The encoded mask.
+ * @param {[number]} offset - How much to shift the mask along x and y.
+ */
+Mask2d.prototype.pasteShape = function(shape, offset) {
+  let mask = decodeRle(shape);
+  let image = this.satItem.image;
+  this.setMask(resizeMask(mask, image.width || mask.width,
+      image.height || mask.height, offset[0], offset[1]));
+};
+
+/**
+ * Get whether this label has painted pixels.
+ * @return {boolean} - True if a pixel is painted.
+ */
+Mask2d.prototype.shapesValid = function() {
+  return this.getRle().counts.length > 1;
+};
+
+/**
+ * Get the cursor style for a specified shape.
+ * @param {Shape} ignoredShape - The shape under the mouse.
+ * @return {string} - The cursor style string.
+ */
+Mask2d.prototype.getCursorStyle = function(ignoredShape) {
+  // a click on another mask selects it
+  return this.isTargeted() ? Mask2d.defaultCursorStyle : 'pointer';
+};
+
+/**
+ * Masks are not interpolated: the frames between two key frames get the
+ * mask of the first one.
+ * @param {Mask2d} startLabel - The first label.
+ * @param {Mask2d} endLabel - The second label.
+ * @param {number} ignoredWeight - The weight, b/w 0 and 1.
+ */
+Mask2d.prototype.identityInterpolation = function(startLabel, endLabel,
+                                                  ignoredWeight) {
+  let source = startLabel || endLabel;
+  this.setMask(resizeMask(source.mask, source.mask.width, source.mask.height));
+};
+
+Mask2d.prototype.mousedown = function(e) {
+  let mousePos = this.satItem.getMousePos(e);
+  this.fitToImage();
+  this.state = MaskStates.PAINT;
+  this.mousePos = mousePos;
+  if (Mask2d.tool === MaskTools.FILL) {
+    this.fill(mousePos);
+  } else {
+    this.paintStroke(mousePos, mousePos);
+  }
+};
+
+Mask2d.prototype.mouseup = function(e) { // eslint-disable-line
+  if (this.state === MaskStates.PAINT) {
+    this.finishStroke();
+  }
+};
+
+Mask2d.prototype.mousemove = function(e) {
+  let mousePos = this.satItem.getMousePos(e);
+  if (this.state === MaskStates.PAINT && Mask2d.tool !== MaskTools.FILL) {
+    this.paintStroke(this.mousePos, mousePos);
+  }
+  this.mousePos = mousePos;
+};
+
+Mask2d.prototype.mouseleave = function(e) { // eslint-disable-line
+  if (this.state === MaskStates.PAINT) {
+    this.finishStroke();
+  }
+  this.mousePos = null;
+  this.satItem.isMouseDown = false;
+};
+
+Mask2d.prototype.keydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'mask');
+  if (action === 'brush_tool') {
+    Mask2d.tool = MaskTools.BRUSH;
+  } else if (action === 'eraser_tool') {
+    Mask2d.tool = MaskTools.ERASER;
+  } else if (action === 'fill_tool') {
+    Mask2d.tool = MaskTools.FILL;
+  } else if (action === 'brush_smaller') {
+    Mask2d.setBrushRadius(Math.min(Mask2d.brushRadius - 1,
+        Mask2d.brushRadius / BRUSH_RADIUS_RATIO));
+  } else if (action === 'brush_larger') {
+    Mask2d.setBrushRadius(Math.max(Mask2d.brushRadius + 1,
+        Mask2d.brushRadius * BRUSH_RADIUS_RATIO));
+  } else {
+    return;
+  }
+  Mask2d.updateToolBox();
+};
+
+registerLabelType({
+  name: 'mask',
+  labelClass: Mask2d,
+  hotkeys: [
+    {id: 'brush_tool', keys: ['p'], description: 'Paint with the brush'},
+    {id: 'eraser_tool', keys: ['e'], description: 'Erase with the brush'},
+    {
+      id: 'fill_tool',
+      keys: ['g'],
+      description: 'Fill the region under the mouse that no mask covers',
+    },
+    {id: 'brush_smaller', keys: [','], description: 'Make the brush smaller'},
+    {id: 'brush_larger', keys: ['.'], description: 'Make the brush larger'},
+  ],
+});
@@ -0,0 +1,174 @@
+import {UP_RES_RATIO} from './shape';
+
+// width of the minimap in display pixels
+const MINIMAP_WIDTH = 200;
+
+/**
+ * Overview of the whole image shown while the image is zoomed in. It draws
+ * the outlines of the labels and the part of the image in view, which can
+ * be dragged to pan. Labels are drawn with their own shapes, so the minimap
+ * provides the coordinate conversion of a SatImage.
+ * @param {HTMLCanvasElement} canvas: canvas of the minimap
+ */
+export function Minimap(canvas) {
+  let self = this;
+  self.canvas = canvas;
+  self.ctx = canvas.getContext('2d');
+  // the active image
+  self.item = null;
+  // display pixels of the minimap per image pixel
+  self.ratio = 1.0;
+  // offset from the grabbed point to the center of the view, null if the
+  // view is not dragged
+  self.grab = null;
+
+  // the minimap is on top of the image, keep its clicks from the labels
+  canvas.addEventListener('mousedown', function(e) {
+    e.stopPropagation();
+    e.preventDefault();
+    self.mousedown(e);
+  });
+  canvas.addEventListener('mouseup', function(e) {
+    // the mouseup of the document is not reached, so the drag ends here
+    e.stopPropagation();
+    self.grab = null;
+  });
+  canvas.addEventListener('dblclick', function(e) {
+    e.stopPropagation();
+  });
+  canvas.addEventListener('wheel', function(e) {
+    e.stopPropagation();
+    e.preventDefault();
+  });
+  document.addEventListener('mousemove', function(e) {
+    if (self.grab) {
+      self.drag(e);
+    }
+  });
+  document.addEventListener('mouseup', function() {
+    self.grab = null;
+  });
+}
+
+/**
+ * Show the overview of an image.
+ * @param {SatImage} item: the image
+ */
+Minimap.prototype.setItem = function(item) {
+  this.item = item;
+  this.grab = null;
+  this.redraw();
+};
+
+/**
+ * Convert image coordinates to minimap canvas coordinates.
+ * @param {[number]} values - the values to convert.
+ * @param {boolean} ignoredAffine - the minimap has no offset, so the
+ *   conversion is the same either way.
+ * @return {[number]} - the converted values.
+ */
+Minimap.prototype.toCanvasCoords = function(values, ignoredAffine = true) {
+  for (let i = 0; i < values.length; i++) {
+    values[i] *= this.ratio * UP_RES_RATIO;
+  }
+  return values;
+};
+
+/**
+ * Get the part of the image in view.
+ * @return {object}: the box (x,y,w,h) in image coordinates
+ */
+Minimap.prototype.getViewBox = function() {
+  let item = this.item;
+  let [x1, y1] = item.toImageCoords([0, 0]);
+  let [x2, y2] = item.toImageCoords(
+      [item.imageCanvas.width, item.imageCanvas.height]);
+  x1 = Math.max(x1, 0);
+  y1 = Math.max(y1, 0);
+  x2 = Math.min(x2, item.image.width);
+  y2 = Math.min(y2, item.image.height);
+  return {x: x1, y: y1, w: x2 - x1, h: y2 - y1};
+};
+
+/**
+ * Redraw the minimap. It is only shown while part of the image is out of
+ * view.
+ */
+Minimap.prototype.redraw = function() {
+  let item = this.item;
+  if (!item || !item.image.width || !item.padBox) {
+    this.canvas.style.display = 'none';
+    return;
+  }
+  let box = this.getViewBox();
+  if (box.w >= item.image.width && box.h >= item.image.height) {
+    this.canvas.style.display = 'none';
+    return;
+  }
+  this.canvas.style.display = 'block';
+  this.ratio = MINIMAP_WIDTH / item.image.width;
+  let height = Math.round(item.image.height * this.ratio);
+  this.canvas.style.width = MINIMAP_WIDTH + 'px';
+  this.canvas.style.height = height + 'px';
+  // resizing also clears the canvas
+  this.canvas.width = MINIMAP_WIDTH * UP_RES_RATIO;
+  this.canvas.height = height * UP_RES_RATIO;
+
+  let ctx = this.ctx;
+  ctx.drawImage(item.getDisplayImage(), 0, 0, this.canvas.width,
+      this.canvas.height);
+  for (let label of item.labels) {
+    if (label.valid && item.isLabelVisible(label)) {
+      label.drawOutline(ctx, this);
+    }
+  }
+  let [x, y, w, h] = this.toCanvasCoords([box.x, box.y, box.w, box.h]);
+  ctx.save();
+  ctx.lineWidth = UP_RES_RATIO;
+  ctx.strokeStyle = '#ffffff';
+  ctx.strokeRect(x, y, w, h);
+  ctx.restore();
+};
+
+/**
+ * Get the position of the mouse on the minimap in image coordinates.
+ * @param {object} e: mouse event
+ * @return {object}: mouse position (x,y)
+ */
+Minimap.prototype.getMousePos = function(e) {
+  let rect = this.canvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) / this.ratio,
+    y: (e.clientY - rect.top) / this.ratio,
+  };
+};
+
+/**
+ * Start dragging the view. A click outside of the view moves the view
+ * there first.
+ * @param {object} e: mouse event
+ */
+Minimap.prototype.mousedown = function(e) {
+  if (!this.item || e.which !== 1) {
+    return;
+  }
+  let pos = this.getMousePos(e);
+  let box = this.getViewBox();
+  let center = {x: box.x + box.w / 2, y: box.y + box.h / 2};
+  if (pos.x >= box.x && pos.x <= box.x + box.w &&
+      pos.y >= box.y && pos.y <= box.y + box.h) {
+    this.grab = {x: center.x - pos.x, y: center.y - pos.y};
+  } else {
+    this.grab = {x: 0, y: 0};
+    this.item.centerOn(pos);
+  }
+};
+
+/**
+ * Move the view with the mouse.
+ * @param {object} e: mouse event
+ */
+Minimap.prototype.drag = function(e) {
+  let pos = this.getMousePos(e);
+  this.item.centerOn({x: pos.x + this.grab.x, y: pos.y + this.grab.y});
+};
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import {SatLabel} from '../sat';
+import {registerLabelType} from '../label_registry';
 
 /**
  * Label for Point Cloud 3D BBox
@@ -227,6 +228,71 @@ Box3d.prototype.rotateBox = function(
   }
 };
 
+/**
+ * Get the position, rotation and scale of the box. The box looks the same
+ * flipped, so the scale is given without its sign.
+ * @return {object} - The values by field of BOX3D_FIELDS in inspector.js.
+ */
+Box3d.prototype.getGeometry = function() {
+  let box = this.box;
+  return {
+    positionX: box.position.x,
+    positionY: box.position.y,
+    positionZ: box.position.z,
+    rotationX: box.rotation.x,
+    rotationY: box.rotation.y,
+    rotationZ: box.rotation.z,
+    scaleX: Math.abs(box.scale.x),
+    scaleY: Math.abs(box.scale.y),
+    scaleZ: Math.abs(box.scale.z),
+  };
+};
+
+/**
+ * Move, rotate and scale the box.
+ * @param {object} values - The values by field of BOX3D_FIELDS in
+ *   inspector.js.
+ */
+Box3d.prototype.setGeometry = function(values) {
+  let box = this.box;
+  box.position.set(values.positionX, values.positionY, values.positionZ);
+  box.rotation.set(values.rotationX, values.rotationY, values.rotationZ);
+  box.scale.set(values.scaleX, values.scaleY, values.scaleZ);
+  box.outline.position.copy(box.position);
+  box.outline.rotation.copy(box.rotation);
+  box.outline.scale.copy(box.scale);
+};
+
+/**
+ * Copy the box for the clipboard.
+ * @return {object} - The position, rotation and scale of the box, null if
+ *   the box is not created yet.
+ */
+Box3d.prototype.copyShape = function() {
+  if (!this.box) {
+    return null;
+  }
+  return {
+    position: this.box.position.toArray(),
+    rotation: [this.box.rotation.x, this.box.rotation.y, this.box.rotation.z],
+    scale: this.box.scale.toArray(),
+  };
+};
+
+/**
+ * Give this label a box copied by copyShape. The box is made by createBox.
+ * @param {object} shape - The position, rotation and scale of the box.
+ * @param {[number]} offset - How much to shift the box along x and y.
+ */
+Box3d.prototype.pasteShape = function(shape, offset) {
+  let [x, y, z] = shape.position;
+  this.data = {
+    position: [x + offset[0], y + offset[1], z],
+    rotation: shape.rotation.slice(),
+    scale: shape.scale.slice(),
+  };
+};
+
 Box3d.prototype.toJson = function() {
   let label = this.encodeBaseJson();
 
@@ -258,6 +324,40 @@ Box3d.prototype.fromJsonVariables = function(json) {
   this.name = this.categoryArr[this.categoryArr.length - 1];
 };
 
+/**
+ * Capture the state of this box for the undo history.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+Box3d.prototype.snapshot = function() {
+  let snapshot = SatLabel.prototype.snapshot.call(this);
+  snapshot.categoryArr = this.categoryArr.slice();
+  snapshot.name = this.name;
+  if (this.box) {
+    snapshot.position = this.box.position.toArray();
+    snapshot.rotation = this.box.rotation.toArray().slice(0, 3);
+    snapshot.scale = this.box.scale.toArray();
+  }
+  return snapshot;
+};
+
+/**
+ * Restore the state of this box from a snapshot.
+ * @param {object} snapshot - snapshot taken by Box3d.snapshot
+ */
+Box3d.prototype.restoreSnapshot = function(snapshot) {
+  SatLabel.prototype.restoreSnapshot.call(this, snapshot);
+  this.categoryArr = snapshot.categoryArr.slice();
+  this.name = snapshot.name;
+  if (this.box && snapshot.position) {
+    this.box.position.fromArray(snapshot.position);
+    this.box.rotation.fromArray(snapshot.rotation);
+    this.box.scale.fromArray(snapshot.scale);
+    this.box.outline.position.copy(this.box.position);
+    this.box.outline.rotation.copy(this.box.rotation);
+    this.box.outline.scale.copy(this.box.scale);
+  }
+};
+
 Box3d.prototype.interpolate = function(prevKeyframeIndex, nextKeyframeIndex,
                                        myIndex, attributes) {
   let distance = nextKeyframeIndex - prevKeyframeIndex;
@@ -290,3 +390,38 @@ Box3d.prototype.interpolate = function(prevKeyframeIndex, nextKeyframeIndex,
 
   this.attributes = attributes;
 };
+
+registerLabelType({
+  name: 'box3d',
+  labelClass: Box3d,
+  hotkeys: [
+    {
+      id: 'adjust_box',
+      keys: ['Enter'],
+      description: 'Start or finish adjusting the selected box',
+    },
+    {
+      id: 'rotate_box',
+      keys: ['r'],
+      hold: true,
+      description: 'Hold and drag to rotate the box',
+    },
+    {
+      id: 'scale_box',
+      keys: ['s'],
+      hold: true,
+      description: 'Hold and drag to scale the box',
+    },
+    {
+      id: 'extrude_box',
+      keys: ['e'],
+      hold: true,
+      description: 'Hold and drag to extrude the box',
+    },
+    {
+      id: 'fit_height',
+      keys: ['g'],
+      description: 'Fit the height of the box to the points inside it',
+    },
+  ],
+});
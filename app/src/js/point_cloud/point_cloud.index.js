@@ -1,17 +1,27 @@
-/* global itemType */
+/* global labelType itemType */
 
 import {Sat3dTracker} from './point_cloud_tracking';
 import {Sat3d} from './sat3d';
-import {Box3d} from './box3d';
+import {getLabelType, setUpLabelTypePage} from '../label_registry';
+// label types available on this page
+import './box3d';
 import 'bootstrap-material-design';
 
 $(document).ready(function() {
   $('body').bootstrapMaterialDesign();
+  let registered = getLabelType(labelType);
+  if (!registered || !registered.labelClass ||
+      registered.itemTypes.indexOf(itemType) < 0) {
+    alert('Label type "' + labelType + '" is not supported for ' +
+        itemType + ' items.');
+    return;
+  }
+  setUpLabelTypePage(registered);
   if (itemType === 'pointcloudtracking') {
     document.getElementById('end_btn').style.visibility = 'visible';
-    new Sat3dTracker();
+    new Sat3dTracker(registered.labelClass);
   } else {
-    new Sat3d(Box3d);
+    new Sat3d(registered.labelClass);
   }
 });
 $('body').show();
@@ -1,13 +1,15 @@
 import {Sat3d} from './sat3d';
 import {SatLabel} from '../sat';
 import {Box3d} from './box3d';
+import {tracksToJson} from '../functional/json';
 
 /**
  *
+ * @param {SatLabel} labelType: label instantiation type, Box3d by default
  * @constructor
  */
-export function Sat3dTracker() {
-  Sat3d.call(this, Box3d);
+export function Sat3dTracker(labelType = Box3d) {
+  Sat3d.call(this, labelType);
   if (this.tracks == null) {
     this.tracks = [];
   }
@@ -27,7 +29,8 @@ Sat3dTracker.prototype.newLabel = function(optionalAttributes = null) {
 
   for (let i = this.currentItem.index; i < this.items.length; i++) {
     let labelId = this.newLabelId();
-    let childLabel = new this.LabelType(this, labelId, optionalAttributes);
+    let LabelClass = this.getLabelClass();
+    let childLabel = new LabelClass(this, labelId, optionalAttributes);
 
     this.labelIdMap[childLabel.id] = childLabel;
     this.labels.push(childLabel);
@@ -44,17 +47,13 @@ Sat3dTracker.prototype.newLabel = function(optionalAttributes = null) {
       childLabel.keyframe = true;
     }
   }
+  this.syncStore([track].concat(track.children));
   return currentLabel;
 };
 
 Sat3dTracker.prototype.toJson = function() {
   let json = this.encodeBaseJson();
-  json.tracks = [];
-  for (let i = 0; i < this.tracks.length; i++) {
-    if (this.tracks[i].valid) {
-      json.tracks.push(this.tracks[i].toJson());
-    }
-  }
+  json.tracks = tracksToJson(this.store.getState());
   json.task.projectOptions.metadata = this.metadata;
   return json;
 };
@@ -47,6 +47,9 @@ export function Sat3d(labelType) {
   ];
 
   Sat.call(this, SatPointCloud, labelType);
+  // point clouds are large, keep fewer of them loading
+  this.prefetchBehind = 1;
+  this.prefetchAhead = 3;
 }
 
 Sat3d.prototype = Object.create(Sat.prototype);
@@ -77,9 +80,6 @@ Sat3d.prototype.loaded = function() {
   this.slider.max = this.items.length;
   this.slider.value = 1;
 
-  // Load point cloud data
-  this.items[0].getPCJSON();
-
   this.animate();
 };
 
@@ -2,6 +2,43 @@ import {SatItem} from '../sat';
 import $ from 'jquery';
 import * as THREE from 'three';
 import {PLYLoader} from '../thirdparty/PLYLoader';
+import {BOX3D_FIELDS, Inspector} from '../inspector';
+
+// keyboard actions of point cloud items
+const POINT_CLOUD_HOTKEYS = [
+  {
+    id: 'move_forward',
+    keys: ['ArrowUp'],
+    description: 'Move the camera forward',
+  },
+  {
+    id: 'move_backward',
+    keys: ['ArrowDown'],
+    description: 'Move the camera backward',
+  },
+  {id: 'move_left', keys: ['ArrowLeft'], description: 'Move the camera left'},
+  {
+    id: 'move_right',
+    keys: ['ArrowRight'],
+    description: 'Move the camera right',
+  },
+  {id: 'move_up', keys: ['.'], description: 'Move the camera up'},
+  {id: 'move_down', keys: ['/'], description: 'Move the camera down'},
+  {
+    id: 'delete_box',
+    keys: ['Backspace', 'Delete'],
+    description: 'Delete selected label',
+  },
+  {id: 'deselect_box', keys: ['Escape'], description: 'Deselect label'},
+];
+
+// shift in meters of each paste of boxes into the point cloud they were
+// copied from
+const PASTE_OFFSET = 1;
+
+// actions that do not edit boxes, available in review mode
+const REVIEW_ACTIONS = ['move_forward', 'move_backward', 'move_left',
+  'move_right', 'move_up', 'move_down', 'deselect_box'];
 
 /**
  * Point Cloud Item
@@ -11,6 +48,7 @@ import {PLYLoader} from '../thirdparty/PLYLoader';
  */
 export function SatPointCloud(sat, index, url) {
   SatItem.call(this, sat, index, url);
+  this.loading = false;
 
   this.POINT_SIZE = 0.2;
 
@@ -24,13 +62,6 @@ export function SatPointCloud(sat, index, url) {
   this.MOVE_CORRECTION_FACTOR = 0.3;
   this.VERTICAL = new THREE.Vector3(0, 0, 1);
 
-  this.UP_KEY = 38;
-  this.DOWN_KEY = 40;
-  this.LEFT_KEY = 37;
-  this.RIGHT_KEY = 39;
-  this.PERIOD_KEY = 190;
-  this.SLASH_KEY = 191;
-
   this.MOVE_UP = new THREE.Vector3(0, 0, 0.2);
   this.MOVE_DOWN = new THREE.Vector3(0, 0, -0.2);
 
@@ -91,16 +122,7 @@ export function SatPointCloud(sat, index, url) {
   this.selectedLabel = null;
   this.selectedLabelNewBox = false;
 
-  this.ESCAPE_KEY = 27;
-  this.R_KEY = 82;
-  this.S_KEY = 83;
-  this.E_KEY = 69;
-  // Press G, the box will automatically
-  // grow in z-coordinate to contain all the
-  // points inside its projection on X-Y plane.
-  this.G_KEY = 71;
-  this.ENTER_KEY = 13;
-  this.DELETE_KEY = 8;
+  sat.keymap.register('point_cloud', POINT_CLOUD_HOTKEYS, '3D View');
 
   this.STANDBY = 0;
   this.ADJUSTING = 1;
@@ -125,7 +147,6 @@ export function SatPointCloud(sat, index, url) {
   this.viewPlaneNormal = new THREE.Vector3();
 
   // this.info_card = document.getElementById('bounding_box_card');
-  this.labelList = document.getElementById('label_list');
 
   this.wheelListener = this.handleMouseWheel.bind(this);
   this.mouseMoveListener = this.handleMouseMove.bind(this);
@@ -152,16 +173,29 @@ export function SatPointCloud(sat, index, url) {
     }
   }).bind(this);
   this.addBoxListener = (function() {
+    if (this.sat.reviewMode) {
+      return;
+    }
+    this.sat.history.begin(this);
     this.addBoundingBox(this.sat.newLabel(), null, true);
+    this.sat.history.commit('create label', this.selectedLabel.id);
   }).bind(this);
 }
 
 SatPointCloud.prototype = Object.create(SatItem.prototype);
 
+/**
+ * Start loading the point cloud if it was not requested yet.
+ */
+SatPointCloud.prototype.prefetch = function() {
+  this.getPCJSON();
+};
+
 SatPointCloud.prototype.getPCJSON = function() {
-  if (this.ready) {
+  if (this.ready || this.loading) {
     return;
   }
+  this.loading = true;
 
   let loader = new PLYLoader();
   let e = document.createElement('div');
@@ -196,19 +230,15 @@ SatPointCloud.prototype.getPCJSON = function() {
         this.particles = new THREE.Points(geometry, material);
         this.scene.add(this.particles);
 
+        this.loading = false;
         this.loaded();
-
-        let nextIndex = (this.index + 1) % this.sat.items.length;
-        this.sat.items[nextIndex].getPCJSON();
       }).bind(this),
 
       function() {
       },
 
       (function() {
-          let nextIndex = (this.index + 1) % this.sat.items.length;
-          this.sat.items[nextIndex].getPCJSON();
-
+        this.loading = false;
         alert('Point cloud at ' + this.url + ' was not found.');
       }).bind(this),
   );
@@ -247,10 +277,13 @@ SatPointCloud.prototype.setActive = function(active) {
     document.addEventListener('keyup',
         this.keyUpListener, false);
 
-    this.labelList.innerHTML = '';
-
-    for (let i = 0; i < this.labels.length; i++) {
-      this.addLabelToList(this.labels[i]);
+    this.sat.labelList.setItem(this);
+    let container = document.getElementById('box_inspector');
+    if (container && !this.sat.inspector) {
+      let sat = this.sat;
+      sat.inspector = new Inspector(sat, container, BOX3D_FIELDS,
+          () => sat.currentItem && sat.currentItem.getInspectedBox(),
+          (values) => sat.currentItem.setInspectedBox(values));
     }
 
     for (let i = 0; i < this.sat.attributes.length; i++) {
@@ -335,11 +368,9 @@ SatPointCloud.prototype.redraw = function() {
     this.sat.renderer.render(this.scene, camera);
   }
 
-  // if (this.selectedLabel != null) {
-  //     this.updateRotationInfo();
-  //     this.updatePositionInfo();
-  //     this.updateScaleInfo();
-  // }
+  if (this.sat.inspector) {
+    this.sat.inspector.refresh();
+  }
 
   // this.updateViewInfo();
 };
@@ -500,6 +531,14 @@ SatPointCloud.prototype.handleMouseMove = function(e) {
 
 SatPointCloud.prototype.handleMouseDown = function() {
   this.mouseDown = true;
+  if (this.sat.reviewMode) {
+    // boxes are only selected for review
+    if (this.boxMouseOver != null) {
+      this.select(this.boxMouseOver.label);
+    }
+    return;
+  }
+  this.sat.history.begin(this);
   if (this.selectionState == this.STANDBY) {
     if (this.boxMouseOver != null) {
       this.select(this.boxMouseOver.label);
@@ -525,11 +564,13 @@ SatPointCloud.prototype.handleMouseDown = function() {
 SatPointCloud.prototype._attributeSwitch = function(index) {
   let attributeName = this.sat.attributes[index].name;
   if (this.selectedLabel) {
+    this.sat.history.begin(this);
     this.selectedLabel.attributes[attributeName] = $('#custom_attribute_'
         + attributeName).prop('checked');
     if (this.selectedLabel.parent) {
       this.selectedLabel.parent.interpolate(this.selectedLabel);
     }
+    this.sat.history.commit('change attribute', this.selectedLabel.id);
   }
 };
 
@@ -538,6 +579,7 @@ SatPointCloud.prototype._attributeListSelect = function(
     selectedIndex) {
   let attributeName = this.sat.attributes[attributeIndex].name;
   if (this.selectedLabel) {
+    this.sat.history.begin(this);
     // store both the index and the value in order to prevent another loop
     //   during tag drawing
     this.selectedLabel.attributes[attributeName] =
@@ -547,61 +589,64 @@ SatPointCloud.prototype._attributeListSelect = function(
     if (this.selectedLabel.parent) {
       this.selectedLabel.parent.interpolate(this.selectedLabel);
     }
+    this.sat.history.commit('change attribute', this.selectedLabel.id);
   }
 };
 
 SatPointCloud.prototype._changeSelectedLabelCategory = function() {
   if (this.selectedLabel != null) {
-    let selectorName = 'parent_select_';
-    let level = 0;
-    let selector = document.getElementById(selectorName + level);
-
-    this.selectedLabel.categoryPath = '';
-    this.selectedLabel.categoryArr = [];
-    while (selector != null) {
-      this.selectedLabel.categoryPath +=
-          selector.options[selector.selectedIndex].value + ',';
-      this.selectedLabel.categoryArr.push(
-          selector.options[selector.selectedIndex].value);
-      level++;
-      selector = document.getElementById(selectorName + level);
-    }
+    this.sat.history.begin(this);
+    this._setSelectedLabelCategory();
+    this.sat.history.commit('change category', this.selectedLabel.id);
+  }
+};
 
-    selector = document.getElementById('category_select');
+SatPointCloud.prototype._setSelectedLabelCategory = function() {
+  let selectorName = 'parent_select_';
+  let level = 0;
+  let selector = document.getElementById(selectorName + level);
+
+  this.selectedLabel.categoryPath = '';
+  this.selectedLabel.categoryArr = [];
+  while (selector != null) {
+    this.selectedLabel.categoryPath +=
+        selector.options[selector.selectedIndex].value + ',';
+    this.selectedLabel.categoryArr.push(
+        selector.options[selector.selectedIndex].value);
+    level++;
+    selector = document.getElementById(selectorName + level);
+  }
 
-    // If we go without category,
-    // then we cannot select category for a label,
-    // then all this is meaningless.
-    if (selector == null) {
-      return;
-    }
+  selector = document.getElementById('category_select');
 
-    this.selectedLabel.name =
-        selector.options[selector.selectedIndex].value;
-    this.selectedLabel.categoryPath += this.selectedLabel.name;
-    this.selectedLabel.categoryArr.push(this.selectedLabel.name);
+  // If we go without category,
+  // then we cannot select category for a label,
+  // then all this is meaningless.
+  if (selector == null) {
+    return;
+  }
 
-    for (let i = 0; i < this.labelList.childNodes.length; i++) {
-      if (this.labelList.childNodes[i].label == this.selectedLabel) {
-        this.labelList.childNodes[i].text = this.selectedLabel.name +
-            ' ' + this.selectedLabel.id;
-      }
-    }
+  this.selectedLabel.name =
+      selector.options[selector.selectedIndex].value;
+  this.selectedLabel.categoryPath += this.selectedLabel.name;
+  this.selectedLabel.categoryArr.push(this.selectedLabel.name);
 
-    if (this.selectedLabel.parent) {
-      for (let i = 0;
-           i < this.selectedLabel.parent.children.length; i++) {
-        let child = this.selectedLabel.parent.children[i];
-        child.categoryPath = this.selectedLabel.categoryPath;
-        child.categoryArr = this.selectedLabel.categoryArr;
-        child.name = this.selectedLabel.name;
-      }
+  if (this.selectedLabel.parent) {
+    for (let i = 0;
+         i < this.selectedLabel.parent.children.length; i++) {
+      let child = this.selectedLabel.parent.children[i];
+      child.categoryPath = this.selectedLabel.categoryPath;
+      child.categoryArr = this.selectedLabel.categoryArr;
+      child.name = this.selectedLabel.name;
     }
   }
 };
 
 SatPointCloud.prototype.handleMouseUp = function() {
   this.mouseDown = false;
+  if (this.sat.reviewMode) {
+    return;
+  }
   if (this.selectionState == this.EDITING) {
     this.selectionState = this.ADJUSTING;
     if (this.editState != this.MOVING_BOX) {
@@ -609,6 +654,8 @@ SatPointCloud.prototype.handleMouseUp = function() {
     }
     this.editState = this.MOVING_BOX;
   }
+  this.sat.history.commit('transform box',
+      this.selectedLabel ? this.selectedLabel.id : -1);
 };
 
 SatPointCloud.prototype.calculateForward = function() {
@@ -663,60 +710,87 @@ SatPointCloud.prototype.extendBox = function() {
 };
 
 SatPointCloud.prototype.handleKeyDown = function(e) {
+  if (this.sat.reviewMode) {
+    this.handleEditKey(e);
+    return;
+  }
+  let keymap = this.sat.keymap;
+  if (keymap.matches(e, 'undo') || keymap.matches(e, 'redo')) {
+    e.preventDefault();
+    if (keymap.matches(e, 'redo')) {
+      this.sat.redo();
+    } else {
+      this.sat.undo();
+    }
+    return;
+  }
+  let labelId = this.selectedLabel ? this.selectedLabel.id : -1;
+  this.sat.history.begin(this);
+  this.handleEditKey(e);
+  this.sat.history.commit('edit box', labelId);
+};
+
+SatPointCloud.prototype.handleEditKey = function(e) {
   let forward = this.calculateForward();
   let left = this.calculateLeft(forward);
+  let keymap = this.sat.keymap;
+  let action = keymap.actionFor(e, 'point_cloud') ||
+      keymap.actionFor(e, this.sat.labelType);
+  if (this.sat.reviewMode && REVIEW_ACTIONS.indexOf(action) < 0) {
+    return;
+  }
   // Move target and camera depending on which key is pressed
-  switch (e.keyCode) {
-    case this.PERIOD_KEY:
+  switch (action) {
+    case 'move_up':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.add(this.MOVE_UP);
       }
       this.target.add(this.MOVE_UP);
       this.sphere.position.copy(this.target);
       break;
-    case this.SLASH_KEY:
+    case 'move_down':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.add(this.MOVE_DOWN);
       }
       this.target.add(this.MOVE_DOWN);
       this.sphere.position.copy(this.target);
       break;
-    case this.UP_KEY:
+    case 'move_forward':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.add(forward);
       }
       this.target.add(forward);
       this.sphere.position.copy(this.target);
       break;
-    case this.DOWN_KEY:
+    case 'move_backward':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.sub(forward);
       }
       this.target.sub(forward);
       this.sphere.position.copy(this.target);
       break;
-    case this.LEFT_KEY:
+    case 'move_left':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.add(left);
       }
       this.target.add(left);
       this.sphere.position.copy(this.target);
       break;
-    case this.RIGHT_KEY:
+    case 'move_right':
       for (let i = 0; i < this.views.length; i++) {
         this.views[i].camera.position.sub(left);
       }
       this.target.sub(left);
       this.sphere.position.copy(this.target);
       break;
-    case this.DELETE_KEY:
+    case 'delete_box':
       this.selectionState = this.STANDBY;
       if (this.selectedLabel) {
         this.deleteSelection();
       }
       this.selectedLabelNewBox = false;
       break;
-    case this.ESCAPE_KEY:
+    case 'deselect_box':
       if (this.selectedLabelNewBox) {
         this.deleteSelection();
         this.selectedLabelNewBox = false;
@@ -725,7 +799,7 @@ SatPointCloud.prototype.handleKeyDown = function(e) {
       this.selectionState = this.STANDBY;
       this.deselect();
       break;
-    case this.ENTER_KEY:
+    case 'adjust_box':
       if (this.selectionState == this.ADJUSTING) {
         this.selectedLabelNewBox = false;
         this.selectionState = this.STANDBY;
@@ -737,7 +811,7 @@ SatPointCloud.prototype.handleKeyDown = function(e) {
         }
       }
       break;
-    case this.S_KEY:
+    case 'scale_box':
       if (this.selectionState != this.EDITING) {
         this.editState = this.SCALING_BOX;
       }
@@ -745,7 +819,7 @@ SatPointCloud.prototype.handleKeyDown = function(e) {
         this.selectedLabel.setColor(0x00ff00, [8, 9, 10, 11]);
       }
       break;
-    case this.E_KEY:
+    case 'extrude_box':
       if (this.selectionState != this.EDITING) {
         this.editState = this.EXTRUDING_BOX;
       }
@@ -754,12 +828,14 @@ SatPointCloud.prototype.handleKeyDown = function(e) {
             [0, 1, 2, 3, 4, 5, 6, 7]);
       }
       break;
-    case this.G_KEY:
+    case 'fit_height':
+      // the box grows in z-coordinate to contain all the points inside its
+      // projection on the X-Y plane
       if (this.selectionState != this.STANDBY) {
         this.extendBox();
       }
       break;
-    case this.R_KEY:
+    case 'rotate_box':
       if (this.selectionState != this.EDITING) {
         this.editState = this.ROTATING_BOX;
       }
@@ -790,7 +866,7 @@ SatPointCloud.prototype.addBoundingBox = function(label, target, select = false,
   this.boundingBoxes.push(box);
 
   if (addToList) {
-    this.addLabelToList(label);
+    this.sat.labelList.refresh();
   }
 
   if (select) {
@@ -805,31 +881,35 @@ SatPointCloud.prototype.addBoundingBox = function(label, target, select = false,
   this.scene.add(box.outline);
 };
 
-SatPointCloud.prototype.updateScaleInfo = function() {
-  // Set scale info
-  let scale = this.selectedLabel.box.scale;
-  this.info_card.querySelector('#box_dimensions').innerHTML =
-      '(' + Math.abs(scale.x).toFixed(2) + ', ' +
-      Math.abs(scale.y).toFixed(2) + ', ' +
-      Math.abs(scale.z).toFixed(2) + ')';
-};
-
-SatPointCloud.prototype.updatePositionInfo = function() {
-  // Set pos info
-  let pos = this.selectedLabel.box.position;
-  this.info_card.querySelector('#box_center').innerHTML =
-      '(' + pos.x.toFixed(2) + ', ' +
-      pos.y.toFixed(2) + ', ' +
-      pos.z.toFixed(2) + ')';
+/**
+ * Get the box of the selected label for the inspector.
+ * @return {object} - The position, rotation and scale of the box by
+ *   inspector field, null if no box is selected.
+ */
+SatPointCloud.prototype.getInspectedBox = function() {
+  if (!this.selectedLabel || !this.selectedLabel.box) {
+    return null;
+  }
+  return this.selectedLabel.getGeometry();
 };
 
-SatPointCloud.prototype.updateRotationInfo = function() {
-  // Set rotation info
-  let rot = this.selectedLabel.box.rotation;
-  this.info_card.querySelector('#box_rotation').innerHTML =
-      '(' + rot.x.toFixed(2) + ', ' +
-      rot.y.toFixed(2) + ', ' +
-      rot.z.toFixed(2) + ')';
+/**
+ * Move, rotate and scale the selected box to values typed in the inspector.
+ * @param {object} values - The position, rotation and scale of the box by
+ *   inspector field.
+ */
+SatPointCloud.prototype.setInspectedBox = function(values) {
+  let label = this.selectedLabel;
+  if (this.sat.reviewMode || !label || !label.box) {
+    return;
+  }
+  this.sat.history.begin(this);
+  label.setGeometry(values);
+  if (label.parent) {
+    label.parent.interpolate(label);
+  }
+  this.sat.history.commit('transform box', label.id);
+  this.sat.labelList.refresh();
 };
 
 SatPointCloud.prototype.updateViewInfo = function() {
@@ -847,40 +927,6 @@ SatPointCloud.prototype.updateViewInfo = function() {
       target.z.toFixed(2) + ')';
 };
 
-SatPointCloud.prototype.deactivateLabelList = function() {
-  for (let j = 0; j < this.labelList.childNodes.length; j++) {
-    this.labelList.childNodes[j].classList.remove('active');
-  }
-};
-
-SatPointCloud.prototype.addLabelToList = function(label) {
-  let item = document.createElement('a');
-  item.href = '#';
-
-  let id = label.id;
-  if (label.parent) {
-    id = label.parent.id;
-  }
-  item.text = label.name + ' ' + id;
-
-  item.classList.add('list-group-item');
-  item.classList.add('list-group-item-action');
-
-  this.labelList.appendChild(item);
-
-  item.label = label;
-
-  item.addEventListener('click', (function() {
-    this.deactivateLabelList();
-    if (this.selectedLabelNewBox) {
-      this.deleteSelection();
-      this.selectedLabelNewBox = false;
-    }
-    this.selectionState = this.STANDBY;
-    this.select(label);
-  }).bind(this));
-};
-
 SatPointCloud.prototype.select = function(label) {
   let temp = this.selectedLabel;
   this.deselect();
@@ -892,13 +938,6 @@ SatPointCloud.prototype.select = function(label) {
 
     // this.info_card.style.display = 'block';
 
-    // Make active in label list
-    for (let i = 0; i < this.labelList.childNodes.length; i++) {
-      if (this.labelList.childNodes[i].label == label) {
-        this.labelList.childNodes[i].classList.add('active');
-      }
-    }
-
     // Change selected category
     let name = this.selectedLabel.name; // Name will change when triggering
                                         // change listener
@@ -961,6 +1000,8 @@ SatPointCloud.prototype.select = function(label) {
       }
     }
   }
+  this.sat.reviewPanel.refresh();
+  this.sat.labelList.refresh();
 };
 
 SatPointCloud.prototype.deselect = function() {
@@ -968,23 +1009,139 @@ SatPointCloud.prototype.deselect = function() {
     this.selectedLabel.setColor(this.selectedLabel.color());
     this.selectedLabel = null;
     // this.info_card.style.display = 'none';
-    this.deactivateLabelList();
   }
+  this.sat.reviewPanel.refresh();
+  this.sat.labelList.refresh();
 };
 
-SatPointCloud.prototype.deleteSelection = function() {
-  this.boundingBoxes.splice(
-      this.boundingBoxes.indexOf(this.selectedLabel.box), 1);
+/**
+ * Select a box from the label list or for review. A new box that was not
+ * placed yet is dropped.
+ * @param {Box3d} label - The label of the box.
+ */
+SatPointCloud.prototype.focusLabel = function(label) {
+  if (this.selectedLabelNewBox && this.selectedLabel !== label) {
+    this.deleteSelection();
+    this.selectedLabelNewBox = false;
+  }
+  this.selectionState = this.STANDBY;
+  if (this.selectedLabel !== label) {
+    this.select(label);
+  }
+};
 
-  let ind = -1;
-  for (let i = 0; i < this.labelList.childNodes.length; i++) {
-    if (this.labelList.childNodes[i].label == this.selectedLabel) {
-      ind = i;
+/**
+ * Get the footprint of a box on the ground.
+ * @param {Box3d} label - The label of the box.
+ * @return {object} - The box (x, y, w, h) in world coordinates.
+ */
+SatPointCloud.prototype.getLabelBounds = function(label) {
+  if (!label.box) {
+    return null;
+  }
+  let w = Math.abs(label.box.scale.x);
+  let h = Math.abs(label.box.scale.y);
+  return {
+    x: label.box.position.x - w / 2,
+    y: label.box.position.y - h / 2,
+    w: w,
+    h: h,
+  };
+};
+
+/**
+ * Change the category of boxes, along their tracks.
+ * @param {[Box3d]} labels - The labels of the boxes.
+ * @param {[string]} path - Names of the category and its parents.
+ */
+SatPointCloud.prototype.setLabelsCategory = function(labels, path) {
+  if (this.sat.reviewMode) {
+    return;
+  }
+  this.sat.history.begin(this);
+  for (let label of labels) {
+    let targets = label.parent ? label.parent.children : [label];
+    for (let target of targets) {
+      target.categoryPath = path.join(',');
+      target.categoryArr = path.slice();
+      target.name = path[path.length - 1];
     }
   }
+  this.sat.history.commit('change category');
+  this.sat.labelList.refresh();
+};
 
-  this.labelList.removeChild(this.labelList.childNodes[ind]);
+/**
+ * Delete boxes of this point cloud.
+ * @param {[Box3d]} labels - The labels of the boxes.
+ */
+SatPointCloud.prototype.deleteLabels = function(labels) {
+  if (this.sat.reviewMode) {
+    return;
+  }
+  this.sat.history.begin(this);
+  this.deselect();
+  this.selectionState = this.STANDBY;
+  this.selectedLabelNewBox = false;
+  for (let label of labels) {
+    label.delete();
+  }
+  this.deleteInvalidLabels();
+  this.sat.history.commit('delete label');
+  this.sat.labelList.refresh();
+};
+
+/**
+ * Add boxes to this point cloud from clipboard entries.
+ * @param {[object]} entries - Category path, attributes and shape of the
+ *   boxes.
+ * @param {number} steps - How many times the boxes are shifted by
+ *   PASTE_OFFSET.
+ * @return {[Box3d]} - The labels of the new boxes.
+ */
+SatPointCloud.prototype.pasteLabels = function(entries, steps) {
+  if (this.sat.reviewMode || this.sat.currentItem !== this) {
+    return [];
+  }
+  this.sat.history.begin(this);
+  if (this.selectedLabelNewBox) {
+    this.deleteSelection();
+    this.selectedLabelNewBox = false;
+  }
+  this.deselect();
+  this.selectionState = this.STANDBY;
+  let offset = [steps * PASTE_OFFSET, steps * PASTE_OFFSET];
+  let labels = [];
+  for (let entry of entries) {
+    let label = this.sat.newLabel();
+    let path = entry.categoryPath.split(',');
+    let targets = label.parent ? label.parent.children : [label];
+    for (let target of targets) {
+      target.categoryPath = entry.categoryPath;
+      target.categoryArr = path.slice();
+      target.name = path[path.length - 1];
+      target.attributes = {...entry.attributes};
+    }
+    label.pasteShape(entry.shape, offset);
+    this.addBoundingBox(label, null, false, false);
+    if (label.parent) {
+      label.parent.interpolate(label);
+    }
+    labels.push(label);
+  }
+  if (labels.length === 1) {
+    this.select(labels[0]);
+  }
+  this.sat.history.commit('create label');
+  this.sat.labelList.refresh();
+  return labels;
+};
 
+SatPointCloud.prototype.deleteSelection = function() {
+  this.boundingBoxes.splice(
+      this.boundingBoxes.indexOf(this.selectedLabel.box), 1);
+
+  let ind = -1;
   let id = this.selectedLabel.id;
   this.selectedLabel.valid = false;
 
@@ -1006,6 +1163,7 @@ SatPointCloud.prototype.deleteSelection = function() {
     this.labels[ind].delete();
     this.deleteInvalidLabels();
   }
+  this.sat.labelList.refresh();
 };
 
 SatPointCloud.prototype.convertMouseToNDC = function(mX, mY) {
@@ -1120,7 +1278,32 @@ SatPointCloud.prototype.fromJson = function(item) {
 
 SatPointCloud.prototype.handleEndTrack = function() {
   if (this.selectedLabel) {
+    this.sat.history.begin(this);
     this.selectedLabel.parent.endTrack(this.selectedLabel);
+    this.sat.history.commit('end track', this.selectedLabel.id);
+  }
+};
+
+/**
+ * Refresh the scenes and the label list after the labels were changed by
+ * undo or redo.
+ */
+SatPointCloud.prototype.refreshLabels = function() {
+  this.deselect();
+  this.selectionState = this.STANDBY;
+  this.editState = this.MOVING_BOX;
+  this.selectedLabelNewBox = false;
+  for (let item of this.sat.items) {
+    for (let box of item.boundingBoxes) {
+      item.scene.remove(box);
+      item.scene.remove(box.outline);
+    }
+    item.deleteInvalidLabels();
+    for (let box of item.boundingBoxes) {
+      item.scene.add(box);
+      item.scene.add(box.outline);
+    }
   }
+  this.sat.labelList.refresh();
 };
 
@@ -0,0 +1,370 @@
+/**
+ * Binary masks over the pixels of an image, as painted with the mask labels.
+ * A mask is an object {width, height, data} where data holds one byte per
+ * pixel in row-major order, 1 for the pixels in the mask and 0 elsewhere.
+ * Positions are in image coordinates: pixel (i, j) covers [i, i + 1] along x
+ * and [j, j + 1] along y.
+ */
+
+// directions along the borders of the pixels, clockwise on the screen
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Make an empty mask.
+ * @param {number} width: width of the image
+ * @param {number} height: height of the image
+ * @return {object} the mask
+ */
+export function createMask(width, height) {
+  return {width: width, height: height, data: new Uint8Array(width * height)};
+}
+
+/**
+ * Copy a mask into a mask of another size, shifted by whole pixels. The
+ * pixels shifted out of the new mask are dropped.
+ * @param {object} mask: the mask
+ * @param {number} width: width of the new mask
+ * @param {number} height: height of the new mask
+ * @param {number} dx: the shift along x
+ * @param {number} dy: the shift along y
+ * @return {object} the new mask
+ */
+export function resizeMask(mask, width, height, dx = 0, dy = 0) {
+  let resized = createMask(width, height);
+  [dx, dy] = [Math.round(dx), Math.round(dy)];
+  let x0 = Math.max(0, -dx);
+  let x1 = Math.min(mask.width, width - dx);
+  for (let y = Math.max(0, -dy); y < Math.min(mask.height, height - dy);
+       y++) {
+    if (x0 < x1) {
+      resized.data.set(mask.data.subarray(y * mask.width + x0,
+          y * mask.width + x1), (y + dy) * width + x0 + dx);
+    }
+  }
+  return resized;
+}
+
+/**
+ * Get the smallest box holding two boxes.
+ * @param {object} a: a box (x, y, w, h), or null
+ * @param {object} b: another box, or null
+ * @return {object} the box, null if both boxes are null
+ */
+export function unionRects(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+  let x = Math.min(a.x, b.x);
+  let y = Math.min(a.y, b.y);
+  return {
+    x: x,
+    y: y,
+    w: Math.max(a.x + a.w, b.x + b.w) - x,
+    h: Math.max(a.y + a.h, b.y + b.h) - y,
+  };
+}
+
+/**
+ * Set the pixels whose centers are within a disc. The pixel under the center
+ * is always set, so that small brushes still paint.
+ * @param {object} mask: the mask
+ * @param {number} cx: x of the center of the disc
+ * @param {number} cy: y of the center of the disc
+ * @param {number} radius: radius of the disc
+ * @param {number} value: 1 to paint, 0 to erase
+ * @param {function(number): boolean} isLocked: optional, whether the pixel
+ *   at an index of the data can't be painted
+ * @return {object} the box (x, y, w, h) of the pixels checked, null if the
+ *   disc is out of the mask
+ */
+export function paintDisc(mask, cx, cy, radius, value, isLocked = null) {
+  radius = Math.max(radius, 0.5);
+  let x0 = Math.max(0, Math.floor(cx - radius));
+  let x1 = Math.min(mask.width, Math.ceil(cx + radius));
+  let y0 = Math.max(0, Math.floor(cy - radius));
+  let y1 = Math.min(mask.height, Math.ceil(cy + radius));
+  if (x0 >= x1 || y0 >= y1) {
+    return null;
+  }
+  let r2 = radius * radius;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      let [ddx, ddy] = [x + 0.5 - cx, y + 0.5 - cy];
+      let index = y * mask.width + x;
+      let under = x === Math.floor(cx) && y === Math.floor(cy);
+      if ((ddx * ddx + ddy * ddy <= r2 || under) &&
+          !(isLocked && isLocked(index))) {
+        mask.data[index] = value;
+      }
+    }
+  }
+  return {x: x0, y: y0, w: x1 - x0, h: y1 - y0};
+}
+
+/**
+ * Set the pixels along a brush stroke from one position to another.
+ * @param {object} mask: the mask
+ * @param {object} from: the position (x, y) the stroke comes from
+ * @param {object} to: the position (x, y) the stroke goes to
+ * @param {number} radius: radius of the brush
+ * @param {number} value: 1 to paint, 0 to erase
+ * @param {function(number): boolean} isLocked: optional, see paintDisc
+ * @return {object} the box (x, y, w, h) of the pixels checked, null if the
+ *   stroke is out of the mask
+ */
+export function paintLine(mask, from, to, radius, value, isLocked = null) {
+  // the discs overlap enough to leave no gap along the stroke
+  let step = Math.max(radius / 2, 0.5);
+  let steps = Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / step);
+  let rect = null;
+  for (let i = 0; i <= steps; i++) {
+    let f = steps > 0 ? i / steps : 0;
+    rect = unionRects(rect, paintDisc(mask, from.x + f * (to.x - from.x),
+        from.y + f * (to.y - from.y), radius, value, isLocked));
+  }
+  return rect;
+}
+
+/**
+ * Paint the region of unpainted pixels around a position, bounded by the
+ * painted pixels, the locked ones and the borders of the image. Pixels are
+ * joined through their sides.
+ * @param {object} mask: the mask
+ * @param {number} x: x of the position
+ * @param {number} y: y of the position
+ * @param {function(number): boolean} isLocked: optional, see paintDisc
+ * @return {object} the box (x, y, w, h) of the painted pixels, null if the
+ *   pixel under the position can't be painted
+ */
+export function floodFill(mask, x, y, isLocked = null) {
+  let [width, height] = [mask.width, mask.height];
+  let canPaint = (index) =>
+      mask.data[index] === 0 && !(isLocked && isLocked(index));
+  [x, y] = [Math.floor(x), Math.floor(y)];
+  if (x < 0 || x >= width || y < 0 || y >= height ||
+      !canPaint(y * width + x)) {
+    return null;
+  }
+  let [x0, y0, x1, y1] = [x, y, x, y];
+  let stack = [y * width + x];
+  mask.data[stack[0]] = 1;
+  while (stack.length > 0) {
+    let index = stack.pop();
+    let [px, py] = [index % width, Math.floor(index / width)];
+    [x0, x1] = [Math.min(x0, px), Math.max(x1, px)];
+    [y0, y1] = [Math.min(y0, py), Math.max(y1, py)];
+    let neighbors = [
+      px > 0 ? index - 1 : -1,
+      px < width - 1 ? index + 1 : -1,
+      py > 0 ? index - width : -1,
+      py < height - 1 ? index + width : -1,
+    ];
+    for (let neighbor of neighbors) {
+      if (neighbor >= 0 && canPaint(neighbor)) {
+        mask.data[neighbor] = 1;
+        stack.push(neighbor);
+      }
+    }
+  }
+  return {x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1};
+}
+
+/**
+ * Get the box around the painted pixels.
+ * @param {object} mask: the mask
+ * @return {object} the box (x, y, w, h), null if no pixel is painted
+ */
+export function maskBounds(mask) {
+  let [x0, y0, x1, y1] = [mask.width, mask.height, -1, -1];
+  for (let y = 0; y < mask.height; y++) {
+    let row = y * mask.width;
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.data[row + x]) {
+        [x0, x1] = [Math.min(x0, x), Math.max(x1, x)];
+        [y0, y1] = [Math.min(y0, y), Math.max(y1, y)];
+      }
+    }
+  }
+  if (x1 < 0) {
+    return null;
+  }
+  return {x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1};
+}
+
+/**
+ * Encode a mask by run lengths, as the uncompressed RLE of the COCO format:
+ * the lengths of the runs of unpainted and painted pixels alternate, starting
+ * with unpainted ones, with the pixels in column-major order.
+ * @param {object} mask: the mask
+ * @return {object} the encoded mask, with its size [height, width] and the
+ *   run lengths
+ */
+export function encodeRle(mask) {
+  let counts = [];
+  let [value, run] = [0, 0];
+  for (let x = 0; x < mask.width; x++) {
+    for (let y = 0; y < mask.height; y++) {
+      if (mask.data[y * mask.width + x] !== value) {
+        counts.push(run);
+        [value, run] = [1 - value, 0];
+      }
+      run++;
+    }
+  }
+  counts.push(run);
+  return {size: [mask.height, mask.width], counts: counts};
+}
+
+/**
+ * Decode a mask encoded by encodeRle.
+ * @param {object} rle: the encoded mask
+ * @return {object} the mask
+ */
+export function decodeRle(rle) {
+  let [height, width] = rle.size;
+  let mask = createMask(width, height);
+  let [value, position] = [0, 0];
+  for (let count of rle.counts) {
+    if (value) {
+      for (let p = position; p < Math.min(position + count, width * height);
+           p++) {
+        mask.data[(p % height) * width + Math.floor(p / height)] = 1;
+      }
+    }
+    position += count;
+    value = 1 - value;
+  }
+  return mask;
+}
+
+/**
+ * Get the signed area of a polygon, positive if its points go clockwise on
+ * the screen.
+ * @param {[[number]]} points: the points (x, y) of the polygon
+ * @return {number} the area
+ */
+export function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    let [x1, y1] = points[i];
+    let [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+/**
+ * Trace the borders of the painted regions along the sides of the pixels.
+ * Pixels touching by a corner only are in separate regions.
+ * @param {object} mask: the mask
+ * @return {[object]} the borders, with their corners (x, y) in points; the
+ *   outer borders go clockwise on the screen, the borders of holes
+ *   counterclockwise and have hole set
+ */
+export function traceContours(mask) {
+  let [width, height] = [mask.width, mask.height];
+  let painted = (x, y) => x >= 0 && x < width && y >= 0 && y < height &&
+      mask.data[y * width + x] === 1;
+  // sides between painted and unpainted pixels, by corner they start from,
+  // as bits of their direction, with the painted pixel on their right
+  let stride = width + 1;
+  let sides = new Uint8Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!painted(x, y)) {
+        continue;
+      }
+      if (!painted(x, y - 1)) {
+        sides[y * stride + x] |= 1;
+      }
+      if (!painted(x + 1, y)) {
+        sides[y * stride + x + 1] |= 2;
+      }
+      if (!painted(x, y + 1)) {
+        sides[(y + 1) * stride + x + 1] |= 4;
+      }
+      if (!painted(x - 1, y)) {
+        sides[(y + 1) * stride + x] |= 8;
+      }
+    }
+  }
+  // turning right first keeps corner-touching pixels apart
+  let nextDirection = (bits, direction) => {
+    for (let turn of [1, 0, 3]) {
+      let next = (direction + turn) % 4;
+      if (bits & (1 << next)) {
+        return next;
+      }
+    }
+    return -1;
+  };
+  let contours = [];
+  for (let start = 0; start < sides.length; start++) {
+    while (sides[start]) {
+      let startDirection = Math.log2(sides[start] & -sides[start]);
+      let [x, y] = [start % stride, Math.floor(start / stride)];
+      let direction = startDirection;
+      let points = [];
+      let corner = start;
+      for (;;) {
+        sides[corner] &= ~(1 << direction);
+        x += DIRECTIONS[direction][0];
+        y += DIRECTIONS[direction][1];
+        corner = y * stride + x;
+        let bits = sides[corner];
+        if (corner === start) {
+          bits |= 1 << startDirection;
+        }
+        let next = nextDirection(bits, direction);
+        if (next !== direction) {
+          points.push([x, y]);
+        }
+        if (corner === start && next === startDirection) {
+          break;
+        }
+        direction = next;
+      }
+      contours.push({points: points, hole: signedArea(points) < 0});
+    }
+  }
+  return contours;
+}
+
+/**
+ * Paint the pixels whose centers are inside polygons. A polygon is a list of
+ * rings: its outer border then the borders of its holes.
+ * @param {[[[[number]]]]} polygons: the polygons, each ring being a list of
+ *   points (x, y)
+ * @param {number} width: width of the mask
+ * @param {number} height: height of the mask
+ * @return {object} the mask
+ */
+export function polygonsToMask(polygons, width, height) {
+  let mask = createMask(width, height);
+  for (let rings of polygons) {
+    for (let y = 0; y < height; y++) {
+      let yc = y + 0.5;
+      let crossings = [];
+      for (let points of rings) {
+        for (let i = 0; i < points.length; i++) {
+          let [x1, y1] = points[i];
+          let [x2, y2] = points[(i + 1) % points.length];
+          if ((y1 <= yc) !== (y2 <= yc)) {
+            crossings.push(x1 + (yc - y1) * (x2 - x1) / (y2 - y1));
+          }
+        }
+      }
+      crossings.sort((a, b) => a - b);
+      // the pixels between pairs of crossings are inside, by the even-odd
+      // rule, so that holes stay unpainted
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        let x0 = Math.max(0, Math.ceil(crossings[i] - 0.5));
+        let x1 = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+        if (x0 < x1) {
+          mask.data.fill(1, y * width + x0, y * width + x1);
+        }
+      }
+    }
+  }
+  return mask;
+}
@@ -0,0 +1,190 @@
+import $ from 'jquery';
+import {parseAssignment} from './loader';
+import {initSession} from './functional/actions';
+import {stateFromJson} from './functional/json';
+import {
+  decodeActionLog, describeAction, replayActions,
+} from './functional/action_log';
+
+/**
+ * Viewer of the action log of a saved assignment. It reproduces the state
+ * of the session after any action of the log.
+ * @param {object} json: the assignment
+ */
+export function ReplayViewer(json) {
+  let self = this;
+  self.log = decodeActionLog(json.actions || []);
+  if (self.log.length === 0) {
+    // assignments saved before the action log only have their last state
+    self.log = [initSession(stateFromJson(json))];
+    $('#replay_no_log').show();
+  }
+  self.replay = null;
+  self.step = -1;
+  self.slider = document.getElementById('replay_slider');
+  self.info = document.getElementById('replay_info');
+  self.image = document.getElementById('replay_image');
+  self.canvas = document.getElementById('replay_canvas');
+  self.labelsView = document.getElementById('replay_labels');
+  self.rows = [];
+
+  let list = document.getElementById('replay_actions');
+  self.log.forEach(function(action, i) {
+    let row = document.createElement('tr');
+    let time = action.timestamp ?
+        new Date(action.timestamp).toLocaleTimeString() : '';
+    for (let text of [String(i), time, describeAction(action)]) {
+      let cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.onclick = function() {
+      self.showStep(i);
+    };
+    list.appendChild(row);
+    self.rows.push(row);
+  });
+
+  self.slider.max = self.log.length - 1;
+  self.slider.oninput = function() {
+    self.showStep(parseInt(self.slider.value));
+  };
+  $('#replay_prev').click(function() {
+    self.showStep(Math.max(self.step - 1, 0));
+  });
+  $('#replay_next').click(function() {
+    self.showStep(Math.min(self.step + 1, self.log.length - 1));
+  });
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'ArrowLeft') {
+      $('#replay_prev').click();
+    } else if (e.key === 'ArrowRight') {
+      $('#replay_next').click();
+    }
+  });
+  self.image.onload = function() {
+    self.draw();
+  };
+  self.showStep(self.log.length - 1);
+}
+
+/**
+ * Show the state after an action of the log.
+ * @param {number} step: index of the action
+ */
+ReplayViewer.prototype.showStep = function(step) {
+  let self = this;
+  if (self.step >= 0) {
+    self.rows[self.step].classList.remove('replay_current');
+  }
+  self.step = step;
+  self.replay = replayActions(self.log, step, self.replay);
+  self.rows[step].classList.add('replay_current');
+  self.rows[step].scrollIntoView({block: 'nearest'});
+  self.slider.value = step;
+  self.info.textContent = 'Action ' + step + ' of ' +
+      (self.log.length - 1) + ': ' + describeAction(self.log[step]);
+
+  let item = self.currentItem();
+  if (item && self.image.getAttribute('src') !== item.url) {
+    // the labels are drawn once the image is loaded
+    self.image.src = item.url;
+  } else {
+    self.draw();
+  }
+  let labels = self.currentLabels();
+  self.labelsView.textContent = JSON.stringify(labels, null, 2);
+};
+
+/**
+ * Get the item that was shown to the annotator.
+ * @return {object} the item, null if the session has no item
+ */
+ReplayViewer.prototype.currentItem = function() {
+  let state = this.replay.state;
+  if (state.current.item < 0 || state.current.item >= state.items.length) {
+    return null;
+  }
+  return state.items[state.current.item];
+};
+
+/**
+ * Get the valid labels of the current item.
+ * @return {[object]} the labels
+ */
+ReplayViewer.prototype.currentLabels = function() {
+  let state = this.replay.state;
+  let item = this.currentItem();
+  if (!item) {
+    return [];
+  }
+  return item.labels.map((id) => state.labels[id]).filter(
+      (label) => label && label.valid);
+};
+
+/**
+ * Draw the shapes of the labels of the current item over the image.
+ */
+ReplayViewer.prototype.draw = function() {
+  let self = this;
+  let width = self.image.naturalWidth;
+  let height = self.image.naturalHeight;
+  self.canvas.width = width;
+  self.canvas.height = height;
+  self.canvas.style.width = self.image.clientWidth + 'px';
+  self.canvas.style.height = self.image.clientHeight + 'px';
+  let ctx = self.canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  ctx.lineWidth = Math.max(2, width / 500);
+  let selected = self.replay.state.current.label;
+  for (let label of self.currentLabels()) {
+    let data = label.data;
+    if (!data) {
+      continue;
+    }
+    ctx.strokeStyle = label.id === selected ? '#ff0000' : '#00ff00';
+    if (data.w !== undefined) {
+      ctx.strokeRect(data.x, data.y, data.w, data.h);
+    }
+    for (let poly of data.polys || []) {
+      ctx.beginPath();
+      poly.vertices.forEach(function(vertex, i) {
+        if (i === 0) {
+          ctx.moveTo(vertex.x, vertex.y);
+        } else {
+          ctx.lineTo(vertex.x, vertex.y);
+        }
+      });
+      if (data.closed) {
+        ctx.closePath();
+      }
+      ctx.stroke();
+    }
+  }
+};
+
+$(document).ready(function() {
+  let searchParams = new URLSearchParams(window.location.search);
+  let xhr = new XMLHttpRequest();
+  xhr.onreadystatechange = function() {
+    if (xhr.readyState !== 4) {
+      return;
+    }
+    let response = parseAssignment(xhr);
+    if (response.error) {
+      $('#replay_info').text(response.error);
+      return;
+    }
+    $('#replay_title').text(searchParams.get('project_name') + ' / task ' +
+        searchParams.get('task_index'));
+    new ReplayViewer(response.json);
+  };
+  xhr.open('POST', './postLoadAssignment');
+  xhr.send(JSON.stringify({
+    task: {
+      index: parseInt(searchParams.get('task_index')),
+      projectOptions: {name: searchParams.get('project_name')},
+    },
+  }));
+  $('body').show();
+});
@@ -0,0 +1,217 @@
+/**
+ * Review of the labels of an assignment. A reviewer opens the assignment
+ * with review=1 in the url; the labels can then be approved or rejected and
+ * commented on, but their geometry can't be edited. The annotator sees the
+ * verdicts and the comments when the assignment is loaded again and can
+ * step through the rejected labels to fix them.
+ */
+
+// color of the rejected labels, overriding the palette
+export const REJECTED_COLOR = [255, 0, 0];
+
+// keyboard actions of the review panel
+const REVIEW_HOTKEYS = [
+  {id: 'approve_label', keys: ['a'], description: 'Approve selected label'},
+  {id: 'reject_label', keys: ['x'], description: 'Reject selected label'},
+  {id: 'next_rejected', keys: ['n'], description: 'Next rejected label'},
+  {
+    id: 'previous_rejected',
+    keys: ['Shift+n'],
+    description: 'Previous rejected label',
+  },
+];
+
+/**
+ * Panel of the annotation page showing the review of the selected label.
+ * In review mode it approves and rejects labels; otherwise it lets the
+ * annotator answer the comments and mark rejected labels as fixed.
+ * @param {Sat} sat: the labeling session
+ */
+export function ReviewPanel(sat) {
+  let self = this;
+  self.sat = sat;
+  sat.keymap.register('review', REVIEW_HOTKEYS, 'Review');
+  self.panel = document.getElementById('review_window');
+  if (!self.panel) {
+    return;
+  }
+  self.summary = document.getElementById('review_summary');
+  self.status = document.getElementById('review_status');
+  self.comments = document.getElementById('review_comments');
+  self.input = document.getElementById('review_comment_input');
+  let onclick = function(id, handler) {
+    document.getElementById(id).onclick = function(e) {
+      e.preventDefault();
+      handler();
+    };
+  };
+  onclick('review_btn', function() {
+    self.panel.style.display =
+        self.panel.style.display === 'block' ? 'none' : 'block';
+    self.refresh();
+  });
+  onclick('review_approve_btn', function() {
+    self.setStatus('approved');
+  });
+  onclick('review_reject_btn', function() {
+    self.setStatus('rejected');
+  });
+  onclick('review_fixed_btn', function() {
+    self.setStatus('pending');
+  });
+  onclick('review_comment_btn', function() {
+    self.comment();
+  });
+  onclick('review_prev_btn', function() {
+    self.gotoRejected(-1);
+  });
+  onclick('review_next_btn', function() {
+    self.gotoRejected(1);
+  });
+  // typing a comment should not trigger the hotkeys of the tools
+  self.input.addEventListener('keydown', function(e) {
+    e.stopPropagation();
+  });
+  self.input.addEventListener('keyup', function(e) {
+    e.stopPropagation();
+  });
+  document.addEventListener('keydown', function(e) {
+    self.keydown(e);
+  });
+}
+
+/**
+ * Set up the panel for the loaded assignment. Reviewers always see the
+ * panel, annotators see it when labels were rejected.
+ */
+ReviewPanel.prototype.start = function() {
+  if (!this.panel) {
+    return;
+  }
+  let reviewMode = this.sat.reviewMode;
+  if (reviewMode) {
+    document.body.classList.add('review_mode');
+  }
+  document.getElementById('review_decision').style.display =
+      reviewMode ? 'block' : 'none';
+  document.getElementById('review_fixed_btn').style.display =
+      reviewMode ? 'none' : 'inline-block';
+  if (reviewMode || this.sat.getRejectedLabels().length > 0) {
+    this.panel.style.display = 'block';
+  }
+  this.refresh();
+};
+
+/**
+ * Get the label the panel is about.
+ * @return {SatLabel} the selected label, null if there is none
+ */
+ReviewPanel.prototype.getLabel = function() {
+  let item = this.sat.currentItem;
+  if (!item || !item.selectedLabel || !item.selectedLabel.valid) {
+    return null;
+  }
+  return item.selectedLabel;
+};
+
+/**
+ * Change the review status of the selected label.
+ * @param {string} status: the new status
+ */
+ReviewPanel.prototype.setStatus = function(status) {
+  let label = this.getLabel();
+  if (label) {
+    this.sat.reviewLabel(label, status);
+  }
+};
+
+/**
+ * Add the text of the comment box to the thread of the selected label.
+ */
+ReviewPanel.prototype.comment = function() {
+  let label = this.getLabel();
+  let text = this.input.value.trim();
+  if (label && text) {
+    this.sat.commentOnLabel(label, text);
+    this.input.value = '';
+  }
+};
+
+/**
+ * Select the next or the previous rejected label, wrapping around.
+ * @param {number} direction: 1 for the next label, -1 for the previous
+ */
+ReviewPanel.prototype.gotoRejected = function(direction) {
+  let rejected = this.sat.getRejectedLabels();
+  if (rejected.length === 0) {
+    return;
+  }
+  let label = this.getLabel();
+  let current = -1;
+  for (let i = 0; i < rejected.length; i++) {
+    if (rejected[i].label === label) {
+      current = i;
+    }
+  }
+  let next;
+  if (current >= 0) {
+    next = (current + direction + rejected.length) % rejected.length;
+  } else {
+    // continue from the current item
+    let index = this.sat.currentItem ? this.sat.currentItem.index : 0;
+    let after = rejected.filter((entry) => direction > 0 ?
+        entry.item.index >= index : entry.item.index <= index);
+    let candidates = after.length > 0 ? after : rejected;
+    next = rejected.indexOf(
+        candidates[direction > 0 ? 0 : candidates.length - 1]);
+  }
+  this.sat.focusLabel(rejected[next].item, rejected[next].label);
+};
+
+/**
+ * Handle the review hotkeys.
+ * @param {KeyboardEvent} e: the event
+ */
+ReviewPanel.prototype.keydown = function(e) {
+  let action = this.sat.keymap.actionFor(e, 'review');
+  if (this.sat.reviewMode && action === 'approve_label') {
+    this.setStatus('approved');
+  } else if (this.sat.reviewMode && action === 'reject_label') {
+    this.setStatus('rejected');
+  } else if (action === 'next_rejected') {
+    this.gotoRejected(1);
+  } else if (action === 'previous_rejected') {
+    this.gotoRejected(-1);
+  }
+};
+
+/**
+ * Show the review of the selected label.
+ */
+ReviewPanel.prototype.refresh = function() {
+  if (!this.panel || this.panel.style.display !== 'block') {
+    return;
+  }
+  let numRejected = this.sat.getRejectedLabels().length;
+  this.summary.textContent = numRejected > 0 ?
+      '(' + numRejected + ' rejected)' : '';
+  let label = this.getLabel();
+  this.comments.innerHTML = '';
+  if (!label) {
+    this.status.className = '';
+    this.status.textContent = 'Select a label to review it.';
+    return;
+  }
+  let review = label.review;
+  this.status.className = 'review_' + review.status;
+  this.status.textContent = 'Label ' + label.id + ': ' + review.status;
+  for (let comment of review.comments) {
+    let li = document.createElement('li');
+    let author = document.createElement('strong');
+    author.textContent = comment.author + ': ';
+    li.appendChild(author);
+    li.appendChild(document.createTextNode(comment.text));
+    li.title = new Date(comment.timestamp).toLocaleString();
+    this.comments.appendChild(li);
+  }
+};
@@ -0,0 +1,461 @@
+import {ImageLabel} from './image';
+import {RotatedRect, Vertex, UP_RES_RATIO} from './shape';
+import {FONT_SIZE} from './utils';
+import {registerLabelType} from './label_registry';
+import {clampMove, unionBounds} from './box_group';
+
+// Constants
+const BoxStates = Object.freeze({
+  FREE: 0, RESIZE: 1, MOVE: 2, ROTATE: 3,
+});
+const MIN_BOX_SIZE = 5;
+
+const INITIAL_HANDLE_NO = 4;
+
+/**
+ * Bring an angle to (-pi, pi].
+ * @param {number} theta: the angle in radians
+ * @return {number} the same angle in (-pi, pi]
+ */
+export function normalizeAngle(theta) {
+  theta %= 2 * Math.PI;
+  if (theta <= -Math.PI) {
+    theta += 2 * Math.PI;
+  } else if (theta > Math.PI) {
+    theta -= 2 * Math.PI;
+  }
+  return theta;
+}
+
+/**
+ * Interpolate between two angles the short way round, e.g. from 170 to -170
+ * degrees through 180 and not through 0.
+ * @param {number} start: the first angle in radians
+ * @param {number} end: the second angle in radians
+ * @param {number} weight: b/w 0 and 1, higher is closer to the end
+ * @return {number} the interpolated angle in (-pi, pi]
+ */
+export function lerpAngle(start, end, weight) {
+  return normalizeAngle(start + weight * normalizeAngle(end - start));
+}
+
+/**
+ * Rotated 2D box label, for objects seen at an angle such as in aerial or
+ * fisheye images.
+ * @param {Sat} sat: context
+ * @param {int} id: label id
+ * @param {object} optionalAttributes - Optional attributes
+ */
+export function RotatedBox2d(sat, id, optionalAttributes) {
+  ImageLabel.call(this, sat, id, optionalAttributes);
+  this.rect = new RotatedRect();
+  this.state = BoxStates.FREE;
+
+  // attributes
+  let mousePos;
+  if (optionalAttributes) {
+    this.categoryPath = optionalAttributes.categoryPath;
+    for (let i = 0; i < this.sat.attributes.length; i++) {
+      let attributeName = this.sat.attributes[i].name;
+      if (attributeName in optionalAttributes.attributes) {
+        this.attributes[attributeName] =
+            optionalAttributes.attributes[attributeName];
+      }
+    }
+    mousePos = optionalAttributes.mousePos;
+    if (mousePos) {
+      this.rect.setBox(mousePos.x, mousePos.y, 0, 0, 0);
+    }
+    if (optionalAttributes.shadow) {
+      this.setState(BoxStates.FREE);
+    } else {
+      this.setState(BoxStates.RESIZE);
+    }
+  }
+
+  this.selectedShape = this.rect.vertices[INITIAL_HANDLE_NO];
+
+  this.moveCache = null;
+  this.interpolateHandler = this.weightedAvg;
+}
+
+RotatedBox2d.prototype = Object.create(ImageLabel.prototype);
+
+for (let key of ['cx', 'cy', 'w', 'h', 'theta']) {
+  Object.defineProperty(RotatedBox2d.prototype, key, {
+    get: function() {
+      return this.rect[key];
+    },
+  });
+}
+
+RotatedBox2d.useCrossHair = true;
+RotatedBox2d.defaultCursorStyle = 'crosshair';
+RotatedBox2d.useDoubleClick = false;
+RotatedBox2d.useGroupSelection = false;
+
+RotatedBox2d.setToolBox = function(ignoredSatItem) {
+
+};
+
+/**
+ * Check whether given shape selects this box.
+ * @param {Shape} shape: the shape under the mouse.
+ * @return {boolean} whether the shape selects this box.
+ */
+RotatedBox2d.prototype.selectedBy = function(shape) {
+  return this.getAllHiddenShapes().includes(shape);
+};
+
+RotatedBox2d.prototype.deactivate = function() {
+  if (this.state !== BoxStates.FREE) {
+    this.setState(BoxStates.FREE);
+  }
+};
+
+RotatedBox2d.prototype.isEditing = function() {
+  return this.state !== BoxStates.FREE;
+};
+
+/**
+ * Get the center, size and rotation of this box.
+ * @return {object} - The box (cx, cy, w, h, theta) in image coordinates.
+ */
+RotatedBox2d.prototype.getCurrentPosition = function() {
+  return {cx: this.cx, cy: this.cy, w: this.w, h: this.h, theta: this.theta};
+};
+
+/**
+ * Set the center, size and rotation of this box.
+ * @param {object} box - The box (cx, cy, w, h, theta) in image coordinates.
+ */
+RotatedBox2d.prototype.setCurrentPosition = function(box) {
+  this.rect.setBox(box.cx, box.cy, box.w, box.h, box.theta);
+};
+
+/**
+ * Capture the state of this box for the undo history.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+RotatedBox2d.prototype.snapshot = function() {
+  let snapshot = ImageLabel.prototype.snapshot.call(this);
+  snapshot.rect = this.getCurrentPosition();
+  return snapshot;
+};
+
+/**
+ * Restore the state of this box from a snapshot.
+ * @param {object} snapshot - snapshot taken by RotatedBox2d.snapshot
+ */
+RotatedBox2d.prototype.restoreSnapshot = function(snapshot) {
+  ImageLabel.prototype.restoreSnapshot.call(this, snapshot);
+  this.setCurrentPosition(snapshot.rect);
+};
+
+/**
+ * Load label data from a encoded string
+ * @param {object} json: json representation of label json.
+ */
+RotatedBox2d.prototype.fromJsonVariables = function(json) {
+  this.decodeBaseJsonVariables(json);
+  if (json.data) {
+    // Data is missing if this json is actually a track, see Box2d
+    this.setCurrentPosition(json.data);
+  }
+};
+
+/**
+ * Load label data from export format
+ * @param {object} exportFormat: json representation of label json.
+ * @return {RotatedBox2d} the label loaded by exportFormat
+ */
+RotatedBox2d.prototype.fromExportFormat = function(exportFormat) {
+  if (exportFormat['rotated_box2d']) {
+    this.setCurrentPosition(exportFormat['rotated_box2d']);
+    this.categoryPath = exportFormat.category;
+    this.attributes = exportFormat.attributes;
+    return this;
+  }
+  return null;
+};
+
+/**
+ * Encode the label data into a json object.
+ * @return {object} - the encoded json object.
+ */
+RotatedBox2d.prototype.toJson = function() {
+  let json = this.encodeBaseJson();
+  json.data = this.getCurrentPosition();
+  return json;
+};
+
+/**
+ * Returns the shapes to draw on the hidden canvas when not selected.
+ * @return {[Shape]} List of shapes to draw on the hidden canvas
+ * when not selected.
+ */
+RotatedBox2d.prototype.defaultHiddenShapes = function() {
+  return this.getAllHiddenShapes();
+};
+
+/**
+ * Returns all hidden shapes, the handles last so that they are picked
+ * before the outline.
+ * @return {[Shape]} List of all hidden shapes
+ */
+RotatedBox2d.prototype.getAllHiddenShapes = function() {
+  return [this.rect].concat(this.rect.vertices, [this.rect.rotationHandle]);
+};
+
+RotatedBox2d.prototype.deleteAllHiddenShapes = function() {
+  this.rect.delete();
+};
+
+/**
+ * Draw this box on the canvas.
+ * @param {object} mainCtx - HTML canvas context for visible objects.
+ */
+RotatedBox2d.prototype.redrawLabelCanvas = function(mainCtx) {
+  // set context font
+  mainCtx.font = FONT_SIZE * UP_RES_RATIO + 'px Verdana';
+  // draw visible elements
+  mainCtx.strokeStyle = this.styleColor();
+  this.rect.draw(mainCtx, this.satItem, this.state === BoxStates.RESIZE);
+
+  if (this.isTargeted() || this.hoveredShape) {
+    this.rect.drawHandles(mainCtx, this.satItem, this.styleColor(),
+        this.hoveredShape);
+    this.hoveredShape = null;
+  }
+  if (this.state === BoxStates.FREE) {
+    let bounds = this.getBounds();
+    this.drawTag(mainCtx, [bounds.x, bounds.y]);
+  }
+};
+
+/**
+ * Get the axis-aligned box around the label.
+ * @return {object} - The box (x, y, w, h) in image coordinates.
+ */
+RotatedBox2d.prototype.getBounds = function() {
+  let corners = this.rect.corners().map(([x, y]) => ({x, y, w: 0, h: 0}));
+  return unionBounds(corners);
+};
+
+/**
+ * Move the box by a few pixels, keeping it in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+RotatedBox2d.prototype.nudge = function(dx, dy) {
+  let image = this.satItem.image;
+  [dx, dy] = clampMove([this.getBounds()], dx, dy,
+      {w: image.width, h: image.height});
+  this.setCurrentPosition({
+    ...this.getCurrentPosition(), cx: this.cx + dx, cy: this.cy + dy});
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Copy the box for the clipboard.
+ * @return {object} - The box (cx, cy, w, h, theta) in image coordinates.
+ */
+RotatedBox2d.prototype.copyShape = function() {
+  return this.getCurrentPosition();
+};
+
+/**
+ * Give this label a box copied by copyShape.
+ * @param {object} shape - The box (cx, cy, w, h, theta) in image
+ *   coordinates.
+ * @param {[number]} offset - How much to shift the box along x and y.
+ */
+RotatedBox2d.prototype.pasteShape = function(shape, offset) {
+  this.setCurrentPosition(
+      {...shape, cx: shape.cx + offset[0], cy: shape.cy + offset[1]});
+};
+
+/**
+ * Draw the outline of the box in an overview of the image.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ */
+RotatedBox2d.prototype.drawOutline = function(ctx, view) {
+  ctx.strokeStyle = this.styleColor();
+  this.rect.draw(ctx, view, false);
+};
+
+/**
+ * Get whether this box is geometrically valid.
+ * @return {boolean} - True if the box is geometrically valid.
+ */
+RotatedBox2d.prototype.shapesValid = function() {
+  return !this.isSmall();
+};
+
+RotatedBox2d.prototype.isSmall = function() {
+  let [w, h] = this.satItem.toCanvasCoords(
+      [Math.abs(this.w), Math.abs(this.h)], false);
+  return (w < MIN_BOX_SIZE * UP_RES_RATIO || h < MIN_BOX_SIZE * UP_RES_RATIO);
+};
+
+/**
+ * Get the cursor style for a specified shape. The resize cursors follow the
+ * rotation of the box.
+ * @param {Shape} shape - The Shape object that determines the cursor
+ * @return {string} - The cursor style string.
+ */
+RotatedBox2d.prototype.getCursorStyle = function(shape) {
+  if (this.state === BoxStates.MOVE || shape === this.rect) {
+    return 'move';
+  }
+  if (this.state === BoxStates.ROTATE) {
+    return 'grabbing';
+  }
+  if (shape === this.rect.rotationHandle) {
+    return 'grab';
+  }
+  if (this.rect.getHandleNo(shape) < 0) {
+    return RotatedBox2d.defaultCursorStyle;
+  }
+  if (this.state === BoxStates.RESIZE) {
+    return 'crosshair';
+  }
+  let angle = Math.atan2(shape.y - this.cy, shape.x - this.cx);
+  let octant = Math.round(angle / (Math.PI / 4));
+  return ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize'][
+      (octant % 4 + 4) % 4];
+};
+
+/**
+ * Function to set the current state.
+ * @param {number} state - The state to set to.
+ */
+RotatedBox2d.prototype.setState = function(state) {
+  this.state = state;
+  if (state === BoxStates.FREE) {
+    this.selectedShape = this.rect;
+    this.moveCache = null;
+    this.satItem.resetHiddenMap(this.getAllHiddenShapes());
+    this.satItem.redrawHiddenCanvas();
+  }
+};
+
+/**
+ * Get the weighted average between this box and a provided box. The
+ * rotation goes the short way round.
+ * @param {RotatedBox2d} box - The other box.
+ * @param {number} weight - The weight, b/w 0 and 1, higher corresponds to
+ *   closer to the other box.
+ * @return {object} - The box (cx, cy, w, h, theta).
+ */
+RotatedBox2d.prototype.getWeightedAvg = function(box, weight) {
+  let avg = {};
+  for (let key of ['cx', 'cy', 'w', 'h']) {
+    avg[key] = this[key] + weight * (box[key] - this[key]);
+  }
+  avg.theta = lerpAngle(this.theta, box.theta, weight);
+  return avg;
+};
+
+/**
+ * Set this box to be the weighted average of the two provided boxes.
+ * @param {RotatedBox2d} startBox - The first box.
+ * @param {RotatedBox2d} endBox - The second box.
+ * @param {number} weight - The weight, b/w 0 and 1, higher corresponds to
+ *   closer to endBox.
+ */
+RotatedBox2d.prototype.weightedAvg = function(startBox, endBox, weight) {
+  this.setCurrentPosition(startBox.getWeightedAvg(endBox, weight));
+};
+
+/**
+ * Set this box to be a sized down version of the provided box.
+ * @param {RotatedBox2d} startBox - The provided box.
+ */
+RotatedBox2d.prototype.shrink = function(startBox) {
+  this.setCurrentPosition({
+    ...startBox.getCurrentPosition(), w: startBox.w / 2, h: startBox.h / 2});
+};
+
+RotatedBox2d.prototype.mousedown = function(e) {
+  let mousePos = this.satItem.getMousePos(e);
+  if (this.state === BoxStates.FREE) {
+    let occupiedShape = this.satItem.getOccupiedShape(mousePos);
+    let occupiedLabel = this.satItem.getLabelOfShape(occupiedShape);
+
+    if (occupiedLabel && occupiedLabel.id === this.id) {
+      if (occupiedShape === this.rect.rotationHandle) {
+        this.setState(BoxStates.ROTATE);
+      } else if (occupiedShape instanceof Vertex) {
+        this.selectedShape = occupiedShape;
+        this.setState(BoxStates.RESIZE);
+      } else if (occupiedShape instanceof RotatedRect) {
+        this.moveCache = {
+          box: this.getCurrentPosition(),
+          bounds: this.getBounds(),
+          mousePos: mousePos,
+        };
+        this.setState(BoxStates.MOVE);
+      }
+    } else {
+      this.satItem.deselectAll();
+    }
+  } else if (this.state === BoxStates.RESIZE) {
+    // just entered RESIZE state
+    this.rect.setBox(mousePos.x, mousePos.y, 0, 0, 0);
+  }
+};
+
+RotatedBox2d.prototype.mouseup = function() {
+  if (this.state === BoxStates.RESIZE) {
+    this.selectedShape = null;
+    this.rect.normalize();
+    if (!this.shapesValid()) {
+      this.satItem.deselectAll();
+      return;
+    }
+  }
+  this.satItem.redrawHiddenCanvas();
+  this.setState(BoxStates.FREE);
+};
+
+RotatedBox2d.prototype.mousemove = function(e) {
+  let mousePos = this.satItem.getMousePos(e);
+  // handling according to state
+  if (this.state === BoxStates.RESIZE) {
+    let handleNo = this.rect.getHandleNo(this.selectedShape);
+    this.rect.dragHandle(handleNo, mousePos.x, mousePos.y);
+  } else if (this.state === BoxStates.MOVE) {
+    let {box, bounds} = this.moveCache;
+    let image = this.satItem.image;
+    let [dx, dy] = clampMove([bounds],
+        mousePos.x - this.moveCache.mousePos.x,
+        mousePos.y - this.moveCache.mousePos.y,
+        {w: image.width, h: image.height});
+    this.setCurrentPosition({...box, cx: box.cx + dx, cy: box.cy + dy});
+  } else if (this.state === BoxStates.ROTATE) {
+    // the rotation handle is straight above the center when theta is 0
+    let theta = Math.atan2(mousePos.y - this.cy, mousePos.x - this.cx);
+    this.setCurrentPosition({
+      ...this.getCurrentPosition(),
+      theta: normalizeAngle(theta + Math.PI / 2)});
+  } else {
+    return;
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+RotatedBox2d.prototype.mouseleave = function(e) { // eslint-disable-line
+  this.mouseup();
+  this.satItem.isMouseDown = false;
+};
+
+registerLabelType({
+  name: 'rotated_box2d',
+  labelClass: RotatedBox2d,
+});
@@ -1,8 +1,25 @@
 import {rgba} from './utils';
 import $ from 'jquery';
 import 'bootstrap-switch';
-import {makeSat} from './states';
+import {makeReview, makeSat} from './states';
 import {Shape} from './shape';
+import {History, sameSnapshot} from './history';
+import {AutoSaver} from './autosave';
+import {AnalyticsPanel, computeAnalytics} from './analytics';
+import {collectTelemetry, getSessionMetadata} from './telemetry';
+import {LoadingOverlay, parseAssignment, validateAssignment} from './loader';
+import {getLabelType} from './label_registry';
+import {createStore} from './functional/store';
+import {reducer} from './functional/reducer';
+import * as actions from './functional/actions';
+import {getLabel} from './functional/sat';
+import {labelFromJson, stateFromJson, stateToJson} from './functional/json';
+import {encodeActionLog} from './functional/action_log';
+import {Keymap} from './keymap';
+import {ReviewPanel, REJECTED_COLOR} from './review';
+import {Clipboard} from './clipboard';
+import {LabelList} from './label_list';
+import {ValidationPanel} from './validation';
 
 // constants
 const COLOR_PALETTE = [
@@ -28,6 +45,14 @@ const COLOR_PALETTE = [
   [158, 218, 229],
 ];
 
+// keyboard actions available on every annotation page
+const GLOBAL_HOTKEYS = [
+  {id: 'help', keys: ['Shift+/'],
+    description: 'Toggle Keyboard Usage display'},
+  {id: 'undo', keys: ['Ctrl+Z'], description: 'Undo'},
+  {id: 'redo', keys: ['Ctrl+Shift+Z'], description: 'Redo'},
+];
+
 /**
  * Summary: Tune the shade or tint of rgb color
  * @param {[number,number,number]} rgb: input color
@@ -78,10 +103,55 @@ export function Sat(ItemType, LabelType, hasNetwork=true) {
   self.ItemType = ItemType;
   self.LabelType = LabelType;
   self.events = [];
+  // encoded actions of the earlier sessions of this task
+  self.actionLog = [];
+  // information collected by the telemetry provider of the project
+  self.ipInfo = null;
   self.startTime = Date.now();
   self.taskId = null;
   self.projectName = null;
   self.ready = false;
+  self.history = new History(self);
+  // number of items to load before and after the current item
+  self.prefetchBehind = 2;
+  self.prefetchAhead = 10;
+  self.autosaver = new AutoSaver(self);
+  self.analyticsPanel = new AnalyticsPanel(self);
+  // whether the session reviews the labels instead of editing them
+  self.reviewMode = false;
+  self.keymap = new Keymap();
+  self.keymap.register('global', GLOBAL_HOTKEYS, 'General');
+  self.keymap.listen(document);
+  self.reviewPanel = new ReviewPanel(self);
+  self.labelList = new LabelList(self);
+  self.validationPanel = new ValidationPanel(self);
+  self.clipboard = new Clipboard(self);
+  document.addEventListener('keydown', function(e) {
+    if (self.keymap.matches(e, 'help')) {
+      $('#keyboard_usage_window').toggle();
+    }
+    self.clipboard.keydown(e);
+  });
+  // record of the state of the session, from which it is saved. The labels
+  // are still edited and drawn as SatLabel objects: each committed edit is
+  // dispatched to the store as actions by syncStore.
+  self.store = createStore(reducer, makeSat());
+  self.store.subscribe(function() {
+    if (self.ready && self.currentItem) {
+      self.currentItem.render();
+    }
+  });
+  self.history.onchange = function(command, how) {
+    let labels = [];
+    for (let change of command.changes) {
+      if (change.target instanceof SatLabel) {
+        labels.push(change.target);
+      }
+    }
+    self.syncStore(labels, how === 'commit' ? command.action :
+        how + ' ' + command.action);
+    self.autosaver.markDirty();
+  };
   if (self.slider) {
     self.numFrames = self.slider.max;
     self.slider.oninput = function() {
@@ -90,21 +160,33 @@ export function Sat(ItemType, LabelType, hasNetwork=true) {
   }
   if (hasNetwork) {
     self.load();
-    self.getIpInfo();
   }
-  self.state = makeSat();
 }
 
 /**
- * Store IP information describing the user using the ipify service.
+ * Collect the telemetry configured in the project options.
+ * @param {object} projectOptions - The project options of the task.
  */
-Sat.prototype.getIpInfo = function() {
+Sat.prototype.collectTelemetry = function(projectOptions) {
   let self = this;
-  $.getJSON('https://api.ipify.org?format=jsonp&callback=?', function(json) {
-    self.ipInfo = json.ip;
+  collectTelemetry(projectOptions, function(info) {
+    self.ipInfo = info;
   });
 };
 
+/**
+ * Add the client information to the JSON sent to the back end.
+ * @param {object} json - The JSON, changed in place.
+ * @return {object} - The JSON.
+ */
+Sat.prototype.addClientInfo = function(json) {
+  let metadata = getSessionMetadata();
+  json.userAgent = metadata.userAgent;
+  json.clientInfo = metadata;
+  json.ipInfo = this.ipInfo;
+  return json;
+};
+
 /**
  * Create a new item for this SAT.
  * @param {string} url - Location of the new item.
@@ -130,6 +212,68 @@ Sat.prototype.newLabelId = function() {
   return newId;
 };
 
+/**
+ * Get the registered label type of this SAT.
+ * @return {object} - The label type, null if it is not registered.
+ */
+Sat.prototype.getRegisteredLabelType = function() {
+  let labelType = getLabelType(this.labelType);
+  // label types whose implementation is not loaded are only described
+  return labelType && labelType.labelClass ? labelType : null;
+};
+
+/**
+ * Get the class to instantiate labels with. The registered label type of the
+ * project takes precedence over the class the SAT was created with.
+ * @return {SatLabel} - The label class.
+ */
+Sat.prototype.getLabelClass = function() {
+  let labelType = this.getRegisteredLabelType();
+  return labelType ? labelType.labelClass : this.LabelType;
+};
+
+/**
+ * Encode a label with the encoder of the registered label type.
+ * @param {SatLabel} label - The label, or a track of labels.
+ * @return {object} - JSON representation of the label.
+ */
+Sat.prototype.encodeLabel = function(label) {
+  let labelType = this.getRegisteredLabelType();
+  if (labelType && label instanceof labelType.labelClass) {
+    return labelType.encode(label);
+  }
+  return label.toJson();
+};
+
+/**
+ * Decode a label with the decoder of the registered label type.
+ * @param {SatLabel} label - The label to initialize.
+ * @param {object} json - JSON representation of the label.
+ */
+Sat.prototype.decodeLabel = function(label, json) {
+  let labelType = this.getRegisteredLabelType();
+  if (labelType) {
+    labelType.decode(label, json);
+  } else {
+    label.fromJsonVariables(json);
+  }
+};
+
+/**
+ * Convert a label from the export format with the converter of the
+ * registered label type.
+ * @param {SatLabel} label - The label to initialize.
+ * @param {object} exportFormat - The label in export format.
+ * @return {SatLabel} - The label, null if the export format does not apply.
+ */
+Sat.prototype.importLabel = function(label, exportFormat) {
+  let labelType = this.getRegisteredLabelType();
+  if (labelType) {
+    return labelType.fromExport(label, exportFormat);
+  }
+  return label.fromExportFormat(exportFormat);
+};
+
 /**
  * Create a new label for this SAT.
  * @param {object} optionalAttributes - Optional attributes that may be used by
@@ -138,25 +282,95 @@ Sat.prototype.newLabelId = function() {
  */
 Sat.prototype.newLabel = function(optionalAttributes) {
   let self = this;
-  let label = new self.LabelType(self, self.newLabelId(), optionalAttributes);
+  let LabelClass = self.getLabelClass();
+  let label = new LabelClass(self, self.newLabelId(), optionalAttributes);
   self.labelIdMap[label.id] = label;
   self.labels.push(label);
   if (self.currentItem) {
     self.currentItem.labels.push(label);
   }
+  self.dispatch(actions.newLabel(label.id,
+      self.currentItem ? self.currentItem.index : -1));
   return label;
 };
 
-// @flow
-Sat.prototype.newLabelF = function(state: newSat) {
-  let labelId = state.maxObjectId + 1;
-  if (state.current.item >= 0) {
-    state = state.updateIn(['items', 'labels'],
-        (labels) => labels.push(labelId));
+/**
+ * Dispatch an action to the store of this session. The action is stamped
+ * with the time so that the action log shows when it happened.
+ * @param {object} action - The action.
+ * @param {string} cause - Optional name of the edit that caused the action.
+ * @return {object} - The dispatched action.
+ */
+Sat.prototype.dispatch = function(action, cause = '') {
+  action = {...action, timestamp: new Date().getTime()};
+  if (cause) {
+    action.cause = cause;
+  }
+  return this.store.dispatch(action);
+};
+
+/**
+ * Bring the store up to date with labels that were edited. The differences
+ * are dispatched as actions; labels the store does not know yet are added.
+ * The SatLabel objects are the ones edited and drawn, the store follows them
+ * so that the JSON and the action log that are saved are made from it.
+ * @param {[SatLabel]} labels - The edited labels, all labels by default.
+ * @param {string} cause - Optional name of the edit, kept in the action log.
+ */
+Sat.prototype.syncStore = function(labels = this.labels, cause = '') {
+  let self = this;
+  let itemOfLabel = null;
+  let dispatch = function(action) {
+    self.dispatch(action, cause);
+  };
+  for (let label of labels) {
+    let stored = getLabel(self.store.getState(), label.id);
+    if (!stored) {
+      if (!label.valid) {
+        continue;
+      }
+      if (self.tracks && self.tracks.indexOf(label) >= 0) {
+        dispatch(actions.newTrack(label.id));
+      } else {
+        if (!itemOfLabel) {
+          itemOfLabel = {};
+          for (let item of self.items) {
+            for (let itemLabel of item.labels) {
+              itemOfLabel[itemLabel.id] = item.index;
+            }
+          }
+        }
+        let item = label.id in itemOfLabel ? itemOfLabel[label.id] : -1;
+        dispatch(actions.newLabel(label.id, item));
+      }
+      stored = getLabel(self.store.getState(), label.id);
+    }
+    if (!label.valid) {
+      if (stored.valid) {
+        dispatch(actions.deleteLabel(label.id));
+      }
+      continue;
+    }
+    let fields = labelFromJson(self.encodeLabel(label), stored.item);
+    if (fields.categoryPath !== stored.categoryPath) {
+      dispatch(actions.changeCategory(label.id, fields.categoryPath));
+    }
+    if (!sameSnapshot(fields.attributes, stored.attributes)) {
+      dispatch(actions.changeAttributes(label.id, fields.attributes));
+    }
+    let updated = {};
+    let changed = false;
+    for (let key of ['valid', 'parent', 'children', 'numChildren',
+      'keyframe', 'attributeframe', 'data', 'review']) {
+      if (!sameSnapshot(fields[key], stored[key])) {
+        updated[key] = fields[key];
+        changed = true;
+      }
+    }
+    if (changed) {
+      dispatch(actions.updateLabel(label.id, updated));
+    }
   }
-  return state.updateIn(['current', 'maxObjectId'], (id) => id + 1).update(
-      'labels', (labels) => labels.merge({
-        labelId: this.LabelType.f.createLabel(labelId)}));
 };
 
 /**
@@ -181,6 +395,137 @@ Sat.prototype.addEvent = function(action, itemIndex, labelId = -1,
   });
 };
 
+/**
+ * Approve or reject a label, or put it back up for review.
+ * @param {SatLabel} label - The label.
+ * @param {string} status - 'approved', 'rejected' or 'pending'.
+ */
+Sat.prototype.reviewLabel = function(label, status) {
+  label.review = {...label.review, status: status};
+  this.dispatch(actions.setReviewStatus(label.id, status), 'review label');
+  this.autosaver.markDirty();
+  this.reviewChanged();
+};
+
+/**
+ * Add a comment to the review thread of a label. Comments of the review
+ * session are signed by the reviewer, the others by the worker.
+ * @param {SatLabel} label - The label.
+ * @param {string} text - The comment.
+ */
+Sat.prototype.commentOnLabel = function(label, text) {
+  let comment = {
+    author: this.reviewMode ? 'reviewer' : this.workerId,
+    text: text,
+    timestamp: Date.now(),
+  };
+  label.review = {
+    ...label.review,
+    comments: label.review.comments.concat([comment]),
+  };
+  this.dispatch(actions.addReviewComment(label.id, comment), 'comment');
+  this.autosaver.markDirty();
+  this.reviewChanged();
+};
+
+/**
+ * Refresh the display after a review changed.
+ */
+Sat.prototype.reviewChanged = function() {
+  if (this.ready && this.currentItem) {
+    this.currentItem.redraw();
+  }
+  this.reviewPanel.refresh();
+};
+
+/**
+ * Get the rejected labels in the order of their items.
+ * @return {[{item: SatItem, label: SatLabel}]} - The labels and the items
+ *   they are on.
+ */
+Sat.prototype.getRejectedLabels = function() {
+  let rejected = [];
+  for (let item of this.items) {
+    for (let label of item.labels) {
+      if (label.valid && label.review.status === 'rejected') {
+        rejected.push({item: item, label: label});
+      }
+    }
+  }
+  return rejected;
+};
+
+/**
+ * Get the labels whose shapes are invalid, in the order of their items.
+ * @return {[{item: SatItem, label: SatLabel, problems: [string]}]} - The
+ *   labels, the items they are on and the problems of their shapes.
+ */
+Sat.prototype.getShapeProblems = function() {
+  let invalid = [];
+  for (let item of this.items) {
+    for (let label of item.labels) {
+      let problems = label.valid ? label.getShapeProblems() : [];
+      if (problems.length > 0) {
+        invalid.push({item: item, label: label, problems: problems});
+      }
+    }
+  }
+  return invalid;
+};
+
+/**
+ * Go to the item of a label and select the label.
+ * @param {SatItem} item - The item the label is on.
+ * @param {SatLabel} label - The label.
+ */
+Sat.prototype.focusLabel = function(item, label) {
+  if (item !== this.currentItem) {
+    this.gotoItem(item.index);
+  }
+  this.currentItem.focusLabel(label);
+  this.reviewPanel.refresh();
+};
+
+/**
+ * Undo the last edit. Edits of the current item are undone first; if there
+ * are none, go to the item of the most recent edit and undo it there.
+ */
+Sat.prototype.undo = function() {
+  let self = this;
+  if (self.history.pending) {
+    // an edit is still in progress
+    return;
+  }
+  let command = self.history.nextUndo(self.currentItem);
+  if (!command) {
+    return;
+  }
+  if (command.itemIndex !== self.currentItem.index) {
+    self.gotoItem(command.itemIndex);
+  }
+  self.history.undo(command);
+  self.currentItem.refreshLabels();
+};
+
+/**
+ * Redo the last undone edit, following the same order as Sat.undo.
+ */
+Sat.prototype.redo = function() {
+  let self = this;
+  if (self.history.pending) {
+    return;
+  }
+  let command = self.history.nextRedo(self.currentItem);
+  if (!command) {
+    return;
+  }
+  if (command.itemIndex !== self.currentItem.index) {
+    self.gotoItem(command.itemIndex);
+  }
+  self.history.redo(command);
+  self.currentItem.refreshLabels();
+};
+
 /**
  * Go to an item in this SAT, setting it to active.
  * @param {int} index - Index of the item to go to.
@@ -200,6 +545,7 @@ Sat.prototype.gotoItem = function(index) {
   if (self.slider) {
     self.slider.value = index + 1;
   }
+  self.currentItemChanged();
 };
 
 Sat.prototype.moveSlider = function() {
@@ -210,12 +556,48 @@ Sat.prototype.moveSlider = function() {
     oldItem.setActive(false);
   }
   self.currentItem.setActive(true);
+  self.currentItemChanged();
+};
+
+/**
+ * Record the new current item and load the items around it.
+ */
+Sat.prototype.currentItemChanged = function() {
+  this.dispatch(actions.goToItem(this.currentItem.index));
+  this.prefetchItems();
+};
+
+/**
+ * Start loading the items in a window around the current item, so that
+ * they are ready when the user moves to them.
+ */
+Sat.prototype.prefetchItems = function() {
+  if (!this.currentItem) {
+    return;
+  }
+  let index = this.currentItem.index;
+  // the current item first, then the ones closest to it
+  this.currentItem.prefetch();
+  for (let offset = 1;
+       offset <= Math.max(this.prefetchBehind, this.prefetchAhead);
+       offset++) {
+    if (offset <= this.prefetchAhead && index + offset < this.items.length) {
+      this.items[index + offset].prefetch();
+    }
+    if (offset <= this.prefetchBehind && index - offset >= 0) {
+      this.items[index - offset].prefetch();
+    }
+  }
 };
 
 Sat.prototype.loaded = function() {
   this.ready = true;
   this.initToolbox();
   this.currentItem.setActive(true);
+  this.currentItemChanged();
+  if (!this.demoMode) {
+    this.autosaver.start();
+  }
 };
 
 /**
@@ -223,21 +605,41 @@ Sat.prototype.loaded = function() {
  */
 Sat.prototype.load = function() {
   let self = this;
+  let overlay = new LoadingOverlay();
+  overlay.show('Loading task...');
   let xhr = new XMLHttpRequest();
+  xhr.onprogress = function(e) {
+    overlay.setProgress(e.loaded, e.lengthComputable ? e.total : 0);
+  };
   xhr.onreadystatechange = function() {
-    if (xhr.readyState === 4) {
-      let json = JSON.parse(xhr.response);
-      self.fromJson(json);
-      if (self.demoMode) {
-        document.getElementById('save_btn').style.display = 'none';
-      }
-      self.loaded();
+    if (xhr.readyState !== 4) {
+      return;
+    }
+    let response = parseAssignment(xhr);
+    if (response.error) {
+      overlay.showError(response.error, function() {
+        self.load();
+      });
+      return;
     }
+    let json = self.restoreLocalSnapshot(response.json);
+    self.fromJson(json);
+    self.collectTelemetry(json.task.projectOptions);
+    if (self.demoMode) {
+      document.getElementById('save_btn').style.display = 'none';
+      document.getElementById('save_status').style.display = 'none';
+    }
+    overlay.hide();
+    self.loaded();
+    self.reviewPanel.start();
+    self.labelList.start();
+    self.clipboard.start();
   };
   // get params from url path. These uniquely identify a SAT.
   let searchParams = new URLSearchParams(window.location.search);
   self.taskIndex = parseInt(searchParams.get('task_index'));
   self.projectName = searchParams.get('project_name');
+  self.reviewMode = searchParams.get('review') === '1';
   // send the request to the back end
   let request = JSON.stringify({
     'task': {
@@ -245,10 +647,36 @@ Sat.prototype.load = function() {
       'projectOptions': {'name': self.projectName},
     },
   });
-  xhr.open('POST', './postLoadAssignment', false);
+  xhr.open('POST', './postLoadAssignment');
   xhr.send(request);
 };
 
+/**
+ * Offer to restore the snapshot of this task that was saved locally but did
+ * not reach the back end, if it is newer than the back end copy.
+ * @param {object} json - The JSON representation from the back end.
+ * @return {object} The JSON representation to load.
+ */
+Sat.prototype.restoreLocalSnapshot = function(json) {
+  let local = this.autosaver.getLocalSnapshot();
+  if (!local) {
+    return json;
+  }
+  if (validateAssignment(local.json)) {
+    this.autosaver.discardLocalSnapshot();
+    return json;
+  }
+  // the back end records the submit time in seconds
+  let serverTime = (json.submitTime || 0) * 1000;
+  if (local.timestamp > serverTime && window.confirm(
+      'This task has changes from ' + new Date(local.timestamp) +
+      ' that were not saved to the server. Restore them?')) {
+    return local.json;
+  }
+  this.autosaver.discardLocalSnapshot();
+  return json;
+};
+
 // recursively create category to arbitrary level
 Sat.prototype.appendCascadeCategories = function(
     subcategories, level, selectedIdx = 0) {
@@ -378,19 +806,22 @@ Sat.prototype.initToolbox = function() {
     }
   }
   document.getElementById('save_btn').onclick = function() {
-    self.save();
+    if (self.validationPanel.check()) {
+      self.save();
+    }
   };
 };
 
 /**
- * Save this labeling session to file by sending JSON to the back end.
+ * Save this labeling session to file by sending JSON to the back end. The
+ * JSON is kept locally until the back end received it.
  */
 Sat.prototype.save = function() {
-  let self = this;
-  let json = self.toJson();
-  let xhr = new XMLHttpRequest();
-  xhr.open('POST', './postSave');
-  xhr.send(JSON.stringify(json));
+  if (this.demoMode) {
+    // demo projects are never saved by the back end
+    return;
+  }
+  this.autosaver.save();
 };
 
 /**
@@ -410,46 +841,13 @@ Sat.prototype.toJson = function() {
  */
 Sat.prototype.encodeBaseJson = function() {
   let self = this;
-  let items = [];
-  let labeledItemsCount = 0;
-  for (let i = 0; i < self.items.length; i++) {
-    items.push(self.items[i].toJson());
-    if (self.items[i].labels.length > 0) {
-      labeledItemsCount++;
-    }
-  }
-  let labels = [];
-  for (let i = 0; i < self.labels.length; i++) {
-    if (self.labels[i].valid) {
-      labels.push(self.labels[i].toJson());
-    }
-  }
-  return {
-    id: self.id,
-    task: {
-      projectOptions: {
-        name: self.projectName,
-        itemType: self.itemType,
-        labelType: self.labelType,
-        taskSize: self.taskSize,
-        handlerUrl: self.handlerUrl,
-        pageTitle: self.pageTitle,
-        categories: self.categories,
-        attributes: self.attributes,
-        instructions: self.instructions,
-        demoMode: self.demoMode,
-      },
-      index: self.taskIndex,
-      items: items,
-    },
-    workerId: self.workerId,
-    labels: labels,
-    events: self.events,
-    startTime: self.startTime,
-    numLabeledItems: labeledItemsCount,
-    userAgent: navigator.userAgent,
-    ipInfo: self.ipInfo,
-  };
+  self.syncStore();
+  let json = stateToJson(self.store.getState());
+  json.events = self.events;
+  json.analytics = computeAnalytics(self.events,
+      {labelType: self.labelType, now: Date.now()});
+  json.actions = encodeActionLog(self.store.getActions(), self.actionLog);
+  return self.addClientInfo(json);
 };
 
 /**
@@ -484,12 +882,14 @@ Sat.prototype.decodeBaseJson = function(json) {
   self.demoMode = json.task.projectOptions.demoMode;
   self.categories = json.task.projectOptions.categories;
   self.attributes = json.task.projectOptions.attributes;
+  self.skeleton = json.task.projectOptions.skeleton;
   self.taskIndex = json.task.index;
   for (let i = 0; json.labels && i < json.labels.length; i++) {
     // keep track of highest label ID
     self.lastLabelId = Math.max(self.lastLabelId, json.labels[i].id);
-    let newLabel = new self.LabelType(self, json.labels[i].id);
-    newLabel.fromJsonVariables(json.labels[i]);
+    let LabelClass = self.getLabelClass();
+    let newLabel = new LabelClass(self, json.labels[i].id);
+    self.decodeLabel(newLabel, json.labels[i]);
     self.labelIdMap[newLabel.id] = newLabel;
     self.labels.push(newLabel);
   }
@@ -498,6 +898,15 @@ Sat.prototype.decodeBaseJson = function(json) {
     newItem.fromJson(json.task.items[i]);
   }
   self.workerId = json.workerId;
+  let labelType = self.getRegisteredLabelType();
+  if (labelType) {
+    self.keymap.register(labelType.name, labelType.hotkeys, labelType.title);
+  }
+  self.keymap.load(self.workerId);
+  let usage = document.querySelector('#keyboard_usage_window .key_usage');
+  if (usage) {
+    self.keymap.renderUsage(usage);
+  }
   self.events = json.events; // TODO: don't deserialize all events
   self.startTime = json.startTime;
 
@@ -506,12 +915,16 @@ Sat.prototype.decodeBaseJson = function(json) {
   for (let i = 0; json.labels && i < json.labels.length; i++) {
     self.labelIdMap[json.labels[i].id].fromJsonPointers(json.labels[i]);
   }
+  self.actionLog = json.actions || [];
+  self.dispatch(actions.initSession(stateFromJson(json),
+      json.submitTime || 0));
   self.addEvent('start labeling', self.currentItem.index);
 };
 
 /**
  * Information used for submission
- * @return {{items: Array, labels: Array, events: *, userAgent: string}}
+ * @return {{items: Array, labels: Array, events: *, userAgent: string,
+ *   clientInfo: object, ipInfo: object}}
  */
 Sat.prototype.getInfo = function() {
   let self = this;
@@ -522,17 +935,15 @@ Sat.prototype.getInfo = function() {
   let labels = [];
   for (let i = 0; i < this.labels.length; i++) {
     if (this.labels[i].valid) {
-      labels.push(this.labels[i].toJson());
+      labels.push(this.encodeLabel(this.labels[i]));
     }
   }
-  return {
+  return self.addClientInfo({
     startTime: self.startTime,
     items: items,
     labels: labels,
     events: self.events,
-    userAgent: navigator.userAgent,
-    ipAddress: self.ipAddress,
-  };
+  });
 };
 
 /**
@@ -568,12 +979,29 @@ SatItem.prototype.setActive = function(active) {
 SatItem.prototype._changeSelectedLabelCategory = function() {
 };
 
+/**
+ * Start loading the data of this item if it is not loaded yet. Abstract
+ * function that should be implemented by child
+ */
+SatItem.prototype.prefetch = function() {
+};
+
+/**
+ * Update the parts of the view of this item drawn from the store, such as
+ * the label count, after the store changed. The labels themselves are drawn
+ * from the SatLabel objects.
+ * Abstract function that should be implemented by child
+ */
+SatItem.prototype.render = function() {
+};
+
 /**
  * Called when this item is loaded.
  */
 SatItem.prototype.loaded = function() {
   this.ready = true;
   this.sat.addEvent('loaded', this.index);
+  this.sat.dispatch(actions.loadItem(this.index));
 };
 
 /**
@@ -642,8 +1070,9 @@ SatItem.prototype.importLabels = function(labels) {
   let self = this;
   for (let labelToImport of labels) {
     self.sat.lastLabelId += 1;
-    let newLabel = new self.sat.LabelType(self.sat, self.sat.lastLabelId);
-    newLabel = newLabel.fromExportFormat(labelToImport);
+    let LabelClass = self.sat.getLabelClass();
+    let newLabel = new LabelClass(self.sat, self.sat.lastLabelId);
+    newLabel = self.sat.importLabel(newLabel, labelToImport);
     if (newLabel) {
       newLabel.satItem = self;
       self.sat.labelIdMap[newLabel.id] = newLabel;
@@ -668,6 +1097,86 @@ SatItem.prototype.getVisibleLabels = function() {
   return labels;
 };
 
+/**
+ * Capture the label list of this SatItem for the undo history.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+SatItem.prototype.snapshot = function() {
+  return {labels: this.labels.slice()};
+};
+
+/**
+ * Restore the label list of this SatItem from a snapshot.
+ * @param {object} snapshot - snapshot taken by SatItem.snapshot
+ */
+SatItem.prototype.restoreSnapshot = function(snapshot) {
+  this.labels = snapshot.labels.slice();
+};
+
+/**
+ * Abstract function that should be implemented by child. Select a label of
+ * this item so that it can be reviewed or fixed.
+ * @param {SatLabel} ignoredLabel - The label.
+ */
+SatItem.prototype.focusLabel = function(ignoredLabel) {
+};
+
+/**
+ * Get the selected labels of this item.
+ * @return {[SatLabel]} - The selected labels.
+ */
+SatItem.prototype.getSelectedLabels = function() {
+  return this.selectedLabel ? [this.selectedLabel] : [];
+};
+
+/**
+ * Abstract function that should be implemented by child. Get the box around
+ * a label, for listing the labels by position and size.
+ * @param {SatLabel} ignoredLabel - The label.
+ * @return {object} - The box (x, y, w, h), null if the label has no shape.
+ */
+SatItem.prototype.getLabelBounds = function(ignoredLabel) {
+  return null;
+};
+
+/**
+ * Abstract function that should be implemented by child. Change the
+ * category of labels of this item.
+ * @param {[SatLabel]} ignoredLabels - The labels.
+ * @param {[string]} ignoredPath - Names of the category and its parents.
+ */
+SatItem.prototype.setLabelsCategory = function(ignoredLabels, ignoredPath) {
+};
+
+/**
+ * Abstract function that should be implemented by child. Delete labels of
+ * this item.
+ * @param {[SatLabel]} ignoredLabels - The labels.
+ */
+SatItem.prototype.deleteLabels = function(ignoredLabels) {
+};
+
+/**
+ * Abstract function that should be implemented by child. Add labels to this
+ * item from clipboard entries, made by makeEntry in clipboard.js.
+ * @param {[object]} ignoredEntries - Category path, attributes and shape of
+ *   the labels.
+ * @param {number} ignoredSteps - How many times the shapes are shifted, so
+ *   that copies pasted into the item they come from don't hide the
+ *   originals.
+ * @return {[SatLabel]} - The new labels.
+ */
+SatItem.prototype.pasteLabels = function(ignoredEntries, ignoredSteps) {
+  return [];
+};
+
+/**
+ * Abstract function that should be implemented by child. Called after the
+ * labels were changed by undo or redo to refresh the display.
+ */
+SatItem.prototype.refreshLabels = function() {
+};
+
 /**
  * Delete
  */
@@ -711,6 +1220,7 @@ export function SatLabel(sat: Sat, id: number = -1, ignored: any = null) {
   this.selectedShape = null;
   this.hoveredShape = null;
   this.interpolateHandler = null;
+  this.review = makeReview();
 }
 
 SatLabel.useCrossHair = false;
@@ -723,6 +1233,43 @@ SatLabel.prototype.setToolBox = function(ignoredSatItem) {
 
 };
 
+/**
+ * Abstract function that should be implemented by child. Copy the shape of
+ * this label for the clipboard.
+ * @return {object} - The copy, null if the label has no shape to copy.
+ */
+SatLabel.prototype.copyShape = function() {
+  return null;
+};
+
+/**
+ * Abstract function that should be implemented by child. Give this label a
+ * shape copied by copyShape.
+ * @param {object} ignoredShape - The copy.
+ * @param {[number]} ignoredOffset - How much to shift the shape along x and
+ *   y.
+ */
+SatLabel.prototype.pasteShape = function(ignoredShape, ignoredOffset) {
+};
+
+/**
+ * Abstract function that should be implemented by child. Get the problems of
+ * the geometry of this label, such as crossing edges.
+ * @return {[string]} - Values of ShapeProblems, empty if the shape is valid.
+ */
+SatLabel.prototype.getShapeProblems = function() {
+  return [];
+};
+
+/**
+ * Abstract function that should be implemented by child. Repair the shape of
+ * this label.
+ * @return {boolean} - Whether the shape changed.
+ */
+SatLabel.prototype.repairShapes = function() {
+  return false;
+};
+
 /**
  * Set this label's category.
  * @param {string} categoryPath - The / delimited category path for this label.
@@ -751,6 +1298,37 @@ SatLabel.prototype.delete = function() {
   }
 };
 
+/**
+ * Capture the state of this label for the undo history. Subclasses extend
+ * the snapshot with their shapes.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+SatLabel.prototype.snapshot = function() {
+  return {
+    valid: this.valid,
+    categoryPath: this.categoryPath,
+    attributes: {...this.attributes},
+    keyframe: this.keyframe,
+    parent: this.parent,
+    children: this.children.slice(),
+    numChildren: this.numChildren,
+  };
+};
+
+/**
+ * Restore the state of this label from a snapshot.
+ * @param {object} snapshot - snapshot taken by SatLabel.snapshot
+ */
+SatLabel.prototype.restoreSnapshot = function(snapshot) {
+  this.valid = snapshot.valid;
+  this.categoryPath = snapshot.categoryPath;
+  this.attributes = {...snapshot.attributes};
+  this.keyframe = snapshot.keyframe;
+  this.parent = snapshot.parent;
+  this.children = snapshot.children.slice();
+  this.numChildren = snapshot.numChildren;
+};
+
 SatLabel.prototype.childDeleted = function() {
   this.numChildren -= 1;
   if (this.numChildren === 0) this.delete();
@@ -777,6 +1355,9 @@ SatLabel.prototype.addChild = function(child) {
  * @return {(number|number|number)[]}
  */
 SatLabel.prototype.color = function() {
+  if (this.review.status === 'rejected') {
+    return REJECTED_COLOR;
+  }
   return pickColorPalette(this.getRoot().id);
 };
 
@@ -813,6 +1394,10 @@ SatLabel.prototype.encodeBaseJson = function() {
   // TODO: remove
   json.keyframe = self.keyframe;
   json.attributeframe = self.attributeframe;
+  json.review = {
+    status: self.review.status,
+    comments: self.review.comments.slice(),
+  };
 
   return json;
 };
@@ -835,6 +1420,10 @@ SatLabel.prototype.decodeBaseJsonVariables = function(json) {
   // TODO: remove
   self.keyframe = json.keyframe;
   self.attributeframe = json.attributeframe;
+  self.review = makeReview(json.review ? {
+    status: json.review.status || 'pending',
+    comments: (json.review.comments || []).slice(),
+  } : {});
 };
 
 SatLabel.prototype.decodeBaseJsonPointers = function(json) {
@@ -1,17 +1,56 @@
 import {SatImage, ImageLabel} from './image';
 import {
-  Polygon, Path, Vertex,
+  Polygon, Path, Vertex, EdgeTypes,
   VertexTypes, GRAYOUT_COLOR, SELECT_COLOR,
   LINE_WIDTH, OUTLINE_WIDTH, ALPHA_HIGH_FILL,
-  ALPHA_LOW_FILL, ALPHA_LINE, UP_RES_RATIO,
+  ALPHA_LOW_FILL, ALPHA_LINE, UP_RES_RATIO, ShapeProblems,
 } from './shape';
-import {rgba, FONT_SIZE} from './utils';
+import {rgba, idx, FONT_SIZE} from './utils';
+import {registerLabelType} from './label_registry';
+import {clampMove} from './box_group';
+import {decodeRle, traceContours} from './raster';
+import {
+  difference, evenOddRegion, groupRings, intersection, normalizeRegion,
+  regionArea, union,
+} from './clipping';
+import {simplifyPoints, smoothPoints} from './simplify';
 
 // constants
 let SegStates = Object.freeze({
   FREE: 0, DRAW: 1, RESIZE: 2, QUICK_DRAW: 3, LINK: 4, MOVE: 5,
 });
 
+// boolean operations combining the selected labels
+const COMBINE_ACTIONS = {
+  union_labels: union,
+  subtract_labels: difference,
+  intersect_labels: intersection,
+};
+// changes of area below this, in square pixels, leave a label as it is
+const AREA_TOLERANCE = 1e-3;
+// actions reducing the vertices of the outlines, with their button titles
+const OUTLINE_ACTIONS = {
+  simplify_polygons: 'Simplify',
+  smooth_polygons: 'Smooth',
+};
+// color of the edges crossing other edges of their polygon
+const CROSSING_COLOR = [255, 0, 0];
+
+/**
+ * Make polygons with straight edges from a region.
+ * @param {[[[[number]]]]} region: the region, as used by the clipping module
+ * @return {[Polygon]} the polygons, with their holes
+ */
+function regionPolygons(region) {
+  let ringFormat = (ring) => ({
+    vertices: ring,
+    types: 'L'.repeat(ring.length),
+    closed: true,
+  });
+  return region.map((rings) => Polygon.fromExportFormat(Object.assign(
+      ringFormat(rings[0]), {holes: rings.slice(1).map(ringFormat)})));
+}
+
 /**
  * 2D segmentation label
  * @param {Sat} sat: context
@@ -26,6 +65,8 @@ export function Seg2d(sat, id, optionalAttributes) {
   this.quickdrawCache = {};
   this.state = SegStates.FREE;
   this.selectedShape = null;
+  // vertex last dragged with the mouse, which the arrow keys keep moving
+  this.lastMovedVertex = null;
   this.interpolateHandler = this.identityInterpolation;
 
   let mousePos;
@@ -55,8 +96,17 @@ Seg2d.prototype = Object.create(ImageLabel.prototype);
 Seg2d.useCrossHair = false;
 Seg2d.defaultCursorStyle = 'default';
 Seg2d.useDoubleClick = true;
-Seg2d.closed =
-    document.getElementById('label_type').innerHTML === 'segmentation';
+Seg2d.useGroupSelection = true;
+// polygons for segmentation, paths for lanes; set by the label type
+Seg2d.closed = true;
+// whether new polygons are cut out of the other labels, so that no pixel is
+// labeled twice
+Seg2d.noOverlap = false;
+// largest distance in pixels between the outlines and the vertices left out
+// by simplifying or smoothing them
+Seg2d.simplifyTolerance = 2;
+// whether new polygons are simplified when they are completed
+Seg2d.autoSimplify = false;
 
 Seg2d.prototype.initDrawing = function(mousePos) {
   if (Seg2d.closed) {
@@ -95,6 +145,10 @@ Seg2d.prototype.completeDrawing = function() {
         poly.delete();
       }
     }
+    if (Seg2d.autoSimplify) {
+      this.simplifyNewPolygon(this.newPoly);
+    }
+    this.removeOverlaps();
   } else if (this.polyBuffer) {
     for (let poly of this.polyBuffer) {
       this.polys.push(poly);
@@ -176,8 +230,333 @@ Seg2d.prototype.deleteAllPolyline = function() {
   }
 };
 
+/**
+ * Get the region covered by the polygons, with their bezier edges sampled.
+ * @return {[[[[number]]]]} - The region, as used by the clipping module.
+ */
+Seg2d.prototype.getRegion = function() {
+  return this.polys.map(
+      (poly) => poly.getRings().map((ring) => ring.flatten()));
+};
+
+/**
+ * Replace the polygons by the ones of a region.
+ * @param {[[[[number]]]]} region - The region.
+ */
+Seg2d.prototype.setRegion = function(region) {
+  for (let poly of this.polys) {
+    poly.delete();
+  }
+  this.polys = [];
+  for (let poly of regionPolygons(region)) {
+    this.addPolyline(poly);
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Cut a region out of the polygons. A label left without polygons is
+ * deleted, unless it is part of a track.
+ * @param {[[[[number]]]]} region - The region.
+ * @return {boolean} - Whether the polygons changed.
+ */
+Seg2d.prototype.cutOut = function(region) {
+  let own = this.getRegion();
+  let rest = difference(own, region);
+  if (regionArea(normalizeRegion(own)) - regionArea(rest) < AREA_TOLERANCE) {
+    return false;
+  }
+  if (rest.length === 0 && !this.parent) {
+    this.satItem.deleteLabel(this);
+  } else {
+    this.setRegion(rest);
+  }
+  return true;
+};
+
+/**
+ * Cut the polygons out of the other labels of the image in the no-overlap
+ * mode.
+ */
+Seg2d.prototype.removeOverlaps = function() {
+  if (!Seg2d.noOverlap || !Seg2d.closed) {
+    return;
+  }
+  let region = this.getRegion();
+  for (let label of this.satItem.labels) {
+    if (label !== this && label.valid && label.polys.length > 0) {
+      label.cutOut(region);
+    }
+  }
+};
+
+/**
+ * Get the vertices of a ring that simplifying must keep: the ones shared with
+ * other rings, so that common borders stay common, and the ends of the bezier
+ * edges.
+ * @param {Polyline} ring - The ring.
+ * @return {[number]} - The indices of the vertices in the ring.
+ */
+Seg2d.prototype.fixedVertices = function(ring) {
+  let shared = new Set();
+  for (let label of this.satItem.labels) {
+    if (label.valid) {
+      for (let other of label.getRings()) {
+        if (other !== ring) {
+          other.vertices.forEach((vertex) => shared.add(vertex));
+        }
+      }
+    }
+  }
+  ring.alignEdges();
+  let fixed = [];
+  ring.vertices.forEach((vertex, i) => {
+    let edges = [ring.edges[i], ring.edges[idx(i - 1, ring.vertices.length)]];
+    if (shared.has(vertex) ||
+        edges.some((edge) => edge && edge.type === EdgeTypes.BEZIER)) {
+      fixed.push(i);
+    }
+  });
+  return fixed;
+};
+
+/**
+ * Simplify or smooth the outline of a polygon and of its holes.
+ * @param {Polyline} poly - A polygon of this label.
+ * @param {string} action - 'simplify_polygons' or 'smooth_polygons'.
+ * @param {Polyline} target - The polygon to change, the polygon itself or a
+ *   copy of it.
+ */
+Seg2d.prototype.reshapeOutline = function(poly, action, target = poly) {
+  let targetRings = target.getRings();
+  poly.getRings().forEach((ring, i) => {
+    let fixed = this.fixedVertices(ring);
+    let points = ring.vertices.map((vertex) => vertex.xy);
+    if (action === 'smooth_polygons') {
+      let smoothed = smoothPoints(points, Seg2d.simplifyTolerance,
+          ring.closed, fixed);
+      targetRings[i].keepVertices(smoothed.indices, smoothed.controlPoints);
+    } else {
+      targetRings[i].keepVertices(simplifyPoints(points,
+          Seg2d.simplifyTolerance, ring.closed, fixed));
+    }
+  });
+};
+
+/**
+ * Simplify a polygon that was just completed, unless simplifying would make
+ * its edges cross.
+ * @param {Polyline} poly - The new polygon.
+ * @return {boolean} - Whether the polygon changed.
+ */
+Seg2d.prototype.simplifyNewPolygon = function(poly) {
+  let copy = poly.copy(-1);
+  this.reshapeOutline(poly, 'simplify_polygons', copy);
+  if (!copy.isValidShape()) {
+    return false;
+  }
+  this.reshapeOutline(poly, 'simplify_polygons');
+  return true;
+};
+
+/**
+ * Show the polygons simplified or smoothed, without changing them yet.
+ * @param {string} action - 'simplify_polygons' or 'smooth_polygons'.
+ */
+Seg2d.prototype.previewOutlines = function(action) {
+  let polys = this.polys.map((poly) => {
+    let copy = poly.copy(-1);
+    this.reshapeOutline(poly, action, copy);
+    return copy;
+  });
+  let countVertices = (polys) => polys.reduce((count, poly) =>
+      count + poly.getRings().reduce(
+          (sum, ring) => sum + ring.vertices.length, 0), 0);
+  this.outlinePreview = {
+    action: action,
+    polys: polys,
+    before: countVertices(this.polys),
+    after: countVertices(polys),
+  };
+  this.updateOutlineButtons();
+};
+
+/**
+ * Stop showing the simplified or smoothed polygons.
+ */
+Seg2d.prototype.clearOutlinePreview = function() {
+  if (this.outlinePreview) {
+    this.outlinePreview = null;
+    this.updateOutlineButtons();
+  }
+};
+
+/**
+ * Preview an outline action, or apply it if it is the one shown. The
+ * polygons are left as they are if the action would make them cross.
+ * @param {string} action - 'simplify_polygons' or 'smooth_polygons'.
+ * @return {boolean} - Whether the polygons changed.
+ */
+Seg2d.prototype.outlineAction = function(action) {
+  if (this.state !== SegStates.FREE || this.polys.length === 0 ||
+      this.sat.reviewMode) {
+    return false;
+  }
+  let shown = this.outlinePreview && this.outlinePreview.action === action;
+  // the preview is made again, in case the polygons changed since
+  this.previewOutlines(action);
+  if (!shown) {
+    return false;
+  }
+  let valid = this.outlinePreview.polys.every((poly) => poly.isValidShape());
+  this.clearOutlinePreview();
+  if (!valid) {
+    return false;
+  }
+  for (let poly of this.polys) {
+    this.reshapeOutline(poly, action);
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+  if (this.satItem.active) {
+    this.satItem.resetHiddenMap(this.getAllHiddenShapes());
+    this.satItem.redrawHiddenCanvas();
+  }
+  return true;
+};
+
+/**
+ * Show on the buttons of the outline actions whether a preview is waiting to
+ * be applied.
+ */
+Seg2d.prototype.updateOutlineButtons = function() {
+  for (let action of Object.keys(OUTLINE_ACTIONS)) {
+    let button = document.getElementById(action + '_btn');
+    if (!button) {
+      continue;
+    }
+    let preview = this.outlinePreview;
+    if (preview && preview.action === action) {
+      button.innerHTML = 'Apply (' + preview.before + ' to ' + preview.after +
+          ' vertices)';
+      button.style.backgroundColor = 'lightgreen';
+    } else {
+      button.innerHTML = OUTLINE_ACTIONS[action];
+      button.style.backgroundColor = 'white';
+    }
+  }
+};
+
+/**
+ * Remove the vertices of a ring at the position of the vertex before them,
+ * keeping the edges going on from them.
+ * @param {Polyline} ring - The ring.
+ * @return {boolean} - Whether vertices were removed.
+ */
+function dropRepeatedVertices(ring) {
+  let vertices = ring.vertices;
+  let same = (a, b) => a.x === b.x && a.y === b.y;
+  let kept = [];
+  vertices.forEach((vertex, i) => {
+    if (kept.length === 0 || !same(vertex, vertices[kept[kept.length - 1]])) {
+      kept.push(i);
+    }
+  });
+  if (ring.closed && kept.length > 1 &&
+      same(vertices[kept[kept.length - 1]], vertices[0])) {
+    kept.pop();
+  }
+  if (kept.length === vertices.length) {
+    return false;
+  }
+  ring.alignEdges();
+  // between two kept vertices, a single edge has a length and is kept
+  let curves = kept.map((i, k) => {
+    let end = k + 1 < kept.length ? kept[k + 1] : kept[0] + vertices.length;
+    for (let e = i; e < end && end > i + 1; e++) {
+      let edge = ring.edges[e % vertices.length];
+      if (edge && !same(edge.src, edge.dest)) {
+        return edge.type === EdgeTypes.BEZIER ?
+            edge.control_points.map((point) => point.xy) : null;
+      }
+    }
+    return null;
+  });
+  ring.keepVertices(kept, curves);
+  return true;
+}
+
+/**
+ * Get the problems of the geometry of the polygons.
+ * @return {[string]} - Values of ShapeProblems, each listed once.
+ */
+Seg2d.prototype.getShapeProblems = function() {
+  if (this.polys.length === 0) {
+    return [ShapeProblems.DEGENERATE];
+  }
+  let problems = new Set();
+  for (let poly of this.polys) {
+    poly.getProblems().forEach((problem) => problems.add(problem));
+  }
+  return Array.from(problems);
+};
+
+/**
+ * Repair the polygons: remove the vertices repeating the one before them,
+ * then replace the polygons still invalid by the parts they fill when they
+ * are drawn, split where their edges cross. Degenerate paths are removed. A
+ * label left without polygons is deleted, unless it is part of a track.
+ * @return {boolean} - Whether the polygons changed.
+ */
+Seg2d.prototype.repairShapes = function() {
+  if (this.state !== SegStates.FREE || this.polys.length === 0 ||
+      this.sat.reviewMode) {
+    return false;
+  }
+  let changed = false;
+  let polys = [];
+  for (let poly of this.polys) {
+    for (let ring of poly.getRings()) {
+      changed = dropRepeatedVertices(ring) || changed;
+    }
+    let problems = poly.getProblems();
+    if (poly.closed && problems.length > 0) {
+      let region = evenOddRegion(poly.getRings().map((ring) => ring.flatten()));
+      poly.delete();
+      polys = polys.concat(regionPolygons(region));
+      changed = true;
+    } else if (problems.includes(ShapeProblems.DEGENERATE)) {
+      poly.delete();
+      changed = true;
+    } else {
+      polys.push(poly);
+    }
+  }
+  if (!changed) {
+    return false;
+  }
+  this.clearOutlinePreview();
+  this.polys = polys;
+  if (polys.length === 0 && !this.parent) {
+    this.satItem.deleteLabel(this);
+    return true;
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+  if (this.satItem.active) {
+    this.satItem.resetHiddenMap(this.getAllHiddenShapes());
+    this.satItem.redrawHiddenCanvas();
+  }
+  return true;
+};
+
 Seg2d.prototype.setAsTargeted = function() {
   this.targeted = true;
+  this.lastMovedVertex = null;
   if (this.satItem.active && this.state === SegStates.FREE) {
     this.satItem.resetHiddenMap(this.getAllHiddenShapes());
   }
@@ -265,13 +644,102 @@ Seg2d.setToolBox = function(satItem) {
   if (Seg2d.closed) {
     satItem.isLinking = false;
     document.getElementById('link_btn').onclick = function() {
+      satItem.sat.history.begin(satItem);
       satItem.linkHandler();
+      satItem.commitEdit('link labels');
     };
     document.getElementById('quickdraw_btn').onclick = function() {
       if (satItem.selectedLabel) {
+        satItem.sat.history.begin(satItem);
         satItem.selectedLabel.handleQuickdraw();
+        satItem.commitEdit();
       }
     };
+    let noOverlapButton = document.getElementById('no_overlap_btn');
+    if (noOverlapButton) {
+      noOverlapButton.onclick = function(e) {
+        e.preventDefault();
+        Seg2d.toggleNoOverlap();
+      };
+    }
+    for (let action of Object.keys(COMBINE_ACTIONS)) {
+      let button = document.getElementById(action + '_btn');
+      if (button) {
+        button.onclick = function(e) {
+          e.preventDefault();
+          satItem.combineGroup(action);
+        };
+      }
+    }
+  }
+  for (let action of Object.keys(OUTLINE_ACTIONS)) {
+    let button = document.getElementById(action + '_btn');
+    if (button) {
+      button.onclick = function(e) {
+        e.preventDefault();
+        if (satItem.selectedLabel) {
+          satItem.sat.history.begin(satItem);
+          satItem.selectedLabel.outlineAction(action);
+          satItem.commitEdit(OUTLINE_ACTIONS[action].toLowerCase());
+          satItem.redrawLabelCanvas();
+        }
+      };
+    }
+  }
+  let repairButton = document.getElementById('repair_shapes_btn');
+  if (repairButton) {
+    repairButton.onclick = function(e) {
+      e.preventDefault();
+      let label = satItem.selectedLabel;
+      if (label) {
+        satItem.sat.history.begin(satItem);
+        if (label.repairShapes() && !label.valid) {
+          satItem.deselectAll();
+        }
+        satItem.commitEdit('repair shapes');
+        satItem.redrawLabelCanvas();
+      }
+    };
+  }
+  let tolerance = document.getElementById('simplify_tolerance');
+  if (tolerance) {
+    tolerance.value = Seg2d.simplifyTolerance;
+    // typing a value should not trigger the hotkeys of the tools
+    for (let type of ['keydown', 'keyup']) {
+      tolerance.addEventListener(type, function(e) {
+        e.stopPropagation();
+      });
+    }
+    tolerance.oninput = function() {
+      if (Number(tolerance.value) > 0) {
+        Seg2d.simplifyTolerance = Number(tolerance.value);
+      }
+      let label = satItem.selectedLabel;
+      if (label && label.outlinePreview) {
+        label.previewOutlines(label.outlinePreview.action);
+        satItem.redrawLabelCanvas();
+      }
+    };
+  }
+  let autoSimplifyButton = document.getElementById('auto_simplify_btn');
+  if (autoSimplifyButton) {
+    autoSimplifyButton.onclick = function(e) {
+      e.preventDefault();
+      Seg2d.autoSimplify = !Seg2d.autoSimplify;
+      autoSimplifyButton.style.backgroundColor =
+          Seg2d.autoSimplify ? 'lightgreen' : 'white';
+    };
+  }
+};
+
+/**
+ * Turn the no-overlap mode on or off.
+ */
+Seg2d.toggleNoOverlap = function() {
+  Seg2d.noOverlap = !Seg2d.noOverlap;
+  let button = document.getElementById('no_overlap_btn');
+  if (button) {
+    button.style.backgroundColor = Seg2d.noOverlap ? 'lightgreen' : 'white';
   }
 };
 
@@ -284,7 +752,7 @@ Seg2d.prototype.midpointToVertex = function(pt) {
   let v1;
   let v2;
   let vertex;
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     if (poly.control_points.indexOf(pt) >= 0) {
       let edgeIndex = poly.getEdgeIndexWithControlPoint(pt);
       vertex = poly.midpointToVertexWithEdgeIndex(edgeIndex);
@@ -294,7 +762,7 @@ Seg2d.prototype.midpointToVertex = function(pt) {
   }
   // convert every shared edge
   for (let label of this.satItem.labels) {
-    for (let poly of label.polys) {
+    for (let poly of label.getRings()) {
       poly.convertMidpointToKnownVertexBetween(vertex, v1, v2);
     }
   }
@@ -311,7 +779,7 @@ Seg2d.prototype.midpointToBezierControl = function(pt) {
   let c1;
   let c2;
   let convertedPoly;
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     if (poly.control_points.indexOf(pt) >= 0) {
       let edgeIndex = poly.getEdgeIndexWithControlPoint(pt);
       [c1, c2] = poly.midpointToBezierControlWithEdgeIndex(edgeIndex);
@@ -322,7 +790,7 @@ Seg2d.prototype.midpointToBezierControl = function(pt) {
   }
   // convert every shared edge
   for (let label of this.satItem.labels) {
-    for (let poly of label.polys) {
+    for (let poly of label.getRings()) {
       if (poly !== convertedPoly) {
         poly.convertMidpointToKnownBezierControlBetween(c1, c2, v1, v2);
       }
@@ -339,7 +807,7 @@ Seg2d.prototype.bezierControlToMidpoint = function(pt) {
   let v2;
   let midpoint;
   let convertedPoly;
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     if (poly.control_points.indexOf(pt) >= 0) {
       let edgeIndex = poly.getEdgeIndexWithControlPoint(pt);
       midpoint = poly.bezierControlToMidpointWithEdgeIndex(edgeIndex);
@@ -350,7 +818,7 @@ Seg2d.prototype.bezierControlToMidpoint = function(pt) {
   }
   // convert every shared edge
   for (let label of this.satItem.labels) {
-    for (let poly of label.polys) {
+    for (let poly of label.getRings()) {
       if (poly !== convertedPoly) {
         poly.convertBezierControlToKnownMidpointBetween(midpoint, v1, v2);
       }
@@ -405,6 +873,52 @@ SatImage.prototype.linkHandler = function() {
   }
 };
 
+/**
+ * Combine the polygons of the selected labels. The union and the
+ * intersection go to the selected label and the other labels are deleted;
+ * the difference cuts the selected label out of the other labels.
+ * @param {string} action - One of the keys of COMBINE_ACTIONS.
+ * @return {boolean} - Whether the labels changed.
+ */
+SatImage.prototype.combineGroup = function(action) {
+  if (!this.hasGroup() || this.sat.reviewMode || !Seg2d.closed ||
+      this.selectedGroup.some((label) => label.isEditing())) {
+    return false;
+  }
+  let target = this.selectedLabel;
+  let others = this.selectedGroup.filter((label) => label !== target);
+  let operation = COMBINE_ACTIONS[action];
+  this.sat.history.begin(this);
+  let changed = false;
+  if (operation === difference) {
+    for (let label of others) {
+      changed = label.cutOut(target.getRegion()) || changed;
+    }
+  } else {
+    let region = target.getRegion();
+    for (let label of others) {
+      region = operation(region, label.getRegion());
+    }
+    // labels without common area are left as they are
+    if (region.length > 0) {
+      target.setRegion(region);
+      for (let label of others) {
+        this.deleteLabel(label);
+      }
+      changed = true;
+    }
+  }
+  if (changed) {
+    this.selectLabel(target);
+  }
+  this.commitEdit('combine labels');
+  this.redrawLabelCanvas();
+  this.redrawHiddenCanvas();
+  this.updateLabelCount();
+  this.sat.labelList.refresh();
+  return changed;
+};
+
 Seg2d.prototype.linkHandler = function() {
   if (this.state === SegStates.FREE) {
     this.setState(SegStates.LINK);
@@ -443,6 +957,10 @@ Seg2d.prototype.handleQuickdraw = function() {
             poly.delete();
           }
         }
+        if (Seg2d.autoSimplify) {
+          this.simplifyNewPolygon(this.newPoly);
+        }
+        this.removeOverlaps();
       } else if (this.polyBuffer) {
         for (let poly of this.polyBuffer) {
           this.polys.push(poly);
@@ -512,6 +1030,96 @@ Seg2d.prototype.resetQuickdrawButton = function() {
   quickdrawButton.style.backgroundColor = 'white';
 };
 
+Seg2d.prototype.isEditing = function() {
+  return this.state !== SegStates.FREE;
+};
+
+/**
+ * Capture the state of this label for the undo history. Polygons, edges and
+ * vertices are kept by reference, since they can be shared with other
+ * labels, together with their coordinates.
+ * @return {object} snapshot to pass to restoreSnapshot
+ */
+Seg2d.prototype.snapshot = function() {
+  let snapshot = ImageLabel.prototype.snapshot.call(this);
+  snapshot.polys = [];
+  for (let poly of this.polys) {
+    let polySnapshot = snapshotRing(poly);
+    polySnapshot.holes = poly.getRings().slice(1).map(snapshotRing);
+    snapshot.polys.push(polySnapshot);
+  }
+  return snapshot;
+};
+
+/**
+ * Capture the vertices and edges of a ring of a polygon.
+ * @param {Polyline} poly - The ring.
+ * @return {object} snapshot to pass to restoreRing
+ */
+function snapshotRing(poly) {
+  let vertices = [];
+  for (let vertex of poly.vertices) {
+    vertices.push({vertex: vertex, xy: vertex.xy});
+  }
+  let edges = [];
+  for (let edge of poly.edges) {
+    let controlPoints = [];
+    for (let point of edge.control_points) {
+      controlPoints.push({vertex: point, xy: point.xy});
+    }
+    edges.push({
+      edge: edge, src: edge.src, dest: edge.dest, type: edge.type,
+      controlPoints: controlPoints,
+    });
+  }
+  return {poly: poly, vertices: vertices, edges: edges};
+}
+
+/**
+ * Restore the vertices and edges of a ring of a polygon.
+ * @param {object} polySnapshot - snapshot taken by snapshotRing
+ * @return {Polyline} the ring
+ */
+function restoreRing(polySnapshot) {
+  let poly = polySnapshot.poly;
+  poly.vertices = [];
+  for (let v of polySnapshot.vertices) {
+    v.vertex.xy = v.xy;
+    poly.vertices.push(v.vertex);
+  }
+  poly.edges = [];
+  for (let e of polySnapshot.edges) {
+    e.edge.src = e.src;
+    e.edge.dest = e.dest;
+    e.edge.type = e.type;
+    let controlPoints = [];
+    for (let c of e.controlPoints) {
+      c.vertex.xy = c.xy;
+      controlPoints.push(c.vertex);
+    }
+    e.edge.control_points = controlPoints;
+    poly.edges.push(e.edge);
+  }
+  return poly;
+}
+
+/**
+ * Restore the state of this label from a snapshot.
+ * @param {object} snapshot - snapshot taken by Seg2d.snapshot
+ */
+Seg2d.prototype.restoreSnapshot = function(snapshot) {
+  ImageLabel.prototype.restoreSnapshot.call(this, snapshot);
+  this.polys = [];
+  for (let polySnapshot of snapshot.polys) {
+    let poly = restoreRing(polySnapshot);
+    if (poly instanceof Polygon) {
+      poly.holes = polySnapshot.holes.map(restoreRing);
+    }
+    this.polys.push(poly);
+  }
+  this.state = SegStates.FREE;
+};
+
 /**
  * Load label data from a encoded string
  * @param {object} json: json representation of label.
@@ -544,11 +1152,20 @@ Seg2d.prototype.fromExportFormat = function(exportFormat) {
         this.addPolyline(Path.fromExportFormat(poly));
       }
     }
-    this.categoryPath = exportFormat.category;
-    this.attributes = exportFormat.attributes;
-    return this;
+  } else if (exportFormat.rle && Seg2d.closed) {
+    // masks become polygons along the borders of their regions
+    let contours = traceContours(decodeRle(exportFormat.rle));
+    for (let poly of regionPolygons(
+        groupRings(contours.map((contour) => contour.points)))) {
+      this.addPolyline(poly);
+    }
+  }
+  if (this.polys.length === 0) {
+    return null;
   }
-  return null;
+  this.categoryPath = exportFormat.category;
+  this.attributes = exportFormat.attributes;
+  return this;
 };
 
 /**
@@ -578,7 +1195,7 @@ Seg2d.prototype.selectedBy = function(shape) {
     return false;
   }
 
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     // selected by poly
     if (shape === poly) {
       return true;
@@ -602,6 +1219,7 @@ Seg2d.prototype.selectedBy = function(shape) {
 
 Seg2d.prototype.releaseAsTargeted = function() {
   ImageLabel.prototype.releaseAsTargeted.call(this);
+  this.clearOutlinePreview();
 };
 
 Seg2d.prototype.deactivate = function() {
@@ -634,13 +1252,21 @@ Seg2d.prototype.getPolygons = function() {
   return this.polys;
 };
 
+/**
+ * Returns the outer borders of the polygons and the borders of their holes.
+ * @return {[Polyline]} List of rings of this Seg2d object.
+ */
+Seg2d.prototype.getRings = function() {
+  return [].concat(...this.polys.map((poly) => poly.getRings()));
+};
+
 /**
  * Returns all vertices of this Seg2d object.
  * @return {[Vertex]} List of vertices of this Seg2d object.
  */
 Seg2d.prototype.getVertices = function() {
   let vertices = [];
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     vertices = vertices.concat(poly.vertices);
   }
   // draw once for each shape
@@ -654,7 +1280,7 @@ Seg2d.prototype.getVertices = function() {
  */
 Seg2d.prototype.getEdges = function() {
   let edges = [];
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     edges = edges.concat(poly.edges);
   }
   // draw once for each shape
@@ -668,7 +1294,7 @@ Seg2d.prototype.getEdges = function() {
  */
 Seg2d.prototype.getControlPoints = function() {
   let controlPoints = [];
-  for (let poly of this.polys) {
+  for (let poly of this.getRings()) {
     controlPoints = controlPoints.concat(poly.control_points);
   }
   return controlPoints;
@@ -732,10 +1358,159 @@ Seg2d.prototype.redrawLabelCanvas = function(mainCtx) {
     mainCtx.fillStyle = this.styleColor();
     this.drawTag(mainCtx, this.polys[0].centroidCoords());
   }
+  if (this.isTargeted() && this.state === SegStates.FREE) {
+    this.drawCrossingEdges(mainCtx);
+  }
+  if (this.outlinePreview) {
+    this.drawOutlinePreview(mainCtx);
+  }
 
   mainCtx.restore();
 };
 
+/**
+ * Draw the simplified or smoothed polygons waiting to be applied, dashed and
+ * grayed out if they cross.
+ * @param {object} mainCtx - HTML canvas context for visible objects.
+ */
+Seg2d.prototype.drawOutlinePreview = function(mainCtx) {
+  let polys = this.outlinePreview.polys;
+  let color = polys.every((poly) => poly.isValidShape()) ?
+      SELECT_COLOR : GRAYOUT_COLOR;
+  mainCtx.save();
+  mainCtx.lineWidth = LINE_WIDTH;
+  mainCtx.setLineDash([6, 2]);
+  mainCtx.strokeStyle = rgba(color, ALPHA_LINE);
+  mainCtx.fillStyle = rgba(color, 0);
+  for (let poly of polys) {
+    poly.draw(mainCtx, this.satItem, false);
+    poly.drawHandles(mainCtx, this.satItem, rgba(color, ALPHA_LINE), null,
+        false);
+  }
+  mainCtx.restore();
+};
+
+/**
+ * Draw the edges crossing other edges of their polygon, thicker and in red.
+ * @param {object} mainCtx - HTML canvas context for visible objects.
+ */
+Seg2d.prototype.drawCrossingEdges = function(mainCtx) {
+  mainCtx.save();
+  mainCtx.lineWidth = 2 * LINE_WIDTH;
+  mainCtx.strokeStyle = rgba(CROSSING_COLOR, ALPHA_LINE);
+  for (let poly of this.polys) {
+    for (let edge of [].concat(...poly.intersectingEdges())) {
+      mainCtx.beginPath();
+      mainCtx.moveTo(...this.satItem.toCanvasCoords([edge.src.x, edge.src.y]));
+      edge.draw(mainCtx, this.satItem);
+      mainCtx.stroke();
+    }
+  }
+  mainCtx.restore();
+};
+
+/**
+ * Get the box around the polygons.
+ * @return {object} - The box (x, y, w, h) in image coordinates, null if the
+ *   label has no polygon yet.
+ */
+Seg2d.prototype.getBounds = function() {
+  let xs = [];
+  let ys = [];
+  for (let poly of this.polys) {
+    for (let vertex of poly.vertices) {
+      xs.push(vertex.x);
+      ys.push(vertex.y);
+    }
+  }
+  if (xs.length === 0) {
+    return null;
+  }
+  let x = Math.min(...xs);
+  let y = Math.min(...ys);
+  return {x: x, y: y, w: Math.max(...xs) - x, h: Math.max(...ys) - y};
+};
+
+/**
+ * Move the vertex last dragged, or the polygon last clicked, by a few
+ * pixels, keeping it in the image.
+ * @param {number} dx - The move along x.
+ * @param {number} dy - The move along y.
+ */
+Seg2d.prototype.nudge = function(dx, dy) {
+  if (this.state !== SegStates.FREE) {
+    return;
+  }
+  let vertex = this.lastMovedVertex;
+  let points = null;
+  if (vertex && this.getRings().some((poly) =>
+      poly.vertices.indexOf(vertex) >= 0 ||
+      poly.control_points.indexOf(vertex) >= 0)) {
+    points = [vertex];
+  } else if (this.polys.indexOf(this.selectedShape) >= 0) {
+    points = [];
+    for (let ring of this.selectedShape.getRings()) {
+      points = points.concat(ring.vertices, ring.control_points);
+    }
+  } else {
+    return;
+  }
+  let image = this.satItem.image;
+  [dx, dy] = clampMove(points.map((p) => ({x: p.x, y: p.y, w: 0, h: 0})),
+      dx, dy, {w: image.width, h: image.height});
+  for (let point of points) {
+    point.xy = [point.x + dx, point.y + dy];
+  }
+  if (this.parent) {
+    this.parent.interpolate(this);
+  }
+};
+
+/**
+ * Copy the polygons for the clipboard.
+ * @return {[Polyline]} - Temporary copies of the polygons, null if the label
+ *   has no polygon yet.
+ */
+Seg2d.prototype.copyShape = function() {
+  if (this.polys.length === 0) {
+    return null;
+  }
+  return this.polys.map((poly) => poly.copy(-1));
+};
+
+/**
+ * Give this label polygons copied by copyShape.
+ * @param {[Polyline]} shape - The copies of the polygons.
+ * @param {[number]} offset - How much to shift the polygons along x and y.
+ */
+Seg2d.prototype.pasteShape = function(shape, offset) {
+  for (let poly of shape) {
+    let copy = poly.copy();
+    for (let ring of copy.getRings()) {
+      for (let point of ring.vertices.concat(ring.control_points)) {
+        point.xy = [point.x + offset[0], point.y + offset[1]];
+      }
+    }
+    this.addPolyline(copy);
+  }
+};
+
+/**
+ * Draw the outlines of the polygons in an overview of the image.
+ * @param {object} ctx - Canvas context.
+ * @param {object} view - Converts the image coordinates to the canvas ones.
+ */
+Seg2d.prototype.drawOutline = function(ctx, view) {
+  ctx.save();
+  ctx.lineWidth = OUTLINE_WIDTH;
+  ctx.strokeStyle = this.styleColor();
+  ctx.fillStyle = this.styleColor(ALPHA_LOW_FILL);
+  for (let poly of this.polys) {
+    poly.draw(ctx, view, false);
+  }
+  ctx.restore();
+};
+
 Seg2d.prototype.setPolygonLine = function(ctx) {
   // set line width
   ctx.lineWidth = OUTLINE_WIDTH;
@@ -792,7 +1567,7 @@ Seg2d.prototype.shapesValid = function() {
  */
 Seg2d.prototype.getCursorStyle = function(shape) {
   if (shape instanceof Polygon && !this.satItem.isLinking &&
-      this.satItem.isDown('M') &&
+      this.satItem.isDown('move_label') &&
       this.satItem.selectedLabel && this.satItem.selectedLabel.id === this.id) {
     return 'move';
   }
@@ -801,6 +1576,7 @@ Seg2d.prototype.getCursorStyle = function(shape) {
 
 Seg2d.prototype.mousedown = function(e) {
   let mousePos = this.satItem.getMousePos(e);
+  this.clearOutlinePreview();
 
   let occupiedShape = this.satItem.getOccupiedShape(mousePos);
   if (this.state === SegStates.FREE && occupiedShape) {
@@ -808,7 +1584,7 @@ Seg2d.prototype.mousedown = function(e) {
     this.selectedCache = occupiedShape.copy(-1);
     // if clicked on a vertex
     if (occupiedShape instanceof Vertex) {
-      if (this.satItem.anyKeyDown(['C', 'D'])) return;
+      if (this.satItem.anyKeyDown(['bezier_edge', 'delete_vertex'])) return;
       if (occupiedShape.type === VertexTypes.MIDPOINT) {
         // convert midpoint to a vertex
         this.selectedShape = this.midpointToVertex(occupiedShape);
@@ -819,7 +1595,7 @@ Seg2d.prototype.mousedown = function(e) {
         this.setState(SegStates.RESIZE);
       }
     } else if (occupiedShape instanceof Polygon && !this.satItem.isLinking
-        && this.satItem.isDown('M')) {
+        && this.satItem.isDown('move_label')) {
       // if clicked on a polygon, start moving
       this.setState(SegStates.MOVE);
       this.mouseClickPos = mousePos;
@@ -999,6 +1775,7 @@ Seg2d.prototype.mouseup = function(e) {
     }
     this.selectedCache.delete();
     this.selectedCache = null;
+    this.lastMovedVertex = this.selectedShape;
     this.setState(SegStates.FREE);
     if (this.parent) {
       this.parent.interpolate(this);
@@ -1007,10 +1784,10 @@ Seg2d.prototype.mouseup = function(e) {
     let occupiedShape = this.satItem.getOccupiedShape(mousePos);
     if (occupiedShape && occupiedShape instanceof Vertex) {
       if (occupiedShape.type === VertexTypes.VERTEX &&
-          this.satItem.isDown('D')) {
+          this.satItem.isDown('delete_vertex')) {
         // deleting a vertex
         for (let label of this.satItem.labels) {
-          for (let poly of label.polys) {
+          for (let poly of label.getRings()) {
             if (poly.vertices.length > 3) {
               let index = poly.vertices.indexOf(this.hoveredShape);
               if (index >= 0) {
@@ -1020,7 +1797,7 @@ Seg2d.prototype.mouseup = function(e) {
             }
           }
         }
-      } else if (this.satItem.isDown('C')) {
+      } else if (this.satItem.isDown('bezier_edge')) {
         if (occupiedShape.type === VertexTypes.MIDPOINT) {
           // convert midpoint to bezier control points
           this.midpointToBezierControl(occupiedShape);
@@ -1066,7 +1843,7 @@ Seg2d.prototype.mousemove = function(e) {
     // hover over vertex
     let hoveredObject = this.satItem.getOccupiedShape(mousePos);
     this.hoveredShape = null;
-    for (let poly of this.polys) {
+    for (let poly of this.getRings()) {
       let relevant = hoveredObject instanceof Vertex &&
           (poly.vertices.indexOf(hoveredObject) >= 0
               || poly.control_points.indexOf(hoveredObject) >= 0);
@@ -1091,16 +1868,17 @@ Seg2d.prototype.mousemove = function(e) {
         (padBoxY + padBoxH - this.bbox.h) - this.bbox.y);
     dy = Math.max(dy, padBoxY - this.bbox.y);
 
-    for (let i = 0; i < this.selectedShape.vertices.length; i++) {
-      this.selectedShape.vertices[i].x = this.selectedCache.vertices[i].x + dx;
-      this.selectedShape.vertices[i].y = this.selectedCache.vertices[i].y + dy;
-    }
-    for (let i = 0; i < this.selectedShape.control_points.length; i++) {
-      this.selectedShape.control_points[i].x =
-          this.selectedCache.control_points[i].x + dx;
-      this.selectedShape.control_points[i].y =
-          this.selectedCache.control_points[i].y + dy;
-    }
+    let cachedRings = this.selectedCache.getRings();
+    this.selectedShape.getRings().forEach((ring, j) => {
+      for (let i = 0; i < ring.vertices.length; i++) {
+        ring.vertices[i].x = cachedRings[j].vertices[i].x + dx;
+        ring.vertices[i].y = cachedRings[j].vertices[i].y + dy;
+      }
+      for (let i = 0; i < ring.control_points.length; i++) {
+        ring.control_points[i].x = cachedRings[j].control_points[i].x + dx;
+        ring.control_points[i].y = cachedRings[j].control_points[i].y + dy;
+      }
+    });
   }
 };
 
@@ -1120,8 +1898,19 @@ Seg2d.prototype.mouseleave = function(e) { // eslint-disable-line
  * @param {type} e: Description.
  */
 Seg2d.prototype.keydown = function(e) {
-  let keyID = e.KeyCode ? e.KeyCode : e.which;
-  if (keyID === 27) { // Esc
+  let keymap = this.sat.keymap;
+  let action = keymap.actionFor(e, this.sat.labelType);
+  if (action in OUTLINE_ACTIONS) {
+    e.preventDefault();
+    this.outlineAction(action);
+    return;
+  }
+  // the key deselecting the label also stops drawing it
+  let deselect = keymap.matches(e, 'deselect');
+  if (deselect || (action && !keymap.actions[action].hold)) {
+    this.clearOutlinePreview();
+  }
+  if (deselect) {
     if (this.polyBuffer) {
       for (let poly of this.polyBuffer) {
         this.polys.push(poly);
@@ -1132,17 +1921,25 @@ Seg2d.prototype.keydown = function(e) {
       this.endQuickDraw();
     }
     this.setState(SegStates.FREE);
-  } else if (keyID === 85) {
-    // u for unlinking the selected label
+  } else if (action === 'unlink') {
     if (this.polys.length > 1) {
       for (let poly of this.polys) {
         this.splitPolyline(poly);
       }
     }
-  } else if (keyID === 83) {
+  } else if (action === 'quick_draw') {
     this.handleQuickdraw();
-  } else if (keyID === 18 && this.state === SegStates.QUICK_DRAW) {
-    // alt toggle long path mode in quick draw
+  } else if (action === 'toggle_no_overlap') {
+    Seg2d.toggleNoOverlap();
+  } else if (action === 'repair_shapes') {
+    if (this.repairShapes() && !this.valid) {
+      this.satItem.deselectAll();
+    }
+  } else if (action in COMBINE_ACTIONS && this.satItem.hasGroup()) {
+    e.preventDefault();
+    this.satItem.combineGroup(action);
+  } else if (action === 'toggle_path' &&
+      this.state === SegStates.QUICK_DRAW) {
     this.quickdrawCache.longPath = !this.quickdrawCache.longPath;
     if (this.quickdrawCache.shortPathTempPoly
         && this.quickdrawCache.longPathTempPoly) {
@@ -1150,8 +1947,7 @@ Seg2d.prototype.keydown = function(e) {
           ? this.quickdrawCache.longPathTempPoly
           : this.quickdrawCache.shortPathTempPoly;
     }
-  } else if (keyID === 13 && !Seg2d.closed) {
-    // enter for ending a Path object
+  } else if (action === 'end_path' && !Seg2d.closed) {
     if (this.state === SegStates.DRAW) {
       this.newPoly.endPath();
 
@@ -1165,8 +1961,7 @@ Seg2d.prototype.keydown = function(e) {
       this.tempVertex = null;
       this.selectedShape = this.newPoly;
     }
-  } else if (keyID === 82) {
-    // r for relabeling a seg2d
+  } else if (action === 'redraw') {
     if (this.state === SegStates.FREE) {
       this.polyBuffer = [];
       for (let poly of this.polys) {
@@ -1176,8 +1971,8 @@ Seg2d.prototype.keydown = function(e) {
       this.setState(SegStates.DRAW);
       this.satItem.redrawLabelCanvas();
     }
-  } else if (keyID === 68) {
-    // d for deleting the last labeled vertex while drawing
+  } else if (action === 'delete_vertex') {
+    // delete the last labeled vertex while drawing
     if (this.state === SegStates.DRAW) {
       if (this.newPoly.vertices.length < 2) {
         // set state to free to be deleted
@@ -1192,3 +1987,113 @@ Seg2d.prototype.keydown = function(e) {
     }
   }
 };
+
+const EDGE_HOTKEYS = [
+  {
+    id: 'bezier_edge',
+    keys: ['c'],
+    hold: true,
+    description: 'Press and click on the midpoint of an edge in the ' +
+        'selected label to change the edge to a bezier curve',
+  },
+  {
+    id: 'delete_vertex',
+    keys: ['d'],
+    hold: true,
+    description: 'Press and click on a vertex in the selected label to ' +
+        'delete the vertex. While drawing, press to delete the last ' +
+        'labeled vertex',
+  },
+  {
+    id: 'simplify_polygons',
+    keys: ['Shift+S'],
+    description: 'Preview the selected label with fewer vertices; press ' +
+        'again to apply',
+  },
+  {
+    id: 'smooth_polygons',
+    keys: ['Shift+B'],
+    description: 'Preview the selected label with bezier edges along its ' +
+        'dense vertices; press again to apply',
+  },
+  {
+    id: 'repair_shapes',
+    keys: ['Shift+R'],
+    description: 'Repair the selected label: remove repeated vertices and ' +
+        'split its polygons where their edges cross',
+  },
+];
+
+registerLabelType({
+  name: 'segmentation',
+  labelClass: Seg2d,
+  hotkeys: EDGE_HOTKEYS.concat([
+    {
+      id: 'move_label',
+      keys: ['m'],
+      hold: true,
+      description: 'Enable moving a selected segmentation label',
+    },
+    {
+      id: 'redraw',
+      keys: ['r'],
+      description: 'redraw a selected segmentation label',
+    },
+    {
+      id: 'quick_draw',
+      keys: ['s'],
+      description: 'Toggle on/off quick draw mode',
+    },
+    {id: 'unlink', keys: ['u'], description: 'Unlink selected label'},
+    {
+      id: 'toggle_path',
+      keys: ['Alt'],
+      description: 'Toggle path options along a polygon during quick draw ' +
+          'mode',
+    },
+    {
+      id: 'add_to_selection',
+      keys: ['Shift'],
+      hold: true,
+      description: 'Click or drag to select several labels',
+    },
+    {
+      id: 'union_labels',
+      keys: ['Shift+U'],
+      description: 'Merge the selected labels into the last selected one',
+    },
+    {
+      id: 'subtract_labels',
+      keys: ['Shift+X'],
+      description: 'Cut the last selected label out of the other selected ' +
+          'labels',
+    },
+    {
+      id: 'intersect_labels',
+      keys: ['Shift+I'],
+      description: 'Keep the area common to the selected labels in the last ' +
+          'selected one',
+    },
+    {
+      id: 'toggle_no_overlap',
+      keys: ['o'],
+      description: 'Toggle on/off cutting new polygons out of the other ' +
+          'labels',
+    },
+  ]),
+  setup: function() {
+    Seg2d.closed = true;
+  },
+});
+
+registerLabelType({
+  name: 'lane',
+  labelClass: Seg2d,
+  hotkeys: EDGE_HOTKEYS.concat([
+    {id: 'redraw', keys: ['r'], description: 'redraw a selected label'},
+    {id: 'end_path', keys: ['Enter'], description: 'Finish drawing a lane'},
+  ]),
+  setup: function() {
+    Seg2d.closed = false;
+  },
+});
@@ -1,4 +1,5 @@
 import {rgba, idx} from './utils';
+import {signedArea} from './raster';
 
 // Define Enums
 export const VertexTypes = {
@@ -6,6 +7,12 @@ export const VertexTypes = {
   CONTROL_POINT: 'control_point',
 };
 export const EdgeTypes = {LINE: 'line', BEZIER: 'bezier'};
+// problems of the geometry of a shape, as they are listed to the annotator
+export const ShapeProblems = {
+  CROSSING: 'crossing edges',
+  DEGENERATE: 'degenerate',
+  DUPLICATE_VERTICES: 'duplicate vertices',
+};
 
 // find bbox around a set of vertices
 const getBbox = function(vertices) {
@@ -537,6 +544,44 @@ Polyline.prototype.centroidCoords = function() {
   return [x / this.vertices.length, y / this.vertices.length];
 };
 
+/**
+ * Get the points along the curve, with the bezier edges sampled.
+ * @param {number} bezierSteps: number of straight steps along a bezier edge
+ * @return {[[number]]} the points (x, y); the first point of a polygon is
+ *   not repeated at the end
+ */
+Polyline.prototype.flatten = function(bezierSteps = 8) {
+  let points = [];
+  for (let edge of this.edges) {
+    let [p0, p3] = [edge.src, edge.dest];
+    points.push([p0.x, p0.y]);
+    if (edge.type !== EdgeTypes.BEZIER) {
+      continue;
+    }
+    let [p1, p2] = edge.control_points;
+    for (let i = 1; i < bezierSteps; i++) {
+      let t = i / bezierSteps;
+      let [a, b, c, d] = [(1 - t) ** 3, 3 * t * (1 - t) ** 2,
+        3 * t * t * (1 - t), t ** 3];
+      points.push([a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+        a * p0.y + b * p1.y + c * p2.y + d * p3.y]);
+    }
+  }
+  if (this.edges.length < this.vertices.length) {
+    let last = this.vertices[this.vertices.length - 1];
+    points.push([last.x, last.y]);
+  }
+  return points;
+};
+
+/**
+ * Get the rings bounding the shape.
+ * @return {[Polyline]} the curve itself
+ */
+Polyline.prototype.getRings = function() {
+  return [this];
+};
+
 // check whether a curve is valid
 Polyline.prototype.isValidShape = function() {
   return !this.isSelfIntersect() && this.vertices.length > 1;
@@ -544,15 +589,50 @@ Polyline.prototype.isValidShape = function() {
 
 // return true if any two edges intersect with each other
 Polyline.prototype.isSelfIntersect = function() {
-  let intersect = false;
-  for (let i = 0; i < this.edges.length; i++) {
-    for (let j = i + 1; j < this.edges.length; j++) {
-      if (this.edges[i].intersectWith(this.edges[j])) {
-        intersect = true;
+  return this.intersectingEdges().length > 0;
+};
+
+/**
+ * Find the pairs of edges that intersect, including the edges of different
+ * rings.
+ * @return {[[Edge]]} the pairs of edges
+ */
+Polyline.prototype.intersectingEdges = function() {
+  let edges = [].concat(...this.getRings().map((ring) => ring.edges));
+  let pairs = [];
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      if (edges[i].intersectWith(edges[j])) {
+        pairs.push([edges[i], edges[j]]);
       }
     }
   }
-  return intersect;
+  return pairs;
+};
+
+/**
+ * Find the problems of the geometry of the curve: a ring without area or
+ * with too few vertices, vertices at the same position, or edges crossing.
+ * @return {[string]} values of ShapeProblems
+ */
+Polyline.prototype.getProblems = function() {
+  let problems = [];
+  let rings = this.getRings();
+  let crossing = this.isSelfIntersect();
+  // crossing rings can have no signed area without being flat
+  if (rings.some((ring) => ring.vertices.length < (this.closed ? 3 : 2) ||
+      (this.closed && !crossing &&
+          Math.abs(signedArea(ring.flatten())) < 1e-6))) {
+    problems.push(ShapeProblems.DEGENERATE);
+  }
+  if (rings.some((ring) => new Set(ring.vertices.map(
+      (v) => v.x + ',' + v.y)).size < ring.vertices.length)) {
+    problems.push(ShapeProblems.DUPLICATE_VERTICES);
+  }
+  if (crossing) {
+    problems.push(ShapeProblems.CROSSING);
+  }
+  return problems;
 };
 
 /**
@@ -692,6 +772,35 @@ Polyline.prototype.popVertex = function() {
   this.deleteVertex(this.vertices.length - 1);
 };
 
+/**
+ * Keep some of the vertices, joining them by new edges where vertices are
+ * left out between them or where a curve is given. The other edges are kept.
+ * @param {[int]} indices: sorted indices of the vertices to keep
+ * @param {[[[number]]]} curves: for each kept vertex, the control points of a
+ * bezier edge going to the next one, or null for a straight edge
+ */
+Polyline.prototype.keepVertices = function(indices, curves = []) {
+  this.alignEdges();
+  let edges = [];
+  let count = this.closed ? indices.length : indices.length - 1;
+  for (let k = 0; k < count; k++) {
+    let [i, j] = [indices[k], indices[(k + 1) % indices.length]];
+    let [src, dest] = [this.vertices[i], this.vertices[j]];
+    if (curves[k]) {
+      let controlPoints = curves[k].map(([x, y]) =>
+          new Vertex(x, y, VertexTypes.CONTROL_POINT, this.subShapeId));
+      edges.push(new Edge(src, dest, EdgeTypes.BEZIER, this.subShapeId,
+          controlPoints));
+    } else if (idx(i + 1, this.vertices.length) === j && this.edges[i]) {
+      edges.push(this.edges[i]);
+    } else {
+      edges.push(new Edge(src, dest, EdgeTypes.LINE, this.subShapeId));
+    }
+  }
+  this.vertices = indices.map((i) => this.vertices[i]);
+  this.edges = edges;
+};
+
 /**
  * Find index of a vertex.
  * @param {object} v: the target vertex.
@@ -937,12 +1046,50 @@ Path.prototype.equals = function(p) {
 export function Polygon(id = null) {
   Polyline.call(this, id);
   this.closed = true;
+  // interior rings, as polygons without holes of their own
+  this.holes = [];
 }
 
 Object.assign(Polygon, Polyline);
 Polygon.prototype = Object.create(Polyline.prototype);
 Polygon.prototype.constructor = Polygon;
 
+/**
+ * Get the rings bounding the polygon.
+ * @return {[Polygon]} the polygon, for its outer border, then its holes
+ */
+Polygon.prototype.getRings = function() {
+  return [this].concat(this.holes);
+};
+
+Polygon.prototype.toJson = function() {
+  let json = Polyline.prototype.toJson.call(this);
+  if (this.holes.length > 0) {
+    json.holes = this.holes.map((hole) => hole.toJson());
+  }
+  return json;
+};
+
+Polygon.fromJson = function(json) {
+  let polygon = Polyline.fromJson.call(this, json);
+  polygon.holes = (json.holes || []).map(
+      (hole) => Polyline.fromJson.call(this, hole));
+  return polygon;
+};
+
+Polygon.fromExportFormat = function(json) {
+  let polygon = Polyline.fromExportFormat.call(this, json);
+  polygon.holes = (json.holes || []).map(
+      (hole) => Polyline.fromExportFormat.call(this, hole));
+  return polygon;
+};
+
+Polygon.prototype.copy = function(temporary = null) {
+  let polygon = Polyline.prototype.copy.call(this, temporary);
+  polygon.holes = this.holes.map((hole) => hole.copy(temporary));
+  return polygon;
+};
+
 Polygon.prototype.reverse = function() {
   this.vertices = this.vertices.reverse();
   this.vertices.unshift(this.vertices.pop());
@@ -1261,6 +1408,162 @@ Rect.prototype.toJson = function() {
   };
 };
 
+// distance between the top edge of a rotated rectangle and its rotation
+// handle, in image pixels
+const ROTATION_HANDLE_DISTANCE = 20;
+
+// position of the handles of a rotated rectangle in its own frame, as
+// multiples of the half width and half height; same order as Rect
+const ROTATED_HANDLE_SIGNS = [
+  [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+/**
+ * The rotated rectangle object for rotated box2d annotation. The rectangle
+ * is turned by theta around its center; with y pointing down in the image,
+ * a positive theta turns it clockwise on screen.
+ * @param {number} cx - The x coordinate of the center.
+ * @param {number} cy - The y coordinate of the center.
+ * @param {number} w - The width of the rectangle, along its own x axis.
+ * @param {number} h - The height of the rectangle, along its own y axis.
+ * @param {number} theta - The rotation, in radians.
+ * @param {number} id - id of the shape. Needed only when loading saved shapes.
+ * @constructor
+ */
+export function RotatedRect(cx = 0, cy = 0, w = 0, h = 0, theta = 0,
+                            id = null) {
+  Shape.call(this, id);
+  this.vertices = [];
+  for (let i = 0; i < 8; i++) {
+    this.vertices.push(new Vertex());
+    if (i % 2 === 1) {
+      this.vertices[i].type = VertexTypes.MIDPOINT;
+    }
+  }
+  this.rotationHandle = new Vertex();
+  this.setBox(cx, cy, w, h, theta);
+}
+
+RotatedRect.prototype = Object.create(Shape.prototype);
+
+/**
+ * Move, resize and turn the rectangle.
+ * @param {number} cx - The x coordinate of the center.
+ * @param {number} cy - The y coordinate of the center.
+ * @param {number} w - The width of the rectangle. It may be negative while
+ *   a handle is dragged past the opposite one.
+ * @param {number} h - The height of the rectangle, same as the width.
+ * @param {number} theta - The rotation, in radians.
+ */
+RotatedRect.prototype.setBox = function(cx, cy, w, h, theta) {
+  this.cx = cx;
+  this.cy = cy;
+  this.w = w;
+  this.h = h;
+  this.theta = theta;
+  this.updateHandles();
+};
+
+/**
+ * Convert a point from the frame of the rectangle to the image.
+ * @param {number} u - The coordinate along the width, from the center.
+ * @param {number} v - The coordinate along the height, from the center.
+ * @return {[number]} the point in image coordinates.
+ */
+RotatedRect.prototype.toImage = function(u, v) {
+  let cos = Math.cos(this.theta);
+  let sin = Math.sin(this.theta);
+  return [this.cx + u * cos - v * sin, this.cy + u * sin + v * cos];
+};
+
+/**
+ * Convert a point from the image to the frame of the rectangle.
+ * @param {number} x - The x coordinate in the image.
+ * @param {number} y - The y coordinate in the image.
+ * @return {[number]} the point (u, v) from the center of the rectangle.
+ */
+RotatedRect.prototype.toLocal = function(x, y) {
+  let cos = Math.cos(this.theta);
+  let sin = Math.sin(this.theta);
+  let [dx, dy] = [x - this.cx, y - this.cy];
+  return [dx * cos + dy * sin, -dx * sin + dy * cos];
+};
+
+/**
+ * Place the handles from the center, size and rotation.
+ */
+RotatedRect.prototype.updateHandles = function() {
+  for (let i = 0; i < 8; i++) {
+    let [su, sv] = ROTATED_HANDLE_SIGNS[i];
+    this.vertices[i].xy = this.toImage(su * this.w / 2, sv * this.h / 2);
+  }
+  // the rotation handle stays above the top edge, even when the height is
+  // negative during a resize
+  this.rotationHandle.xy = this.toImage(0,
+      -Math.abs(this.h) / 2 - ROTATION_HANDLE_DISTANCE);
+};
+
+/**
+ * Make the width and height positive once a resize is done, keeping the
+ * same rectangle.
+ */
+RotatedRect.prototype.normalize = function() {
+  this.setBox(this.cx, this.cy, Math.abs(this.w), Math.abs(this.h),
+      this.theta);
+};
+
+/**
+ * Get the corners of the rectangle, in the order of the handles.
+ * @return {[[number]]} the four corners in image coordinates.
+ */
+RotatedRect.prototype.corners = function() {
+  return [0, 2, 4, 6].map((i) => this.vertices[i].xy);
+};
+
+/**
+ * Resize the rectangle by dragging a handle, the opposite handle staying in
+ * place.
+ * @param {number} handleNo - The handle dragged, see getHandleNo.
+ * @param {number} x - The x coordinate of the handle in the image.
+ * @param {number} y - The y coordinate of the handle in the image.
+ */
+RotatedRect.prototype.dragHandle = function(handleNo, x, y) {
+  let [su, sv] = ROTATED_HANDLE_SIGNS[handleNo];
+  let [ou, ov] = this.toLocal(...this.vertices[(handleNo + 4) % 8].xy);
+  let [u, v] = this.toLocal(x, y);
+  let w = su ? (u - ou) * su : this.w;
+  let h = sv ? (v - ov) * sv : this.h;
+  let [cx, cy] = this.toImage(ou + su * w / 2, ov + sv * h / 2);
+  this.setBox(cx, cy, w, h, this.theta);
+};
+
+/**
+ * Copy this rectangle.
+ * @return {RotatedRect} the duplicate.
+ */
+RotatedRect.prototype.copy = function() {
+  return new RotatedRect(this.cx, this.cy, this.w, this.h, this.theta, -1);
+};
+
+RotatedRect.prototype.getHandleNo = function(handle) {
+  return this.vertices.indexOf(handle);
+};
+
+RotatedRect.fromJson = function(json) {
+  return new RotatedRect(json.cx, json.cy, json.w, json.h, json.theta,
+      json.id);
+};
+
+RotatedRect.prototype.toJson = function() {
+  return {
+    id: this.id,
+    cx: this.cx,
+    cy: this.cy,
+    w: this.w,
+    h: this.h,
+    theta: this.theta,
+  };
+};
+
 /**
  * Drawing Utilities
  */
@@ -1331,7 +1634,7 @@ Vertex.prototype.drawHidden = function(context, satImage, fillStyle) {
  */
 Edge.prototype.draw = function(context, satImage) {
   context.save();
-  let [destX, destY] = satImage.toCanvasCoords([this.dest[0], this.dest[1]]);
+  let [destX, destY] = satImage.toCanvasCoords([this.dest.x, this.dest.y]);
   switch (this.type) {
     case EdgeTypes.LINE: {
       context.lineTo(destX, destY);
@@ -1372,19 +1675,18 @@ Edge.prototype.hasVertices = function(v1, v2) {
  * @param {SatImage} satImage - the SatImage object.
  * @param {boolean} drawDash - optional arguments for drawing dashed lines.
  */
-Polyline.prototype.draw = function(ctx, satImage, drawDash) {
-  if (this.vertices.length === 0) {
-    return;
-  }
-  ctx.save();
-  // start path
-  ctx.beginPath();
-  this.alignEdges(); // this is important
-  let [startX, startY] = satImage.toCanvasCoords(
-      [this.vertices[0].x, this.vertices[0].y]);
-  ctx.moveTo(startX, startY);
-  if (this.edges.length > 0) {
-    for (let edge of this.edges) {
+/**
+ * Add the rings of the shape to the current path of a canvas context.
+ * @param {object} ctx - Canvas context.
+ * @param {SatImage} satImage - the SatImage object.
+ */
+Polyline.prototype.tracePath = function(ctx, satImage) {
+  for (let ring of this.getRings()) {
+    ring.alignEdges(); // this is important
+    let [startX, startY] = satImage.toCanvasCoords(
+        [ring.vertices[0].x, ring.vertices[0].y]);
+    ctx.moveTo(startX, startY);
+    for (let edge of ring.edges) {
       let [destX, destY] = satImage.toCanvasCoords(
           [edge.dest.x, edge.dest.y]);
       if (edge.type === EdgeTypes.LINE) {
@@ -1399,11 +1701,23 @@ Polyline.prototype.draw = function(ctx, satImage, drawDash) {
         ctx.bezierCurveTo(c1x, c1y, c2x, c2y, destX, destY);
       }
     }
+    if (this.closed) {
+      ctx.closePath();
+    }
   }
+};
 
+Polyline.prototype.draw = function(ctx, satImage, drawDash) {
+  if (this.vertices.length === 0) {
+    return;
+  }
+  ctx.save();
+  // start path
+  ctx.beginPath();
+  this.tracePath(ctx, satImage);
   if (this.closed) {
-    ctx.closePath();
-    ctx.fill();
+    // the holes are left out by the even-odd rule
+    ctx.fill('evenodd');
   }
   ctx.stroke();
 
@@ -1413,7 +1727,8 @@ Polyline.prototype.draw = function(ctx, satImage, drawDash) {
     ctx.beginPath();
     ctx.setLineDash([6, 2]);
     ctx.strokeStyle = BEZIER_COLOR;
-    for (let edge of this.edges) {
+    for (let edge of [].concat(
+        ...this.getRings().map((ring) => ring.edges))) {
       if (edge.type === EdgeTypes.BEZIER) {
         let [srcX, srcY] = satImage.toCanvasCoords(
             [edge.src._x, edge.src._y]);
@@ -1449,9 +1764,12 @@ Polyline.prototype.draw = function(ctx, satImage, drawDash) {
  */
 Polyline.prototype.drawHandles = function(context, satImage, fillStyle,
                                           hoveredHandle, drawControlPoints) {
-  let vertices = this.vertices;
-  if (this.isEnded() && drawControlPoints) {
-    vertices = vertices.concat(this.control_points);
+  let vertices = [];
+  for (let ring of this.getRings()) {
+    vertices = vertices.concat(ring.vertices);
+    if (this.isEnded() && drawControlPoints) {
+      vertices = vertices.concat(ring.control_points);
+    }
   }
   for (let v of vertices) {
     if (v.equals(hoveredHandle)) {
@@ -1476,32 +1794,12 @@ Polyline.prototype.drawHidden = function(hiddenCtx, satImage, fillStyle) {
   hiddenCtx.strokeStyle = fillStyle;
   hiddenCtx.fillStyle = fillStyle;
   hiddenCtx.lineWidth = HIDDEN_LINE_WIDTH;
-  this.alignEdges();
 
   // draw polygon
   hiddenCtx.beginPath();
-  let [startX, startY] = satImage.toCanvasCoords(
-      [this.vertices[0].x, this.vertices[0].y]);
-  hiddenCtx.moveTo(startX, startY);
-  if (this.edges.length > 0) {
-    for (let edge of this.edges) {
-      let [x, y] = satImage.toCanvasCoords([edge.dest.x, edge.dest.y]);
-      if (edge.type === EdgeTypes.LINE) {
-        hiddenCtx.lineTo(x, y);
-      } else if (edge.type === EdgeTypes.BEZIER) {
-        let [c1x, c1y] = satImage.toCanvasCoords([
-          edge.control_points[0].x,
-          edge.control_points[0].y]);
-        let [c2x, c2y] = satImage.toCanvasCoords([
-          edge.control_points[1].x,
-          edge.control_points[1].y]);
-        hiddenCtx.bezierCurveTo(c1x, c1y, c2x, c2y, x, y);
-      }
-    }
-  }
+  this.tracePath(hiddenCtx, satImage);
   if (this.closed) {
-    hiddenCtx.closePath();
-    hiddenCtx.fill();
+    hiddenCtx.fill('evenodd');
   }
   hiddenCtx.stroke();
   hiddenCtx.restore(); // restore the canvas to saved settings
@@ -1564,3 +1862,81 @@ Rect.prototype.drawHidden = function(hiddenCtx, satImage, strokeStyle) {
   hiddenCtx.strokeRect(x, y, w, h);
   hiddenCtx.restore();
 };
+
+/**
+ * Add the outline of the rotated rectangle to the current path.
+ * @param {object} ctx - Canvas context.
+ * @param {SatImage} satImage - the SatImage object.
+ */
+RotatedRect.prototype.tracePath = function(ctx, satImage) {
+  ctx.beginPath();
+  this.corners().forEach(([x, y], i) => {
+    [x, y] = satImage.toCanvasCoords([x, y]);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.closePath();
+};
+
+/**
+ * Draw the rotated rectangle.
+ * @param {object} ctx - Canvas context.
+ * @param {SatImage} satImage - the SatImage object.
+ * @param {boolean} dashed - whether or not to draw in dashed lines.
+ */
+RotatedRect.prototype.draw = function(ctx, satImage, dashed) {
+  ctx.save();
+  if (dashed) {
+    ctx.setLineDash([6, 2]);
+  }
+  ctx.lineWidth = LINE_WIDTH;
+  this.tracePath(ctx, satImage);
+  ctx.stroke();
+  ctx.restore();
+};
+
+/**
+ * Draw all handles on the given context, with the line joining the
+ * rotation handle to the top edge.
+ * @param {object} context: context to draw the edge
+ * @param {SatImage} satImage: the SatImage object.
+ * @param {[number]} fillStyle: the style for filling.
+ * @param {object} hoveredHandle: the handle hovered on.
+ */
+RotatedRect.prototype.drawHandles = function(context, satImage, fillStyle,
+                                             hoveredHandle) {
+  context.save();
+  context.strokeStyle = fillStyle;
+  context.lineWidth = LINE_WIDTH / 2;
+  context.beginPath();
+  context.moveTo(...satImage.toCanvasCoords(this.vertices[1].xy));
+  context.lineTo(...satImage.toCanvasCoords(this.rotationHandle.xy));
+  context.stroke();
+  for (let v of this.vertices.concat([this.rotationHandle])) {
+    if (hoveredHandle && v === hoveredHandle) {
+      v.draw(context, satImage, fillStyle, HOVERED_HANDLE_RADIUS);
+    } else {
+      v.draw(context, satImage, fillStyle);
+    }
+  }
+  context.restore();
+};
+
+/**
+ * Draw the outline of the rotated rectangle on the hidden canvas.
+ * @param {object} hiddenCtx - Canvas context.
+ * @param {SatImage} satImage - the SatImage object.
+ * @param {string} strokeStyle - The stroke style on hidden canvas.
+ */
+RotatedRect.prototype.drawHidden = function(hiddenCtx, satImage,
+                                            strokeStyle) {
+  hiddenCtx.save();
+  hiddenCtx.lineWidth = HIDDEN_LINE_WIDTH;
+  hiddenCtx.strokeStyle = strokeStyle;
+  this.tracePath(hiddenCtx, satImage);
+  hiddenCtx.stroke();
+  hiddenCtx.restore();
+};
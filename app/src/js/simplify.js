@@ -0,0 +1,273 @@
+/**
+ * Simplification and smoothing of outlines. An outline is a list of points
+ * [x, y] in image coordinates, either a ring, whose last point joins the
+ * first one, or a path.
+ */
+
+// runs with fewer points between their ends are not fitted by curves
+const MIN_CURVE_POINTS = 3;
+
+/**
+ * Get the distance from a point to a segment.
+ * @param {[number]} p: the point
+ * @param {[number]} a: a end of the segment
+ * @param {[number]} b: the other end of the segment
+ * @return {number} the distance
+ */
+function segmentDistance(p, a, b) {
+  let [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+  let length = dx * dx + dy * dy;
+  let t = 0;
+  if (length > 0) {
+    t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length;
+    t = Math.max(0, Math.min(1, t));
+  }
+  return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+}
+
+/**
+ * Get the points of an outline from an index to another, going around the
+ * end of a ring when needed.
+ * @param {[[number]]} points: the points of the outline
+ * @param {number} start: index of the first point
+ * @param {number} end: index of the last point
+ * @return {[[number]]} the points of the run
+ */
+function run(points, start, end) {
+  if (end > start) {
+    return points.slice(start, end + 1);
+  }
+  return points.slice(start).concat(points.slice(0, end + 1));
+}
+
+/**
+ * Get the indices that the simplification starts from: the fixed points,
+ * the ends of a path, and for a ring, the first point and the points
+ * farthest from the ones already taken, up to three points.
+ * @param {[[number]]} points: the points of the outline
+ * @param {boolean} closed: whether the outline is a ring
+ * @param {[number]} fixed: indices of points that must be kept
+ * @return {[number]} sorted indices
+ */
+function breakIndices(points, closed, fixed) {
+  let indices = new Set(fixed);
+  indices.add(0);
+  if (!closed) {
+    indices.add(points.length - 1);
+  }
+  while (closed && indices.size < 3) {
+    let [a, b] = Array.from(indices).map((i) => points[i]).concat([null]);
+    let distances = points.map((p) => b ? segmentDistance(p, a, b) :
+        Math.hypot(p[0] - a[0], p[1] - a[1]));
+    let farthest = distances.indexOf(Math.max(...distances));
+    if (indices.has(farthest)) {
+      break;
+    }
+    indices.add(farthest);
+  }
+  return Array.from(indices).sort((a, b) => a - b);
+}
+
+/**
+ * Find the points to keep along a run by Douglas-Peucker: the point farthest
+ * from the segment between the ends of the run is kept if it is farther than
+ * the tolerance, and the two parts of the run are simplified in turn.
+ * @param {[[number]]} points: the points of the run
+ * @param {number} tolerance: the largest distance allowed between a removed
+ *   point and the simplified run
+ * @return {[number]} sorted indices of the kept points in the run, with its
+ *   ends
+ */
+function simplifyRun(points, tolerance) {
+  let kept = [0, points.length - 1];
+  let stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    let [start, end] = stack.pop();
+    let farthest = -1;
+    let distance = tolerance;
+    for (let i = start + 1; i < end; i++) {
+      let d = segmentDistance(points[i], points[start], points[end]);
+      if (d > distance) {
+        [farthest, distance] = [i, d];
+      }
+    }
+    if (farthest >= 0) {
+      kept.push(farthest);
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+  return kept.sort((a, b) => a - b);
+}
+
+/**
+ * Simplify an outline by Douglas-Peucker.
+ * @param {[[number]]} points: the points of the outline
+ * @param {number} tolerance: the largest distance allowed, in pixels, between
+ *   a removed point and the simplified outline
+ * @param {boolean} closed: whether the outline is a ring
+ * @param {[number]} fixed: indices of points that must be kept
+ * @return {[number]} sorted indices of the kept points; all of them for a
+ *   ring that would be left with less than three points
+ */
+export function simplifyPoints(points, tolerance, closed, fixed = []) {
+  if (points.length < 3) {
+    return points.map((p, i) => i);
+  }
+  let breaks = breakIndices(points, closed, fixed);
+  let kept = [];
+  let last = closed ? breaks.length : breaks.length - 1;
+  for (let k = 0; k < last; k++) {
+    let [start, end] = [breaks[k], breaks[(k + 1) % breaks.length]];
+    for (let i of simplifyRun(run(points, start, end), tolerance)) {
+      kept.push((start + i) % points.length);
+    }
+  }
+  kept = Array.from(new Set(kept)).sort((a, b) => a - b);
+  if (closed && kept.length < 3) {
+    return points.map((p, i) => i);
+  }
+  return kept;
+}
+
+/**
+ * Get a point of a cubic bezier curve.
+ * @param {[[number]]} curve: the ends and control points of the curve
+ * @param {number} t: the parameter of the point, from 0 to 1
+ * @return {[number]} the point
+ */
+function bezierPoint(curve, t) {
+  let weights = [(1 - t) ** 3, 3 * t * (1 - t) ** 2, 3 * t * t * (1 - t),
+    t ** 3];
+  return [0, 1].map((axis) => weights.reduce(
+      (sum, weight, i) => sum + weight * curve[i][axis], 0));
+}
+
+/**
+ * Get the parameters of the points of a run along a curve through them, from
+ * their distances along the run.
+ * @param {[[number]]} points: the points of the run
+ * @return {[number]} the parameters, from 0 to 1
+ */
+function chordParameters(points) {
+  let lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i][0] - points[i - 1][0],
+        points[i][1] - points[i - 1][1]));
+  }
+  let total = lengths[lengths.length - 1];
+  return lengths.map((length) => total > 0 ? length / total : 0);
+}
+
+/**
+ * Fit a cubic bezier curve to a run of points by least squares, the ends of
+ * the curve being the ends of the run.
+ * @param {[[number]]} points: the points of the run
+ * @return {[[number]]} the two control points of the curve
+ */
+export function fitBezier(points) {
+  let [first, last] = [points[0], points[points.length - 1]];
+  let ts = chordParameters(points);
+  let [a11, a12, a22] = [0, 0, 0];
+  let [r1, r2] = [[0, 0], [0, 0]];
+  points.forEach((p, i) => {
+    let t = ts[i];
+    let [b0, b1, b2, b3] = [(1 - t) ** 3, 3 * t * (1 - t) ** 2,
+      3 * t * t * (1 - t), t ** 3];
+    a11 += b1 * b1;
+    a12 += b1 * b2;
+    a22 += b2 * b2;
+    for (let axis of [0, 1]) {
+      let rest = p[axis] - b0 * first[axis] - b3 * last[axis];
+      r1[axis] += b1 * rest;
+      r2[axis] += b2 * rest;
+    }
+  });
+  let det = a11 * a22 - a12 * a12;
+  if (Math.abs(det) < 1e-12) {
+    // too few points to place the control points, the curve is straight
+    return [1 / 3, 2 / 3].map((f) => [0, 1].map(
+        (axis) => first[axis] + (last[axis] - first[axis]) * f));
+  }
+  return [
+    [0, 1].map((axis) => (a22 * r1[axis] - a12 * r2[axis]) / det),
+    [0, 1].map((axis) => (a11 * r2[axis] - a12 * r1[axis]) / det),
+  ];
+}
+
+/**
+ * Smooth a run of points, fitting curves where they stay within the
+ * tolerance and elsewhere splitting the run at the point farthest from the
+ * segment between its ends.
+ * @param {[[number]]} points: the points of the run
+ * @param {number} tolerance: the largest distance allowed between a point and
+ *   the smoothed run
+ * @return {[object]} the edges of the smoothed run, each with the index of its
+ *   first point in the run and the control points of its curve, null for a
+ *   straight edge
+ */
+function smoothRun(points, tolerance) {
+  let end = points.length - 1;
+  let [first, last] = [points[0], points[end]];
+  let distances = points.map((p) => segmentDistance(p, first, last));
+  if (distances.every((d) => d <= tolerance)) {
+    return [{start: 0, controlPoints: null}];
+  }
+  if (end > MIN_CURVE_POINTS) {
+    let controlPoints = fitBezier(points);
+    let curve = [first].concat(controlPoints, [last]);
+    let ts = chordParameters(points);
+    // the curve is also checked between the points, along the run
+    let close = (p, t) => {
+      let [x, y] = bezierPoint(curve, t);
+      return Math.hypot(p[0] - x, p[1] - y) <= tolerance;
+    };
+    if (points.every((p, i) => close(p, ts[i]) && (i === end ||
+        close([(p[0] + points[i + 1][0]) / 2, (p[1] + points[i + 1][1]) / 2],
+            (ts[i] + ts[i + 1]) / 2)))) {
+      return [{start: 0, controlPoints: controlPoints}];
+    }
+  }
+  let split = distances.indexOf(Math.max(...distances.slice(1, end)));
+  let after = smoothRun(points.slice(split), tolerance);
+  return smoothRun(points.slice(0, split + 1), tolerance).concat(after.map(
+      (edge) => ({start: edge.start + split, controlPoints: edge.controlPoints})
+  ));
+}
+
+/**
+ * Smooth an outline, replacing its runs of dense points by bezier curves.
+ * @param {[[number]]} points: the points of the outline
+ * @param {number} tolerance: the largest distance allowed, in pixels, between
+ *   a removed point and the smoothed outline
+ * @param {boolean} closed: whether the outline is a ring
+ * @param {[number]} fixed: indices of points that must be kept
+ * @return {object} the sorted indices of the kept points, as `indices`, and
+ *   the control points of the curve going from each of them to the next one,
+ *   null for straight edges, as `controlPoints`
+ */
+export function smoothPoints(points, tolerance, closed, fixed = []) {
+  if (points.length < 3) {
+    return {indices: points.map((p, i) => i), controlPoints: []};
+  }
+  let breaks = breakIndices(points, closed, fixed);
+  let edges = [];
+  let last = closed ? breaks.length : breaks.length - 1;
+  for (let k = 0; k < last; k++) {
+    let [start, end] = [breaks[k], breaks[(k + 1) % breaks.length]];
+    for (let edge of smoothRun(run(points, start, end), tolerance)) {
+      edges.push({
+        start: (start + edge.start) % points.length,
+        controlPoints: edge.controlPoints,
+      });
+    }
+  }
+  edges.sort((a, b) => a.start - b.start);
+  let indices = edges.map((edge) => edge.start);
+  if (!closed) {
+    indices.push(points.length - 1);
+  }
+  return {
+    indices: indices,
+    controlPoints: edges.map((edge) => edge.controlPoints),
+  };
+}
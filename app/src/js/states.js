@@ -2,7 +2,7 @@
 
 import type {
   LabelType, ItemType,
-  RectType, SatType,
+  RectType, ReviewType, SatType,
   SatConfigType, SatCurrentType,
 } from './types';
 
@@ -21,9 +21,26 @@ export function makeLabel(params: {} = {}): LabelType {
     children: [], // ids
     numChildren: 0,
     valid: true,
+    keyframe: false,
+    attributeframe: false,
+    data: null,
     shapes: [],
     selectedShape: -1,
     state: -1,
+    review: makeReview(),
+    ...params,
+  };
+}
+
+/**
+ * Initialize the review of a label
+ * @param {{}} params
+ * @return {ReviewType}
+ */
+export function makeReview(params: {} = {}): ReviewType {
+  return {
+    status: 'pending',
+    comments: [],
     ...params,
   };
 }
@@ -79,8 +96,12 @@ export function makeSatConfig(params: {} = {}): SatConfigType {
     instructionPage: '', // instruction url
     demoMode: false,
     categories: [],
-    attributes: {},
+    attributes: [],
+    telemetry: 'none',
+    telemetryUrl: '',
+    projectOptions: {},
     taskId: '',
+    taskIndex: -1,
     workerId: '',
     startTime: 0,
     ...params,
@@ -114,6 +135,5 @@ export function makeSat(config: {} = {}): SatType {
     labels: {}, // Map from label id to label
     tracks: {},
     shapes: {}, // Map from shapeId to shape
-    actions: [],
   };
 }
@@ -0,0 +1,100 @@
+/**
+ * Client telemetry of labeling sessions. What is collected beyond the
+ * session metadata is decided by the telemetry provider of the project:
+ *   - none: nothing
+ *   - echo: the client address as seen by our own back end
+ *   - custom: the JSON returned by the url in the project options
+ * More providers can be added with registerTelemetryProvider.
+ */
+
+// version of the labeling client, reported with every save
+export const CLIENT_VERSION = '1.0.1';
+
+const providers = {};
+
+/**
+ * Register a telemetry provider.
+ * @param {string} name: name used in the project options
+ * @param {function(object, function(object))} collect: called with the
+ *   project options and a callback that takes the collected information,
+ *   null if there is none
+ */
+export function registerTelemetryProvider(name, collect) {
+  providers[name] = collect;
+}
+
+/**
+ * Collect telemetry with the provider configured in the project options.
+ * Unknown providers and failed requests report null.
+ * @param {object} options: the project options
+ * @param {function(object)} callback: called with the collected information
+ */
+export function collectTelemetry(options, callback) {
+  let name = options && options.telemetry ? options.telemetry : 'none';
+  let collect = providers[name] || providers['none'];
+  collect(options, callback);
+}
+
+/**
+ * Get the metadata of the browser session.
+ * @return {object} the metadata
+ */
+export function getSessionMetadata() {
+  let timezone = '';
+  try {
+    timezone = new Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch (e) {
+    // time zone names are not supported by this browser
+  }
+  return {
+    userAgent: navigator.userAgent,
+    screenWidth: window.screen ? window.screen.width : 0,
+    screenHeight: window.screen ? window.screen.height : 0,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    timezone: timezone,
+    timezoneOffset: new Date().getTimezoneOffset(),
+    clientVersion: CLIENT_VERSION,
+  };
+}
+
+/**
+ * Get JSON from a url.
+ * @param {string} url: the url
+ * @param {function(object)} callback: called with the JSON, null if the
+ *   request failed
+ */
+function getJson(url, callback) {
+  let xhr = new XMLHttpRequest();
+  xhr.onreadystatechange = function() {
+    if (xhr.readyState !== 4) {
+      return;
+    }
+    let json = null;
+    if (xhr.status >= 200 && xhr.status < 300) {
+      try {
+        json = JSON.parse(xhr.responseText);
+      } catch (e) {
+        json = null;
+      }
+    }
+    callback(json);
+  };
+  xhr.open('GET', url);
+  xhr.send();
+}
+
+registerTelemetryProvider('none', function(optionsIgnored, callback) {
+  callback(null);
+});
+
+registerTelemetryProvider('echo', function(optionsIgnored, callback) {
+  getJson('./telemetryEcho', callback);
+});
+
+registerTelemetryProvider('custom', function(options, callback) {
+  if (!options.telemetryUrl) {
+    callback(null);
+    return;
+  }
+  getJson(options.telemetryUrl, callback);
+});
@@ -1,16 +1,32 @@
 /* @flow */
 
+export type ReviewCommentType = {
+  author: string,
+  text: string,
+  timestamp: number
+};
+
+export type ReviewType = {
+  status: string, // pending, approved or rejected
+  comments: Array<ReviewCommentType>
+};
+
 export type LabelType = {
   id: number,
   item: number,
   categoryPath: string,
-  attributes: {[string]: string | number},
+  attributes: {[string]: any},
   parent: number,
   children: Array<number>,
+  numChildren: number,
   valid: boolean,
+  keyframe: boolean,
+  attributeframe: boolean,
+  data: any, // encoded shapes of the label type, as in the JSON format
   shapes: Array<number>,
   selectedShape: number,
-  state: number
+  state: number,
+  review: ReviewType
 };
 
 export type RectType = {
@@ -53,9 +69,13 @@ export type SatConfigType = {
   pageTitle: string,
   instructionPage: string, // instruction url
   demoMode: boolean,
-  categories: Array<string>,
-  attributes: { [string]: string | number },
+  categories: Array<any>,
+  attributes: Array<any>,
+  telemetry: string, // telemetry provider
+  telemetryUrl: string, // url of the custom telemetry provider
+  projectOptions: Object, // options as loaded, with the ones not listed here
   taskId: string,
+  taskIndex: number,
   workerId: string,
   startTime: number,
 };
@@ -76,7 +96,6 @@ export type SatType = {
   labels: {[number]: LabelType}, // Map from label id to label
   tracks: {[number]: LabelType},
   shapes: {[number]: RectType | CubeType},
-  actions: Array<any>,
 };
 
 export type LabelFunctionalType ={
@@ -0,0 +1,110 @@
+/**
+ * Check of the geometry of the labels before an assignment is saved. When
+ * labels have invalid shapes, such as polygons with crossing edges or
+ * without area, the panel lists them instead of saving; a click on a label
+ * goes to it, and the labels can be repaired together or saved as they are.
+ */
+
+/**
+ * Panel of the annotation page listing the labels with invalid shapes.
+ * @param {Sat} sat: the labeling session
+ */
+export function ValidationPanel(sat) {
+  let self = this;
+  self.sat = sat;
+  self.panel = document.getElementById('validation_window');
+  if (!self.panel) {
+    return;
+  }
+  self.summary = document.getElementById('validation_summary');
+  self.list = document.getElementById('validation_list');
+  let onclick = function(id, handler) {
+    document.getElementById(id).onclick = function(e) {
+      e.preventDefault();
+      handler();
+    };
+  };
+  onclick('validation_repair_btn', function() {
+    self.repairAll();
+  });
+  onclick('validation_save_btn', function() {
+    self.hide();
+    self.sat.save();
+  });
+  onclick('validation_close_btn', function() {
+    self.hide();
+  });
+}
+
+/**
+ * Check the labels before saving. The panel lists the invalid labels, if
+ * there are any.
+ * @return {boolean} whether the labels can be saved, always true on pages
+ *   without the panel
+ */
+ValidationPanel.prototype.check = function() {
+  if (!this.panel) {
+    return true;
+  }
+  if (this.sat.getShapeProblems().length === 0) {
+    this.hide();
+    return true;
+  }
+  this.panel.style.display = 'block';
+  this.refresh();
+  return false;
+};
+
+/**
+ * Close the panel.
+ */
+ValidationPanel.prototype.hide = function() {
+  if (this.panel) {
+    this.panel.style.display = 'none';
+  }
+};
+
+/**
+ * Repair the invalid labels of all the items, each as an edit that can be
+ * undone. The labels that can't be repaired stay listed.
+ */
+ValidationPanel.prototype.repairAll = function() {
+  for (let entry of this.sat.getShapeProblems()) {
+    this.sat.history.begin(entry.item);
+    entry.label.repairShapes();
+    this.sat.history.commit('repair shapes', entry.label.id);
+  }
+  // repaired labels can be deleted, so they are refreshed as after an undo
+  if (this.sat.currentItem) {
+    this.sat.currentItem.refreshLabels();
+  }
+  this.sat.labelList.refresh();
+  this.refresh();
+};
+
+/**
+ * Show the labels with invalid shapes, or close the panel if there are none
+ * left.
+ */
+ValidationPanel.prototype.refresh = function() {
+  if (!this.panel || this.panel.style.display !== 'block') {
+    return;
+  }
+  let invalid = this.sat.getShapeProblems();
+  if (invalid.length === 0) {
+    this.hide();
+    return;
+  }
+  let self = this;
+  this.summary.textContent = '(' + invalid.length + ')';
+  this.list.innerHTML = '';
+  for (let entry of invalid) {
+    let li = document.createElement('li');
+    li.textContent = 'Item ' + (entry.item.index + 1) + ', label ' +
+        entry.label.id + ': ' + entry.problems.join(', ');
+    li.onclick = function() {
+      self.sat.focusLabel(entry.item, entry.label);
+    };
+    this.list.appendChild(li);
+  }
+};
@@ -1,6 +1,7 @@
 // /* global Sat SatImage SatLabel */
 import {Sat, SatLabel} from './sat';
 import {SatImage} from './image';
+import {tracksToJson} from './functional/json';
 
 /**
  * Class for each video labeling session/task, uses SatImage items
@@ -16,11 +17,6 @@ export function SatVideo(LabelType) {
   self.playButtonIcon = document.getElementById('play_button_icon');
   self.slider = document.getElementById('video_slider');
 
-  self.currentItem = self.items[0];
-  self.currentItem.image.onload = function() {
-    self.currentItem.redraw();
-  };
-
   self.playing = false;
   self.playButton.onclick = function() {
     self.clickPlayPause();
@@ -47,7 +43,8 @@ SatVideo.prototype.newLabel = function(optionalAttributes) {
       optionalAttributes.satItem = self.items[i];
       optionalAttributes.mousePos = null;
     }
-    let childLabel = new self.LabelType(self, labelId, optionalAttributes);
+    let LabelClass = self.getLabelClass();
+    let childLabel = new LabelClass(self, labelId, optionalAttributes);
     childLabel.parent = track;
     self.labelIdMap[childLabel.id] = childLabel;
     self.labels.push(childLabel);
@@ -55,6 +52,7 @@ SatVideo.prototype.newLabel = function(optionalAttributes) {
     self.items[i].labels.push(childLabel);
     childLabel.satItem = self.items[i];
   }
+  self.syncStore([track].concat(track.children));
   return self.currentItem.labels[
   self.currentItem.labels.length - 1];
 };
@@ -62,12 +60,7 @@ SatVideo.prototype.newLabel = function(optionalAttributes) {
 SatVideo.prototype.toJson = function() {
   let self = this;
   let json = self.encodeBaseJson();
-  json.tracks = [];
-  for (let i = 0; i < self.tracks.length; i++) {
-    if (self.tracks[i].valid) {
-      json.tracks.push(self.tracks[i].toJson());
-    }
-  }
+  json.tracks = tracksToJson(self.store.getState());
   json.task.projectOptions.videoMetaData = self.videoMetaData;
   return json;
 };
@@ -127,8 +120,9 @@ SatVideo.prototype.importLabelsFromImportFiles = function() {
             if (!imported) {
               newId = labelToImport.id + 1;
             }
-            newLabel = new self.LabelType(self, newId);
-            newLabel = newLabel.fromExportFormat(labelToImport);
+            let LabelClass = self.getLabelClass();
+            newLabel = new LabelClass(self, newId);
+            newLabel = self.importLabel(newLabel, labelToImport);
             if (newLabel) {
               if (!imported) {
                 newTrack = new Track(self, labelToImport.id);
@@ -167,6 +161,7 @@ SatVideo.prototype.gotoItem = function(index) {
     self.currentItem.redraw();
     self.slider.value = index + 1;
     self.frameCounter.innerHTML = index + 1;
+    self.currentItemChanged();
   }
 };
 
@@ -201,6 +196,7 @@ SatVideo.prototype.nextFrame = function() {
     self.items[self.currentItem.index - 1].setActive(false);
     self.currentItem.setActive(true);
     self.currentItem.redraw();
+    self.currentItemChanged();
   } else {
     self.clickPlayPause();
   }
@@ -215,6 +211,7 @@ SatVideo.prototype.moveSlider = function() {
   }
   self.currentItem.setActive(true);
   self.frameCounter.innerHTML = self.currentItem.index + 1;
+  self.currentItemChanged();
 };
 
 /**
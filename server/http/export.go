@@ -12,6 +12,8 @@ type Poly2d struct {
 	Vertices [][]float64 `json:"vertices" yaml:"vertices"`
 	Types    string      `json:"types" yaml:"types"`
 	Closed   bool        `json:"closed" yaml:"closed"`
+	// interior rings of a closed polygon, given like the polygon itself
+	Holes []Poly2d `json:"holes,omitempty" yaml:"holes,omitempty"`
 }
 
 type ItemExport struct {
@@ -25,13 +27,32 @@ type ItemExport struct {
 }
 
 type LabelExport struct {
-	Id         int                    `json:"id" yaml:"id"`
-	Category   string                 `json:"category" yaml:"category"`
-	Attributes map[string]interface{} `json:"attributes" yaml:"attributes"`
-	Manual     bool                   `json:"manual" yaml:"manual"`
-	Box2d      map[string]interface{} `json:"box2d" yaml:"box2d"`
-	Poly2d     []Poly2d               `json:"poly2d" yaml:"poly2d"`
-	Box3d      map[string]interface{} `json:"box3d" yaml:"box3d"`
+	Id           int                    `json:"id" yaml:"id"`
+	Category     string                 `json:"category" yaml:"category"`
+	Attributes   map[string]interface{} `json:"attributes" yaml:"attributes"`
+	Manual       bool                   `json:"manual" yaml:"manual"`
+	Box2d        map[string]interface{} `json:"box2d" yaml:"box2d"`
+	RotatedBox2d map[string]interface{} `json:"rotated_box2d" yaml:"rotated_box2d"`
+	Poly2d       []Poly2d               `json:"poly2d" yaml:"poly2d"`
+	Box3d        map[string]interface{} `json:"box3d" yaml:"box3d"`
+	Keypoints    []Keypoint             `json:"keypoints" yaml:"keypoints"`
+	Rle          *Rle                   `json:"rle" yaml:"rle"`
+}
+
+// A joint of a skeleton; absent joints have no position
+type Keypoint struct {
+	Name       string   `json:"name" yaml:"name"`
+	X          *float64 `json:"x,omitempty" yaml:"x,omitempty"`
+	Y          *float64 `json:"y,omitempty" yaml:"y,omitempty"`
+	Visibility string   `json:"visibility" yaml:"visibility"`
+}
+
+// A mask encoded by run lengths, as the uncompressed RLE of the COCO format:
+// the lengths of the runs of unpainted and painted pixels alternate, starting
+// with unpainted ones, with the pixels in column-major order
+type Rle struct {
+	Size   []int `json:"size" yaml:"size"`
+	Counts []int `json:"counts" yaml:"counts"`
 }
 
 // structs for saved data
@@ -51,9 +72,10 @@ type EdgeData struct {
 }
 
 type PolylineData struct {
-	Id       int          `json:"id" yaml:"id"`
-	Vertices []VertexData `json:"vertices" yaml:"vertices"`
-	Edges    []EdgeData   `json:"edges" yaml:"edges"`
+	Id       int            `json:"id" yaml:"id"`
+	Vertices []VertexData   `json:"vertices" yaml:"vertices"`
+	Edges    []EdgeData     `json:"edges" yaml:"edges"`
+	Holes    []PolylineData `json:"holes" yaml:"holes"`
 }
 
 type Box2dData struct {
@@ -63,6 +85,22 @@ type Box2dData struct {
 	H float64 `json:"h" yaml:"h"`
 }
 
+type RotatedBox2dData struct {
+	Cx    float64 `json:"cx" yaml:"cx"`
+	Cy    float64 `json:"cy" yaml:"cy"`
+	W     float64 `json:"w" yaml:"w"`
+	H     float64 `json:"h" yaml:"h"`
+	Theta float64 `json:"theta" yaml:"theta"`
+}
+
+type KeypointsData struct {
+	Joints []Keypoint `json:"joints" yaml:"joints"`
+}
+
+type MaskData struct {
+	Rle Rle `json:"rle" yaml:"rle"`
+}
+
 type Poly2dData struct {
 	Closed bool           `json:"closed" yaml:"closed"`
 	Polys  []PolylineData `json:"polys" yaml:"polys"`
@@ -92,35 +130,90 @@ func ParseBox2d(data map[string]interface{}) map[string]interface{} {
 	return box2d
 }
 
+// Rotated boxes are exported by their center, size and rotation in radians,
+// with the axis-aligned box around them in the box2d field
+func ParseRotatedBox2d(data map[string]interface{}) (map[string]interface{}, map[string]interface{}) {
+	_box := RotatedBox2dData{}
+	MapToStruct(data, &_box)
+
+	rotatedBox2d := map[string]interface{}{}
+	rotatedBox2d["cx"] = _box.Cx
+	rotatedBox2d["cy"] = _box.Cy
+	rotatedBox2d["w"] = _box.W
+	rotatedBox2d["h"] = _box.H
+	rotatedBox2d["theta"] = _box.Theta
+
+	// half extents of the box once turned
+	cos := math.Abs(math.Cos(_box.Theta))
+	sin := math.Abs(math.Sin(_box.Theta))
+	halfW := (_box.W*cos + _box.H*sin) / 2
+	halfH := (_box.W*sin + _box.H*cos) / 2
+	box2d := map[string]interface{}{}
+	box2d["x1"] = _box.Cx - halfW
+	box2d["y1"] = _box.Cy - halfH
+	box2d["x2"] = _box.Cx + halfW
+	box2d["y2"] = _box.Cy + halfH
+	return rotatedBox2d, box2d
+}
+
+func ParseKeypoints(data map[string]interface{}) []Keypoint {
+	_keypoints := KeypointsData{}
+	MapToStruct(data, &_keypoints)
+
+	keypoints := []Keypoint{}
+	for _, joint := range _keypoints.Joints {
+		if joint.Visibility == "absent" {
+			joint.X = nil
+			joint.Y = nil
+		}
+		keypoints = append(keypoints, joint)
+	}
+	return keypoints
+}
+
+func ParseMask(data map[string]interface{}) *Rle {
+	_mask := MaskData{}
+	MapToStruct(data, &_mask)
+	return &_mask.Rle
+}
+
 func ParsePoly2d(data map[string]interface{}) []Poly2d {
 	_poly2d := Poly2dData{}
 	MapToStruct(data, &_poly2d)
 
 	poly2ds := []Poly2d{}
 	for _, _poly := range _poly2d.Polys {
-		poly := Poly2d{}
-		types := []byte{}
-		for i, vertex := range _poly.Vertices {
-			v_xy := []float64{vertex.X, vertex.Y}
-			poly.Vertices = append(poly.Vertices, v_xy)
-			types = append(types, 'L')
-			if i < len(_poly.Edges) && _poly.Edges[i].Type == "bezier" {
-				if (i < len(_poly.Edges)-1) || (_poly2d.Closed) {
-					for _, c := range _poly.Edges[i].ControlPoints {
-						c_xy := []float64{c.X, c.Y}
-						poly.Vertices = append(poly.Vertices, c_xy)
-						types = append(types, 'C')
-					}
-				}
-			}
+		poly := parsePolyline(_poly, _poly2d.Closed)
+		for _, _hole := range _poly.Holes {
+			poly.Holes = append(poly.Holes, parsePolyline(_hole, true))
 		}
-		poly.Closed = _poly2d.Closed
-		poly.Types = string(types[:])
 		poly2ds = append(poly2ds, poly)
 	}
 	return poly2ds
 }
 
+func parsePolyline(_poly PolylineData, closed bool) Poly2d {
+	poly := Poly2d{}
+	types := []byte{}
+	for i, vertex := range _poly.Vertices {
+		v_xy := []float64{vertex.X, vertex.Y}
+		poly.Vertices = append(poly.Vertices, v_xy)
+		types = append(types, 'L')
+		if i < len(_poly.Edges) && _poly.Edges[i].Type == "bezier" {
+			if (i < len(_poly.Edges)-1) || closed {
+				for _, c := range _poly.Edges[i].ControlPoints {
+					c_xy := []float64{c.X, c.Y}
+					poly.Vertices = append(poly.Vertices, c_xy)
+					types = append(types, 'C')
+				}
+			}
+		}
+	}
+	poly.Closed = closed
+	poly.Types = string(types[:])
+	return poly
+}
+
 var floatType = reflect.TypeOf(float64(0))
 var integerType = reflect.TypeOf(int(0))
 var stringType = reflect.TypeOf("")
@@ -172,6 +172,7 @@ var PolygonStructs = []Poly2d{
 		},
 		"LLL",
 		true,
+		nil,
 	},
 
 	{
@@ -188,6 +189,7 @@ var PolygonStructs = []Poly2d{
 		},
 		"LCCLCCLCC",
 		true,
+		nil,
 	},
 
 	{
@@ -215,6 +217,7 @@ var PolygonStructs = []Poly2d{
 		},
 		"LLCCLLCCLCCLLLCCLLCC",
 		true,
+		nil,
 	},
 }
 
@@ -227,6 +230,7 @@ var PathStructs = []Poly2d{
 		},
 		"LLL",
 		false,
+		nil,
 	},
 
 	{
@@ -241,6 +245,7 @@ var PathStructs = []Poly2d{
 		},
 		"LCCLCCL",
 		false,
+		nil,
 	},
 
 	{
@@ -266,6 +271,7 @@ var PathStructs = []Poly2d{
 		},
 		"LLCCLLCCLCCLLLCCLL",
 		false,
+		nil,
 	},
 }
 
@@ -377,3 +383,100 @@ func TestPathPoly2d(t *testing.T) {
 		}
 	}
 }
+
+func TestRotatedBox2d(t *testing.T) {
+	data := map[string]interface{}{
+		"cx": 50.0, "cy": 40.0, "w": 20.0, "h": 10.0, "theta": math.Pi / 2,
+	}
+	rotatedBox2d, box2d := ParseRotatedBox2d(data)
+	for _, key := range []string{"cx", "cy", "w", "h", "theta"} {
+		if rotatedBox2d[key] != data[key] {
+			t.Error("expected", data[key], "for", key, "got", rotatedBox2d[key])
+		}
+	}
+	// turned by a quarter, the box is 10 wide and 20 high
+	expected := map[string]float64{"x1": 45, "y1": 30, "x2": 55, "y2": 50}
+	for key, value := range expected {
+		if !FloatEqual(box2d[key].(float64), value) {
+			t.Error("expected", value, "for", key, "got", box2d[key])
+		}
+	}
+}
+
+func TestKeypoints(t *testing.T) {
+	data := map[string]interface{}{
+		"joints": []interface{}{
+			map[string]interface{}{
+				"name": "nose", "x": 10.0, "y": 20.0, "visibility": "visible"},
+			map[string]interface{}{
+				"name": "left_eye", "x": 12.0, "y": 18.0, "visibility": "occluded"},
+			map[string]interface{}{
+				"name": "right_eye", "x": 0.0, "y": 0.0, "visibility": "absent"},
+		},
+	}
+	keypoints := ParseKeypoints(data)
+	if len(keypoints) != 3 {
+		t.Fatal("expected 3 keypoints, got", keypoints)
+	}
+	if keypoints[1].Name != "left_eye" || keypoints[1].Visibility != "occluded" ||
+		!FloatEqual(*keypoints[1].X, 12) || !FloatEqual(*keypoints[1].Y, 18) {
+		t.Error("expected the occluded left eye at (12, 18), got", keypoints[1])
+	}
+	// absent joints are exported without a position
+	if keypoints[2].X != nil || keypoints[2].Y != nil {
+		t.Error("expected no position for the absent joint, got", keypoints[2])
+	}
+}
+
+func TestMask(t *testing.T) {
+	data := map[string]interface{}{
+		"rle": map[string]interface{}{
+			"size":   []interface{}{2.0, 3.0},
+			"counts": []interface{}{1.0, 3.0, 2.0},
+		},
+	}
+	rle := ParseMask(data)
+	if len(rle.Size) != 2 || rle.Size[0] != 2 || rle.Size[1] != 3 {
+		t.Error("expected a 2 by 3 mask, got", rle.Size)
+	}
+	if len(rle.Counts) != 3 || rle.Counts[1] != 3 {
+		t.Error("expected the run lengths [1 3 2], got", rle.Counts)
+	}
+}
+
+func TestPolygonHoles(t *testing.T) {
+	ring := func(points [][]float64) []interface{} {
+		vertices := []interface{}{}
+		edges := []interface{}{}
+		for i, p := range points {
+			vertices = append(vertices, map[string]interface{}{
+				"id": float64(i), "x": p[0], "y": p[1], "type": "vertex"})
+			edges = append(edges, map[string]interface{}{
+				"src": float64(i), "dest": float64((i + 1) % len(points)),
+				"type": "line"})
+		}
+		return []interface{}{vertices, edges}
+	}
+	outer := ring([][]float64{{0, 0}, {4, 0}, {4, 4}, {0, 4}})
+	hole := ring([][]float64{{1, 1}, {1, 2}, {2, 2}})
+	data := map[string]interface{}{
+		"closed": true,
+		"polys": []interface{}{map[string]interface{}{
+			"vertices": outer[0], "edges": outer[1],
+			"holes": []interface{}{map[string]interface{}{
+				"vertices": hole[0], "edges": hole[1]}},
+		}},
+	}
+	polys := ParsePoly2d(data)
+	if len(polys) != 1 || len(polys[0].Holes) != 1 {
+		t.Fatal("expected a polygon with a hole, got", polys)
+	}
+	if polys[0].Holes[0].Types != "LLL" || !polys[0].Holes[0].Closed {
+		t.Error("expected a closed triangle, got", polys[0].Holes[0])
+	}
+	if !FloatArrayOfArrayEqual(polys[0].Holes[0].Vertices,
+		[][]float64{{1, 1}, {1, 2}, {2, 2}}) {
+		t.Error("expected the vertices of the hole, got",
+			polys[0].Holes[0].Vertices)
+	}
+}
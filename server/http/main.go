@@ -45,6 +45,10 @@ func (env Env) VendorPath() string {
 	return path.Join(env.AppDir(), "control/vendor.html")
 }
 
+func (env Env) ReplayPath() string {
+	return path.Join(env.AppDir(), "control/replay.html")
+}
+
 func (env Env) Label2dPath() string {
 	return path.Join(env.AppDir(), "annotation/image.html")
 }
@@ -148,10 +152,13 @@ func main() {
 	http.HandleFunc("/postDownloadTaskURL", WrapHandleFunc(downloadTaskURLHandler))
 	http.HandleFunc("/postLoadAssignment",
 		WrapHandleFunc(postLoadAssignmentHandler))
+	http.HandleFunc("/telemetryEcho", WrapHandleFunc(telemetryEchoHandler))
 
 	// Simple static handlers can be generated with MakePathHandleFunc
 	http.HandleFunc("/create",
 		WrapHandleFunc(MakePathHandleFunc(env.CreatePath())))
+	http.HandleFunc("/replay",
+		WrapHandleFunc(MakePathHandleFunc(env.ReplayPath())))
 	http.HandleFunc("/label2d", WrapHandleFunc(Label2dHandler))
 	http.HandleFunc("/label3d", WrapHandleFunc(Label3dHandler))
 
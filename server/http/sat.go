@@ -10,6 +10,7 @@ import (
 	"io"
 	"io/ioutil"
 	"log"
+	"net"
 	"net/http"
 	"net/url"
 	"path"
@@ -63,10 +64,13 @@ type Assignment struct {
 	Labels          []Label                `json:"labels" yaml:"labels"`
 	Tracks          []Label                `json:"tracks" yaml:"tracks"`
 	Events          []Event                `json:"events" yaml:"events"`
+	Actions         []interface{}          `json:"actions" yaml:"actions"`
+	Analytics       map[string]interface{} `json:"analytics" yaml:"analytics"`
 	StartTime       int64                  `json:"startTime" yaml:"startTime"`
 	SubmitTime      int64                  `json:"submitTime" yaml:"submitTime"`
 	NumLabeledItems int                    `json:"numLabeledItems" yaml:"numLabeledItems"`
 	UserAgent       string                 `json:"userAgent" yaml:"userAgent"`
+	ClientInfo      map[string]interface{} `json:"clientInfo" yaml:"clientInfo"`
 	IpInfo          map[string]interface{} `json:"ipInfo" yaml:"ipInfo"`
 }
 
@@ -89,10 +93,13 @@ func (assignment *Assignment) GetFields() map[string]interface{} {
 		"Labels":          assignment.Labels,
 		"Tracks":          assignment.Tracks,
 		"Events":          assignment.Events,
+		"Actions":         assignment.Actions,
+		"Analytics":       assignment.Analytics,
 		"StartTime":       assignment.StartTime,
 		"SubmitTime":      assignment.SubmitTime,
 		"NumLabeledItems": assignment.NumLabeledItems,
 		"UserAgent":       assignment.UserAgent,
+		"ClientInfo":      assignment.ClientInfo,
 		"IpInfo":          assignment.IpInfo,
 	}
 }
@@ -108,11 +115,14 @@ type ProjectOptions struct {
 	Categories        []Category    `json:"categories" yaml:"categories"`
 	NumLeafCategories int           `json:"numLeafCategories" yaml:"numLeafCategories"`
 	Attributes        []Attribute   `json:"attributes" yaml:"attributes"`
+	Skeleton          Skeleton      `json:"skeleton" yaml:"skeleton"`
 	Instructions      string        `json:"instructions" yaml:"instructions"`
 	DemoMode          bool          `json:"demoMode" yaml:"demoMode"`
 	VideoMetaData     VideoMetaData `json:"videoMetaData" yaml:"videoMetaData"`
 	InterpolationMode string        `json:"interpolationMode" yaml:"interpolationMode"`
 	Detections        []Detection   `json:"detections" yaml:"detections"`
+	Telemetry         string        `json:"telemetry" yaml:"telemetry"`
+	TelemetryUrl      string        `json:"telemetryUrl" yaml:"telemetryUrl"`
 }
 
 // An item is something to be annotated e.g. Image, PointCloud
@@ -134,6 +144,20 @@ type Label struct {
 	Attributes   map[string]interface{} `json:"attributes" yaml:"attributes"`
 	Data         map[string]interface{} `json:"data" yaml:"data"`
 	Keyframe     bool                   `json:"keyframe" yaml:"keyframe"`
+	Review       LabelReview            `json:"review" yaml:"review"`
+}
+
+// The verdict of a reviewer on a label and the comments on it
+type LabelReview struct {
+	Status   string          `json:"status" yaml:"status"`
+	Comments []ReviewComment `json:"comments" yaml:"comments"`
+}
+
+// A comment of the reviewer or the annotator on a label
+type ReviewComment struct {
+	Author    string `json:"author" yaml:"author"`
+	Text      string `json:"text" yaml:"text"`
+	Timestamp int64  `json:"timestamp" yaml:"timestamp"`
 }
 
 // A class value for a label.
@@ -142,6 +166,12 @@ type Category struct {
 	Subcategories []Category `json:"subcategories" yaml:"subcategories"`
 }
 
+// The joints of the keypoint labels and the edges connecting them by name
+type Skeleton struct {
+	Joints []string   `json:"joints" yaml:"joints"`
+	Edges  [][]string `json:"edges" yaml:"edges"`
+}
+
 // A configurable attribute describing a label
 type Attribute struct {
 	Name         string   `json:"name" yaml:"name"`
@@ -297,6 +327,12 @@ func postProjectHandler(w http.ResponseWriter, r *http.Request) {
 	numLeafCategories := countCategories(categories)
 	// parse the attribute list YML from form
 	attributes := getAttributesFromProjectForm(r)
+	// parse the skeleton YML of the keypoint labels from form
+	skeleton, err := getSkeletonFromProjectForm(r)
+	if err != nil {
+		w.Write([]byte(err.Error()))
+		return
+	}
 	// import items and corresponding labels
 	items := getItemsFromProjectForm(r)
 	if itemType == "video" {
@@ -328,6 +364,13 @@ func postProjectHandler(w http.ResponseWriter, r *http.Request) {
 
 	demoMode := r.FormValue("demo_mode") == "on"
 
+	// telemetry provider of the labeling sessions, none by default
+	telemetry := r.FormValue("telemetry")
+	if telemetry == "" {
+		telemetry = "none"
+	}
+	telemetryUrl := r.FormValue("telemetry_url")
+
 	// This prefix determines which handler will deal with labeling sessions
 	//   for this project. Uniquely determined by item type and label type.
 	handlerUrl := GetHandlerUrl(itemType, labelType)
@@ -343,11 +386,14 @@ func postProjectHandler(w http.ResponseWriter, r *http.Request) {
 		Categories:        categories,
 		NumLeafCategories: numLeafCategories,
 		Attributes:        attributes,
+		Skeleton:          skeleton,
 		Instructions:      instructions,
 		DemoMode:          demoMode,
 		VideoMetaData:     videoMetaData,
 		InterpolationMode: interpolationMode,
 		Detections:        detections,
+		Telemetry:         telemetry,
+		TelemetryUrl:      telemetryUrl,
 	}
 	var project = Project{
 		Items:    items,
@@ -392,11 +438,15 @@ func postLoadAssignmentHandler(w http.ResponseWriter, r *http.Request) {
 	body, err := ioutil.ReadAll(r.Body)
 	if err != nil {
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	assignmentToLoad := Assignment{}
 	err = json.Unmarshal(body, &assignmentToLoad)
 	if err != nil {
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	projectName := assignmentToLoad.Task.ProjectOptions.Name
 	taskIndex := Index2str(assignmentToLoad.Task.Index)
@@ -408,6 +458,7 @@ func postLoadAssignmentHandler(w http.ResponseWriter, r *http.Request) {
 			DEFAULT_WORKER)
 		if err != nil {
 			Error.Println(err)
+			http.Error(w, err.Error(), http.StatusInternalServerError)
 			return
 		}
 	} else {
@@ -415,6 +466,7 @@ func postLoadAssignmentHandler(w http.ResponseWriter, r *http.Request) {
 			DEFAULT_WORKER)
 		if err != nil {
 			Error.Println(err)
+			http.Error(w, err.Error(), http.StatusInternalServerError)
 			return
 		}
 		loadedAssignment.StartTime = recordTimestamp()
@@ -422,10 +474,34 @@ func postLoadAssignmentHandler(w http.ResponseWriter, r *http.Request) {
 	loadedAssignmentJson, err := json.Marshal(loadedAssignment)
 	if err != nil {
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	w.Write(loadedAssignmentJson)
 }
 
+// Reports the address of the client as seen by the server, for the "echo"
+// telemetry provider
+func telemetryEchoHandler(w http.ResponseWriter, r *http.Request) {
+	ip := r.Header.Get("X-Forwarded-For")
+	if ip != "" {
+		ip = strings.TrimSpace(strings.Split(ip, ",")[0])
+	} else {
+		host, _, err := net.SplitHostPort(r.RemoteAddr)
+		if err != nil {
+			host = r.RemoteAddr
+		}
+		ip = host
+	}
+	info, err := json.Marshal(map[string]string{"ip": ip})
+	if err != nil {
+		Error.Println(err)
+		return
+	}
+	w.Header().Set("Content-Type", "application/json")
+	w.Write(info)
+}
+
 // Handles the posting of saved assignments
 func postSaveHandler(w http.ResponseWriter, r *http.Request) {
 	if r.Method != "POST" {
@@ -435,11 +511,15 @@ func postSaveHandler(w http.ResponseWriter, r *http.Request) {
 	body, err := ioutil.ReadAll(r.Body)
 	if err != nil {
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	var fields map[string]interface{}
 	err = json.Unmarshal(body, &fields)
 	if err != nil {
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	fields["SubmitTime"] = recordTimestamp()
 	assignment := Assignment{}
@@ -452,7 +532,10 @@ func postSaveHandler(w http.ResponseWriter, r *http.Request) {
 	// TODO: don't send all events to front end, and append these events to most recent
 	err = storage.Save(assignment.GetKey(), assignment.GetFields())
 	if err != nil {
+		// the client keeps the snapshot and sends it again
 		Error.Println(err)
+		http.Error(w, err.Error(), http.StatusInternalServerError)
+		return
 	}
 	w.Write(nil)
 }
@@ -501,12 +584,18 @@ func postExportHandler(w http.ResponseWriter, r *http.Request) {
                     switch projectToLoad.Options.LabelType {
                     case "box2d":
                         label.Box2d = ParseBox2d(labelToLoad.Data)
+                    case "rotated_box2d":
+                        label.RotatedBox2d, label.Box2d = ParseRotatedBox2d(labelToLoad.Data)
                     case "box3d":
                         label.Box3d = ParseBox3d(labelToLoad.Data)
                     case "segmentation":
                         label.Poly2d = ParsePoly2d(labelToLoad.Data)
                     case "lane":
                         label.Poly2d = ParsePoly2d(labelToLoad.Data)
+                    case "keypoints":
+                        label.Keypoints = ParseKeypoints(labelToLoad.Data)
+                    case "mask":
+                        label.Rle = ParseMask(labelToLoad.Data)
                     }
                     label.Manual = true
                     if projectToLoad.Options.ItemType == "video" {
@@ -611,12 +700,14 @@ func getCategoriesFromProjectForm(r *http.Request) []Category {
 	case http.ErrMissingFile:
 		Info.Printf("Miss category file and using default categories for %s.", labelType)
 
-		if labelType == "box2d" {
+		if labelType == "box2d" || labelType == "rotated_box2d" {
 			categories = defaultBox2dCategories
-		} else if labelType == "segmentation" {
+		} else if labelType == "segmentation" || labelType == "mask" {
 			categories = defaultSeg2dCategories
 		} else if labelType == "lane" {
 			categories = defaultLane2dCategories
+		} else if labelType == "keypoints" {
+			categories = defaultKeypointCategories
 		} else {
 			Error.Printf("No default categories for %s.", labelType)
 		}
@@ -651,7 +742,7 @@ func getAttributesFromProjectForm(r *http.Request) []Attribute {
 	case http.ErrMissingFile:
 		Info.Printf("Missing attribute file and using default attributes for %s.", labelType)
 
-		if labelType == "box2d" {
+		if labelType == "box2d" || labelType == "rotated_box2d" {
 			attributes = defaultBox2dAttributes
 		} else {
 			attributes = dummyAttribute
@@ -665,6 +756,41 @@ func getAttributesFromProjectForm(r *http.Request) []Attribute {
 	return attributes
 }
 
+// handles skeleton YAML file of the keypoint labels, sets to the default
+// body pose if file missing
+func getSkeletonFromProjectForm(r *http.Request) (Skeleton, error) {
+	labelType := r.FormValue("label_type")
+	var skeleton Skeleton
+	if labelType != "keypoints" {
+		return skeleton, nil
+	}
+	skeletonFile, _, err := r.FormFile("skeleton")
+
+	switch err {
+	case nil:
+		defer skeletonFile.Close()
+
+		skeletonFileBuf := bytes.NewBuffer(nil)
+		_, err = io.Copy(skeletonFileBuf, skeletonFile)
+		if err != nil {
+			return skeleton, err
+		}
+		err = yaml.Unmarshal(skeletonFileBuf.Bytes(), &skeleton)
+		if err != nil {
+			return skeleton, err
+		}
+
+	case http.ErrMissingFile:
+		Info.Printf("Missing skeleton file and using the default body pose.")
+		skeleton = defaultBodySkeleton
+
+	default:
+		return skeleton, err
+	}
+
+	return skeleton, CheckSkeleton(skeleton)
+}
+
 // load label json file
 func getItemsFromProjectForm(r *http.Request) ([]Item) {
     var items []Item
@@ -764,3 +890,31 @@ func formValidation(w http.ResponseWriter, r *http.Request) error {
 	// TODO: check forms are actually uploaded
 	return nil
 }
+
+// check that the joints of a skeleton have distinct names and that its edges
+// connect two of them
+func CheckSkeleton(skeleton Skeleton) error {
+	if len(skeleton.Joints) == 0 {
+		return errors.New("The skeleton has no joints.")
+	}
+	joints := map[string]bool{}
+	for _, joint := range skeleton.Joints {
+		if joints[joint] {
+			return errors.New("The skeleton has two joints named \"" + joint + "\".")
+		}
+		joints[joint] = true
+	}
+	for _, edge := range skeleton.Edges {
+		if len(edge) != 2 {
+			return errors.New("The skeleton edge [" + strings.Join(edge, ", ") +
+				"] does not connect two joints.")
+		}
+		for _, joint := range edge {
+			if !joints[joint] {
+				return errors.New("The skeleton edge [" + strings.Join(edge, ", ") +
+					"] has an unknown joint \"" + joint + "\".")
+			}
+		}
+	}
+	return nil
+}
@@ -93,6 +93,15 @@ func GetAssignment(projectName string, taskIndex string, workerId string) (Assig
 			return Assignment{}, err
 		}
 		mapstructure.Decode(fields, &assignment)
+		// submissions saved without the skeleton get the one of the task
+		if assignment.Task.ProjectOptions.LabelType == "keypoints" &&
+			len(assignment.Task.ProjectOptions.Skeleton.Joints) == 0 {
+			task, err := GetTask(projectName, taskIndex)
+			if err != nil {
+				return Assignment{}, err
+			}
+			assignment.Task.ProjectOptions.Skeleton = task.ProjectOptions.Skeleton
+		}
 	} else {
 		assignmentPath := path.Join(projectName, "assignments", taskIndex, workerId)
 		fields, err := storage.Load(assignmentPath)
@@ -138,13 +147,17 @@ func GetDashboardContents(projectName string) (DashboardContents, error) {
 func GetHandlerUrl(itemType string, labelType string) string {
 	switch itemType {
 	case "image":
-		if labelType == "box2d" || labelType == "segmentation" || labelType == "lane" {
+		if labelType == "box2d" || labelType == "rotated_box2d" ||
+			labelType == "segmentation" || labelType == "lane" ||
+			labelType == "keypoints" || labelType == "mask" {
 			return "label2d"
 		} else {
 			return "NO_VALID_HANDLER"
 		}
 	case "video":
-		if labelType == "box2d" || labelType == "segmentation" {
+		if labelType == "box2d" || labelType == "rotated_box2d" ||
+			labelType == "segmentation" || labelType == "keypoints" ||
+			labelType == "mask" {
 			return "label2d"
 		} else {
 			return "NO_VALID_HANDLER"
@@ -342,6 +355,35 @@ var defaultLane2dCategories = []Category{
 	{"crosswalk", nil},
 }
 
+// default keypoint category if category file is missing
+var defaultKeypointCategories = []Category{
+	{"pedestrian", nil},
+	{"cyclist", nil},
+}
+
+// default skeleton of the keypoint labels if skeleton file is missing: the
+// 17-point body pose of COCO
+var defaultBodySkeleton = Skeleton{
+	Joints: []string{
+		"nose", "left_eye", "right_eye", "left_ear", "right_ear",
+		"left_shoulder", "right_shoulder", "left_elbow", "right_elbow",
+		"left_wrist", "right_wrist", "left_hip", "right_hip",
+		"left_knee", "right_knee", "left_ankle", "right_ankle",
+	},
+	Edges: [][]string{
+		{"left_ankle", "left_knee"}, {"left_knee", "left_hip"},
+		{"right_ankle", "right_knee"}, {"right_knee", "right_hip"},
+		{"left_hip", "right_hip"}, {"left_shoulder", "left_hip"},
+		{"right_shoulder", "right_hip"}, {"left_shoulder", "right_shoulder"},
+		{"left_shoulder", "left_elbow"}, {"right_shoulder", "right_elbow"},
+		{"left_elbow", "left_wrist"}, {"right_elbow", "right_wrist"},
+		{"left_eye", "right_eye"}, {"nose", "left_eye"},
+		{"nose", "right_eye"}, {"left_eye", "left_ear"},
+		{"right_eye", "right_ear"}, {"left_ear", "left_shoulder"},
+		{"right_ear", "right_shoulder"},
+	},
+}
+
 // default box2d attributes if attribute file is missing
 var defaultBox2dAttributes = []Attribute{
 	{"Occluded", "switch", "o",
@@ -7,6 +7,7 @@ let config = {
     create: __dirname + '/app/src/js/create.js',
     image: __dirname + '/app/src/js/image.index.js',
     point_cloud: __dirname + '/app/src/js/point_cloud/point_cloud.index.js',
+    replay: __dirname + '/app/src/js/replay.js',
   },
   output: {
     filename: '[name].js',